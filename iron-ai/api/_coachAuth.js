@@ -0,0 +1,83 @@
+import { Buffer } from "node:buffer";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// Caller checks for /api/coach. Nothing is required until a secret is configured:
+// `COACH_SHARED_SECRET` lets anyone holding it in (budgets and rate limits stay per client
+// address), while `COACH_TOKEN_SECRET` accepts signed `v1.<payload>.<signature>` tokens
+// whose `sub` becomes the user id. Both come in as `Authorization: Bearer <value>`.
+
+const TOKEN_VERSION = "v1";
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function readSecret(env, key) {
+  return String(env?.[key] ?? "").trim();
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function sign(body, secret) {
+  return createHmac("sha256", secret).update(`${TOKEN_VERSION}.${body}`).digest("base64url");
+}
+
+export function isCoachAuthConfigured(env) {
+  return Boolean(readSecret(env, "COACH_SHARED_SECRET") || readSecret(env, "COACH_TOKEN_SECRET"));
+}
+
+/** A token for `sub`, valid for `expiresInSeconds`. Used by `scripts/mint-coach-token.mjs`. */
+export function signCoachToken(
+  { sub, expiresInSeconds = DEFAULT_TOKEN_TTL_SECONDS, now = Date.now() },
+  secret
+) {
+  if (!sub) throw new Error("A token needs a subject (sub).");
+  if (!secret) throw new Error("A token needs COACH_TOKEN_SECRET.");
+  const payload = { sub: String(sub), exp: Math.floor(now / 1000) + expiresInSeconds };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${TOKEN_VERSION}.${body}.${sign(body, secret)}`;
+}
+
+/** The token's payload, or `{ error }` naming why it was refused. */
+export function verifyCoachToken(token, secret, now = Date.now()) {
+  const [version, body, signature] = String(token ?? "").split(".");
+  if (version !== TOKEN_VERSION || !body || !signature) return { error: "malformed" };
+  if (!safeEqual(signature, sign(body, secret))) return { error: "invalid" };
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { error: "malformed" };
+  }
+  if (!payload?.sub) return { error: "malformed" };
+  if (Number(payload.exp) * 1000 <= now) return { error: "expired" };
+  return { payload };
+}
+
+export function readBearerToken(headers) {
+  const raw = headers?.authorization ?? headers?.Authorization ?? "";
+  const match = String(raw).match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * `{ ok: true, userId }` when the request may use the coach (`userId` is null unless a
+ * signed token named one), else `{ ok: false, reason }` with `missing`, `invalid` or
+ * `expired`.
+ */
+export function authenticateCoachRequest({ headers, env, now = Date.now() }) {
+  if (!isCoachAuthConfigured(env)) return { ok: true, userId: null };
+  const presented = readBearerToken(headers);
+  if (!presented) return { ok: false, reason: "missing" };
+
+  const sharedSecret = readSecret(env, "COACH_SHARED_SECRET");
+  if (sharedSecret && safeEqual(presented, sharedSecret)) return { ok: true, userId: null };
+
+  const tokenSecret = readSecret(env, "COACH_TOKEN_SECRET");
+  if (!tokenSecret) return { ok: false, reason: "invalid" };
+  const { payload, error } = verifyCoachToken(presented, tokenSecret, now);
+  if (error === "expired") return { ok: false, reason: "expired" };
+  if (error) return { ok: false, reason: "invalid" };
+  return { ok: true, userId: `token:${payload.sub}` };
+}
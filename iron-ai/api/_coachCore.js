@@ -1,57 +1,13 @@
-const OPENAI_CHAT_URL = "https://api.openai.com/v1/chat/completions";
-const DEFAULT_COACH_MODEL = "gpt-4o-mini";
-const SUPPORTED_ACTIONS = new Set(["streamChatCompletion", "createChatCompletion"]);
-
-function jsonResponse(status, body) {
-  return { status, body };
-}
-
-function errorResponse(status, message, code = null) {
-  return jsonResponse(status, {
-    error: {
-      message,
-      code,
-    },
-  });
-}
-
-function normalizeRequestPayload(payload) {
-  if (!payload || typeof payload !== "object") return null;
-  return payload;
-}
+import { authenticateCoachRequest } from "./_coachAuth.js";
+import { COACH_ERROR_CODES, errorResponse, jsonResponse } from "./_coachErrors.js";
+import { resolveCoachProvider, toStreamDeltas } from "./_coachProviders.js";
+import { checkCoachRateLimit, defaultCoachRateLimitStore } from "./_coachRateLimit.js";
+import { parseCoachRequest } from "./_coachRequestSchema.js";
+import { defaultCoachUsageLedger, readCoachBudgetLimits } from "./_coachUsage.js";
 
-function extractCompletionContent(completion) {
-  const message = completion?.choices?.[0]?.message;
-  if (!message) return "";
-  if (typeof message.content === "string") {
-    return message.content.trim();
-  }
-  if (Array.isArray(message.content)) {
-    return message.content
-      .map((part) => {
-        if (typeof part === "string") return part;
-        return typeof part?.text === "string" ? part.text : "";
-      })
-      .join("")
-      .trim();
-  }
-  return "";
-}
-
-function normalizeToolCalls(completion) {
-  const message = completion?.choices?.[0]?.message;
-  if (!Array.isArray(message?.tool_calls)) return [];
-  return message.tool_calls.map((call) => ({
-    id: call.id,
-    type: call.type ?? "function",
-    function: {
-      name: call.function?.name ?? "",
-      arguments: call.function?.arguments ?? "",
-    },
-  }));
-}
+const DEFAULT_COACH_MODEL = "gpt-4o-mini";
 
-async function parseOpenAiError(response) {
+async function parseProviderError(response, provider) {
   let payload = null;
   try {
     payload = await response.json();
@@ -60,8 +16,8 @@ async function parseOpenAiError(response) {
   }
   return errorResponse(
     response.status,
-    payload?.error?.message || "OpenAI request failed.",
-    payload?.error?.code ?? null
+    payload?.error?.message || `${provider.label} request failed.`,
+    payload?.error?.code ?? payload?.error?.type ?? null
   );
 }
 
@@ -72,80 +28,286 @@ function isProductionBlocked(env) {
   return raw === "false" || raw === "0" || raw === "no";
 }
 
-function buildOpenAiBody(payload) {
+function buildProviderRequest(payload, provider) {
   const action = payload.action ?? "createChatCompletion";
-  const body = {
-    model: payload.model || DEFAULT_COACH_MODEL,
+  return {
+    model:
+      provider.model ||
+      (provider.acceptsClientModel ? payload.model : null) ||
+      DEFAULT_COACH_MODEL,
     messages: payload.messages,
+    stream: action === "streamChatCompletion" && payload.stream === true,
     temperature:
       typeof payload.temperature === "number" ? payload.temperature : 0.2,
+    tools:
+      action === "streamChatCompletion" && Array.isArray(payload.tools)
+        ? payload.tools
+        : undefined,
+    responseFormat:
+      action === "createChatCompletion" && payload.responseFormat
+        ? payload.responseFormat
+        : undefined,
   };
+}
+
+async function fetchProvider(provider, request, fetchImpl, signal) {
+  const { url, headers, body } = provider.buildRequest(request);
+  let response = null;
+  try {
+    response = await fetchImpl(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    return {
+      error: errorResponse(
+        502,
+        `Unable to reach ${provider.label}.${err?.message ? ` ${err.message}` : ""}`.trim(),
+        COACH_ERROR_CODES.upstreamUnreachable
+      ),
+    };
+  }
+
+  if (!response.ok) {
+    return { error: await parseProviderError(response, provider) };
+  }
+  return { response };
+}
+
+async function requestProvider(provider, request, fetchImpl, signal) {
+  if (provider.respond) {
+    return { result: await provider.respond(request) };
+  }
+
+  const { response, error } = await fetchProvider(provider, request, fetchImpl, signal);
+  if (error) return { error };
+  return { result: provider.parseResponse(await response.json()) };
+}
+
+function sseEvent(data) {
+  return `data: ${JSON.stringify(data)}\n\n`;
+}
+
+function deltaEvent(delta) {
+  return sseEvent({ choices: [{ index: 0, delta }] });
+}
 
-  if (action === "streamChatCompletion" && Array.isArray(payload.tools)) {
-    body.tools = payload.tools;
+const SSE_DONE = "data: [DONE]\n\n";
+
+async function* readServerSentData(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (line.startsWith("data:")) yield line.replace(/^data:\s*/, "");
+    }
+  }
+}
+
+// Sent just before `[DONE]`, like OpenAI's own `include_usage` chunk.
+function usageEvent(usage, model) {
+  return sseEvent({ choices: [], usage, model });
+}
+
+/**
+ * Re-emits a provider's SSE stream as OpenAI chunks so the client needs one parser.
+ * Failures after the response has started arrive as a final `data: {"error": ...}` event.
+ * Token usage goes to `onUsage` even when the stream stops early.
+ */
+async function* relayProviderStream(provider, response, { model, onUsage }) {
+  const state = {};
+  const usageState = {};
+  let usage = null;
+  try {
+    for await (const data of readServerSentData(response.body)) {
+      if (data === "[DONE]") break;
+      if (!data) continue;
+      let event = null;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      if (event?.error) {
+        yield sseEvent({
+          error: {
+            message: event.error.message || `${provider.label} stream failed.`,
+            code: event.error.code ?? event.error.type ?? null,
+          },
+        });
+        return;
+      }
+      usage = provider.parseStreamUsage?.(event, usageState) ?? usage;
+      for (const delta of provider.parseStreamEvent(event, state)) {
+        yield deltaEvent(delta);
+      }
+    }
+    if (usage) yield usageEvent(usage, model);
+  } catch (err) {
+    // The browser went away and the upstream request was aborted with it.
+    if (err?.name === "AbortError") return;
+    yield sseEvent({
+      error: { message: `${provider.label} stream was interrupted.`, code: null },
+    });
+    return;
+  } finally {
+    if (usage) onUsage(usage);
+  }
+  yield SSE_DONE;
+}
+
+async function* replayResult(result, { model, onUsage }) {
+  for (const delta of toStreamDeltas(result)) {
+    yield deltaEvent(delta);
   }
+  const usage = result.completion?.usage;
+  if (usage) {
+    onUsage(usage);
+    yield usageEvent(usage, result.completion?.model ?? model);
+  }
+  yield SSE_DONE;
+}
 
-  if (action === "createChatCompletion" && payload.responseFormat) {
-    body.response_format = payload.responseFormat;
+async function streamProvider(provider, request, fetchImpl, signal, onUsage) {
+  const options = { model: request.model, onUsage };
+  if (provider.respond) {
+    return { stream: replayResult(await provider.respond(request), options) };
   }
+  const { response, error } = await fetchProvider(provider, request, fetchImpl, signal);
+  if (error) return { error };
+  return { stream: relayProviderStream(provider, response, options) };
+}
 
-  return body;
+/**
+ * Writes a streamed coach result to a Node response. Shared by the Vercel handler and the
+ * Vite dev middleware; stops early when the client disconnects.
+ */
+export async function pipeCoachStream(res, stream) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.flushHeaders?.();
+  for await (const chunk of stream) {
+    if (res.destroyed || res.writableEnded) break;
+    res.write(chunk);
+  }
+  if (!res.writableEnded) res.end();
 }
 
-export async function handleCoachRequest({ payload, env, fetchImpl = fetch }) {
+const AUTH_ERRORS = {
+  missing: "Coach server needs an access token. Add one in Settings.",
+  invalid: "Coach server rejected the access token. Check it in Settings.",
+  expired: "Coach access token has expired. Ask for a new one and update it in Settings.",
+};
+
+/**
+ * Serves `/api/coach`. The provider comes from env (`COACH_PROVIDER`, see
+ * `_coachProviders.js`); tests can pass `provider` directly, e.g. `createMockProvider()`.
+ * A `streamChatCompletion` request with `stream: true` resolves to `{ status: 200, stream }`,
+ * an async iterable of SSE chunks for `pipeCoachStream`; everything else is `{ status, body }`
+ * plus `headers` the handler should set (`Retry-After` on rate limits).
+ *
+ * Checks run in order: production switch, caller auth (`_coachAuth.js`), rate limit
+ * (`_coachRateLimit.js`), body schema (`_coachRequestSchema.js`), then the token budget.
+ * `userId` is the client address; a signed token's subject replaces it. Errors carry a code
+ * from `COACH_ERROR_CODES`. `signal` aborts the upstream request.
+ */
+export async function handleCoachRequest({
+  payload,
+  env,
+  fetchImpl = fetch,
+  provider = null,
+  signal,
+  headers = {},
+  userId = "anonymous",
+  usageLedger = defaultCoachUsageLedger,
+  rateLimitStore = defaultCoachRateLimitStore,
+}) {
   if (isProductionBlocked(env)) {
     return errorResponse(
       403,
-      "Coach is disabled in production (ALLOW_COACH_PROD=false)."
+      "Coach is disabled in production (ALLOW_COACH_PROD=false).",
+      COACH_ERROR_CODES.disabled
     );
   }
 
-  const openAiKey = String(env?.OPENAI_API_KEY ?? "").trim();
-  if (!openAiKey) {
-    return errorResponse(500, "Server is missing OPENAI_API_KEY.");
+  const auth = authenticateCoachRequest({ headers, env });
+  if (!auth.ok) {
+    const code =
+      auth.reason === "expired" ? COACH_ERROR_CODES.tokenExpired : COACH_ERROR_CODES.unauthorized;
+    return errorResponse(401, AUTH_ERRORS[auth.reason], code);
   }
+  const callerId = auth.userId ?? userId;
 
-  const requestPayload = normalizeRequestPayload(payload);
-  if (!requestPayload) {
-    return errorResponse(400, "Invalid JSON body.");
+  const rateLimit = await checkCoachRateLimit({ key: callerId, env, store: rateLimitStore });
+  if (!rateLimit.ok) {
+    const response = errorResponse(
+      429,
+      `Too many coach requests. Try again in ${rateLimit.retryAfter}s.`,
+      COACH_ERROR_CODES.rateLimited,
+      { retryAfter: rateLimit.retryAfter }
+    );
+    return { ...response, headers: { "Retry-After": String(rateLimit.retryAfter) } };
   }
 
-  const action = requestPayload.action ?? "createChatCompletion";
-  if (!SUPPORTED_ACTIONS.has(action)) {
-    return errorResponse(400, "Unsupported coach action.");
+  const resolved = provider ? { provider } : resolveCoachProvider(env);
+  if (!resolved.provider) {
+    return errorResponse(500, resolved.error, COACH_ERROR_CODES.notConfigured);
   }
-  if (!Array.isArray(requestPayload.messages)) {
-    return errorResponse(400, "messages must be an array.");
+
+  const parsed = parseCoachRequest(payload, {
+    env,
+    acceptsClientModel: Boolean(resolved.provider.acceptsClientModel),
+  });
+  if (parsed.error) return parsed.error;
+  const requestPayload = parsed.payload;
+  const action = requestPayload.action ?? "createChatCompletion";
+
+  const budgetMessage = usageLedger.check(callerId, readCoachBudgetLimits(env));
+  if (budgetMessage) {
+    return errorResponse(429, budgetMessage, COACH_ERROR_CODES.budgetExceeded);
   }
+  const onUsage = (usage) => usageLedger.record(callerId, usage);
 
-  let response = null;
-  try {
-    response = await fetchImpl(OPENAI_CHAT_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${openAiKey}`,
-      },
-      body: JSON.stringify(buildOpenAiBody(requestPayload)),
-    });
-  } catch (err) {
-    return errorResponse(
-      502,
-      `Unable to reach OpenAI.${err?.message ? ` ${err.message}` : ""}`.trim()
+  const request = buildProviderRequest(requestPayload, resolved.provider);
+  if (request.stream) {
+    const { stream, error } = await streamProvider(
+      resolved.provider,
+      request,
+      fetchImpl,
+      signal,
+      onUsage
     );
+    if (error) return error;
+    return { status: 200, stream };
   }
 
-  if (!response.ok) {
-    return parseOpenAiError(response);
-  }
+  const { result, error } = await requestProvider(
+    resolved.provider,
+    request,
+    fetchImpl,
+    signal
+  );
+  if (error) return error;
+  if (result.completion?.usage) onUsage(result.completion.usage);
 
-  const completion = await response.json();
   if (action === "streamChatCompletion") {
     return jsonResponse(200, {
-      content: extractCompletionContent(completion),
-      toolCalls: normalizeToolCalls(completion),
+      content: result.content,
+      toolCalls: result.toolCalls,
+      usage: result.completion?.usage ?? null,
+      model: result.completion?.model ?? request.model,
     });
   }
 
-  return jsonResponse(200, completion);
+  return jsonResponse(200, result.completion);
 }
@@ -0,0 +1,31 @@
+// Every error /api/coach returns is `{ error: { message, code, ...extra } }`. The client
+// (`parseCoachError` in src/services/openai.js) keeps `code`, and the coach screen picks
+// its wording from it, so codes are part of the API: add new ones, don't rename them.
+export const COACH_ERROR_CODES = {
+  disabled: "coach_disabled",
+  notConfigured: "coach_not_configured",
+  unauthorized: "coach_unauthorized",
+  tokenExpired: "coach_token_expired",
+  rateLimited: "coach_rate_limited",
+  budgetExceeded: "coach_budget_exceeded",
+  invalidRequest: "coach_invalid_request",
+  modelNotAllowed: "coach_model_not_allowed",
+  requestTooLarge: "coach_request_too_large",
+  upstreamUnreachable: "coach_upstream_unreachable",
+  methodNotAllowed: "coach_method_not_allowed",
+  invalidJson: "coach_invalid_json",
+};
+
+export function jsonResponse(status, body, headers = null) {
+  return headers ? { status, body, headers } : { status, body };
+}
+
+export function errorResponse(status, message, code = null, extra = null) {
+  return jsonResponse(status, {
+    error: {
+      message,
+      code,
+      ...(extra ?? {}),
+    },
+  });
+}
@@ -0,0 +1,437 @@
+// LLM providers for the coach server. The client and orchestrator only speak the OpenAI
+// chat completions shape (messages with `tool_calls` / `tool` roles, function tools), so
+// each provider maps that request onto its own API and maps the reply back to
+// `{ content, toolCalls, completion }`, where `completion` is OpenAI-shaped. Streamed
+// replies are mapped event by event onto OpenAI `delta` objects by `parseStreamEvent`,
+// and `parseStreamUsage` picks the token counts out of the stream.
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const ANTHROPIC_MESSAGES_URL = "https://api.anthropic.com/v1/messages";
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_MAX_TOKENS = 2048;
+
+export const DEFAULT_COACH_PROVIDER = "openai";
+export const COACH_PROVIDER_IDS = ["openai", "openai-compatible", "anthropic", "mock"];
+
+function readEnv(env, key) {
+  return String(env?.[key] ?? "").trim();
+}
+
+function joinTextParts(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((part) => {
+      if (typeof part === "string") return part;
+      return typeof part?.text === "string" ? part.text : "";
+    })
+    .join("");
+}
+
+export function extractCompletionContent(completion) {
+  const message = completion?.choices?.[0]?.message;
+  if (!message) return "";
+  return joinTextParts(message.content).trim();
+}
+
+export function normalizeToolCalls(completion) {
+  const message = completion?.choices?.[0]?.message;
+  if (!Array.isArray(message?.tool_calls)) return [];
+  return message.tool_calls.map((call) => ({
+    id: call.id,
+    type: call.type ?? "function",
+    function: {
+      name: call.function?.name ?? "",
+      arguments: call.function?.arguments ?? "",
+    },
+  }));
+}
+
+function parseOpenAiCompletion(completion) {
+  return {
+    content: extractCompletionContent(completion),
+    toolCalls: normalizeToolCalls(completion),
+    completion,
+  };
+}
+
+/**
+ * OpenAI itself and any server that speaks its chat completions API (llama.cpp, vLLM,
+ * Ollama, LM Studio). Tools and `response_format` are passed through unchanged.
+ */
+function createOpenAiProvider({
+  id,
+  label,
+  baseUrl,
+  apiKey,
+  model,
+  acceptsClientModel,
+  streamUsage = false,
+}) {
+  return {
+    id,
+    label,
+    model,
+    acceptsClientModel,
+    buildRequest({ model: requestModel, messages, tools, temperature, responseFormat, stream }) {
+      const body = { model: requestModel, messages, temperature };
+      if (stream) body.stream = true;
+      // Only OpenAI is known to accept this; other servers may send usage on their own.
+      if (stream && streamUsage) body.stream_options = { include_usage: true };
+      if (tools) body.tools = tools;
+      if (responseFormat) body.response_format = responseFormat;
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return {
+        url: `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        headers,
+        body,
+      };
+    },
+    parseResponse: parseOpenAiCompletion,
+    parseStreamEvent(event) {
+      const delta = event?.choices?.[0]?.delta;
+      if (!delta) return [];
+      const next = {};
+      if (delta.content) next.content = delta.content;
+      if (delta.tool_calls?.length) next.tool_calls = delta.tool_calls;
+      return Object.keys(next).length ? [next] : [];
+    },
+    parseStreamUsage(event) {
+      return event?.usage ?? null;
+    },
+  };
+}
+
+function parseToolArguments(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function describeResponseFormat(responseFormat) {
+  if (!responseFormat) return "";
+  const schema = responseFormat.json_schema?.schema;
+  if (schema) {
+    return `Reply with a single JSON object that matches this JSON schema, and nothing else:\n${JSON.stringify(
+      schema
+    )}`;
+  }
+  return "Reply with a single JSON object and nothing else.";
+}
+
+/**
+ * Converts OpenAI chat messages to Anthropic's Messages API: system messages move to
+ * `system`, assistant `tool_calls` become `tool_use` blocks, and `tool` messages become
+ * `tool_result` blocks on a user turn. Consecutive turns of one role are merged because
+ * the API expects user and assistant turns to alternate.
+ */
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const turns = [];
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = turns[turns.length - 1];
+    if (last?.role === role) {
+      last.content.push(...blocks);
+      return;
+    }
+    turns.push({ role, content: blocks });
+  };
+
+  (messages ?? []).forEach((message) => {
+    const text = joinTextParts(message?.content);
+    if (message?.role === "system") {
+      if (text.trim()) system.push(text);
+      return;
+    }
+    if (message?.role === "tool") {
+      push("user", [
+        { type: "tool_result", tool_use_id: message.tool_call_id, content: text },
+      ]);
+      return;
+    }
+    if (message?.role === "assistant") {
+      const blocks = text.trim() ? [{ type: "text", text }] : [];
+      (message.tool_calls ?? []).forEach((call) => {
+        blocks.push({
+          type: "tool_use",
+          id: call.id,
+          name: call.function?.name ?? "",
+          input: parseToolArguments(call.function?.arguments),
+        });
+      });
+      push("assistant", blocks);
+      return;
+    }
+    if (text.trim()) push("user", [{ type: "text", text }]);
+  });
+
+  return { system: system.join("\n\n"), messages: turns };
+}
+
+export function toAnthropicTools(tools) {
+  if (!Array.isArray(tools)) return undefined;
+  return tools
+    .filter((tool) => tool?.function?.name)
+    .map((tool) => ({
+      name: tool.function.name,
+      description: tool.function.description ?? "",
+      input_schema: tool.function.parameters ?? { type: "object", properties: {} },
+    }));
+}
+
+/** Maps an Anthropic Messages reply onto an OpenAI chat completion. */
+export function fromAnthropicMessage(reply) {
+  const blocks = Array.isArray(reply?.content) ? reply.content : [];
+  const content = blocks
+    .filter((block) => block?.type === "text")
+    .map((block) => block.text ?? "")
+    .join("");
+  const toolCalls = blocks
+    .filter((block) => block?.type === "tool_use")
+    .map((block) => ({
+      id: block.id,
+      type: "function",
+      function: { name: block.name ?? "", arguments: JSON.stringify(block.input ?? {}) },
+    }));
+  const message = { role: "assistant", content };
+  if (toolCalls.length) message.tool_calls = toolCalls;
+  const inputTokens = reply?.usage?.input_tokens ?? 0;
+  const outputTokens = reply?.usage?.output_tokens ?? 0;
+  return {
+    id: reply?.id ?? null,
+    object: "chat.completion",
+    model: reply?.model ?? null,
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: reply?.stop_reason === "tool_use" ? "tool_calls" : "stop",
+      },
+    ],
+    usage: {
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens,
+    },
+  };
+}
+
+/**
+ * Maps one Anthropic stream event onto OpenAI deltas. `state` lives for the whole stream
+ * and numbers tool calls in order, since Anthropic indexes every content block.
+ */
+export function parseAnthropicStreamEvent(event, state) {
+  state.toolIndexByBlock ??= new Map();
+  if (event?.type === "content_block_start" && event.content_block?.type === "tool_use") {
+    const index = state.toolIndexByBlock.size;
+    state.toolIndexByBlock.set(event.index, index);
+    return [
+      {
+        tool_calls: [
+          {
+            index,
+            id: event.content_block.id,
+            type: "function",
+            function: { name: event.content_block.name ?? "", arguments: "" },
+          },
+        ],
+      },
+    ];
+  }
+  if (event?.type !== "content_block_delta") return [];
+  if (event.delta?.type === "text_delta" && event.delta.text) {
+    return [{ content: event.delta.text }];
+  }
+  if (event.delta?.type === "input_json_delta" && event.delta.partial_json) {
+    const index = state.toolIndexByBlock.get(event.index);
+    if (index == null) return [];
+    return [{ tool_calls: [{ index, function: { arguments: event.delta.partial_json } }] }];
+  }
+  return [];
+}
+
+/**
+ * Token counts from Anthropic stream events: input tokens arrive with `message_start`,
+ * the output count with `message_delta`. Returns OpenAI-shaped usage once it changes.
+ */
+export function parseAnthropicStreamUsage(event, state) {
+  if (event?.type === "message_start" && event.message?.usage) {
+    state.inputTokens = event.message.usage.input_tokens ?? 0;
+  } else if (event?.type === "message_delta" && event.usage) {
+    state.outputTokens = event.usage.output_tokens ?? 0;
+  } else {
+    return null;
+  }
+  const promptTokens = state.inputTokens ?? 0;
+  const completionTokens = state.outputTokens ?? 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+function createAnthropicProvider({ apiKey, model }) {
+  return {
+    id: "anthropic",
+    label: "Anthropic",
+    model,
+    acceptsClientModel: false,
+    buildRequest({ model: requestModel, messages, tools, temperature, responseFormat, stream }) {
+      const converted = toAnthropicMessages(messages);
+      const system = [converted.system, describeResponseFormat(responseFormat)]
+        .filter(Boolean)
+        .join("\n\n");
+      const body = {
+        model: requestModel,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        temperature,
+        messages: converted.messages,
+      };
+      if (system) body.system = system;
+      if (stream) body.stream = true;
+      const anthropicTools = toAnthropicTools(tools);
+      if (anthropicTools?.length) body.tools = anthropicTools;
+      return {
+        url: ANTHROPIC_MESSAGES_URL,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION,
+        },
+        body,
+      };
+    },
+    parseResponse(reply) {
+      return parseOpenAiCompletion(fromAnthropicMessage(reply));
+    },
+    parseStreamEvent: parseAnthropicStreamEvent,
+    parseStreamUsage: parseAnthropicStreamUsage,
+  };
+}
+
+function lastUserText(messages) {
+  const last = [...(messages ?? [])].reverse().find((message) => message?.role === "user");
+  return joinTextParts(last?.content).trim();
+}
+
+// Rough count (4 characters a token) so the mock still exercises usage and budgets.
+function estimateTokens(text) {
+  return Math.ceil(String(text ?? "").length / 4);
+}
+
+/**
+ * Answers without a network call. `reply(request)` may return a string or
+ * `{ content, toolCalls }`; by default it echoes the last user message, so
+ * `COACH_PROVIDER=mock` gives a working coach for local UI work and smoke tests.
+ */
+export function createMockProvider({ reply } = {}) {
+  return {
+    id: "mock",
+    label: "Mock provider",
+    model: "mock",
+    acceptsClientModel: false,
+    async respond(request) {
+      const result = reply
+        ? await reply(request)
+        : `Mock coach reply: ${lastUserText(request.messages) || "(no message)"}`;
+      const normalized = typeof result === "string" ? { content: result } : result ?? {};
+      const toolCalls = normalized.toolCalls ?? [];
+      const message = { role: "assistant", content: normalized.content ?? "" };
+      if (toolCalls.length) message.tool_calls = toolCalls;
+      const promptTokens = (request.messages ?? []).reduce(
+        (sum, entry) => sum + estimateTokens(joinTextParts(entry?.content)),
+        0
+      );
+      const completionTokens = estimateTokens(message.content);
+      return parseOpenAiCompletion({
+        id: "mock",
+        object: "chat.completion",
+        model: "mock",
+        choices: [{ index: 0, message, finish_reason: toolCalls.length ? "tool_calls" : "stop" }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Replays a finished reply as OpenAI stream deltas, word by word for content and one
+ * delta per tool call. Used to stream providers that answer in one piece, like `mock`.
+ */
+export function toStreamDeltas({ content, toolCalls }) {
+  const deltas = (String(content ?? "").match(/\s*\S+\s*/g) ?? []).map((chunk) => ({
+    content: chunk,
+  }));
+  (toolCalls ?? []).forEach((call, index) => {
+    deltas.push({ tool_calls: [{ index, ...call }] });
+  });
+  return deltas;
+}
+
+/**
+ * Picks the provider from `COACH_PROVIDER` (default `openai`). Returns `{ provider }` or
+ * `{ error }` naming the missing setting. `COACH_MODEL` overrides the model for any
+ * provider; only OpenAI honours the model the client asks for.
+ */
+export function resolveCoachProvider(env) {
+  const id = (readEnv(env, "COACH_PROVIDER") || DEFAULT_COACH_PROVIDER).toLowerCase();
+  const model = readEnv(env, "COACH_MODEL");
+
+  if (id === "openai") {
+    const apiKey = readEnv(env, "OPENAI_API_KEY");
+    if (!apiKey) return { error: "Server is missing OPENAI_API_KEY." };
+    return {
+      provider: createOpenAiProvider({
+        id,
+        label: "OpenAI",
+        baseUrl: OPENAI_BASE_URL,
+        apiKey,
+        model: model || null,
+        acceptsClientModel: true,
+        streamUsage: true,
+      }),
+    };
+  }
+
+  if (id === "openai-compatible") {
+    const baseUrl = readEnv(env, "COACH_PROVIDER_BASE_URL");
+    if (!baseUrl) return { error: "Server is missing COACH_PROVIDER_BASE_URL." };
+    if (!model) return { error: "Server is missing COACH_MODEL." };
+    return {
+      provider: createOpenAiProvider({
+        id,
+        label: `the model server at ${baseUrl}`,
+        baseUrl,
+        apiKey: readEnv(env, "COACH_PROVIDER_API_KEY"),
+        model,
+        acceptsClientModel: false,
+      }),
+    };
+  }
+
+  if (id === "anthropic") {
+    const apiKey = readEnv(env, "ANTHROPIC_API_KEY");
+    if (!apiKey) return { error: "Server is missing ANTHROPIC_API_KEY." };
+    if (!model) return { error: "Server is missing COACH_MODEL." };
+    return { provider: createAnthropicProvider({ apiKey, model }) };
+  }
+
+  if (id === "mock") {
+    return { provider: createMockProvider() };
+  }
+
+  return {
+    error: `Unknown COACH_PROVIDER "${id}". Use one of: ${COACH_PROVIDER_IDS.join(", ")}.`,
+  };
+}
@@ -0,0 +1,49 @@
+// Fixed-window request limits for /api/coach, keyed by user (signed token) or client address.
+// `COACH_RATE_LIMIT_PER_MINUTE` sets the cap (default 30, `0` turns it off). The store is
+// pluggable: anything with `increment(key, windowMs, now)` resolving to `{ count, resetAt }`
+// works, so a deployment with several instances can back it with a shared cache.
+
+const DEFAULT_REQUESTS_PER_MINUTE = 30;
+const WINDOW_MS = 60_000;
+
+export function readCoachRateLimit(env) {
+  const raw = String(env?.COACH_RATE_LIMIT_PER_MINUTE ?? "").trim();
+  if (!raw) return { limit: DEFAULT_REQUESTS_PER_MINUTE, windowMs: WINDOW_MS };
+  const parsed = Number.parseInt(raw, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return { limit: DEFAULT_REQUESTS_PER_MINUTE, windowMs: WINDOW_MS };
+  }
+  return { limit: parsed || null, windowMs: WINDOW_MS };
+}
+
+/** Per-instance counters; expired windows are dropped as new requests come in. */
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  return {
+    async increment(key, windowMs, now = Date.now()) {
+      const existing = windows.get(key);
+      if (!existing || existing.resetAt <= now) {
+        windows.forEach((entry, entryKey) => {
+          if (entry.resetAt <= now) windows.delete(entryKey);
+        });
+        const entry = { count: 1, resetAt: now + windowMs };
+        windows.set(key, entry);
+        return { ...entry };
+      }
+      existing.count += 1;
+      return { ...existing };
+    },
+  };
+}
+
+export const defaultCoachRateLimitStore = createMemoryRateLimitStore();
+
+/** `{ ok: true }`, or `{ ok: false, retryAfter }` in whole seconds once `key` is over the cap. */
+export async function checkCoachRateLimit({ key, env, store, now = Date.now() }) {
+  const { limit, windowMs } = readCoachRateLimit(env);
+  if (limit == null) return { ok: true };
+  const { count, resetAt } = await store.increment(key, windowMs, now);
+  if (count <= limit) return { ok: true };
+  return { ok: false, retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)) };
+}
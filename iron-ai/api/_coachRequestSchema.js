@@ -0,0 +1,136 @@
+import { Buffer } from "node:buffer";
+import { z } from "zod";
+
+import { COACH_ERROR_CODES, errorResponse } from "./_coachErrors.js";
+
+// The body /api/coach accepts. Limits can be tuned per deployment with
+// `COACH_MAX_MESSAGES`, `COACH_MAX_REQUEST_BYTES` and `COACH_MODEL_ALLOWLIST` (comma separated).
+
+export const DEFAULT_COACH_MODEL_ALLOWLIST = [
+  "gpt-4o-mini",
+  "gpt-4o",
+  "gpt-4.1-mini",
+  "gpt-4.1",
+  "gpt-4.1-nano",
+];
+const DEFAULT_MAX_MESSAGES = 80;
+const DEFAULT_MAX_REQUEST_BYTES = 256 * 1024;
+const MAX_TOOLS = 32;
+const TOOL_NAME_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function readPositiveInt(env, key, fallback) {
+  const parsed = Number.parseInt(String(env?.[key] ?? "").trim(), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function readCoachRequestLimits(env) {
+  const allowlist = String(env?.COACH_MODEL_ALLOWLIST ?? "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean);
+  return {
+    maxMessages: readPositiveInt(env, "COACH_MAX_MESSAGES", DEFAULT_MAX_MESSAGES),
+    maxBytes: readPositiveInt(env, "COACH_MAX_REQUEST_BYTES", DEFAULT_MAX_REQUEST_BYTES),
+    models: allowlist.length ? allowlist : DEFAULT_COACH_MODEL_ALLOWLIST,
+  };
+}
+
+const ContentPartSchema = z.looseObject({ type: z.string().min(1) });
+
+const ToolCallSchema = z.object({
+  id: z.string().min(1),
+  type: z.literal("function").optional(),
+  function: z.object({
+    name: z.string().regex(TOOL_NAME_REGEX),
+    arguments: z.string(),
+  }),
+});
+
+const MessageSchema = z.object({
+  role: z.enum(["system", "user", "assistant", "tool"]),
+  content: z.union([z.string(), z.array(ContentPartSchema), z.null()]).optional(),
+  tool_calls: z.array(ToolCallSchema).optional(),
+  tool_call_id: z.string().min(1).optional(),
+});
+
+const ToolSchema = z.object({
+  type: z.literal("function"),
+  function: z.object({
+    name: z.string().regex(TOOL_NAME_REGEX, "Tool names use letters, digits, _ or -."),
+    description: z.string().optional(),
+    parameters: z.looseObject({ type: z.literal("object").optional() }).optional(),
+  }),
+});
+
+const ResponseFormatSchema = z.looseObject({
+  type: z.enum(["text", "json_object", "json_schema"]),
+});
+
+function buildCoachRequestSchema({ maxMessages }) {
+  return z.strictObject({
+    action: z.enum(["streamChatCompletion", "createChatCompletion"]).optional(),
+    stream: z.boolean().optional(),
+    model: z.string().min(1).optional(),
+    messages: z.array(MessageSchema).min(1).max(maxMessages),
+    tools: z.array(ToolSchema).max(MAX_TOOLS).optional(),
+    temperature: z.number().min(0).max(2).optional(),
+    responseFormat: ResponseFormatSchema.optional(),
+  });
+}
+
+function formatIssues(issues) {
+  return issues.slice(0, 10).map((issue) => ({
+    path: issue.path.join("."),
+    message: issue.message,
+  }));
+}
+
+/**
+ * Checks a parsed body against the size cap, the schema and (when the provider takes the
+ * client's model) the model allowlist. Returns `{ payload }` or `{ error }`, a ready
+ * error response carrying the matching code.
+ */
+export function parseCoachRequest(payload, { env, acceptsClientModel = false }) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return {
+      error: errorResponse(400, "Invalid JSON body.", COACH_ERROR_CODES.invalidRequest),
+    };
+  }
+  const limits = readCoachRequestLimits(env);
+  const bytes = Buffer.byteLength(JSON.stringify(payload), "utf8");
+  if (bytes > limits.maxBytes) {
+    return {
+      error: errorResponse(
+        413,
+        `Coach request is too large (${bytes} bytes, limit ${limits.maxBytes}).`,
+        COACH_ERROR_CODES.requestTooLarge
+      ),
+    };
+  }
+
+  const parsed = buildCoachRequestSchema(limits).safeParse(payload);
+  if (!parsed.success) {
+    const details = formatIssues(parsed.error.issues);
+    const first = details[0];
+    return {
+      error: errorResponse(
+        400,
+        `Invalid coach request: ${first.path ? `${first.path}: ` : ""}${first.message}`,
+        COACH_ERROR_CODES.invalidRequest,
+        { details }
+      ),
+    };
+  }
+
+  const { model } = parsed.data;
+  if (acceptsClientModel && model && !limits.models.includes(model)) {
+    return {
+      error: errorResponse(
+        400,
+        `Model "${model}" is not allowed on this coach server.`,
+        COACH_ERROR_CODES.modelNotAllowed
+      ),
+    };
+  }
+  return { payload: parsed.data };
+}
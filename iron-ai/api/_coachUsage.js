@@ -0,0 +1,98 @@
+// Token budgets for /api/coach. `COACH_DAILY_TOKEN_LIMIT` and `COACH_MONTHLY_TOKEN_LIMIT`
+// cap each user (UTC day and month); unset means no cap. Usage is kept in memory, so
+// each server instance counts on its own and a cold start begins from zero.
+
+function readLimit(env, key) {
+  const parsed = Number.parseInt(String(env?.[key] ?? "").trim(), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+export function readCoachBudgetLimits(env) {
+  return {
+    dailyTokens: readLimit(env, "COACH_DAILY_TOKEN_LIMIT"),
+    monthlyTokens: readLimit(env, "COACH_MONTHLY_TOKEN_LIMIT"),
+  };
+}
+
+/** Total tokens from an OpenAI-shaped `usage` block, or 0. */
+export function countUsageTokens(usage) {
+  const total = Number(usage?.total_tokens);
+  if (Number.isFinite(total) && total > 0) return total;
+  const prompt = Number(usage?.prompt_tokens) || 0;
+  const completion = Number(usage?.completion_tokens) || 0;
+  return Math.max(0, prompt + completion);
+}
+
+export function createCoachUsageLedger() {
+  const users = new Map();
+
+  const current = (userId, now) => {
+    const iso = new Date(now).toISOString();
+    const day = iso.slice(0, 10);
+    const month = iso.slice(0, 7);
+    const entry = users.get(userId) ?? { day, month, dayTokens: 0, monthTokens: 0 };
+    if (entry.month !== month) {
+      entry.month = month;
+      entry.monthTokens = 0;
+    }
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.dayTokens = 0;
+    }
+    users.set(userId, entry);
+    return entry;
+  };
+
+  return {
+    /** The limit `userId` has reached, as a message, or null. */
+    check(userId, limits, now = Date.now()) {
+      const entry = current(userId, now);
+      if (limits.dailyTokens != null && entry.dayTokens >= limits.dailyTokens) {
+        return `The coach server's daily budget of ${limits.dailyTokens} tokens is used up.`;
+      }
+      if (limits.monthlyTokens != null && entry.monthTokens >= limits.monthlyTokens) {
+        return `The coach server's monthly budget of ${limits.monthlyTokens} tokens is used up.`;
+      }
+      return null;
+    },
+    record(userId, usage, now = Date.now()) {
+      const tokens = countUsageTokens(usage);
+      if (!tokens) return;
+      const entry = current(userId, now);
+      entry.dayTokens += tokens;
+      entry.monthTokens += tokens;
+    },
+    totals(userId, now = Date.now()) {
+      const entry = current(userId, now);
+      return { dayTokens: entry.dayTokens, monthTokens: entry.monthTokens };
+    },
+  };
+}
+
+export const defaultCoachUsageLedger = createCoachUsageLedger();
+
+// Headers the hosting proxy sets itself, so a client cannot pick its own address.
+const TRUSTED_CLIENT_IP_HEADERS = ["x-vercel-forwarded-for", "x-real-ip"];
+
+function readHeader(req, name) {
+  const value = req?.headers?.[name];
+  return String(Array.isArray(value) ? value.join(",") : value ?? "");
+}
+
+/**
+ * Budget and rate-limit key for a Node request. The proxy's own client-IP header wins;
+ * otherwise the last X-Forwarded-For hop (the one our proxy appended, since earlier
+ * entries come from the client), else the socket address. A signed coach token's subject
+ * takes its place (see `_coachAuth.js`).
+ */
+export function getCoachClientId(req) {
+  for (const name of TRUSTED_CLIENT_IP_HEADERS) {
+    const trusted = readHeader(req, name).split(",")[0].trim();
+    if (trusted) return trusted;
+  }
+  const hops = readHeader(req, "x-forwarded-for")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  return hops.at(-1) || req?.socket?.remoteAddress || "anonymous";
+}
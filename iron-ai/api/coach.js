@@ -1,5 +1,7 @@
 import process from "node:process";
-import { handleCoachRequest } from "./_coachCore.js";
+import { handleCoachRequest, pipeCoachStream } from "./_coachCore.js";
+import { COACH_ERROR_CODES, errorResponse } from "./_coachErrors.js";
+import { getCoachClientId } from "./_coachUsage.js";
 
 function parseBody(body) {
   if (!body) return {};
@@ -16,23 +18,52 @@ function parseBody(body) {
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
-    res.status(405).json({ error: { message: "Method not allowed." } });
+    const { status, body } = errorResponse(
+      405,
+      "Method not allowed.",
+      COACH_ERROR_CODES.methodNotAllowed
+    );
+    res.status(status).json(body);
     return;
   }
 
   const payload = parseBody(req.body);
   if (!payload) {
-    res.status(400).json({ error: { message: "Invalid JSON body." } });
+    const { status, body } = errorResponse(
+      400,
+      "Invalid JSON body.",
+      COACH_ERROR_CODES.invalidJson
+    );
+    res.status(status).json(body);
     return;
   }
 
+  const upstream = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) upstream.abort();
+  });
+
   try {
     const result = await handleCoachRequest({
       payload,
       env: process.env,
+      signal: upstream.signal,
+      headers: req.headers,
+      userId: getCoachClientId(req),
+    });
+    if (result.stream) {
+      await pipeCoachStream(res, result.stream);
+      return;
+    }
+    Object.entries(result.headers ?? {}).forEach(([name, value]) => {
+      res.setHeader(name, value);
     });
     res.status(result.status).json(result.body);
   } catch (err) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
     const message = String(err?.message ?? "").trim() || "Coach request failed.";
     res.status(500).json({ error: { message } });
   }
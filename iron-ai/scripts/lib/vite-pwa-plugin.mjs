@@ -0,0 +1,69 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+
+import { sha256Hex } from "./seed-node-utils.mjs";
+
+const SERVICE_WORKER_SOURCE = new URL("../../src/pwa/serviceWorker.js", import.meta.url);
+
+// Public files the app needs offline. Everything Vite emits is added at build time.
+const STATIC_PRECACHE = ["", "index.html", "seed/exercises.json", "icons/icon.svg"];
+
+export const APP_MANIFEST = {
+  name: "IronAI",
+  short_name: "IronAI",
+  description: "Workout logger with an AI coach. Works offline.",
+  display: "standalone",
+  orientation: "portrait",
+  background_color: "#f6f7fb",
+  theme_color: "#10b981",
+  icons: [
+    { src: "icons/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "any" },
+    { src: "icons/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "maskable" },
+  ],
+};
+
+/**
+ * Emits `manifest.webmanifest` and `sw.js` for production builds. The service worker
+ * precaches the app shell, every bundled asset, and the exercise seed file so the app
+ * installs and boots without a network. The dev server is left alone.
+ */
+export function pwaPlugin() {
+  let base = "/";
+  let publicDir = "";
+  return {
+    name: "ironai-pwa",
+    apply: "build",
+    configResolved(config) {
+      base = config.base;
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const manifest = {
+        ...APP_MANIFEST,
+        id: base,
+        start_url: base,
+        scope: base,
+      };
+      this.emitFile({
+        type: "asset",
+        fileName: "manifest.webmanifest",
+        source: `${JSON.stringify(manifest, null, 2)}\n`,
+      });
+
+      const urls = [
+        ...STATIC_PRECACHE,
+        "manifest.webmanifest",
+        ...Object.keys(bundle).filter((fileName) => !fileName.endsWith(".map")),
+      ].map((file) => `${base}${file}`);
+      const precache = Array.from(new Set(urls)).sort();
+      // Bundled asset names carry content hashes; the seed file keeps its name, so its
+      // contents are hashed in too.
+      const seed = readFileSync(path.join(publicDir, "seed", "exercises.json"), "utf8");
+      const version = sha256Hex(`${precache.join("\n")}\n${seed}`).slice(0, 12);
+      const source = readFileSync(SERVICE_WORKER_SOURCE, "utf8")
+        .replace("self.__PRECACHE_MANIFEST", JSON.stringify(precache))
+        .replace("self.__PRECACHE_VERSION", JSON.stringify(version));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// Prints a signed /api/coach access token for one user.
+// Usage: COACH_TOKEN_SECRET=... node scripts/mint-coach-token.mjs <user> [days]
+import { signCoachToken } from "../api/_coachAuth.js";
+
+const [sub, days = "30"] = process.argv.slice(2);
+const secret = String(process.env.COACH_TOKEN_SECRET ?? "").trim();
+const expiresInDays = Number.parseInt(days, 10);
+
+if (!sub || !secret || !Number.isFinite(expiresInDays) || expiresInDays <= 0) {
+  console.error("Usage: COACH_TOKEN_SECRET=... node scripts/mint-coach-token.mjs <user> [days]");
+  process.exit(1);
+}
+
+console.log(signCoachToken({ sub, expiresInSeconds: expiresInDays * 24 * 60 * 60 }, secret));
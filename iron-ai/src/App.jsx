@@ -19,15 +19,22 @@ import {
 } from "lucide-react";
 
 import CoachView from "./features/coach/CoachView";
+import CoachChangesView from "./features/coach/CoachChangesView";
+import CoachMemoryView from "./features/coach/CoachMemoryView";
 import ExerciseDetailView from "./features/exercises/ExerciseDetailView";
 import ExerciseHistoryDrawer from "./features/exercises/ExerciseHistoryDrawer";
 import ExercisePickerView from "./features/exercises/ExercisePickerView";
 import ExercisesExplorer from "./features/exercises/ExercisesExplorer";
 import SeedDebugPanel from "./features/debug/SeedDebugPanel";
 import DiagnosticsHub from "./features/debug/DiagnosticsHub";
+import BackupView from "./features/backup/BackupView";
+import CsvImportView from "./features/import/CsvImportView";
+import CalendarView from "./features/calendar/CalendarView";
+import ProgramsView from "./features/programs/ProgramsView";
 import GymsView from "./features/gyms/GymsView";
 import TemplatesList from "./features/templates/TemplatesList";
 import TemplateEditor from "./features/templates/TemplateEditor";
+import PlateCalculatorSheet from "./features/spaces/PlateCalculatorSheet";
 import useTheme from "./utils/useTheme";
 import {
   SEED_MIN_COUNT,
@@ -47,19 +54,80 @@ import {
   Select,
   ToastHost,
 } from "./components/ui";
-import { formatCoachMemory, getDefaultCoachMemory, normalizeCoachMemory } from "./coach/memory";
+import { formatCoachMemory } from "./coach/memory";
+import { clearCoachMemory } from "./coach/memoryChanges";
 import { getEquipmentMap } from "./equipment/catalog";
 import { getMissingEquipmentForExercise } from "./equipment/engine";
 import { resolveActiveSpace } from "./workoutSpaces/logic";
+import { getLoadingKind, resolveLoadout, roundToLoadable } from "./workoutSpaces/loading";
 import { getCoachKeyMode } from "./config/coachKeyMode";
 import {
   clearOpenAIKey,
   getOpenAIKeyMasked,
+  setCoachAccessToken,
   setOpenAIKey,
+  setWeightUnit,
   testOpenAIKey,
   updateSettings,
   useSettings,
 } from "./state/settingsStore";
+import {
+  convertWeight,
+  formatWeight,
+  getSetWeightIn,
+  getWeightUnitLabel,
+  normalizeWeightUnit,
+  roundWeight,
+} from "./utils/units";
+import {
+  RIR_OPTIONS,
+  RPE_OPTIONS,
+  SET_TYPES,
+  SET_TYPE_BADGES,
+  SET_TYPE_LABELS,
+  countsTowardBestSet,
+  formatSetEffort,
+  getSetType,
+} from "./workouts/setTypes";
+import {
+  SET_SCHEMA_FIELDS,
+  compareTimedSets,
+  formatDuration,
+  formatTimedSet,
+  getDefaultDistanceUnit,
+  getExerciseSetSchema,
+  isTimedSetSchema,
+  normalizeDistanceUnit,
+  parseDuration,
+} from "./workouts/setSchemas";
+import { describeSetTarget, formatRepRange } from "./workouts/setPrescriptions";
+import {
+  computeTrainingMax,
+  E1RM_FORMULA_LABELS,
+  E1RM_FORMULAS,
+  estimateSetOneRepMaxWith,
+  normalizeE1rmFormula,
+  normalizeTrainingMaxPercent,
+  TRAINING_MAX_PERCENT_OPTIONS,
+} from "./workouts/trainingMax";
+import {
+  OVERLOAD_LOOKBACK,
+  OVERLOAD_RULE_LABELS,
+  formatSuggestion,
+  matchesSuggestion,
+  suggestNextSet,
+} from "./workouts/overload";
+import { formatRecord, formatRecordValue, getSetRecordLabels } from "./workouts/personalRecords";
+import {
+  createSupersetGroupId,
+  getNextSupersetStep,
+  getSupersetGroups,
+  getSupersetProgress,
+  normalizeSupersetKind,
+  SUPERSET_KIND_LABELS,
+} from "./workouts/supersets";
+import { getNextProgramPlan } from "./programs/programs";
+import { registerServiceWorker } from "./pwa/registerServiceWorker";
 
 
 import {
@@ -67,6 +135,7 @@ import {
   addExerciseToWorkout,
   addWorkoutSet,
   addWarmupSets,
+  countInferredSetUnits,
   createEmptyWorkout,
   deleteWorkout,
   finishWorkout,
@@ -74,15 +143,20 @@ import {
   getAllExercises,
   getExerciseUsageCounts,
   getMostRecentActiveWorkoutId,
+  getPersonalRecordsByExercise,
+  setTrainingMax,
   getPreviousWorkoutSetsByExercise,
+  getRecentWorkoutSetsByExercise,
   getWorkoutWithDetails,
   listEquipment,
   listFinishedWorkouts,
   listWorkoutSpaces,
+  relabelInferredSetUnits,
   removeWorkoutItem,
   removeWorkoutSet,
   restoreWorkoutSet,
   setActiveWorkoutSpace,
+  startWorkoutFromPlannedWorkout,
   startWorkoutFromTemplate,
   updateWorkoutSession,
   updateWorkoutSet,
@@ -158,9 +232,12 @@ function parseRestInput(value) {
   return Math.max(0, parsed);
 }
 
-function formatSetValue(set) {
+function formatSetValue(set, unit, schema) {
   if (!set) return "—";
-  const weight = set?.weight == null || set?.weight === "" ? "—" : set.weight;
+  if (isTimedSetSchema(schema)) return formatTimedSet(set, schema, { weightUnit: unit });
+  const weightValue = unit ? getSetWeightIn(set, unit) : parseSetMetric(set?.weight);
+  const weight =
+    weightValue == null ? "—" : formatWeight(weightValue, unit, { withUnit: false });
   const reps = set?.reps == null || set?.reps === "" ? "—" : set.reps;
   if (weight === "—" && reps === "—") return "—";
   return `${weight}×${reps}`;
@@ -172,18 +249,30 @@ function parseSetMetric(value) {
   return Number.isNaN(parsed) ? null : parsed;
 }
 
+// Sets logged in another unit are converted before they are compared.
+function parseSetWeight(set, unit) {
+  if (!unit) return parseSetMetric(set?.weight);
+  return getSetWeightIn(set, unit);
+}
+
 const WorkoutSetRow = memo(function WorkoutSetRow({
   set,
   label,
   previousText,
   comparisonStatus,
+  recordLabel,
   isWarmup,
   itemId,
+  weightUnit,
+  schema,
+  suggestion,
   onUpdateSet,
   onRemoveSet,
   onToggleComplete,
   onStartLongPress,
   onCancelLongPress,
+  onUseForTrainingMax,
+  onOpenPlateCalculator,
 }) {
   const handleWeightChange = useCallback(
     (event) => {
@@ -199,6 +288,86 @@ const WorkoutSetRow = memo(function WorkoutSetRow({
     [onUpdateSet, set.id]
   );
 
+  const handleDistanceChange = useCallback(
+    (event) => {
+      onUpdateSet(set.id, { distance: event.target.value });
+    },
+    [onUpdateSet, set.id]
+  );
+
+  // Time is typed as m:ss, so it is only parsed once the field loses focus.
+  const [durationDraft, setDurationDraft] = useState(null);
+  const handleDurationBlur = useCallback(() => {
+    if (durationDraft == null) return;
+    onUpdateSet(set.id, { durationSec: parseDuration(durationDraft) });
+    setDurationDraft(null);
+  }, [durationDraft, onUpdateSet, set.id]);
+
+  // Stopwatch for holds and intervals; stopping it logs the elapsed time.
+  const [timer, setTimer] = useState(null);
+  useEffect(() => {
+    if (!timer) return undefined;
+    const interval = window.setInterval(() => {
+      setTimer((prev) => (prev ? { ...prev, now: Date.now() } : prev));
+    }, 250);
+    return () => window.clearInterval(interval);
+  }, [timer]);
+  const timerSeconds = timer ? Math.floor((timer.now - timer.startedAt) / 1000) : null;
+  const handleToggleTimer = useCallback(() => {
+    if (!timer) {
+      const now = Date.now();
+      setTimer({ startedAt: now, now });
+      return;
+    }
+    onUpdateSet(set.id, { durationSec: Math.floor((Date.now() - timer.startedAt) / 1000) });
+    setTimer(null);
+  }, [onUpdateSet, set.id, timer]);
+
+  const setUnit = normalizeWeightUnit(set.unit, weightUnit);
+  const distanceUnit = normalizeDistanceUnit(
+    set.distanceUnit,
+    getDefaultDistanceUnit(weightUnit)
+  );
+  const handleToggleDistanceUnit = useCallback(() => {
+    onUpdateSet(set.id, { distanceUnit: distanceUnit === "km" ? "mi" : "km" });
+  }, [distanceUnit, onUpdateSet, set.id]);
+  const setType = getSetType(set);
+  const setBadge = isWarmup ? "" : SET_TYPE_BADGES[setType];
+  const [detailsOpen, setDetailsOpen] = useState(false);
+
+  const handleSetTypeChange = useCallback(
+    (event) => {
+      onUpdateSet(set.id, { setType: event.target.value });
+    },
+    [onUpdateSet, set.id]
+  );
+
+  const handleRpeChange = useCallback(
+    (event) => {
+      onUpdateSet(set.id, { rpe: event.target.value, rir: null });
+    },
+    [onUpdateSet, set.id]
+  );
+
+  const handleRirChange = useCallback(
+    (event) => {
+      onUpdateSet(set.id, { rir: event.target.value, rpe: null });
+    },
+    [onUpdateSet, set.id]
+  );
+
+  const handleAcceptSuggestion = useCallback(() => {
+    onUpdateSet(set.id, {
+      weight: String(suggestion.weight),
+      reps: String(suggestion.reps),
+      unit: suggestion.unit,
+    });
+  }, [onUpdateSet, set.id, suggestion]);
+
+  const handleToggleUnit = useCallback(() => {
+    onUpdateSet(set.id, { unit: setUnit === "kg" ? "lb" : "kg" });
+  }, [onUpdateSet, set.id, setUnit]);
+
   const handleToggleDone = useCallback(
     (event) => {
       onToggleComplete(itemId, set.id, event.target.checked);
@@ -218,12 +387,38 @@ const WorkoutSetRow = memo(function WorkoutSetRow({
     onRemoveSet(itemId, set.id);
   }, [itemId, onRemoveSet, set.id]);
 
+  const handleUseForTrainingMax = useCallback(() => {
+    onUseForTrainingMax(itemId, set);
+  }, [itemId, onUseForTrainingMax, set]);
+
+  const handleOpenPlateCalculator = useCallback(() => {
+    onOpenPlateCalculator(itemId, set);
+  }, [itemId, onOpenPlateCalculator, set]);
+  // A finished AMRAP or to-failure set can become the exercise's training max.
+  const isTestSet =
+    Boolean(set.isComplete) &&
+    (setType === "amrap" || setType === "failure") &&
+    Number(set.weight) > 0 &&
+    Number(set.reps) > 0;
+
+  const targetWeight = convertWeight(set.target?.weight, set.target?.unit, setUnit);
+
   return (
     <div
       className={`workout-set-row${isWarmup ? " workout-set-row--warmup" : ""}`}
       data-workout-set-id={set.id}
     >
-      <div className="set-index">{label}</div>
+      <button
+        type="button"
+        className="set-index set-index-button"
+        onClick={() => setDetailsOpen((prev) => !prev)}
+        aria-expanded={detailsOpen}
+        aria-label={`Set ${label} type and effort`}
+        title={SET_TYPE_LABELS[setType]}
+      >
+        {label}
+        {setBadge ? <span className="set-type-badge">{setBadge}</span> : null}
+      </button>
       <div className="set-prev">
         <span>{previousText}</span>
         {comparisonStatus ? (
@@ -239,25 +434,114 @@ const WorkoutSetRow = memo(function WorkoutSetRow({
                 : "↓"}
           </span>
         ) : null}
+        {recordLabel ? (
+          <span
+            className="pr-badge"
+            title={`New record: ${recordLabel}`}
+            aria-label={`Set ${label} sets a new record: ${recordLabel}`}
+          >
+            PR
+          </span>
+        ) : null}
       </div>
-      <Input
-        inputMode="decimal"
-        placeholder="kg"
-        value={set.weight ?? ""}
-        onChange={handleWeightChange}
-        data-workout-set-id={set.id}
-        data-workout-set-field="weight"
-        className="workout-set-input"
-      />
-      <Input
-        inputMode="numeric"
-        placeholder="reps"
-        value={set.reps ?? ""}
-        onChange={handleRepsChange}
-        data-workout-set-id={set.id}
-        data-workout-set-field="reps"
-        className="workout-set-input"
-      />
+      {getSetInputColumns(schema).map((field, index) => {
+        if (field === "weight") {
+          return (
+            <div key={field} className="workout-set-weight">
+              <Input
+                inputMode="decimal"
+                placeholder={targetWeight != null ? String(roundWeight(targetWeight)) : setUnit}
+                value={set.weight ?? ""}
+                onChange={handleWeightChange}
+                data-workout-set-id={set.id}
+                data-workout-set-field="weight"
+                className="workout-set-input"
+              />
+              <button
+                type="button"
+                className={`workout-set-unit${
+                  setUnit === weightUnit ? "" : " workout-set-unit--other"
+                }`}
+                onClick={handleToggleUnit}
+                aria-label={`Logged in ${setUnit}. Switch set ${label} to ${
+                  setUnit === "kg" ? "lb" : "kg"
+                }.`}
+              >
+                {setUnit}
+              </button>
+            </div>
+          );
+        }
+        if (field === "reps") {
+          return (
+            <Input
+              key={field}
+              inputMode="numeric"
+              placeholder={formatRepRange(set.target ?? {}) || "reps"}
+              value={set.reps ?? ""}
+              onChange={handleRepsChange}
+              data-workout-set-id={set.id}
+              data-workout-set-field="reps"
+              className="workout-set-input"
+            />
+          );
+        }
+        if (field === "distance") {
+          return (
+            <div key={field} className="workout-set-weight">
+              <Input
+                inputMode="decimal"
+                placeholder={distanceUnit}
+                value={set.distance ?? ""}
+                onChange={handleDistanceChange}
+                data-workout-set-id={set.id}
+                data-workout-set-field="distance"
+                className="workout-set-input"
+              />
+              <button
+                type="button"
+                className="workout-set-unit"
+                onClick={handleToggleDistanceUnit}
+                aria-label={`Distance in ${distanceUnit}. Switch set ${label} to ${
+                  distanceUnit === "km" ? "mi" : "km"
+                }.`}
+              >
+                {distanceUnit}
+              </button>
+            </div>
+          );
+        }
+        if (field === "durationSec") {
+          return (
+            <div key={field} className="workout-set-weight">
+              <Input
+                inputMode="numeric"
+                placeholder="m:ss"
+                value={
+                  timerSeconds != null
+                    ? formatDuration(timerSeconds)
+                    : durationDraft ?? formatDuration(set.durationSec)
+                }
+                readOnly={timerSeconds != null}
+                onChange={(event) => setDurationDraft(event.target.value)}
+                onBlur={handleDurationBlur}
+                data-workout-set-id={set.id}
+                data-workout-set-field="durationSec"
+                className="workout-set-input"
+              />
+              <button
+                type="button"
+                className={`workout-set-unit${timer ? " workout-set-unit--other" : ""}`}
+                onClick={handleToggleTimer}
+                aria-label={timer ? `Stop timer for set ${label}` : `Start timer for set ${label}`}
+              >
+                {timer ? "■" : "▶"}
+              </button>
+            </div>
+          );
+        }
+        return <div key={`empty-${index}`} />;
+      })}
       <div className="set-actions">
         <label className="set-done">
           <input
@@ -282,15 +566,105 @@ const WorkoutSetRow = memo(function WorkoutSetRow({
           Remove
         </Button>
       </div>
+      {set.target ? (
+        <div className="workout-set-target">Target {describeSetTarget(set.target)}</div>
+      ) : null}
+      {suggestion ? (
+        <button
+          type="button"
+          className="workout-set-suggestion"
+          onClick={handleAcceptSuggestion}
+          title={suggestion.reason}
+          aria-label={`Use suggested ${formatSuggestion(suggestion)} for set ${label}`}
+        >
+          Use {formatSuggestion(suggestion)}
+        </button>
+      ) : null}
+      {isTestSet && onUseForTrainingMax ? (
+        <button
+          type="button"
+          className="workout-set-suggestion"
+          onClick={handleUseForTrainingMax}
+        >
+          Set training max from this set
+        </button>
+      ) : null}
+      {detailsOpen ? (
+        <div className="workout-set-details">
+          <Select
+            aria-label={`Set ${label} type`}
+            value={setType}
+            onChange={handleSetTypeChange}
+          >
+            {SET_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {SET_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </Select>
+          <Select aria-label={`Set ${label} RPE`} value={set.rpe ?? ""} onChange={handleRpeChange}>
+            <option value="">RPE</option>
+            {RPE_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                RPE {value}
+              </option>
+            ))}
+          </Select>
+          <Select aria-label={`Set ${label} RIR`} value={set.rir ?? ""} onChange={handleRirChange}>
+            <option value="">RIR</option>
+            {RIR_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value} RIR
+              </option>
+            ))}
+          </Select>
+          {onOpenPlateCalculator ? (
+            <Button
+              variant="secondary"
+              size="sm"
+              className="workout-set-details__wide"
+              onClick={handleOpenPlateCalculator}
+            >
+              Plate calculator
+            </Button>
+          ) : null}
+        </div>
+      ) : formatSetEffort(set) ? (
+        <div className="workout-set-details workout-set-details--summary">
+          {formatSetEffort(set)}
+        </div>
+      ) : null}
     </div>
   );
 });
 
-function compareWorkoutSet(current, previous) {
+// The two input columns of a set row; one-field schemas leave the first column empty.
+function getSetInputColumns(schema) {
+  const fields = SET_SCHEMA_FIELDS[schema] ?? SET_SCHEMA_FIELDS.weight_reps;
+  return fields.length === 1 ? [null, fields[0]] : fields;
+}
+
+function getSetColumnLabel(field, weightUnit) {
+  if (field === "weight") return getWeightUnitLabel(weightUnit);
+  if (field === "reps") return "Reps";
+  if (field === "distance") return "Distance";
+  if (field === "durationSec") return "Time";
+  return "";
+}
+
+function compareWorkoutSet(current, previous, unit, schema) {
   if (!current || !previous) return null;
-  const currentWeight = parseSetMetric(current.weight);
+  if (isTimedSetSchema(schema) || schema === "reps") {
+    const result =
+      schema === "reps"
+        ? Math.sign((parseSetMetric(current.reps) ?? NaN) - (parseSetMetric(previous.reps) ?? NaN))
+        : compareTimedSets(current, previous, schema, { weightUnit: unit });
+    if (result == null || Number.isNaN(result)) return null;
+    return result > 0 ? "improved" : result === 0 ? "same" : "worse";
+  }
+  const currentWeight = parseSetWeight(current, unit);
   const currentReps = parseSetMetric(current.reps);
-  const previousWeight = parseSetMetric(previous.weight);
+  const previousWeight = parseSetWeight(previous, unit);
   const previousReps = parseSetMetric(previous.reps);
   if (
     currentWeight == null ||
@@ -313,11 +687,11 @@ function isComparableSet(set) {
   return weight != null && reps != null;
 }
 
-function compareSetQuality(current, previous) {
+function compareSetQuality(current, previous, unit) {
   if (!current || !previous) return 0;
-  const currentWeight = parseSetMetric(current.weight);
+  const currentWeight = parseSetWeight(current, unit);
   const currentReps = parseSetMetric(current.reps);
-  const previousWeight = parseSetMetric(previous.weight);
+  const previousWeight = parseSetWeight(previous, unit);
   const previousReps = parseSetMetric(previous.reps);
   if (
     currentWeight == null ||
@@ -333,16 +707,36 @@ function compareSetQuality(current, previous) {
   return -1;
 }
 
-function getBestComparableSet(sets) {
+function getBestComparableSet(sets, unit, schema) {
   if (!Array.isArray(sets) || sets.length === 0) return null;
+  if (isTimedSetSchema(schema)) {
+    return sets.reduce((best, set) => {
+      if (!set || !countsTowardBestSet(set)) return best;
+      if (!best) return set.durationSec != null || set.distance ? set : best;
+      return compareTimedSets(set, best, schema, { weightUnit: unit }) > 0 ? set : best;
+    }, null);
+  }
   return sets.reduce((best, set) => {
-    if (!set || set.isWarmup) return best;
+    if (!set || !countsTowardBestSet(set)) return best;
     if (!isComparableSet(set)) return best;
     if (!best) return set;
-    return compareSetQuality(set, best) > 0 ? set : best;
+    return compareSetQuality(set, best, unit) > 0 ? set : best;
   }, null);
 }
 
+// Lists the non-standard sets of an exercise, e.g. "2× Drop set, 1× AMRAP".
+function formatSetTypeCounts(sets) {
+  const counts = new Map();
+  (sets ?? []).forEach((set) => {
+    const type = getSetType(set);
+    if (type === "working" || type === "warmup") return;
+    counts.set(type, (counts.get(type) ?? 0) + 1);
+  });
+  return Array.from(counts.entries())
+    .map(([type, count]) => `${count}× ${SET_TYPE_LABELS[type]}`)
+    .join(", ");
+}
+
 function getLastWorkoutSet(sets) {
   if (!Array.isArray(sets) || sets.length === 0) return null;
   return sets.reduce((latest, set) => {
@@ -358,9 +752,14 @@ function getPrefillValues(sets) {
   if (!lastSet) return {};
   const weight = lastSet?.weight ?? "";
   const reps = lastSet?.reps ?? "";
+  const distance = lastSet?.distance ?? "";
   const prefill = {};
   if (weight !== "") prefill.weight = weight;
   if (reps !== "") prefill.reps = reps;
+  if (lastSet?.unit) prefill.unit = lastSet.unit;
+  if (lastSet?.durationSec != null) prefill.durationSec = lastSet.durationSec;
+  if (distance !== "") prefill.distance = distance;
+  if (lastSet?.distanceUnit) prefill.distanceUnit = lastSet.distanceUnit;
   return prefill;
 }
 
@@ -380,11 +779,13 @@ function WorkoutView({
   const settings = useLiveQuery(() => db.settings.get(1), []);
   const workoutSpaces = useLiveQuery(() => listWorkoutSpaces(), []);
   const equipmentList = useLiveQuery(() => listEquipment(), []);
+  const weightUnit = normalizeWeightUnit(settings?.weight_unit);
 
   const viewRef = useRef(null);
   const restFieldId = useId();
   const allExercises = useLiveQuery(() => getAllExercises(), []);
   const exerciseUsageCounts = useLiveQuery(() => getExerciseUsageCounts(), []);
+  const nextProgramDay = useLiveQuery(() => (workoutId ? null : getNextProgramPlan()), [workoutId]);
   const [pickerOpen, setPickerOpen] = useState(false);
   const [pickerPrefill, setPickerPrefill] = useState(null);
   const [pickerMode, setPickerMode] = useState("add");
@@ -396,6 +797,7 @@ function WorkoutView({
   const [restDefaultSeconds, setRestDefaultSeconds] = useState(60);
   const [restDefaultInput, setRestDefaultInput] = useState("60");
   const [showRestTimer, setShowRestTimer] = useState(true);
+  const [guidedSupersets, setGuidedSupersets] = useState(true);
   const [restSheetOpen, setRestSheetOpen] = useState(false);
   const [restRunning, setRestRunning] = useState(false);
   const [restRemaining, setRestRemaining] = useState(60);
@@ -415,6 +817,7 @@ function WorkoutView({
   const [supersetSheetItemId, setSupersetSheetItemId] = useState(null);
   const [detailExerciseId, setDetailExerciseId] = useState(null);
   const [historyExercise, setHistoryExercise] = useState(null);
+  const [plateCalculator, setPlateCalculator] = useState(null);
   const scrollRestoreRef = useRef(0);
   const pendingScrollRestoreRef = useRef(null);
   const pendingFocusRef = useRef(null);
@@ -468,6 +871,10 @@ function WorkoutView({
     return activeSpace;
   }, [activeSpace, workout, workoutSpaces]);
   const pickerSpace = workoutSpace ?? activeSpace;
+  const workoutLoadout = useMemo(
+    () => resolveLoadout(workoutSpace, weightUnit),
+    [weightUnit, workoutSpace]
+  );
   const startSpaceId = activeSpace?.id ?? null;
   const activeSpaceSelectValue =
     settingsActiveSpaceId != null && settingsActiveSpaceId === activeSpace?.id
@@ -493,22 +900,51 @@ function WorkoutView({
     });
     return map;
   }, [equipmentMap, items, workoutSpace]);
-  const previousSetsByExercise = useLiveQuery(
-    () => getPreviousWorkoutSetsByExercise(exerciseIds, workout?.id ?? null),
+  const recentSetsByExercise = useLiveQuery(
+    () =>
+      getRecentWorkoutSetsByExercise(exerciseIds, workout?.id ?? null, OVERLOAD_LOOKBACK),
     [exerciseIdPayload.key, workout?.id]
   );
-  const supersetLabels = useMemo(() => {
-    const labels = new Map();
-    let index = 0;
+  const personalRecordsByExercise = useLiveQuery(
+    () => getPersonalRecordsByExercise(exerciseIds),
+    [exerciseIdPayload.key]
+  );
+  const overloadSuggestions = useMemo(() => {
+    const map = new Map();
     items.forEach((item) => {
-      const groupId = item.supersetGroupId;
-      if (!groupId || labels.has(groupId)) return;
-      const letter = String.fromCharCode(65 + (index % 26));
-      labels.set(groupId, `Superset ${letter}`);
-      index += 1;
+      // Overload rules work in weight × reps; timed and reps-only exercises get none.
+      if (getExerciseSetSchema(item.exercise) !== "weight_reps") return;
+      const suggestion = suggestNextSet({
+        history: recentSetsByExercise?.get(item.exerciseId),
+        config: item.progression,
+        targetReps: item.targetReps,
+        unit: weightUnit,
+        loadPercent: item.targetLoadPercent,
+      });
+      if (!suggestion) return;
+      // Snap to what the space can load: bar and plates, the dumbbell rack or the stack.
+      const weight = roundToLoadable(suggestion.weight, {
+        kind: getLoadingKind(item.exercise),
+        loadout: workoutLoadout,
+        unit: weightUnit,
+      });
+      map.set(
+        item.id,
+        weight == null || Math.abs(weight - suggestion.weight) < 0.01
+          ? suggestion
+          : {
+              ...suggestion,
+              weight,
+              reason: `${suggestion.reason} Rounded to ${formatWeight(
+                weight,
+                weightUnit
+              )}, the closest weight you can load here.`,
+            }
+      );
     });
-    return labels;
-  }, [items]);
+    return map;
+  }, [items, recentSetsByExercise, weightUnit, workoutLoadout]);
+  const supersetGroups = useMemo(() => getSupersetGroups(items), [items]);
   const activeMenuItem = useMemo(
     () => items.find((item) => item.id === menuItemId) ?? null,
     [items, menuItemId]
@@ -583,6 +1019,7 @@ function WorkoutView({
     setRestEnabled(enabled ?? true);
     setRestDefaultSeconds(defaultSeconds);
     setShowRestTimer(timerVisible ?? true);
+    setGuidedSupersets(settings?.guided_supersets ?? true);
   }, [settings]);
 
   useEffect(() => {
@@ -727,16 +1164,32 @@ function WorkoutView({
     [items]
   );
 
+  // In guided mode a superset is worked round-robin: one set of each exercise, and the
+  // rest timer only once the round's last set is done.
+  const getSupersetStep = useCallback(
+    (itemId, setId) => {
+      if (!guidedSupersets) return null;
+      const item = items.find((it) => it.id === itemId);
+      const group = supersetGroups.find((entry) => entry.id === item?.supersetGroupId);
+      return group ? getNextSupersetStep(group.items, setId) : null;
+    },
+    [guidedSupersets, items, supersetGroups]
+  );
+
   const startRestForSet = useCallback(
     (itemId, setId) => {
       const item = items.find((it) => it.id === itemId);
       const set = item?.sets?.find((s) => s.id === setId);
       if (!item || !set) return;
-      const seconds = resolveRestSeconds();
-      const hint = buildNextHint(itemId, setId);
+      const step = getSupersetStep(itemId, setId);
+      if (step && !step.endsRound) return;
+      const seconds = set.target?.restSeconds ?? resolveRestSeconds();
+      const hint = step?.next
+        ? `Next: Round ${step.next.round} / ${step.next.item.exercise?.name ?? "Exercise"}`
+        : buildNextHint(itemId, setId);
       startRestTimer(seconds, hint);
     },
-    [items, resolveRestSeconds, buildNextHint, startRestTimer]
+    [items, getSupersetStep, resolveRestSeconds, buildNextHint, startRestTimer]
   );
 
   const handleCompleteSet = (itemId, setId) => {
@@ -827,6 +1280,8 @@ function WorkoutView({
 
   const resolveNextIncompleteSetId = useCallback(
     (itemId, setId) => {
+      const step = getSupersetStep(itemId, setId);
+      if (step?.next) return step.next.set.id;
       const itemIndex = items.findIndex((item) => item.id === itemId);
       if (itemIndex < 0) return null;
       const currentSets = items[itemIndex]?.sets ?? [];
@@ -840,7 +1295,7 @@ function WorkoutView({
       }
       return null;
     },
-    [items]
+    [getSupersetStep, items]
   );
 
   useEffect(() => {
@@ -900,6 +1355,12 @@ function WorkoutView({
     void persistRestSettings({ rest_enabled: next });
   };
 
+  const handleToggleGuidedSupersets = () => {
+    const next = !guidedSupersets;
+    setGuidedSupersets(next);
+    void persistRestSettings({ guided_supersets: next });
+  };
+
   const handleRestDefaultChange = (event) => {
     const nextValue = event.target.value;
     setRestDefaultInput(nextValue);
@@ -949,7 +1410,8 @@ function WorkoutView({
       await addSetAndFocus(item.id, {
         weight: lastSet.weight ?? "",
         reps: lastSet.reps ?? "",
-        isWarmup: lastSet.isWarmup ?? false,
+        setType: getSetType(lastSet),
+        unit: lastSet.unit,
       });
     },
     [addSetAndFocus, markSessionActivity]
@@ -966,7 +1428,8 @@ function WorkoutView({
       await addSetAndFocus(itemId, {
         weight: weight === "" ? undefined : weight,
         reps: reps === "" ? undefined : reps,
-        isWarmup: set.isWarmup ?? false,
+        setType: getSetType(set),
+        unit: set.unit,
       });
     },
     [addSetAndFocus, handleCompleteSet, markSessionActivity, updateWorkoutSet]
@@ -1028,6 +1491,57 @@ function WorkoutView({
     [items, markSessionActivity, onNotify, removeWorkoutSet]
   );
 
+  const handleSetTrainingMaxFromSet = useCallback(
+    async (itemId, set) => {
+      const item = items.find((entry) => entry.id === itemId);
+      const formula = normalizeE1rmFormula(settings?.e1rm_formula);
+      const percent = normalizeTrainingMaxPercent(settings?.training_max_percent);
+      const oneRepMax = estimateSetOneRepMaxWith(set, formula);
+      if (!item || oneRepMax == null) return;
+      const unit = normalizeWeightUnit(set.unit, weightUnit);
+      const value = computeTrainingMax(oneRepMax, percent);
+      await setTrainingMax(item.exerciseId, {
+        value,
+        unit,
+        source: "amrap",
+        oneRepMax,
+        formula,
+        percent,
+        workoutId: item.workoutId ?? null,
+        setId: set.id,
+      });
+      onNotify?.(
+        `${item.exercise?.name ?? "Exercise"} training max set to ${formatWeight(value, unit)}.`,
+        { tone: "success" }
+      );
+    },
+    [items, onNotify, settings?.e1rm_formula, settings?.training_max_percent, weightUnit]
+  );
+
+  const handleOpenPlateCalculator = useCallback(
+    (itemId, set) => {
+      const item = items.find((entry) => entry.id === itemId);
+      const unit = normalizeWeightUnit(set.unit, weightUnit);
+      const targetWeight = convertWeight(set.target?.weight, set.target?.unit, unit);
+      setPlateCalculator({
+        setId: set.id,
+        title: `${item?.exercise?.name ?? "Barbell"} plates`,
+        weight: set.weight !== "" && set.weight != null ? set.weight : roundWeight(targetWeight, 2),
+        unit,
+      });
+    },
+    [items, weightUnit]
+  );
+
+  const handleUsePlateWeight = useCallback(
+    (weight) => {
+      if (!plateCalculator) return;
+      handleWorkoutSetUpdate(plateCalculator.setId, { weight, unit: plateCalculator.unit });
+      setPlateCalculator(null);
+    },
+    [handleWorkoutSetUpdate, plateCalculator]
+  );
+
   const handleToggleWorkoutSetComplete = useCallback(
     (itemId, setId, checked) => {
       if (longPressTriggeredRef.current.has(setId)) {
@@ -1208,23 +1722,33 @@ function WorkoutView({
       const primary = items.find((it) => it.id === primaryId);
       const partner = items.find((it) => it.id === partnerId);
       if (!primary || !partner || !workoutId) return;
-      const groupId = `superset-${Date.now()}`;
-      const groupsToClear = new Set(
-        [primary.supersetGroupId, partner.supersetGroupId].filter(Boolean)
-      );
+      // The partner joins the primary's group, so pairs can grow into giant sets.
+      const groupId = primary.supersetGroupId ?? createSupersetGroupId();
+      const groupSize = primary.supersetGroupId
+        ? items.filter((it) => it.supersetGroupId === groupId).length
+        : 1;
+      const kind = normalizeSupersetKind(primary.supersetKind, groupSize + 1);
       await db.transaction("rw", db.table("workoutItems"), async () => {
-        for (const existingGroup of groupsToClear) {
+        if (partner.supersetGroupId && partner.supersetGroupId !== groupId) {
           await db
             .table("workoutItems")
-            .where({ workoutId, supersetGroupId: existingGroup })
-            .modify({ supersetGroupId: null });
+            .where({ workoutId, supersetGroupId: partner.supersetGroupId })
+            .modify({ supersetGroupId: null, supersetKind: null });
         }
-        await db.table("workoutItems").update(primaryId, { supersetGroupId: groupId });
-        await db.table("workoutItems").update(partnerId, { supersetGroupId: groupId });
+        await db
+          .table("workoutItems")
+          .where({ workoutId, supersetGroupId: groupId })
+          .modify({ supersetKind: kind });
+        await db
+          .table("workoutItems")
+          .update(primaryId, { supersetGroupId: groupId, supersetKind: kind });
+        await db
+          .table("workoutItems")
+          .update(partnerId, { supersetGroupId: groupId, supersetKind: kind });
       });
       setSupersetSheetItemId(null);
       setMenuItemId(null);
-      onNotify?.("Superset created ✅", { tone: "success" });
+      onNotify?.(`${SUPERSET_KIND_LABELS[kind]} created ✅`, { tone: "success" });
     },
     [items, onNotify, workoutId]
   );
@@ -1422,9 +1946,36 @@ function WorkoutView({
                 </div>
             )}
           </CardBody>
-          <CardFooter>
+          <CardFooter className="ui-stack">
+            {nextProgramDay ? (
+              <>
+                <div className="template-meta">
+                  {nextProgramDay.program.name} · Week {nextProgramDay.plan.programWeek} · Day{" "}
+                  {nextProgramDay.plan.programDay}
+                </div>
+                <Button
+                  variant="primary"
+                  size="lg"
+                  className="w-full"
+                  onClick={async () => {
+                    try {
+                      const id = await startWorkoutFromPlannedWorkout(nextProgramDay.plan.id, {
+                        spaceId: startSpaceId,
+                      });
+                      setWorkoutId(id);
+                    } catch (err) {
+                      onNotify?.(err?.message ?? "Unable to start this workout.", {
+                        tone: "error",
+                      });
+                    }
+                  }}
+                >
+                  Start Today&apos;s Workout
+                </Button>
+              </>
+            ) : null}
             <Button
-              variant="primary"
+              variant={nextProgramDay ? "secondary" : "primary"}
               size="lg"
               className="w-full"
               onClick={async () => {
@@ -1521,15 +2072,31 @@ function WorkoutView({
         <div className="ui-stack">
           {items.map((it, index) => {
             const missingEquipment = missingEquipmentByItem.get(it.id) ?? [];
-            const previousEntry = previousSetsByExercise?.get(it.exerciseId) ?? null;
+            const previousEntry = recentSetsByExercise?.get(it.exerciseId)?.[0] ?? null;
+            const suggestion = overloadSuggestions.get(it.id) ?? null;
+            // Offer the suggestion on the first working set that does not hold it yet.
+            const suggestedSetId =
+              it.sets.find(
+                (set) =>
+                  !set.isComplete &&
+                  !set.isWarmup &&
+                  countsTowardBestSet(set) &&
+                  !matchesSuggestion(set, suggestion)
+              )?.id ?? null;
             const previousWorkingSets = (previousEntry?.sets ?? []).filter(
               (set) => !set.isWarmup
             );
-            const supersetLabel = it.supersetGroupId
-              ? supersetLabels.get(it.supersetGroupId)
+            const supersetGroup = it.supersetGroupId
+              ? supersetGroups.find((group) => group.id === it.supersetGroupId) ?? null
               : null;
+            const supersetLabel = supersetGroup?.label ?? null;
+            const supersetProgress =
+              supersetGroup && guidedSupersets ? getSupersetProgress(supersetGroup.items) : null;
             const hasWorkoutNote = Boolean(exerciseNotes?.[it.exerciseId]?.trim());
             const hasStickyNote = Boolean(it.exercise?.stickyNote?.trim());
+            const setSchema = getExerciseSetSchema(it.exercise);
+            const isBarbell =
+              setSchema === "weight_reps" && getLoadingKind(it.exercise) === "barbell";
             let warmupIndex = 0;
             let workingIndex = 0;
             return (
@@ -1556,7 +2123,18 @@ function WorkoutView({
                         {it.exercise?.muscle_group ?? "Unknown"}
                       </span>
                       {supersetLabel ? (
-                        <span className="pill pill--superset">{supersetLabel}</span>
+                        <span className="pill pill--superset">
+                          {supersetLabel}
+                          {supersetProgress?.totalRounds > 1
+                            ? ` · Round ${supersetProgress.round}/${supersetProgress.totalRounds}`
+                            : ""}
+                        </span>
+                      ) : null}
+                      {supersetProgress?.next?.item.id === it.id ? (
+                        <span className="pill">Up next</span>
+                      ) : null}
+                      {it.targetLoadPercent != null ? (
+                        <span className="pill">{it.targetLoadPercent}% load</span>
                       ) : null}
                       {hasStickyNote ? (
                         <span className="pill pill--muted">Sticky</span>
@@ -1615,6 +2193,16 @@ function WorkoutView({
                     </div>
                   ) : null}
 
+                  {suggestion ? (
+                    <div className="overload-suggestion">
+                      <div className="overload-suggestion__target">
+                        <span className="pill">{OVERLOAD_RULE_LABELS[suggestion.rule]}</span>
+                        <span className="ui-strong">Next: {formatSuggestion(suggestion)}</span>
+                      </div>
+                      <div className="template-meta">{suggestion.reason}</div>
+                    </div>
+                  ) : null}
+
                   {it.sets.length === 0 ? (
                     <div className="ui-muted">No sets yet. Add a set above.</div>
                   ) : (
@@ -1622,8 +2210,11 @@ function WorkoutView({
                       <div className="workout-sets-header-row">
                         <div>Set</div>
                         <div>Prev</div>
-                        <div>Kg</div>
-                        <div>Reps</div>
+                        {getSetInputColumns(setSchema).map((field, columnIndex) => (
+                          <div key={field ?? `empty-${columnIndex}`}>
+                            {getSetColumnLabel(field, weightUnit)}
+                          </div>
+                        ))}
                         <div>Done</div>
                       </div>
                       {it.sets.map((s) => {
@@ -1636,10 +2227,14 @@ function WorkoutView({
                           : previousWorkingSets[workingIndex - 1];
                         const previousText = isWarmup
                           ? "—"
-                          : formatSetValue(previousSet);
-                        const comparisonStatus = isWarmup
-                          ? null
-                          : compareWorkoutSet(s, previousSet);
+                          : formatSetValue(previousSet, weightUnit, setSchema);
+                        const comparisonStatus = countsTowardBestSet(s)
+                          ? compareWorkoutSet(s, previousSet, weightUnit, setSchema)
+                          : null;
+                        const recordLabel = getSetRecordLabels(
+                          s,
+                          personalRecordsByExercise?.get(it.exerciseId)
+                        ).join(" · ");
                         return (
                           <WorkoutSetRow
                             key={s.id}
@@ -1647,13 +2242,21 @@ function WorkoutView({
                             label={label}
                             previousText={previousText}
                             comparisonStatus={comparisonStatus}
+                            recordLabel={recordLabel}
                             isWarmup={isWarmup}
                             itemId={it.id}
+                            weightUnit={weightUnit}
+                            schema={setSchema}
+                            suggestion={s.id === suggestedSetId ? suggestion : null}
                             onUpdateSet={handleWorkoutSetUpdate}
                             onRemoveSet={handleRemoveWorkoutSet}
                             onToggleComplete={handleToggleWorkoutSetComplete}
                             onStartLongPress={startLongPress}
                             onCancelLongPress={cancelLongPress}
+                            onUseForTrainingMax={handleSetTrainingMaxFromSet}
+                            onOpenPlateCalculator={
+                              isBarbell ? handleOpenPlateCalculator : undefined
+                            }
                           />
                         );
                       })}
@@ -1826,6 +2429,22 @@ function WorkoutView({
                     </Button>
                   </div>
 
+                  <div className="rest-toggle">
+                    <div>
+                      <div className="ui-strong">Guided supersets</div>
+                      <div className="template-meta">
+                        Alternate exercises in a superset and rest after each round.
+                      </div>
+                    </div>
+                    <Button
+                      variant={guidedSupersets ? "primary" : "secondary"}
+                      size="sm"
+                      onClick={handleToggleGuidedSupersets}
+                    >
+                      {guidedSupersets ? "On" : "Off"}
+                    </Button>
+                  </div>
+
                   <div>
                     <Label htmlFor={`${restFieldId}-default`}>Default rest (sec)</Label>
                     <Input
@@ -1877,6 +2496,20 @@ function WorkoutView({
         onClose={() => setHistoryExercise(null)}
       />
 
+      {plateCalculator ? (
+        <PlateCalculatorSheet
+          key={plateCalculator.setId}
+          open
+          onClose={() => setPlateCalculator(null)}
+          title={plateCalculator.title}
+          weight={plateCalculator.weight}
+          unit={plateCalculator.unit}
+          loadout={workoutLoadout}
+          spaceName={workoutSpace?.loadout ? workoutSpace.name : null}
+          onUse={handleUsePlateWeight}
+        />
+      ) : null}
+
       {activeMenuItem ? (
         <div className="modal">
           <button
@@ -2089,7 +2722,9 @@ function WorkoutView({
               ) : null}
 
               <div className="ui-stack">
-                <div className="template-meta">Pair with</div>
+                <div className="template-meta">
+                  {supersetGroupItems.length ? "Add to this group" : "Pair with"}
+                </div>
                 {supersetPartnerOptions.length ? (
                   <div className="superset-options">
                     {supersetPartnerOptions.map((option) => {
@@ -2165,6 +2800,7 @@ function WorkoutView({
 
 function HistoryView() {
   const workouts = useLiveQuery(() => listFinishedWorkouts(), []);
+  const { weightUnit } = useSettings();
   const [openId, setOpenId] = useState(null);
   const workoutSpaces = useLiveQuery(() => listWorkoutSpaces(), []);
 
@@ -2258,9 +2894,16 @@ function HistoryView() {
                           <div className="ui-stack">
                             {it.sets.map((s) => (
                               <div key={s.id} className="ui-row ui-row--between">
-                                <div className="template-meta">Set {s.setNumber}</div>
+                                <div className="template-meta">
+                                  Set {s.setNumber}
+                                  {getSetType(s) !== "working"
+                                    ? ` · ${SET_TYPE_LABELS[getSetType(s)]}`
+                                    : ""}
+                                </div>
                                 <div>
-                                  {s.weight ?? "—"} x {s.reps ?? "—"}
+                                  {formatWeight(getSetWeightIn(s, weightUnit), weightUnit)} x{" "}
+                                  {s.reps || "—"}
+                                  {formatSetEffort(s) ? ` @ ${formatSetEffort(s)}` : ""}
                                 </div>
                               </div>
                             ))}
@@ -2287,7 +2930,14 @@ function HistoryView() {
   );
 }
 
-function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMode }) {
+function SettingsForm({
+  settings,
+  onNotify,
+  themeMode,
+  resolvedTheme,
+  setThemeMode,
+  onOpenMemory,
+}) {
   const coachKeyMode = getCoachKeyMode();
   const isServerKeyMode = coachKeyMode === "server";
   const [persona, setPersona] = useState(settings?.coach_persona ?? "");
@@ -2295,15 +2945,13 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
   const [openAiEditing, setOpenAiEditing] = useState(!settings?.openai_api_key);
   const [openAiTesting, setOpenAiTesting] = useState(false);
   const [openAiTestResult, setOpenAiTestResult] = useState(null);
+  const [coachTokenDraft, setCoachTokenDraft] = useState("");
   const [coachMemoryEnabled, setCoachMemoryEnabled] = useState(
     settings?.coach_memory_enabled ?? false
   );
   const [coachContextEnabled, setCoachContextEnabled] = useState(
     settings?.coach_context_enabled ?? true
   );
-  const [coachMemory, setCoachMemory] = useState(() =>
-    normalizeCoachMemory(settings?.coach_memory ?? getDefaultCoachMemory())
-  );
   const [exercisePickerAutoFocus, setExercisePickerAutoFocus] = useState(
     settings?.exercise_picker_auto_focus ?? true
   );
@@ -2320,13 +2968,13 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
     settings?.long_press_done_adds_next ?? false
   );
   const [memoryViewOpen, setMemoryViewOpen] = useState(false);
-  const [memoryEditOpen, setMemoryEditOpen] = useState(false);
-  const [memoryDraft, setMemoryDraft] = useState("");
-  const [memoryError, setMemoryError] = useState("");
   const personaId = useId();
   const appearanceId = useId();
+  const weightUnitId = useId();
+  const e1rmFormulaId = useId();
+  const trainingMaxPercentId = useId();
   const openAiKeyId = useId();
-  const memoryId = useId();
+  const coachTokenId = useId();
   const resolvedLabel = resolvedTheme === "dark" ? "Dark" : "Light";
   const trimmedOpenAiKey = openAiKeyDraft.trim();
   const looksLikeOpenAiKey =
@@ -2335,11 +2983,9 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
   const openAiKeyStatus = settings?.openai_api_key_status ?? "missing";
 
   useEffect(() => {
-    if (memoryEditOpen) return;
     setCoachMemoryEnabled(settings?.coach_memory_enabled ?? false);
     setCoachContextEnabled(settings?.coach_context_enabled ?? true);
-    setCoachMemory(normalizeCoachMemory(settings?.coach_memory ?? getDefaultCoachMemory()));
-  }, [memoryEditOpen, settings]);
+  }, [settings]);
 
   useEffect(() => {
     if (settings?.openai_api_key) {
@@ -2351,12 +2997,25 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
     setOpenAiTestResult(null);
   }, [settings?.openai_api_key]);
 
+  const handleWeightUnitChange = async (event) => {
+    const nextUnit = await setWeightUnit(event.target.value);
+    const inferredCount = await countInferredSetUnits();
+    if (
+      inferredCount > 0 &&
+      window.confirm(
+        `${inferredCount} sets were logged before units were tracked. Label them as ${nextUnit}?`
+      )
+    ) {
+      await relabelInferredSetUnits(nextUnit);
+    }
+    onNotify?.(`Weights shown in ${nextUnit}.`, { tone: "success" });
+  };
+
   const saveSettings = async () => {
     await updateSettings({
       coach_persona: persona,
       coach_memory_enabled: coachMemoryEnabled,
       coach_context_enabled: coachContextEnabled,
-      coach_memory: coachMemory,
       exercise_picker_auto_focus: exercisePickerAutoFocus,
       exercise_picker_filter_active_gym: exercisePickerFilterActiveGym,
       exercise_picker_most_used_first: exercisePickerMostUsedFirst,
@@ -2417,6 +3076,15 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
     onNotify?.("OpenAI key removed.", { tone: "success" });
   };
 
+  const handleSaveCoachToken = async () => {
+    await setCoachAccessToken(coachTokenDraft);
+    setCoachTokenDraft("");
+    onNotify?.(
+      coachTokenDraft.trim() ? "Coach access token saved." : "Coach access token removed.",
+      { tone: "success" }
+    );
+  };
+
   const handleTestOpenAiKey = async () => {
     if (isServerKeyMode) {
       setOpenAiTestResult({
@@ -2441,30 +3109,11 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
     setOpenAiTesting(false);
   };
 
-  const handleEditMemory = () => {
-    setMemoryDraft(formatCoachMemory(coachMemory));
-    setMemoryError("");
-    setMemoryEditOpen(true);
-    setMemoryViewOpen(false);
-  };
-
-  const handleSaveMemoryDraft = () => {
-    try {
-      const parsed = JSON.parse(memoryDraft || "{}");
-      const normalized = normalizeCoachMemory(parsed);
-      setCoachMemory(normalized);
-      setMemoryEditOpen(false);
-      setMemoryError("");
-    } catch {
-      setMemoryError("Memory must be valid JSON.");
-    }
-  };
-
-  const handleClearMemory = () => {
-    setCoachMemory(getDefaultCoachMemory());
-    setMemoryEditOpen(false);
+  const handleClearMemory = async () => {
+    if (!window.confirm("Clear everything in Coach memory? The change history is kept.")) return;
+    await clearCoachMemory();
     setMemoryViewOpen(false);
-    setMemoryError("");
+    onNotify?.("Coach memory cleared.", { tone: "success" });
   };
 
   return (
@@ -2500,6 +3149,58 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
 
         <div className="ui-section-title">Workout logging</div>
 
+        <div>
+          <Label htmlFor={weightUnitId}>Weight unit</Label>
+          <Select
+            id={weightUnitId}
+            value={normalizeWeightUnit(settings?.weight_unit)}
+            onChange={handleWeightUnitChange}
+          >
+            <option value="kg">Kilograms (kg)</option>
+            <option value="lb">Pounds (lb)</option>
+          </Select>
+          <div className="template-meta">
+            New sets use this unit. Sets logged in the other unit are converted for display.
+          </div>
+        </div>
+
+        <div>
+          <Label htmlFor={e1rmFormulaId}>1RM formula</Label>
+          <Select
+            id={e1rmFormulaId}
+            value={normalizeE1rmFormula(settings?.e1rm_formula)}
+            onChange={(e) => updateSettings({ e1rm_formula: e.target.value })}
+          >
+            {E1RM_FORMULAS.map((formula) => (
+              <option key={formula} value={formula}>
+                {E1RM_FORMULA_LABELS[formula]}
+              </option>
+            ))}
+          </Select>
+          <div className="template-meta">
+            Used for estimated 1RMs in exercise history and training max suggestions.
+          </div>
+        </div>
+
+        <div>
+          <Label htmlFor={trainingMaxPercentId}>Training max</Label>
+          <Select
+            id={trainingMaxPercentId}
+            value={String(normalizeTrainingMaxPercent(settings?.training_max_percent))}
+            onChange={(e) => updateSettings({ training_max_percent: Number(e.target.value) })}
+          >
+            {TRAINING_MAX_PERCENT_OPTIONS.map((percent) => (
+              <option key={percent} value={String(percent)}>
+                {percent}% of estimated 1RM
+              </option>
+            ))}
+          </Select>
+          <div className="template-meta">
+            Suggested training maxes use this share of the estimated 1RM. Template loads
+            written as a percentage resolve against the training max.
+          </div>
+        </div>
+
         <div className="ui-row ui-row--between ui-row--wrap">
           <div>
             <div className="ui-strong">Show rest timer</div>
@@ -2659,6 +3360,36 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
           ) : null}
         </div>
 
+        {isServerKeyMode ? (
+          <div className="ui-stack">
+            <Label htmlFor={coachTokenId}>Coach access token</Label>
+            <div className="ui-row ui-row--wrap">
+              <Input
+                id={coachTokenId}
+                type="password"
+                value={coachTokenDraft}
+                onChange={(e) => setCoachTokenDraft(e.target.value)}
+                autoComplete="off"
+                className="flex-1"
+                placeholder={settings?.coach_access_token ? "Saved" : "Not set"}
+              />
+              <Button
+                variant="secondary"
+                size="sm"
+                type="button"
+                onClick={handleSaveCoachToken}
+                disabled={!coachTokenDraft.trim() && !settings?.coach_access_token}
+              >
+                {coachTokenDraft.trim() || !settings?.coach_access_token ? "Save" : "Clear"}
+              </Button>
+            </div>
+            <div className="template-meta">
+              Only needed when the coach server requires one. Stored on this device and never
+              included in backups.
+            </div>
+          </div>
+        ) : null}
+
         <div className="ui-row ui-row--between ui-row--wrap">
           <div>
             <div className="ui-strong">Coach context sharing</div>
@@ -2693,7 +3424,7 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
 
         <div className="ui-stack">
           <div className="ui-row ui-row--wrap">
-            <Button variant="secondary" size="sm" type="button" onClick={handleEditMemory}>
+            <Button variant="secondary" size="sm" type="button" onClick={onOpenMemory}>
               Edit memory
             </Button>
             <Button
@@ -2709,44 +3440,12 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
             </Button>
           </div>
           <div className="template-meta">
-            Memory stays on this device and is shared only when enabled.
+            Memory stays on this device and is shared only when enabled. Edits and coach
+            suggestions are reviewed on the Coach memory screen.
           </div>
 
           {memoryViewOpen ? (
-            <pre className="coach-preview">{formatCoachMemory(coachMemory)}</pre>
-          ) : null}
-
-        {memoryEditOpen ? (
-          <div>
-            <Label htmlFor={memoryId}>Coach memory JSON</Label>
-            <textarea
-              id={memoryId}
-                className="ui-input ui-textarea"
-                rows={6}
-                value={memoryDraft}
-                onChange={(e) => setMemoryDraft(e.target.value)}
-              />
-              {memoryError ? <div className="chat-error">{memoryError}</div> : null}
-              <div className="template-meta">Click Save Settings to persist changes.</div>
-              <div className="ui-row ui-row--wrap">
-                <Button
-                  variant="secondary"
-                  size="sm"
-                  type="button"
-                  onClick={handleSaveMemoryDraft}
-                >
-                  Apply memory
-                </Button>
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  type="button"
-                  onClick={() => setMemoryEditOpen(false)}
-                >
-                  Cancel
-                </Button>
-              </div>
-            </div>
+            <pre className="coach-preview">{formatCoachMemory(settings?.coach_memory)}</pre>
           ) : null}
         </div>
 
@@ -2820,6 +3519,8 @@ function SettingsForm({ settings, onNotify, themeMode, resolvedTheme, setThemeMo
 function MoreView({
   onLaunchCoach,
   onAddExerciseToWorkout,
+  onStartPlannedWorkout,
+  onOpenWorkout,
   exerciseSeedState,
   onReseedExercises,
   onNotify,
@@ -2881,11 +3582,49 @@ function MoreView({
         debugPanelEnabled={debugPanelEnabled}
         onToggleDebugPanel={onToggleDebugPanel}
         onOpenDebugPanel={onOpenDebugPanel}
+        onOpenMemory={() => setSection("coachMemory")}
         onBack={() => setSection("home")}
       />
     );
   }
 
+  if (section === "backup") {
+    return <BackupView onBack={() => setSection("home")} onNotify={onNotify} />;
+  }
+
+  if (section === "import") {
+    return <CsvImportView onBack={() => setSection("home")} onNotify={onNotify} />;
+  }
+
+  if (section === "calendar") {
+    return (
+      <CalendarView
+        onBack={() => setSection("home")}
+        onStartPlannedWorkout={onStartPlannedWorkout}
+        onOpenWorkout={onOpenWorkout}
+        onNotify={onNotify}
+      />
+    );
+  }
+
+  if (section === "programs") {
+    return (
+      <ProgramsView
+        onBack={() => setSection("home")}
+        onStartPlannedWorkout={onStartPlannedWorkout}
+        onNotify={onNotify}
+      />
+    );
+  }
+
+  if (section === "coachChanges") {
+    return <CoachChangesView onBack={() => setSection("home")} onNotify={onNotify} />;
+  }
+
+  if (section === "coachMemory") {
+    return <CoachMemoryView onBack={() => setSection("home")} onNotify={onNotify} />;
+  }
+
   if (section === "debug") {
     return <SeedDebugPanel onBack={() => setSection("home")} />;
   }
@@ -2923,6 +3662,30 @@ function MoreView({
           </CardBody>
         </Card>
 
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Training calendar</div>
+            <div className="template-meta">
+              Plan sessions by week or month and start them from the calendar.
+            </div>
+            <Button variant="primary" size="sm" onClick={() => setSection("calendar")}>
+              Open calendar
+            </Button>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Programs</div>
+            <div className="template-meta">
+              Run templates as multi-week blocks with progression and deloads.
+            </div>
+            <Button variant="primary" size="sm" onClick={() => setSection("programs")}>
+              Open programs
+            </Button>
+          </CardBody>
+        </Card>
+
         <Card>
           <CardBody className="ui-stack">
             <div className="ui-strong">Settings</div>
@@ -2932,6 +3695,50 @@ function MoreView({
             </Button>
           </CardBody>
         </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Coach changes</div>
+            <div className="template-meta">
+              Review what the coach saved for you and revert any single change.
+            </div>
+            <Button variant="secondary" size="sm" onClick={() => setSection("coachChanges")}>
+              Open coach changes
+            </Button>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Coach memory</div>
+            <div className="template-meta">
+              Edit what the coach remembers and review the updates it suggests.
+            </div>
+            <Button variant="secondary" size="sm" onClick={() => setSection("coachMemory")}>
+              Open coach memory
+            </Button>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Backup &amp; restore</div>
+            <div className="template-meta">Export or import your training data as JSON.</div>
+            <Button variant="secondary" size="sm" onClick={() => setSection("backup")}>
+              Open backup
+            </Button>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Import from other apps</div>
+            <div className="template-meta">Bring in CSV history from Strong, Hevy, or FitNotes.</div>
+            <Button variant="secondary" size="sm" onClick={() => setSection("import")}>
+              Import CSV
+            </Button>
+          </CardBody>
+        </Card>
         {debugPanelEnabled ? (
           <Card>
             <CardBody className="ui-stack">
@@ -2971,6 +3778,7 @@ function SettingsView({
   debugPanelEnabled,
   onToggleDebugPanel,
   onOpenDebugPanel,
+  onOpenMemory,
   onBack,
 }) {
   const { settings } = useSettings();
@@ -3006,6 +3814,7 @@ function SettingsView({
         themeMode={themeMode}
         resolvedTheme={resolvedTheme}
         setThemeMode={setThemeMode}
+        onOpenMemory={onOpenMemory}
       />
       <Card>
         <CardBody className="ui-stack">
@@ -3037,6 +3846,7 @@ function SettingsView({
 }
 
 function SummaryView({ summary, onBackToWorkout, onViewHistory }) {
+  const { weightUnit } = useSettings();
   const details = useLiveQuery(
     () => (summary?.workoutId ? getWorkoutWithDetails(summary.workoutId) : null),
     [summary?.workoutId]
@@ -3081,20 +3891,27 @@ function SummaryView({ summary, onBackToWorkout, onViewHistory }) {
     const lookup = previousSetsMap ?? new Map();
 
     details.items.forEach((item) => {
-      const currentBest = getBestComparableSet(item.sets);
+      const setSchema = getExerciseSetSchema(item.exercise);
+      const currentBest = getBestComparableSet(item.sets, weightUnit, setSchema);
       const previous = lookup.get(item.exerciseId) ?? null;
-      const previousBest = getBestComparableSet(previous?.sets);
-      const status = compareWorkoutSet(currentBest, previousBest) ?? "same";
+      const previousBest = getBestComparableSet(previous?.sets, weightUnit, setSchema);
+      const status =
+        compareWorkoutSet(currentBest, previousBest, weightUnit, setSchema) ?? "same";
       const name = item.exercise?.name ?? "Unknown Exercise";
       const stickyNote = item.exercise?.stickyNote?.trim() ?? "";
+      const bestEffort = formatSetEffort(currentBest);
       let comparisonLine = currentBest
-        ? `Best set ${formatSetValue(currentBest)}`
+        ? `Best set ${formatSetValue(currentBest, weightUnit, setSchema)}${
+            isTimedSetSchema(setSchema) ? "" : ` ${weightUnit}`
+          }${bestEffort ? ` @ ${bestEffort}` : ""}`
         : "No logged sets";
       if (previousBest) {
-        comparisonLine += ` vs ${formatSetValue(previousBest)} last time`;
+        comparisonLine += ` vs ${formatSetValue(previousBest, weightUnit, setSchema)} last time`;
       } else if (currentBest) {
         comparisonLine += " · first time logged";
       }
+      const setTypeCounts = formatSetTypeCounts(item.sets);
+      if (setTypeCounts) comparisonLine += ` · ${setTypeCounts}`;
 
       const payload = {
         id: item.id,
@@ -3114,7 +3931,22 @@ function SummaryView({ summary, onBackToWorkout, onViewHistory }) {
     });
 
     return sections;
-  }, [details, previousSetsMap]);
+  }, [details, previousSetsMap, weightUnit]);
+
+  const newRecords = useMemo(() => {
+    const names = new Map(
+      (details?.items ?? []).map((item) => [item.exerciseId, item.exercise?.name])
+    );
+    return (details?.workout?.personalRecords ?? []).map((entry) => ({
+      key: `${entry.exerciseId}:${entry.kind}:${entry.reps ?? ""}`,
+      name: names.get(entry.exerciseId) ?? "Unknown Exercise",
+      label: formatRecord(entry, weightUnit),
+      previous:
+        entry.previous == null
+          ? "first record"
+          : `was ${formatRecordValue(entry.previous, weightUnit)}`,
+    }));
+  }, [details, weightUnit]);
 
   const recapLine = useMemo(() => {
     if (!summary) return "";
@@ -3191,6 +4023,29 @@ function SummaryView({ summary, onBackToWorkout, onViewHistory }) {
         </CardFooter>
       </Card>
 
+      {newRecords.length ? (
+        <Card>
+          <CardHeader>
+            <div className="ui-section-title">New personal records</div>
+            <div className="pill">{newRecords.length}</div>
+          </CardHeader>
+          <CardBody>
+            <div className="summary-list">
+              {newRecords.map((record) => (
+                <div key={record.key} className="summary-item">
+                  <div className="summary-item__title">
+                    <span className="pr-badge">PR</span> {record.name}
+                  </div>
+                  <div className="summary-item__meta">
+                    {record.label} · {record.previous}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardBody>
+        </Card>
+      ) : null}
+
       <Card>
         <CardHeader>
           <div className="ui-section-title">Exercise check-in</div>
@@ -3362,6 +4217,17 @@ export default function App() {
     setTab("more");
   }, []);
 
+  useEffect(() => {
+    registerServiceWorker({
+      onUpdate: (applyUpdate) =>
+        notify("A new version of IronAI is ready.", {
+          duration: 0,
+          actionLabel: "Reload",
+          onAction: applyUpdate,
+        }),
+    });
+  }, [notify]);
+
   useEffect(() => {
     const timers = toastTimersRef.current;
     return () => {
@@ -3472,6 +4338,19 @@ export default function App() {
     setTab("workout");
   };
 
+  const handleStartPlannedWorkout = async (plannedId) => {
+    const id = await startWorkoutFromPlannedWorkout(plannedId);
+    setWorkoutId(id);
+    setTab("workout");
+  };
+
+  const handleOpenWorkout = (id) => {
+    const nextId = Number.parseInt(id, 10);
+    if (!Number.isFinite(nextId) || nextId <= 0) return;
+    setWorkoutId(nextId);
+    setTab("workout");
+  };
+
   const handleOpenTemplate = (id) => {
     setActiveTemplateId(id);
     setTab("templates");
@@ -3568,12 +4447,7 @@ export default function App() {
             onNotify={notify}
             onOpenTemplate={handleOpenTemplate}
             activeWorkoutId={workoutId}
-            onOpenWorkout={(id) => {
-              const nextId = Number.parseInt(id, 10);
-              if (!Number.isFinite(nextId) || nextId <= 0) return;
-              setWorkoutId(nextId);
-              setTab("workout");
-            }}
+            onOpenWorkout={handleOpenWorkout}
             onOpenSettings={() => {
               setPendingMoreNavigation({ section: "settings" });
               setTab("more");
@@ -3622,6 +4496,8 @@ export default function App() {
               setTab("coach");
             }}
             onAddExerciseToWorkout={handleAddExerciseFromLibrary}
+            onStartPlannedWorkout={handleStartPlannedWorkout}
+            onOpenWorkout={handleOpenWorkout}
             exerciseSeedState={exerciseSeedState}
             onReseedExercises={handleReseedExercises}
             onNotify={notify}
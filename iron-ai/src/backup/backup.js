@@ -0,0 +1,530 @@
+import {
+  MIGRATION_META_KEYS,
+  applyExerciseEquipmentDefaults,
+  applyExerciseLibraryDefaults,
+  applyExerciseMetadataDefaults,
+  applyTemplateTimestampDefaults,
+  applyWorkoutSetUnitDefaults,
+  db,
+  rebuildPersonalRecords,
+  toWorkoutSessionRecord,
+  withExerciseStableId,
+} from "../db";
+
+export const BACKUP_FORMAT = "iron-ai-backup";
+export const BACKUP_FORMAT_VERSION = 1;
+export const BACKUP_MODES = ["merge", "replace"];
+
+export const BACKUP_META_KEYS = {
+  lastExportAt: "backup.lastExportAt",
+  lastImportAt: "backup.lastImportAt",
+};
+
+const COACH_ACTIVE_GYM_KEY = "coach.activeGymId.v1";
+
+// Tables written into a backup. `logs` holds coach telemetry only and is left out, as are
+// the `coachWrites` journal and the `coachMemoryChanges` history, which only describe this
+// device.
+export const BACKUP_TABLES = [
+  "exercises",
+  "equipment",
+  "workoutSpaces",
+  "templates",
+  "templateItems",
+  "workoutSessions",
+  "workouts",
+  "workoutItems",
+  "workoutSets",
+  "plannedWorkouts",
+  "programs",
+  "trainingMaxes",
+  "coachThreads",
+  "settings",
+  "meta",
+];
+
+// Tables cleared by a replace import. Equipment is a static catalog and is only
+// topped up; settings are overwritten in place so local API keys survive.
+const REPLACED_TABLES = [
+  "exercises",
+  "workoutSpaces",
+  "templates",
+  "templateItems",
+  "workoutSessions",
+  "workouts",
+  "workoutItems",
+  "workoutSets",
+  "plannedWorkouts",
+  "programs",
+  "trainingMaxes",
+  "coachThreads",
+  "meta",
+];
+
+// Cleared by a replace import but never exported: journal keys no longer match anything,
+// and memory change history describes the replaced memory rather than the imported one.
+const LOCAL_ONLY_TABLES = ["coachWrites", "coachMemoryChanges"];
+
+// Secrets never leave the device.
+const EXCLUDED_SETTINGS_FIELDS = [
+  "api_key",
+  "openai_api_key",
+  "openai_api_key_status",
+  "coach_access_token",
+];
+
+const SKIPPED_META_KEYS = new Set([
+  MIGRATION_META_KEYS.version,
+  MIGRATION_META_KEYS.lastMigrationAt,
+  BACKUP_META_KEYS.lastExportAt,
+  BACKUP_META_KEYS.lastImportAt,
+]);
+
+function stripSettingsSecrets(record) {
+  const next = { ...record };
+  EXCLUDED_SETTINGS_FIELDS.forEach((field) => {
+    delete next[field];
+  });
+  return next;
+}
+
+function withoutId(record) {
+  const next = { ...record };
+  delete next.id;
+  return next;
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+export async function exportBackup() {
+  const tables = {};
+  for (const name of BACKUP_TABLES) {
+    tables[name] = await db.table(name).toArray();
+  }
+  tables.settings = tables.settings.map(stripSettingsSecrets);
+  const metaByKey = new Map(tables.meta.map((entry) => [entry.key, entry.value]));
+  const exportedAt = new Date().toISOString();
+
+  await db.table("meta").put({ key: BACKUP_META_KEYS.lastExportAt, value: Date.now() });
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt,
+    schemaVersion: db.verno,
+    migration: {
+      version: metaByKey.get(MIGRATION_META_KEYS.version) ?? null,
+      lastMigrationAt: metaByKey.get(MIGRATION_META_KEYS.lastMigrationAt) ?? null,
+    },
+    tables,
+  };
+}
+
+export function serializeBackup(backup) {
+  return JSON.stringify(backup, null, 2);
+}
+
+export function getBackupFileName(date = new Date()) {
+  const timestamp = date.toISOString().replace(/[:.]/g, "-");
+  return `iron-ai-backup-${timestamp}.json`;
+}
+
+export function parseBackup(input) {
+  let payload = input;
+  if (typeof input === "string") {
+    try {
+      payload = JSON.parse(input);
+    } catch {
+      throw new Error("Backup file is not valid JSON.");
+    }
+  }
+  if (!payload || typeof payload !== "object") {
+    throw new Error("Backup file is empty.");
+  }
+  if (payload.format !== BACKUP_FORMAT) {
+    throw new Error("This file is not an Iron AI backup.");
+  }
+  const formatVersion = Number(payload.formatVersion);
+  if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+    throw new Error("Backup format version is missing.");
+  }
+  if (formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error("This backup was made by a newer version of Iron AI.");
+  }
+  const schemaVersion = Number(payload.schemaVersion);
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error("Backup schema version is missing.");
+  }
+  if (schemaVersion > db.verno) {
+    throw new Error(
+      `Backup schema v${schemaVersion} is newer than this app (v${db.verno}). Update the app first.`
+    );
+  }
+  if (!payload.tables || typeof payload.tables !== "object") {
+    throw new Error("Backup file has no tables.");
+  }
+  const tables = {};
+  BACKUP_TABLES.forEach((name) => {
+    tables[name] = toArray(payload.tables[name]).filter(
+      (record) => record && typeof record === "object"
+    );
+  });
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion,
+    exportedAt: payload.exportedAt ?? null,
+    schemaVersion,
+    migration: payload.migration ?? null,
+    tables,
+  };
+}
+
+export function summarizeBackup(backup) {
+  const tables = backup?.tables ?? {};
+  const sessions = toArray(tables.workoutSessions).length
+    ? toArray(tables.workoutSessions)
+    : toArray(tables.workouts);
+  return {
+    schemaVersion: backup?.schemaVersion ?? null,
+    exportedAt: backup?.exportedAt ?? null,
+    workouts: sessions.length,
+    sets: toArray(tables.workoutSets).length,
+    templates: toArray(tables.templates).length,
+    exercises: toArray(tables.exercises).length,
+    workoutSpaces: toArray(tables.workoutSpaces).length,
+  };
+}
+
+/**
+ * Brings records from an older schema up to the current one using the same
+ * normalizers the Dexie upgrades run. Every step is idempotent.
+ */
+export async function normalizeBackupTables(tables, { now = Date.now() } = {}) {
+  const templates = toArray(tables.templates).map((template) =>
+    applyTemplateTimestampDefaults({ ...template }, now)
+  );
+
+  // Pre-v4 backups only carry the legacy `workouts` table.
+  const sessionIds = new Set(toArray(tables.workoutSessions).map((session) => session.id));
+  const legacySessions = toArray(tables.workouts)
+    .filter((workout) => !sessionIds.has(workout.id))
+    .map((workout) => ({ ...workout, ...toWorkoutSessionRecord(workout) }));
+  const workoutSessions = [...toArray(tables.workoutSessions), ...legacySessions];
+
+  const exercises = await Promise.all(
+    toArray(tables.exercises).map((exercise) => {
+      const next = { ...exercise };
+      applyExerciseEquipmentDefaults(next);
+      applyExerciseMetadataDefaults(next);
+      applyExerciseLibraryDefaults(next, now);
+      return withExerciseStableId(next);
+    })
+  );
+
+  // Pre-v10 backups have no set units; use the backup's own preference like the upgrade does.
+  const backupSettings = toArray(tables.settings).find((record) => record.id === 1);
+  const workoutSets = toArray(tables.workoutSets).map((set) =>
+    applyWorkoutSetUnitDefaults({ ...set }, backupSettings?.weight_unit)
+  );
+
+  return { ...tables, templates, workoutSessions, exercises, workoutSets };
+}
+
+function remapExerciseNotes(notes, exerciseIdMap) {
+  if (!notes || typeof notes !== "object") return {};
+  const next = {};
+  Object.entries(notes).forEach(([key, value]) => {
+    const mapped = exerciseIdMap.get(Number(key)) ?? exerciseIdMap.get(key);
+    if (mapped != null) next[mapped] = value;
+  });
+  return next;
+}
+
+function remapPlannedExercises(exercises, exerciseIdMap) {
+  if (!Array.isArray(exercises)) return exercises ?? null;
+  return exercises.map((entry) => {
+    if (!entry || typeof entry !== "object" || entry.exerciseId == null) return entry;
+    return { ...entry, exerciseId: exerciseIdMap.get(entry.exerciseId) ?? null };
+  });
+}
+
+function createImportCounts() {
+  return {
+    exercises: { added: 0, linked: 0 },
+    workoutSpaces: { added: 0, linked: 0 },
+    templates: { added: 0, skipped: 0 },
+    templateItems: { added: 0, skipped: 0 },
+    workoutSessions: { added: 0, skipped: 0 },
+    workoutItems: { added: 0, skipped: 0 },
+    workoutSets: { added: 0, skipped: 0 },
+    plannedWorkouts: { added: 0, skipped: 0 },
+    programs: { added: 0, skipped: 0 },
+    trainingMaxes: { added: 0, skipped: 0 },
+    coachThreads: { added: 0, skipped: 0 },
+  };
+}
+
+/**
+ * Imports a parsed backup.
+ * - merge: keeps local data, links exercises by stableId and skips sessions,
+ *   templates and spaces that already exist locally.
+ * - replace: clears local training data first, then restores the backup.
+ * Auto-increment ids are always reassigned and every reference is remapped.
+ */
+export async function importBackup(input, options = {}) {
+  const mode = options.mode ?? "merge";
+  if (!BACKUP_MODES.includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}".`);
+  }
+  const backup = parseBackup(input);
+  const now = Date.now();
+  const tables = await normalizeBackupTables(backup.tables, { now });
+  const counts = createImportCounts();
+
+  const importTables = [...BACKUP_TABLES, ...LOCAL_ONLY_TABLES];
+  await db.transaction("rw", importTables.map((name) => db.table(name)), async () => {
+    if (mode === "replace") {
+      for (const name of [...REPLACED_TABLES, ...LOCAL_ONLY_TABLES]) {
+        await db.table(name).clear();
+      }
+    }
+
+    // Equipment ids are stable strings; only add what is missing locally.
+    const equipmentIds = new Set(await db.table("equipment").toCollection().primaryKeys());
+    const missingEquipment = tables.equipment.filter((item) => !equipmentIds.has(item.id));
+    if (missingEquipment.length) {
+      await db.table("equipment").bulkPut(missingEquipment);
+    }
+
+    const exerciseIdMap = new Map();
+    for (const exercise of tables.exercises) {
+      const existing = await db.table("exercises").where("stableId").equals(exercise.stableId).first();
+      if (existing) {
+        exerciseIdMap.set(exercise.id, existing.id);
+        counts.exercises.linked += 1;
+        continue;
+      }
+      const newId = await db.table("exercises").add(withoutId(exercise));
+      exerciseIdMap.set(exercise.id, newId);
+      counts.exercises.added += 1;
+    }
+
+    const spaceIdMap = new Map();
+    const localSpaces = await db.table("workoutSpaces").toArray();
+    const hasLocalDefault = localSpaces.some((space) => space.isDefault);
+    for (const space of tables.workoutSpaces) {
+      const existing = localSpaces.find(
+        (local) => String(local.name ?? "").trim() === String(space.name ?? "").trim()
+      );
+      if (existing) {
+        spaceIdMap.set(space.id, existing.id);
+        counts.workoutSpaces.linked += 1;
+        continue;
+      }
+      const newId = await db.table("workoutSpaces").add({
+        ...withoutId(space),
+        isDefault: hasLocalDefault ? false : Boolean(space.isDefault),
+      });
+      spaceIdMap.set(space.id, newId);
+      counts.workoutSpaces.added += 1;
+    }
+    const mapSpaceId = (value) => (value == null ? null : spaceIdMap.get(value) ?? null);
+
+    const templateIdMap = new Map();
+    const addedTemplateIds = new Set();
+    const localTemplates = await db.table("templates").toArray();
+    for (const template of tables.templates) {
+      const duplicate = localTemplates.find(
+        (local) => local.name === template.name && local.createdAt === template.createdAt
+      );
+      if (duplicate) {
+        templateIdMap.set(template.id, duplicate.id);
+        counts.templates.skipped += 1;
+        continue;
+      }
+      const record = withoutId(template);
+      if ("spaceId" in record) record.spaceId = mapSpaceId(record.spaceId);
+      const newId = await db.table("templates").add(record);
+      addedTemplateIds.add(newId);
+      templateIdMap.set(template.id, newId);
+      counts.templates.added += 1;
+    }
+    const mapTemplateId = (value) => (value == null ? null : templateIdMap.get(value) ?? null);
+
+    for (const item of tables.templateItems) {
+      const templateId = templateIdMap.get(item.templateId);
+      const exerciseId = exerciseIdMap.get(item.exerciseId);
+      if (!addedTemplateIds.has(templateId) || exerciseId == null) {
+        counts.templateItems.skipped += 1;
+        continue;
+      }
+      await db.table("templateItems").add({ ...withoutId(item), templateId, exerciseId });
+      counts.templateItems.added += 1;
+    }
+
+    const sessionIdMap = new Map();
+    const localStartedAt = new Set(
+      (await db.table("workoutSessions").toArray()).map((session) => session.startedAt)
+    );
+    for (const session of tables.workoutSessions) {
+      if (session.startedAt != null && localStartedAt.has(session.startedAt)) {
+        counts.workoutSessions.skipped += 1;
+        continue;
+      }
+      const record = {
+        ...withoutId(session),
+        templateId: mapTemplateId(session.templateId),
+        spaceId: mapSpaceId(session.spaceId),
+        exerciseNotes: remapExerciseNotes(session.exerciseNotes, exerciseIdMap),
+      };
+      const newId = await db.table("workoutSessions").add(record);
+      await db.table("workouts").put({ ...record, id: newId });
+      sessionIdMap.set(session.id, newId);
+      counts.workoutSessions.added += 1;
+    }
+
+    const workoutItemIdMap = new Map();
+    for (const item of tables.workoutItems) {
+      const workoutId = sessionIdMap.get(item.workoutId);
+      const exerciseId = exerciseIdMap.get(item.exerciseId);
+      if (workoutId == null || exerciseId == null) {
+        counts.workoutItems.skipped += 1;
+        continue;
+      }
+      const newId = await db.table("workoutItems").add({ ...withoutId(item), workoutId, exerciseId });
+      workoutItemIdMap.set(item.id, newId);
+      counts.workoutItems.added += 1;
+    }
+
+    for (const set of tables.workoutSets) {
+      const workoutItemId = workoutItemIdMap.get(set.workoutItemId);
+      if (workoutItemId == null) {
+        counts.workoutSets.skipped += 1;
+        continue;
+      }
+      await db.table("workoutSets").add({ ...withoutId(set), workoutItemId });
+      counts.workoutSets.added += 1;
+    }
+
+    const programIdMap = new Map();
+    const localPrograms = await db.table("programs").toArray();
+    const hasLocalActiveProgram = localPrograms.some((program) => program.isActive);
+    for (const program of tables.programs) {
+      const duplicate = localPrograms.find(
+        (local) => local.name === program.name && local.createdAt === program.createdAt
+      );
+      if (duplicate) {
+        programIdMap.set(program.id, duplicate.id);
+        counts.programs.skipped += 1;
+        continue;
+      }
+      const newId = await db.table("programs").add({
+        ...withoutId(program),
+        isActive: hasLocalActiveProgram ? false : Boolean(program.isActive),
+        days: toArray(program.days).map((day) => ({
+          ...day,
+          templateId: mapTemplateId(day?.templateId),
+        })),
+      });
+      programIdMap.set(program.id, newId);
+      counts.programs.added += 1;
+    }
+
+    const localPlanned = await db.table("plannedWorkouts").toArray();
+    for (const planned of tables.plannedWorkouts) {
+      const duplicate = localPlanned.some(
+        (local) => local.date === planned.date && local.createdAt === planned.createdAt
+      );
+      if (duplicate) {
+        counts.plannedWorkouts.skipped += 1;
+        continue;
+      }
+      await db.table("plannedWorkouts").add({
+        ...withoutId(planned),
+        templateId: mapTemplateId(planned.templateId),
+        exercises: remapPlannedExercises(planned.exercises, exerciseIdMap),
+        workoutId: sessionIdMap.get(planned.workoutId) ?? null,
+        programId: programIdMap.get(planned.programId) ?? null,
+      });
+      counts.plannedWorkouts.added += 1;
+    }
+
+    // Set ids are not remapped, so imported training maxes only keep their workout.
+    const localTrainingMaxes = new Set(
+      (await db.table("trainingMaxes").toArray()).map(
+        (entry) => `${entry.exerciseId}:${entry.createdAt}`
+      )
+    );
+    for (const entry of tables.trainingMaxes) {
+      const exerciseId = exerciseIdMap.get(entry.exerciseId);
+      if (exerciseId == null || localTrainingMaxes.has(`${exerciseId}:${entry.createdAt}`)) {
+        counts.trainingMaxes.skipped += 1;
+        continue;
+      }
+      await db.table("trainingMaxes").add({
+        ...withoutId(entry),
+        exerciseId,
+        workoutId: sessionIdMap.get(entry.workoutId) ?? null,
+        setId: null,
+      });
+      counts.trainingMaxes.added += 1;
+    }
+
+    // Drafts point at local ids that may not survive the import, so they are dropped.
+    const localThreads = await db.table("coachThreads").toArray();
+    for (const thread of tables.coachThreads) {
+      const duplicate = localThreads.some((local) => local.createdAt === thread.createdAt);
+      if (duplicate) {
+        counts.coachThreads.skipped += 1;
+        continue;
+      }
+      await db.table("coachThreads").add({ ...withoutId(thread), actionDraft: null });
+      counts.coachThreads.added += 1;
+    }
+
+    const localSettings = await db.table("settings").get(1);
+    const importedSettings = tables.settings.find((record) => record.id === 1);
+    if (importedSettings) {
+      const restored = stripSettingsSecrets(importedSettings);
+      if ("active_space_id" in restored) {
+        restored.active_space_id = mapSpaceId(restored.active_space_id);
+      }
+      // Merge keeps local values; replace lets the backup win. Keys are kept either way.
+      const secrets = {};
+      EXCLUDED_SETTINGS_FIELDS.forEach((field) => {
+        if (localSettings && field in localSettings) secrets[field] = localSettings[field];
+      });
+      const next =
+        mode === "replace"
+          ? { ...restored, ...secrets, id: 1 }
+          : { ...restored, ...(localSettings ?? {}), id: 1 };
+      await db.table("settings").put(next);
+    } else if (mode === "replace" && localSettings?.active_space_id != null) {
+      await db.table("settings").put({ ...localSettings, active_space_id: null });
+    }
+
+    for (const entry of tables.meta) {
+      if (!entry.key || SKIPPED_META_KEYS.has(entry.key)) continue;
+      if (mode === "merge" && (await db.table("meta").get(entry.key))) continue;
+      const value =
+        entry.key === COACH_ACTIVE_GYM_KEY ? mapSpaceId(entry.value) : entry.value;
+      await db.table("meta").put({ ...entry, value });
+    }
+
+    await db.table("meta").bulkPut([
+      { key: MIGRATION_META_KEYS.version, value: db.verno },
+      { key: MIGRATION_META_KEYS.lastMigrationAt, value: now },
+      { key: BACKUP_META_KEYS.lastImportAt, value: now },
+    ]);
+  });
+  // Records are derived from history and are not part of the backup.
+  await rebuildPersonalRecords();
+
+  return {
+    mode,
+    schemaVersion: backup.schemaVersion,
+    counts,
+  };
+}
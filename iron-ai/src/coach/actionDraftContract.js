@@ -6,6 +6,16 @@ export const ActionDraftKinds = {
   create_workout: "create_workout",
   create_template: "create_template",
   create_gym: "create_gym",
+  edit_workout: "edit_workout",
+};
+
+/** Changes an `edit_workout` draft can make to the workout in progress, applied in order. */
+export const WorkoutEditOps = {
+  add_exercise: "add_exercise",
+  remove_exercise: "remove_exercise",
+  replace_exercise: "replace_exercise",
+  reorder_exercises: "reorder_exercises",
+  set_targets: "set_targets",
 };
 
 export const ActionDraftRisks = {
@@ -63,6 +73,53 @@ const ActionDraftNeedsReviewSchema = z
   })
   .passthrough();
 
+const PositiveCount = z
+  .union([z.number(), z.string()])
+  .refine((value) => Number.isInteger(Number(value)) && Number(value) > 0, {
+    message: "Value must be a positive whole number.",
+  });
+
+const WorkoutEditChangeSchema = z.discriminatedUnion("op", [
+  z
+    .object({
+      op: z.literal(WorkoutEditOps.add_exercise),
+      exerciseId: NumericId,
+      targetSets: PositiveCount.optional(),
+      targetReps: PositiveCount.optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      op: z.literal(WorkoutEditOps.remove_exercise),
+      workoutItemId: NumericId,
+    })
+    .passthrough(),
+  z
+    .object({
+      op: z.literal(WorkoutEditOps.replace_exercise),
+      workoutItemId: NumericId,
+      exerciseId: NumericId,
+    })
+    .passthrough(),
+  z
+    .object({
+      op: z.literal(WorkoutEditOps.reorder_exercises),
+      workoutItemIds: z.array(NumericId).min(1),
+    })
+    .passthrough(),
+  z
+    .object({
+      op: z.literal(WorkoutEditOps.set_targets),
+      workoutItemId: NumericId,
+      targetSets: PositiveCount.optional(),
+      targetReps: PositiveCount.optional(),
+    })
+    .refine((value) => value.targetSets != null || value.targetReps != null, {
+      message: "set_targets needs targetSets or targetReps.",
+    })
+    .passthrough(),
+]);
+
 const ActionDraftPayloadSchemas = {
   create_workout: z
     .object({
@@ -112,6 +169,12 @@ const ActionDraftPayloadSchemas = {
       message: "Gym draft requires a name or title.",
     })
     .passthrough(),
+  edit_workout: z
+    .object({
+      workoutId: NumericId,
+      changes: z.array(WorkoutEditChangeSchema).min(1),
+    })
+    .passthrough(),
 };
 
 const BaseActionDraftSchema = z
@@ -136,6 +199,10 @@ export const ActionDraftSchema = z.union([
     kind: z.literal(ActionDraftKinds.create_gym),
     payload: ActionDraftPayloadSchemas.create_gym,
   }).passthrough(),
+  BaseActionDraftSchema.extend({
+    kind: z.literal(ActionDraftKinds.edit_workout),
+    payload: ActionDraftPayloadSchemas.edit_workout,
+  }).passthrough(),
 ]);
 
 export const ActionDraftContractSchema = z
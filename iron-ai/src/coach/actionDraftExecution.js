@@ -1,13 +1,25 @@
-import { ActionDraftKinds, ActionDraftSchema } from "./actionDraftContract";
+import { ActionDraftKinds, ActionDraftSchema, WorkoutEditOps } from "./actionDraftContract";
 import {
+  addExerciseToWorkout,
+  addWorkoutSet,
   createWorkoutSpace,
   db,
   getAllExercises,
+  getDefaultWeightUnit,
   getWorkoutSpaceById,
+  getWorkoutWithDetails,
   listEquipment,
   listTemplates,
   listWorkoutSpaces,
+  removeWorkoutItem,
+  removeWorkoutSet,
+  reorderWorkoutItems,
+  replaceWorkoutExercise,
+  updateWorkoutItem,
+  updateWorkoutSet,
 } from "../db";
+import { getSetType } from "../workouts/setTypes";
+import { journalCoachWrite } from "./writeJournal";
 
 function parseNumber(value) {
   const parsed = Number(value);
@@ -115,6 +127,204 @@ async function resolveRestDefaults() {
   };
 }
 
+function normalizeWorkoutEditChange(change) {
+  const count = (value) => (value == null ? null : parseId(value));
+  switch (change.op) {
+    case WorkoutEditOps.add_exercise:
+      return {
+        op: change.op,
+        exerciseId: parseId(change.exerciseId),
+        targetSets: count(change.targetSets),
+        targetReps: count(change.targetReps),
+      };
+    case WorkoutEditOps.remove_exercise:
+      return { op: change.op, workoutItemId: parseId(change.workoutItemId) };
+    case WorkoutEditOps.replace_exercise:
+      return {
+        op: change.op,
+        workoutItemId: parseId(change.workoutItemId),
+        exerciseId: parseId(change.exerciseId),
+      };
+    case WorkoutEditOps.reorder_exercises:
+      return { op: change.op, workoutItemIds: change.workoutItemIds.map((id) => parseId(id)) };
+    case WorkoutEditOps.set_targets:
+      return {
+        op: change.op,
+        workoutItemId: parseId(change.workoutItemId),
+        targetSets: count(change.targetSets),
+        targetReps: count(change.targetReps),
+      };
+    default:
+      return change;
+  }
+}
+
+function formatTargets(targetSets, targetReps) {
+  if (targetSets != null && targetReps != null) return `${targetSets} × ${targetReps}`;
+  if (targetSets != null) return `${targetSets} sets`;
+  if (targetReps != null) return `${targetReps} reps`;
+  return "no target";
+}
+
+function formatSetCount(count) {
+  return `${count} logged ${count === 1 ? "set" : "sets"}`;
+}
+
+// A set counts as logged once it has a weight, time or distance or is ticked off; those
+// are never dropped when targets shrink.
+function isLoggedSet(set) {
+  return (
+    Boolean(set?.isComplete) ||
+    String(set?.weight ?? "").trim() !== "" ||
+    set?.durationSec != null ||
+    String(set?.distance ?? "").trim() !== ""
+  );
+}
+
+/**
+ * Dry-runs normalized `edit_workout` changes against `getWorkoutWithDetails` output.
+ * Returns the resulting exercise order, one preview line per change for the confirmation
+ * card, and the errors/warnings validation reports.
+ */
+export function planWorkoutEdit(details, changes, exerciseMap) {
+  const nameOf = (exerciseId) =>
+    exerciseMap.get(exerciseId)?.name ?? `Exercise ${exerciseId}`;
+  const rows = (details?.items ?? []).map((item) => ({
+    workoutItemId: item.id,
+    exerciseId: item.exerciseId,
+    targetSets: item.targetSets ?? null,
+    targetReps: item.targetReps ?? null,
+    loggedSets: (item.sets ?? []).filter(isLoggedSet).length,
+  }));
+  const preview = [];
+  const errors = [];
+  const warnings = [];
+
+  const findRow = (workoutItemId, index) => {
+    const row = rows.find((entry) => entry.workoutItemId === workoutItemId);
+    if (!row) {
+      errors.push(`changes[${index}]: workout item ${workoutItemId} is not in this workout.`);
+    }
+    return row ?? null;
+  };
+  const canAddExercise = (exerciseId, index) => {
+    if (!exerciseMap.has(exerciseId)) {
+      errors.push(`changes[${index}]: unknown exercise ID ${exerciseId}.`);
+      return false;
+    }
+    if (rows.some((entry) => entry.exerciseId === exerciseId)) {
+      errors.push(`${nameOf(exerciseId)} is already in this workout.`);
+      return false;
+    }
+    return true;
+  };
+
+  (changes ?? []).forEach((change, index) => {
+    if (change.op === WorkoutEditOps.add_exercise) {
+      if (!canAddExercise(change.exerciseId, index)) return;
+      const exercise = exerciseMap.get(change.exerciseId);
+      const row = {
+        workoutItemId: null,
+        exerciseId: change.exerciseId,
+        targetSets: change.targetSets ?? exercise?.default_sets ?? 3,
+        targetReps: change.targetReps ?? exercise?.default_reps ?? null,
+        loggedSets: 0,
+      };
+      rows.push(row);
+      preview.push({
+        op: change.op,
+        text: `Add ${nameOf(row.exerciseId)} · ${formatTargets(row.targetSets, row.targetReps)}`,
+      });
+      return;
+    }
+
+    if (change.op === WorkoutEditOps.remove_exercise) {
+      const row = findRow(change.workoutItemId, index);
+      if (!row) return;
+      rows.splice(rows.indexOf(row), 1);
+      if (row.loggedSets) {
+        warnings.push(
+          `Removing ${nameOf(row.exerciseId)} deletes ${formatSetCount(row.loggedSets)}.`
+        );
+      }
+      preview.push({ op: change.op, text: `Remove ${nameOf(row.exerciseId)}` });
+      return;
+    }
+
+    if (change.op === WorkoutEditOps.replace_exercise) {
+      const row = findRow(change.workoutItemId, index);
+      if (!row || !canAddExercise(change.exerciseId, index)) return;
+      if (row.loggedSets) {
+        warnings.push(
+          `Replacing ${nameOf(row.exerciseId)} clears ${formatSetCount(row.loggedSets)}.`
+        );
+      }
+      preview.push({
+        op: change.op,
+        text: `Replace ${nameOf(row.exerciseId)} with ${nameOf(change.exerciseId)}`,
+      });
+      const exercise = exerciseMap.get(change.exerciseId);
+      Object.assign(row, {
+        exerciseId: change.exerciseId,
+        targetSets: exercise?.default_sets ?? row.targetSets,
+        targetReps: exercise?.default_reps ?? null,
+        loggedSets: 0,
+      });
+      return;
+    }
+
+    if (change.op === WorkoutEditOps.reorder_exercises) {
+      const listed = [];
+      change.workoutItemIds.forEach((workoutItemId) => {
+        const row = findRow(workoutItemId, index);
+        if (row && !listed.includes(row)) listed.push(row);
+      });
+      // Items the change leaves out keep their relative order after the listed ones.
+      const rest = rows.filter((row) => !listed.includes(row));
+      rows.splice(0, rows.length, ...listed, ...rest);
+      preview.push({
+        op: change.op,
+        text: `Reorder: ${rows.map((row) => nameOf(row.exerciseId)).join(" → ")}`,
+      });
+      return;
+    }
+
+    if (change.op === WorkoutEditOps.set_targets) {
+      const row = findRow(change.workoutItemId, index);
+      if (!row) return;
+      const before = formatTargets(row.targetSets, row.targetReps);
+      row.targetSets = change.targetSets ?? row.targetSets;
+      row.targetReps = change.targetReps ?? row.targetReps;
+      if (row.targetSets != null && row.loggedSets > row.targetSets) {
+        warnings.push(
+          `${nameOf(row.exerciseId)} already has ${formatSetCount(row.loggedSets)}; ` +
+            "logged sets are kept."
+        );
+      }
+      preview.push({
+        op: change.op,
+        text: `${nameOf(row.exerciseId)}: ${before} → ${formatTargets(
+          row.targetSets,
+          row.targetReps
+        )}`,
+      });
+    }
+  });
+
+  return {
+    exercises: rows.map(({ workoutItemId, exerciseId, targetSets, targetReps }) => ({
+      workoutItemId,
+      exerciseId,
+      name: nameOf(exerciseId),
+      targetSets,
+      targetReps,
+    })),
+    preview,
+    errors,
+    warnings,
+  };
+}
+
 function formatZodIssues(error) {
   if (!error?.issues?.length) return ["Invalid action draft."];
   const formatted = [];
@@ -154,6 +364,7 @@ export async function validateActionDraft(draft, options = {}) {
   const normalizedDraft = { ...parsed.data, payload: { ...(parsed.data.payload ?? {}) } };
   const errors = [];
   const warnings = [];
+  let preview = null;
   const defaultGymId = options.defaultGymId ?? null;
 
   if (
@@ -241,10 +452,35 @@ export async function validateActionDraft(draft, options = {}) {
     }
   }
 
+  if (parsed.data.kind === ActionDraftKinds.edit_workout) {
+    const workoutId = parseId(parsed.data.payload.workoutId);
+    const changes = parsed.data.payload.changes.map((change) =>
+      normalizeWorkoutEditChange(change)
+    );
+    normalizedDraft.payload = { workoutId, changes };
+    const details = await getWorkoutWithDetails(workoutId);
+    if (!details) {
+      errors.push("That workout no longer exists.");
+    } else if (details.workout.finishedAt) {
+      errors.push("That workout is already finished.");
+    } else {
+      const exercises = await getAllExercises();
+      const plan = planWorkoutEdit(
+        details,
+        changes,
+        new Map(exercises.map((exercise) => [exercise.id, exercise]))
+      );
+      errors.push(...plan.errors);
+      warnings.push(...plan.warnings);
+      preview = plan.preview;
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
     warnings,
+    ...(preview ? { preview } : {}),
     normalizedDraft: errors.length === 0 ? normalizedDraft : null,
   };
 }
@@ -255,6 +491,7 @@ export async function createWorkoutFromDraft(draft) {
   const { restDefaultSeconds } = await resolveRestDefaults();
   const exerciseList = await getAllExercises();
   const exerciseMap = new Map(exerciseList.map((exercise) => [exercise.id, exercise]));
+  const unit = await getDefaultWeightUnit();
   const nowIso = new Date().toISOString();
   const sessionNote = trimText(payload.name) ?? "";
   const spaceId = payload.gymId ?? null;
@@ -317,7 +554,9 @@ export async function createWorkoutFromDraft(draft) {
               setNumber: s + 1,
               weight: set.weight != null ? String(set.weight) : "",
               reps: set.reps != null ? String(set.reps) : "",
+              durationSec: set.duration ?? null,
               isWarmup: false,
+              unit,
             });
           }
         } else {
@@ -328,6 +567,7 @@ export async function createWorkoutFromDraft(draft) {
               weight: "",
               reps: targetReps == null ? "" : String(targetReps),
               isWarmup: false,
+              unit,
             });
           }
         }
@@ -388,8 +628,125 @@ export async function createGymFromDraft(draft) {
   return createWorkoutSpace({ name, equipmentIds });
 }
 
-export async function executeActionDraft(draft) {
-  if (!draft) throw new Error("No action draft provided.");
+async function captureWorkoutItems(workoutId) {
+  const items = await db.table("workoutItems").where({ workoutId }).toArray();
+  const sets = items.length
+    ? await db
+        .table("workoutSets")
+        .where("workoutItemId")
+        .anyOf(items.map((item) => item.id))
+        .toArray()
+    : [];
+  const byId = (a, b) => a.id - b.id;
+  return { items: items.sort(byId), sets: sets.sort(byId) };
+}
+
+async function restoreWorkoutItems(workoutId, snapshot) {
+  await db.transaction("rw", db.table("workoutItems"), db.table("workoutSets"), async () => {
+    const current = await captureWorkoutItems(workoutId);
+    await db.table("workoutSets").bulkDelete(current.sets.map((set) => set.id));
+    await db.table("workoutItems").bulkDelete(current.items.map((item) => item.id));
+    await db.table("workoutItems").bulkAdd(snapshot.items);
+    await db.table("workoutSets").bulkAdd(snapshot.sets);
+  });
+}
+
+async function applyItemTargets(workoutItemId, { targetSets, targetReps }) {
+  const item = await db.table("workoutItems").get(workoutItemId);
+  if (!item) throw new Error("Workout item not found.");
+  await updateWorkoutItem(workoutItemId, {
+    ...(targetSets != null ? { targetSets } : {}),
+    ...(targetReps != null ? { targetReps } : {}),
+  });
+  const reps = targetReps ?? item.targetReps;
+  const sets = await db.table("workoutSets").where({ workoutItemId }).toArray();
+  sets.sort((a, b) => (a.setNumber ?? 0) - (b.setNumber ?? 0));
+  const working = sets.filter((set) => getSetType(set) !== "warmup");
+  const open = working.filter((set) => !isLoggedSet(set));
+  if (targetReps != null) {
+    for (const set of open) await updateWorkoutSet(set.id, { reps: String(targetReps) });
+  }
+  if (targetSets == null) return;
+  for (let count = working.length; count < targetSets; count += 1) {
+    await addWorkoutSet(workoutItemId, { reps: reps == null ? "" : String(reps) });
+  }
+  let extra = working.length - targetSets;
+  for (const set of [...open].reverse()) {
+    if (extra <= 0) break;
+    await removeWorkoutSet(workoutItemId, set.id);
+    extra -= 1;
+  }
+}
+
+async function applyWorkoutEditChange(workoutId, change) {
+  if (change.op === WorkoutEditOps.add_exercise) {
+    const workoutItemId = await addExerciseToWorkout(workoutId, change.exerciseId);
+    if (change.targetSets != null || change.targetReps != null) {
+      await applyItemTargets(workoutItemId, change);
+    }
+    return;
+  }
+  if (change.op === WorkoutEditOps.remove_exercise) {
+    await removeWorkoutItem(change.workoutItemId);
+    return;
+  }
+  if (change.op === WorkoutEditOps.replace_exercise) {
+    await replaceWorkoutExercise(change.workoutItemId, change.exerciseId);
+    return;
+  }
+  if (change.op === WorkoutEditOps.reorder_exercises) {
+    const items = await db.table("workoutItems").where({ workoutId }).toArray();
+    items.sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+    const itemIds = items.map((item) => item.id);
+    const listed = change.workoutItemIds.filter(
+      (id, index, all) => itemIds.includes(id) && all.indexOf(id) === index
+    );
+    await reorderWorkoutItems(workoutId, [
+      ...listed,
+      ...itemIds.filter((id) => !listed.includes(id)),
+    ]);
+    return;
+  }
+  if (change.op === WorkoutEditOps.set_targets) {
+    await applyItemTargets(change.workoutItemId, change);
+    return;
+  }
+  throw new Error("Unsupported workout edit.");
+}
+
+/**
+ * Applies a validated `edit_workout` draft to the workout in progress. A failed change
+ * rolls the whole edit back. The returned `undo` snapshot is for `undoWorkoutEdit`.
+ */
+export async function applyWorkoutEditFromDraft(draft) {
+  const { workoutId, changes } = draft?.payload ?? {};
+  const before = await captureWorkoutItems(workoutId);
+  try {
+    for (const change of changes ?? []) {
+      await applyWorkoutEditChange(workoutId, change);
+    }
+  } catch (err) {
+    await restoreWorkoutItems(workoutId, before);
+    throw err;
+  }
+  const after = await captureWorkoutItems(workoutId);
+  return { workoutId, undo: { workoutId, before, after } };
+}
+
+/**
+ * Puts the workout back the way it was before a coach edit. Refuses once anything in the
+ * workout changed after the edit, so sets logged since then are never thrown away.
+ */
+export async function undoWorkoutEdit(undo) {
+  if (!undo?.workoutId) throw new Error("Nothing to undo.");
+  const current = await captureWorkoutItems(undo.workoutId);
+  if (JSON.stringify(current) !== JSON.stringify(undo.after)) {
+    throw new Error("The workout changed after the coach edit, so it can't be undone.");
+  }
+  await restoreWorkoutItems(undo.workoutId, undo.before);
+}
+
+async function runActionDraft(draft) {
   if (draft.kind === ActionDraftKinds.create_workout) {
     return { kind: draft.kind, id: await createWorkoutFromDraft(draft) };
   }
@@ -399,5 +756,27 @@ export async function executeActionDraft(draft) {
   if (draft.kind === ActionDraftKinds.create_gym) {
     return { kind: draft.kind, id: await createGymFromDraft(draft) };
   }
+  if (draft.kind === ActionDraftKinds.edit_workout) {
+    const { workoutId, undo } = await applyWorkoutEditFromDraft(draft);
+    return { kind: draft.kind, id: workoutId, undo };
+  }
   throw new Error("Unsupported action draft kind.");
 }
+
+/**
+ * Applies a confirmed action draft and journals the rows it changed, so it shows up (and
+ * can be reverted) under Coach changes. The result carries the `journalId`.
+ */
+export async function executeActionDraft(draft) {
+  if (!draft) throw new Error("No action draft provided.");
+  const { result, journalId } = await journalCoachWrite(
+    {
+      source: "draft",
+      name: draft.kind,
+      summary: draft.title || draft.summary,
+      input: draft,
+    },
+    () => runActionDraft(draft)
+  );
+  return { ...result, journalId };
+}
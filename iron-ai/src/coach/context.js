@@ -13,6 +13,7 @@ import { getAvailableExercises, getMissingEquipmentForExercise } from "../equipm
 import { isSpaceExpired } from "../workoutSpaces/logic";
 import { summarizeCoachMemory } from "./memory";
 import { buildCoachContextContract } from "./contract";
+import { getSetType } from "../workouts/setTypes";
 
 const DEFAULT_SESSION_LIMIT = 5;
 const MAX_SESSION_LIMIT = 20;
@@ -296,6 +297,10 @@ function summarizeSession(bundle) {
         setNumber: set.setNumber ?? null,
         weight: set.weight ?? "",
         reps: set.reps ?? "",
+        unit: set.unit ?? undefined,
+        setType: getSetType(set) === "working" ? undefined : getSetType(set),
+        rpe: set.rpe ?? undefined,
+        rir: set.rir ?? undefined,
       })),
       note: note || undefined,
     };
@@ -561,6 +566,29 @@ export async function getCoachRequestContext({ activeGymId } = {}) {
   };
 }
 
+/**
+ * The unfinished workout the user has open, with the `workoutItemId`s an `edit_workout`
+ * draft refers to. Null when there is no workout or it has been finished.
+ */
+export async function getCoachActiveWorkout(workoutId) {
+  if (workoutId == null) return null;
+  const details = await getWorkoutWithDetails(workoutId);
+  if (!details || details.workout.finishedAt) return null;
+  return {
+    workoutId: details.workout.id,
+    startedAt: details.workout.startedAt ?? null,
+    exercises: details.items.map((item) => ({
+      workoutItemId: item.id,
+      exerciseId: item.exerciseId,
+      name: item.exercise?.name ?? "Unknown Exercise",
+      targetSets: item.targetSets ?? null,
+      targetReps: item.targetReps ?? null,
+      setCount: item.sets.length,
+      completedSets: item.sets.filter((set) => set.isComplete).length,
+    })),
+  };
+}
+
 export async function getCoachContextSnapshot(options = {}) {
   const startedAt = nowMs();
   const {
@@ -1,4 +1,7 @@
 const MAX_LIST_ITEMS = 12;
+export const MAX_MEMORY_NOTES_CHARS = 240;
+const MAX_MEMORY_ITEM_CHARS = 80;
+const COMMUNICATION_STYLES = ["gentle", "tough", "neutral"];
 
 export function getDefaultCoachMemory() {
   return {
@@ -29,7 +32,7 @@ export function normalizeCoachMemory(input) {
   memory.preferences.favoriteExercises = Array.isArray(memory.preferences.favoriteExercises)
     ? memory.preferences.favoriteExercises
     : [];
-  memory.communicationStyle = ["gentle", "tough", "neutral"].includes(input.communicationStyle)
+  memory.communicationStyle = COMMUNICATION_STYLES.includes(input.communicationStyle)
     ? input.communicationStyle
     : base.communicationStyle;
   memory.notes = typeof input.notes === "string" ? input.notes : "";
@@ -47,7 +50,7 @@ export function summarizeCoachMemory(memory) {
       favoriteExercises: safe.preferences.favoriteExercises.slice(0, MAX_LIST_ITEMS),
     },
     communicationStyle: safe.communicationStyle,
-    notes: safe.notes.slice(0, 240),
+    notes: safe.notes.slice(0, MAX_MEMORY_NOTES_CHARS),
   };
 }
 
@@ -73,3 +76,142 @@ export function upsertGoal(memory, goalType, value, notes) {
 export function formatCoachMemory(memory) {
   return JSON.stringify(normalizeCoachMemory(memory), null, 2);
 }
+
+// Editable memory fields. `preference` fields live under `memory.preferences`.
+export const COACH_MEMORY_FIELDS = {
+  goals: { label: "Goals", kind: "goals" },
+  daysPerWeek: { label: "Days per week", kind: "number", preference: true },
+  equipment: { label: "Equipment", kind: "list", preference: true },
+  injuriesToAvoid: { label: "Injuries to avoid", kind: "list", preference: true },
+  favoriteExercises: { label: "Favorite exercises", kind: "list", preference: true },
+  communicationStyle: {
+    label: "Communication style",
+    kind: "choice",
+    choices: COMMUNICATION_STYLES,
+  },
+  notes: { label: "Notes", kind: "text" },
+};
+
+export function getCoachMemoryField(memory, field) {
+  const safe = normalizeCoachMemory(memory);
+  const config = COACH_MEMORY_FIELDS[field];
+  if (!config) return undefined;
+  return config.preference ? safe.preferences[field] : safe[field];
+}
+
+function setCoachMemoryField(memory, field, value) {
+  const safe = normalizeCoachMemory(memory);
+  if (COACH_MEMORY_FIELDS[field]?.preference) {
+    return normalizeCoachMemory({ ...safe, preferences: { ...safe.preferences, [field]: value } });
+  }
+  return normalizeCoachMemory({ ...safe, [field]: value });
+}
+
+function normalizeMemoryItem(value) {
+  return String(value ?? "").trim().replace(/\s+/g, " ").slice(0, MAX_MEMORY_ITEM_CHARS);
+}
+
+function normalizeGoal(value) {
+  const type = normalizeMemoryItem(value?.type);
+  const goalValue = normalizeMemoryItem(value?.value);
+  if (!type || !goalValue) return null;
+  const notes = String(value?.notes ?? "").trim().slice(0, MAX_MEMORY_NOTES_CHARS);
+  return { type, value: goalValue, notes };
+}
+
+function normalizeChangeValue(config, op, value) {
+  if (config.kind === "list") {
+    if (op === "set") {
+      const items = (Array.isArray(value) ? value : []).map(normalizeMemoryItem).filter(Boolean);
+      return { value: Array.from(new Set(items)) };
+    }
+    const item = normalizeMemoryItem(value);
+    return item ? { value: item } : { error: "A value is required." };
+  }
+  if (config.kind === "goals") {
+    if (op === "set") {
+      return { value: (Array.isArray(value) ? value : []).map(normalizeGoal).filter(Boolean) };
+    }
+    if (op === "remove") {
+      const type = normalizeMemoryItem(value?.type ?? value);
+      return type ? { value: type } : { error: "A goal type is required." };
+    }
+    const goal = normalizeGoal(value);
+    return goal ? { value: goal } : { error: "Goals need a type and a value." };
+  }
+  if (op !== "set") return { error: `Only "set" applies to this field.` };
+  if (config.kind === "number") {
+    if (value == null || value === "") return { value: null };
+    const days = Number.parseInt(value, 10);
+    return Number.isInteger(days) && days >= 1 && days <= 7
+      ? { value: days }
+      : { error: "Days per week must be between 1 and 7." };
+  }
+  if (config.kind === "choice") {
+    return config.choices.includes(value)
+      ? { value }
+      : { error: `Style must be one of ${config.choices.join(", ")}.` };
+  }
+  return { value: String(value ?? "").trim().slice(0, MAX_MEMORY_NOTES_CHARS) };
+}
+
+/**
+ * Checks a memory change `{ field, op, value }`. `op` is `set` (replace the field), or
+ * `add`/`remove` for list fields and goals (goals are matched on `type`). Returns
+ * `{ change }` with the value cleaned up, or `{ error }`.
+ */
+export function normalizeCoachMemoryChange(input) {
+  const config = COACH_MEMORY_FIELDS[input?.field];
+  if (!config) return { error: `Unknown memory field: ${input?.field}.` };
+  const op = input?.op ?? "set";
+  if (!["set", "add", "remove"].includes(op)) return { error: `Unknown memory op: ${op}.` };
+  const normalized = normalizeChangeValue(config, op, input?.value);
+  if (normalized.error) return { error: normalized.error };
+  return { change: { field: input.field, op, value: normalized.value } };
+}
+
+/** Returns the memory with a normalized change applied. */
+export function applyCoachMemoryChange(memory, change) {
+  const { field, op, value } = change;
+  const current = getCoachMemoryField(memory, field);
+  if (op === "set") return setCoachMemoryField(memory, field, value);
+  if (COACH_MEMORY_FIELDS[field].kind === "goals") {
+    if (op === "add") return upsertGoal(memory, value.type, value.value, value.notes);
+    const type = value.toLowerCase();
+    return setCoachMemoryField(
+      memory,
+      field,
+      current.filter((goal) => String(goal?.type ?? "").toLowerCase() !== type)
+    );
+  }
+  const lowered = value.toLowerCase();
+  const rest = current.filter((item) => String(item).toLowerCase() !== lowered);
+  return setCoachMemoryField(memory, field, op === "add" ? [...rest, value] : rest);
+}
+
+function formatMemoryValue(field, value) {
+  if (value == null || value === "") return "nothing";
+  if (COACH_MEMORY_FIELDS[field]?.kind === "goals") {
+    const goals = Array.isArray(value) ? value : [value];
+    return goals.map((goal) => `${goal.type}: ${goal.value}`).join("; ") || "nothing";
+  }
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "nothing";
+  return `"${value}"`;
+}
+
+/** A one-line description, e.g. `Add "shoulder impingement" to injuries to avoid`. */
+export function describeCoachMemoryChange(change) {
+  const label = COACH_MEMORY_FIELDS[change.field]?.label ?? change.field;
+  const lowerLabel = label.toLowerCase();
+  if (change.op === "add") {
+    return COACH_MEMORY_FIELDS[change.field]?.kind === "goals"
+      ? `Set goal ${formatMemoryValue(change.field, change.value)}`
+      : `Add "${change.value}" to ${lowerLabel}`;
+  }
+  if (change.op === "remove") {
+    return COACH_MEMORY_FIELDS[change.field]?.kind === "goals"
+      ? `Remove the ${change.value} goal`
+      : `Remove "${change.value}" from ${lowerLabel}`;
+  }
+  return `Set ${lowerLabel} to ${formatMemoryValue(change.field, change.value)}`;
+}
@@ -0,0 +1,176 @@
+import { db } from "../db";
+import {
+  applyCoachMemoryChange,
+  COACH_MEMORY_FIELDS,
+  getCoachMemoryField,
+  getDefaultCoachMemory,
+  normalizeCoachMemory,
+  normalizeCoachMemoryChange,
+} from "./memory";
+
+// Coach Memory changes are kept in `coachMemoryChanges`, one row per field change. Edits
+// from the memory screen are `applied` at once. Changes the coach infers from the chat
+// start `pending` and only reach `settings.coach_memory` (and so the prompt) once the
+// user accepts them; rejected ones stay in the history.
+
+export const COACH_MEMORY_CHANGE_STATUS = {
+  applied: "applied",
+  pending: "pending",
+  rejected: "rejected",
+};
+
+const MEMORY_TABLES = ["settings", "coachMemoryChanges"];
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+async function readMemory() {
+  const settings = await db.settings.get(1);
+  return { settings, memory: normalizeCoachMemory(settings?.coach_memory) };
+}
+
+async function writeMemory(settings, memory) {
+  await db.settings.put({ ...(settings ?? { id: 1 }), coach_memory: memory });
+}
+
+function normalizeChanges(changes) {
+  const normalized = [];
+  const errors = [];
+  (Array.isArray(changes) ? changes : [changes]).forEach((input) => {
+    const result = normalizeCoachMemoryChange(input);
+    if (result.error) errors.push(result.error);
+    else normalized.push(result.change);
+  });
+  return { normalized, errors };
+}
+
+/**
+ * Applies changes to the saved memory and logs each one that changed something.
+ * `source` is `user` (memory screen) or `coach` (a confirmed write tool).
+ */
+export async function applyCoachMemoryChanges(changes, { source = "user", reason = null } = {}) {
+  const { normalized, errors } = normalizeChanges(changes);
+  if (errors.length) throw new Error(errors.join(" "));
+  const now = Date.now();
+  return db.transaction("rw", MEMORY_TABLES, async () => {
+    const { settings, memory } = await readMemory();
+    let next = memory;
+    const ids = [];
+    for (const change of normalized) {
+      const before = getCoachMemoryField(next, change.field);
+      const updated = applyCoachMemoryChange(next, change);
+      const after = getCoachMemoryField(updated, change.field);
+      if (sameValue(before, after)) continue;
+      next = updated;
+      ids.push(
+        await db.table("coachMemoryChanges").add({
+          ...change,
+          before,
+          after,
+          source,
+          reason,
+          status: COACH_MEMORY_CHANGE_STATUS.applied,
+          createdAt: now,
+          resolvedAt: now,
+        })
+      );
+    }
+    if (ids.length) await writeMemory(settings, next);
+    return ids;
+  });
+}
+
+/** Resets every field to its default, as logged `set` changes so the history survives. */
+export async function clearCoachMemory() {
+  const defaults = getDefaultCoachMemory();
+  return applyCoachMemoryChanges(
+    Object.keys(COACH_MEMORY_FIELDS).map((field) => ({
+      field,
+      op: "set",
+      value: getCoachMemoryField(defaults, field),
+    }))
+  );
+}
+
+/**
+ * Queues changes the coach inferred for review. Changes that would do nothing, or that
+ * are already waiting, are skipped. Returns `{ proposed, skipped, errors }`.
+ */
+export async function proposeCoachMemoryChanges(changes, { reason = null } = {}) {
+  const { normalized, errors } = normalizeChanges(changes);
+  const now = Date.now();
+  return db.transaction("rw", MEMORY_TABLES, async () => {
+    const { memory } = await readMemory();
+    const pending = await db
+      .table("coachMemoryChanges")
+      .where("status")
+      .equals(COACH_MEMORY_CHANGE_STATUS.pending)
+      .toArray();
+    let proposed = 0;
+    let skipped = 0;
+    for (const change of normalized) {
+      const before = getCoachMemoryField(memory, change.field);
+      const after = getCoachMemoryField(applyCoachMemoryChange(memory, change), change.field);
+      const duplicate = pending.some(
+        (row) =>
+          row.field === change.field && row.op === change.op && sameValue(row.value, change.value)
+      );
+      if (duplicate || sameValue(before, after)) {
+        skipped += 1;
+        continue;
+      }
+      const row = {
+        ...change,
+        before,
+        after,
+        source: "coach",
+        reason: reason ? String(reason).slice(0, 200) : null,
+        status: COACH_MEMORY_CHANGE_STATUS.pending,
+        createdAt: now,
+        resolvedAt: null,
+      };
+      row.id = await db.table("coachMemoryChanges").add(row);
+      pending.push(row);
+      proposed += 1;
+    }
+    return { proposed, skipped, errors };
+  });
+}
+
+/** Applies a pending proposal to the current memory (not the one it was proposed against). */
+export async function acceptCoachMemoryProposal(changeId) {
+  return db.transaction("rw", MEMORY_TABLES, async () => {
+    const row = await db.table("coachMemoryChanges").get(changeId);
+    if (row?.status !== COACH_MEMORY_CHANGE_STATUS.pending) {
+      throw new Error("This memory suggestion was already handled.");
+    }
+    const { settings, memory } = await readMemory();
+    const change = { field: row.field, op: row.op, value: row.value };
+    const next = applyCoachMemoryChange(memory, change);
+    await writeMemory(settings, next);
+    await db.table("coachMemoryChanges").update(changeId, {
+      before: getCoachMemoryField(memory, row.field),
+      after: getCoachMemoryField(next, row.field),
+      status: COACH_MEMORY_CHANGE_STATUS.applied,
+      resolvedAt: Date.now(),
+    });
+    return next;
+  });
+}
+
+export async function rejectCoachMemoryProposal(changeId) {
+  const updated = await db.table("coachMemoryChanges").update(changeId, {
+    status: COACH_MEMORY_CHANGE_STATUS.rejected,
+    resolvedAt: Date.now(),
+  });
+  return updated > 0;
+}
+
+/** Memory changes newest first, optionally only those with `status`. */
+export async function listCoachMemoryChanges({ status = null } = {}) {
+  const rows = status
+    ? await db.table("coachMemoryChanges").where("status").equals(status).toArray()
+    : await db.table("coachMemoryChanges").toArray();
+  return rows.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+}
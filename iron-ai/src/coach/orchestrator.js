@@ -11,6 +11,7 @@ import {
   validateToolInput,
 } from "./tools";
 import {
+  getCoachActiveWorkout,
   getCoachContextSnapshot,
   getCoachExerciseCandidates,
   getCoachRequestContext,
@@ -20,6 +21,9 @@ import { summarizeCoachMemory } from "./memory";
 import { parseCoachActionDraftMessage } from "./actionDraftContract";
 import { buildContextFingerprint } from "./fingerprint";
 import { recordCoachPayloadTelemetry } from "./telemetry";
+import { journalCoachWrite } from "./writeJournal";
+import { assertCoachBudget, recordCoachUsage } from "./usage";
+import { createCoachTrace, previewTraceValue, saveCoachTrace } from "./trace";
 import {
   buildRepairPrompt,
   getValidationFailureMessage,
@@ -56,12 +60,12 @@ export const SYSTEM_PROMPT = [
   "Be concise, practical, and friendly.",
   "Reply with a succinct assistantText.",
   "If proposing an action, include a JSON object in a fenced ```json``` block using contractVersion coach_action_v1 with assistantText and an optional actionDraft.",
-  "Action drafts must include kind, confidence, risk, title, summary, and payload. For workouts/templates: payload includes name/title, optional gymId, and exercises: [{ exerciseId, sets?: [{ reps?, weight?, duration?, rpe? }], notes? }]. For gyms: payload includes name/title and optional equipmentIds.",
+  "Action drafts must include kind, confidence, risk, title, summary, and payload. For workouts/templates: payload includes name/title, optional gymId, and exercises: [{ exerciseId, sets?: [{ reps?, weight?, duration? (seconds, for cardio and holds), rpe? }], notes? }]. For gyms: payload includes name/title and optional equipmentIds.",
   "For workout/template drafts, every exercise must include exerciseId from the provided candidate exercise list.",
   "Never invent exercise IDs or exercise names outside the candidate list.",
   "If you cannot confidently map a requested exercise, return needsReview: [{ requestedName, suggestions: [{ exerciseId, name }] }] and do not guess.",
   "Never ask users to copy/paste JSON. Do not expose raw template or workout JSON in assistantText.",
-  "For workout requests and workout edits, prefer actionDraft kind create_workout with a complete, updated exercise list.",
+  "For workout requests and edits to a workout draft, prefer actionDraft kind create_workout with a complete, updated exercise list. Changes to the active workout in progress use edit_workout.",
   "For template requests, prefer actionDraft kind create_template and guide users to save/open the template.",
   "Apply requested workout edits directly; do not enter repeated confirmation loops.",
   "The Context availability payload is authoritative for whether context sharing is enabled.",
@@ -83,11 +87,17 @@ export const SYSTEM_PROMPT = [
   "Avoid high-risk actionDrafts unless the user explicitly requests overwriting or destructive changes.",
   "Avoid asking multiple clarifying questions; propose reasonable defaults instead.",
   "Avoid medical advice; recommend a professional for injuries or health concerns.",
+  "When the user shares a lasting fact about their goals, injuries, equipment, schedule, or preferred coaching style that Coach memory does not already hold, call propose_memory_update and tell them the suggestion is waiting for their review in Coach memory.",
 ].join(" ");
 
 const READ_TOOL_SCOPES = {
   sessions: ["get_recent_sessions", "get_session_detail", "get_training_summary"],
-  templates: ["get_templates", "get_template_detail"],
+  templates: [
+    "get_templates",
+    "get_template_detail",
+    "get_active_program",
+    "get_program_adherence",
+  ],
   exerciseHistory: ["search_exercises", "get_exercise_history", "get_personal_records"],
   spaces: [
     "get_workout_spaces",
@@ -106,6 +116,9 @@ const WRITE_TOOLS = [
   "set_active_space",
 ];
 
+// Not write tools: they only queue suggestions the user reviews in Coach memory.
+const MEMORY_TOOLS = ["propose_memory_update"];
+
 function normalizeContextStatePayload(contextConfig, requestContext) {
   const selectedGym =
     contextConfig?.contextState?.selectedGym ??
@@ -144,6 +157,7 @@ export function buildSystemMessages({
   currentDraft,
   editIntent,
   legEditCandidates,
+  activeWorkout,
 }) {
   const messages = [{ role: "system", content: SYSTEM_PROMPT }];
   if (contextState) {
@@ -172,6 +186,19 @@ export function buildSystemMessages({
       )}`,
     });
   }
+  if (activeWorkout) {
+    messages.push({
+      role: "system",
+      content: `Active workout in progress (authoritative JSON):\n${JSON.stringify(
+        activeWorkout
+      )}`,
+    });
+    messages.push({
+      role: "system",
+      content:
+        "When the user asks to change the workout in progress (swap, add, remove, reorder, or adjust sets/reps), return actionDraft kind edit_workout instead of a new workout: payload { workoutId, changes: [...] } with changes applied in order from { op: \"add_exercise\", exerciseId, targetSets?, targetReps? }, { op: \"remove_exercise\", workoutItemId }, { op: \"replace_exercise\", workoutItemId, exerciseId }, { op: \"reorder_exercises\", workoutItemIds: [<id>...] }, { op: \"set_targets\", workoutItemId, targetSets?, targetReps? }. Use workoutItemId values from the active workout and exerciseId values from the candidate list.",
+    });
+  }
   if (contextSnapshot) {
     messages.push({
       role: "system",
@@ -1271,9 +1298,30 @@ function didDraftExercisesChange(previousDraft, nextDraft) {
   return serializeDraftExercises(previousDraft) !== serializeDraftExercises(nextDraft);
 }
 
-export async function runCoachTurn({
+/**
+ * Everything `runCoachTurn` reads from outside: the model calls, read tools and the local
+ * context builders. `overrides` swaps any of them, which is how transcripts are recorded
+ * and replayed (see transcript.js).
+ */
+export function createCoachRuntime(overrides = null) {
+  // Resolved per call, so a failing import only fails the step that uses it.
+  return {
+    streamChatCompletion: (...args) => streamChatCompletion(...args),
+    createChatCompletion: (...args) => createChatCompletion(...args),
+    executeTool: (...args) => executeTool(...args),
+    getCoachRequestContext: (...args) => getCoachRequestContext(...args),
+    getAllExercises: (...args) => getAllExercises(...args),
+    getCoachExerciseCandidates: (...args) => getCoachExerciseCandidates(...args),
+    getCoachContextSnapshot: (...args) => getCoachContextSnapshot(...args),
+    getCoachActiveWorkout: (...args) => getCoachActiveWorkout(...args),
+    ...(overrides ?? {}),
+  };
+}
+
+async function runTracedCoachTurn({
   apiKey,
   keyMode = "user",
+  accessToken = "",
   chatHistory,
   userMessage,
   contextConfig,
@@ -1281,16 +1329,23 @@ export async function runCoachTurn({
   responseMode = "general",
   memoryEnabled,
   memorySummary,
+  activeWorkoutId = null,
   onStreamStart,
   onStreamDelta,
   onStreamEnd,
-}) {
+  signal,
+  runtime = null,
+}, trace) {
+  const io = createCoachRuntime(runtime);
   const useServerKey = keyMode === "server";
   const allowReadTools = Boolean(contextConfig?.enabled);
   const allowedTools = new Set();
   if (ENABLE_WRITE_TOOLS) {
     WRITE_TOOLS.forEach((tool) => allowedTools.add(tool));
   }
+  if (memoryEnabled) {
+    MEMORY_TOOLS.forEach((tool) => allowedTools.add(tool));
+  }
   const activeGymId = contextConfig?.activeGymId ?? null;
   if (allowReadTools) {
     const scopes = contextConfig?.scopes ?? {};
@@ -1300,7 +1355,7 @@ export async function runCoachTurn({
     });
   }
   const tools = getOpenAITools({
-    allowRead: allowReadTools,
+    allowRead: allowReadTools || Boolean(memoryEnabled),
     allowWrite: ENABLE_WRITE_TOOLS,
     allowedTools,
   });
@@ -1371,7 +1426,7 @@ export async function runCoachTurn({
   };
   let requestMeta = { contextBytes: 0, contextBuildMs: 0 };
   try {
-    const result = await getCoachRequestContext({ activeGymId });
+    const result = await io.getCoachRequestContext({ activeGymId });
     requestContext = result.context ?? requestContext;
     requestMeta = result.meta ?? requestMeta;
   } catch {
@@ -1383,6 +1438,14 @@ export async function runCoachTurn({
   );
   const requestExerciseCount =
     (requestContext.exerciseLibraryCount ?? 0) + (requestContext.customExercisesCount ?? 0);
+  trace.add("context", {
+    contextBytes: requestMeta?.contextBytes ?? null,
+    buildMs: requestMeta?.contextBuildMs ?? null,
+    fingerprint: requestFingerprint?.hash ?? null,
+    activeGymId: requestContext.activeGymId ?? null,
+    equipmentCount: requestContext.equipmentCount ?? 0,
+    exerciseCount: requestExerciseCount,
+  });
   const contextState = normalizeContextStatePayload(contextConfig, requestContext);
   let libraryExercises = [];
   let exerciseCandidates = [];
@@ -1427,7 +1490,7 @@ export async function runCoachTurn({
   }
   debug.stamp.intent = editIntent.kind ?? null;
   try {
-    libraryExercises = await getAllExercises();
+    libraryExercises = await io.getAllExercises();
     libraryIdSet = new Set(
       libraryExercises
         .map((exercise) => Number.parseInt(exercise?.id, 10))
@@ -1440,7 +1503,7 @@ export async function runCoachTurn({
     exerciseCatalogById = new Map();
   }
   try {
-    exerciseCandidates = await getCoachExerciseCandidates({
+    exerciseCandidates = await io.getCoachExerciseCandidates({
       activeGymId,
       contextEnabled: contextState.contextEnabled,
       userMessage,
@@ -1472,12 +1535,19 @@ export async function runCoachTurn({
   debug.editIntent = editIntent;
   debug.editLegCandidateCount = legEditCandidates.length;
   debug.stamp.candidateCount = exerciseCandidates.length;
+  trace.add("candidates", {
+    mode: editModeEnabled ? "edit" : "draft",
+    intent: editIntent.kind ?? null,
+    candidateCount: exerciseCandidates.length,
+    libraryCount: libraryExercises.length,
+    fallback: debug.stamp.fallbackReason === "LIBRARY_CANDIDATE_FALLBACK",
+  });
 
   let contextSnapshot = null;
   let contextContract = null;
   if (contextConfig?.enabled) {
     // TODO: Extend context snapshot sources (planner, long-term stats) as needed.
-    const { snapshot, meta, contract } = await getCoachContextSnapshot({
+    const { snapshot, meta, contract } = await io.getCoachContextSnapshot({
       scopes: contextConfig.scopes,
       sessionLimit: contextConfig.sessionLimit,
       templateLimit: contextConfig.templateLimit,
@@ -1490,6 +1560,12 @@ export async function runCoachTurn({
     debug.contextMeta = meta;
     debug.contextContract = contextContract;
   }
+  let activeWorkout = null;
+  try {
+    activeWorkout = await io.getCoachActiveWorkout(activeWorkoutId);
+  } catch {
+    activeWorkout = null;
+  }
   const templatesAvailable = Boolean(contextConfig?.enabled && contextConfig.scopes?.templates);
   const sessionsAvailable = Boolean(contextConfig?.enabled && contextConfig.scopes?.sessions);
   const summaryOnly = !contextSnapshot;
@@ -1523,6 +1599,7 @@ export async function runCoachTurn({
     currentDraft: editModeEnabled ? currentDraft : null,
     editIntent,
     legEditCandidates,
+    activeWorkout,
   });
   const promptHistoryWindow = buildPromptHistoryWindow(chatHistory, userMessage);
 
@@ -1564,21 +1641,56 @@ export async function runCoachTurn({
       contract: contextContract,
       builtAt: payloadBuiltAt,
     });
+    trace.add("snapshot", {
+      contextBytes: contextContract?.contextBytes ?? null,
+      buildMs: contextContract?.buildMs ?? null,
+      fingerprint: snapshotFingerprint?.hash ?? null,
+      truncated: Boolean(debug.contextMeta?.truncated),
+      omitted: debug.contextMeta?.omitted ?? [],
+    });
   }
+  trace.add("prompt", {
+    systemMessages: systemMessages.length,
+    historyMessages: history.length,
+    droppedMessages: debug.promptWindow?.droppedMessages ?? 0,
+    estimatedTokens: debug.estimatedTokens,
+    tools: tools.map((tool) => tool?.function?.name ?? null),
+  });
+
+  const turnId = `turn_${payloadBuiltAt.toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  debug.usage = { turnId, calls: [] };
+  trace.trace.turnId = turnId;
+  debug.trace = trace.trace;
+  const trackUsage = async (usage) => {
+    const entry = await recordCoachUsage({ ...usage, turnId });
+    if (entry) debug.usage.calls.push(entry);
+  };
 
   while (loop < MAX_TOOL_LOOPS) {
     loop += 1;
     let streamResult = null;
+    await assertCoachBudget();
     const runStreamRequest = (messages) =>
-      streamChatCompletion({
-        apiKey,
-        useServerKey,
-        model: DEFAULT_COACH_MODEL,
-        messages,
-        tools,
-        onDelta: onStreamDelta,
-        onStart: onStreamStart,
-        onEnd: onStreamEnd,
+      trace.time("model", { phase: "tool_loop", loop, messages: messages.length }, async (step) => {
+        const response = await io.streamChatCompletion({
+          apiKey,
+          useServerKey,
+          accessToken,
+          model: DEFAULT_COACH_MODEL,
+          messages,
+          tools,
+          onDelta: onStreamDelta,
+          onStart: onStreamStart,
+          onEnd: onStreamEnd,
+          signal,
+        });
+        step.model = response?.model ?? DEFAULT_COACH_MODEL;
+        step.totalTokens = response?.usage?.total_tokens ?? null;
+        step.contentChars = String(response?.content ?? "").length;
+        step.toolCalls = (response?.toolCalls ?? []).map(
+          (toolCall) => toolCall.function?.name ?? toolCall.name ?? null
+        );
+        return response;
       });
 
     try {
@@ -1601,12 +1713,22 @@ export async function runCoachTurn({
           charsUsed: history[0]?.content?.length ?? 0,
         };
         debug.estimatedTokens = estimateConversationTokens(conversation);
+        trace.add("context_window_retry", {
+          error: debug.contextWindowRetryError,
+          droppedMessages: debug.promptWindow.droppedMessages,
+        });
         streamResult = await runStreamRequest(conversation);
       } else {
         throw error;
       }
     }
 
+    await trackUsage({
+      model: streamResult.model ?? DEFAULT_COACH_MODEL,
+      usage: streamResult.usage,
+      phase: "tool_loop",
+      loop,
+    });
     debug.toolCalls = streamResult.toolCalls ?? [];
 
     if (!streamResult.toolCalls?.length) {
@@ -1627,6 +1749,7 @@ export async function runCoachTurn({
       const argsText = toolCall.function?.arguments ?? toolCall.arguments ?? "{}";
       const parsedArgs = safeParseJSON(argsText) ?? {};
       const tool = registry.get(name);
+      const toolStep = trace.add("tool", { name, input: previewTraceValue(parsedArgs) });
 
       if (!allowedTools.has(name)) {
         toolEvents.push({
@@ -1640,6 +1763,7 @@ export async function runCoachTurn({
             error: "Tool blocked by context settings.",
           })
         );
+        toolStep.status = "blocked";
         continue;
       }
 
@@ -1655,6 +1779,7 @@ export async function runCoachTurn({
             error: "Tool not found.",
           })
         );
+        toolStep.status = "not_found";
         continue;
       }
 
@@ -1671,6 +1796,8 @@ export async function runCoachTurn({
             error: validation.errors.join("; "),
           })
         );
+        toolStep.status = "invalid_input";
+        toolStep.error = validation.errors.join("; ");
         continue;
       }
 
@@ -1694,14 +1821,19 @@ export async function runCoachTurn({
             summary,
           })
         );
+        toolStep.status = "proposed";
         continue;
       }
 
+      const toolStartedAt = Date.now();
       try {
-        const result = await executeTool(name, parsedArgs, {
+        const result = await io.executeTool(name, parsedArgs, {
           scopes: contextConfig?.scopes ?? {},
           activeGymId,
         });
+        toolStep.status = "success";
+        toolStep.durationMs = Date.now() - toolStartedAt;
+        toolStep.output = previewTraceValue(result);
         toolEvents.push({
           name,
           status: "success",
@@ -1714,6 +1846,9 @@ export async function runCoachTurn({
           })
         );
       } catch (err) {
+        toolStep.status = "error";
+        toolStep.durationMs = Date.now() - toolStartedAt;
+        toolStep.error = err?.message ?? "Tool failed.";
         toolEvents.push({
           name,
           status: "error",
@@ -1755,6 +1890,12 @@ export async function runCoachTurn({
       exerciseCatalogById,
     });
     responseValidation.mode = firstValidation.mode;
+    trace.add("validation", {
+      phase: "initial",
+      valid: firstValidation.valid,
+      mode: firstValidation.mode,
+      error: firstValidation.valid ? null : firstValidation.error ?? "Validation failed.",
+    });
     if (!firstValidation.valid) {
       if (firstValidation.mode === "workout") {
         finalAssistant = getValidationFailureMessage(firstValidation.mode);
@@ -1781,20 +1922,43 @@ export async function runCoachTurn({
           candidateExercises: exerciseCandidates,
         });
         let repairedAssistant = "";
+        const repairMessages = [
+          ...conversation,
+          { role: "assistant", content: finalAssistant },
+          { role: "user", content: repairPrompt },
+        ];
         try {
-          const repairCompletion = await createChatCompletion({
-            apiKey,
-            useServerKey,
-            model: DEFAULT_COACH_MODEL,
-            messages: [
-              ...conversation,
-              { role: "assistant", content: finalAssistant },
-              { role: "user", content: repairPrompt },
-            ],
-            temperature: COACH_TEMPERATURE,
+          await assertCoachBudget();
+          const repairCompletion = await trace.time(
+            "model",
+            {
+              phase: "repair",
+              messages: repairMessages.length,
+              repairPrompt: previewTraceValue(repairPrompt),
+            },
+            async (step) => {
+              const completion = await io.createChatCompletion({
+                apiKey,
+                useServerKey,
+                accessToken,
+                model: DEFAULT_COACH_MODEL,
+                messages: repairMessages,
+                temperature: COACH_TEMPERATURE,
+                signal,
+              });
+              step.model = completion?.model ?? DEFAULT_COACH_MODEL;
+              step.totalTokens = completion?.usage?.total_tokens ?? null;
+              return completion;
+            }
+          );
+          await trackUsage({
+            model: repairCompletion?.model ?? DEFAULT_COACH_MODEL,
+            usage: repairCompletion?.usage,
+            phase: "repair",
           });
           repairedAssistant = extractCompletionContent(repairCompletion);
-        } catch {
+        } catch (error) {
+          if (signal?.aborted) throw error;
           repairedAssistant = "";
         }
 
@@ -1806,6 +1970,14 @@ export async function runCoachTurn({
           allowedCandidateIds,
           libraryIdSet,
         });
+        trace.add("validation", {
+          phase: "repair",
+          valid: repairedValidation.valid,
+          mode: repairedValidation.mode,
+          error: repairedValidation.valid
+            ? null
+            : repairedValidation.error ?? "Validation failed.",
+        });
         if (repairedValidation.valid) {
           finalAssistant = repairedAssistant;
           responseValidation = {
@@ -1866,6 +2038,10 @@ export async function runCoachTurn({
       assistantText = FALLBACK_WORKOUT_ASSISTANT_MESSAGE;
       debug.stamp.fallbackUsed = true;
       debug.stamp.fallbackReason = "DETERMINISTIC_DRAFT_RECOVERY";
+      trace.add("fallback", {
+        reason: "DETERMINISTIC_DRAFT_RECOVERY",
+        exerciseCount: fallbackDraft.payload?.exercises?.length ?? 0,
+      });
       responseValidation = {
         status: "repaired",
         mode: "workout",
@@ -2030,6 +2206,18 @@ export async function runCoachTurn({
     ];
   }
 
+  if (debug.editResolution) {
+    trace.add("edit", {
+      ...debug.editResolution,
+      opsFromModel: debug.stamp.opsCount,
+      opsApplied: debug.stamp.opsProduced,
+      fallback: debug.stamp.fallbackReason,
+    });
+  }
+  if (actionParseErrors?.length) {
+    trace.add("action_parse", { errors: actionParseErrors });
+  }
+
   debug.actionContractVersion = actionContractVersion;
   debug.actionParseErrors = actionParseErrors;
   debug.actionDraft = actionDraft;
@@ -2071,12 +2259,54 @@ export async function runCoachTurn({
   };
 }
 
+function summarizeTraceOutcome(result) {
+  return {
+    status: result.responseValidation?.status ?? "ok",
+    validationError: result.responseValidation?.error ?? null,
+    actionDraftKind: result.actionDraft?.kind ?? null,
+    assistantChars: String(result.assistant ?? "").length,
+    toolCalls: result.toolEvents?.length ?? 0,
+    proposals: result.proposals?.length ?? 0,
+    totalTokens: (result.debug?.usage?.calls ?? []).reduce(
+      (sum, call) => sum + (call?.totalTokens ?? 0),
+      0
+    ),
+  };
+}
+
+/**
+ * Runs one coach turn: builds context, streams the model with tool calls, validates and
+ * repairs the reply, and resolves action/edit drafts. Every turn, failed ones included,
+ * leaves a trace in `logs` (see trace.js); successful turns also return it as `debug.trace`.
+ */
+export async function runCoachTurn(options) {
+  const trace = createCoachTrace({ userMessage: options?.userMessage });
+  try {
+    const result = await runTracedCoachTurn(options, trace);
+    trace.finish({ outcome: summarizeTraceOutcome(result) });
+    return result;
+  } catch (error) {
+    trace.finish({ error });
+    throw error;
+  } finally {
+    await saveCoachTrace(trace.trace);
+  }
+}
+
 export async function executeWriteToolCall({ proposal, onResult, context }) {
   if (!proposal) return null;
   try {
-    const result = await executeTool(proposal.name, proposal.input, context);
-    onResult?.({ status: "success", result });
-    return { status: "success", result };
+    const { result, journalId } = await journalCoachWrite(
+      {
+        source: "tool",
+        name: proposal.name,
+        summary: proposal.summary,
+        input: proposal.input,
+      },
+      () => executeTool(proposal.name, proposal.input, context)
+    );
+    onResult?.({ status: "success", result, journalId });
+    return { status: "success", result, journalId };
   } catch (err) {
     const error = err?.message ?? "Tool failed.";
     onResult?.({ status: "error", error });
@@ -382,13 +382,38 @@ function getActionDraftForWorkout(text) {
   if (!draft) return null;
   if (
     draft.kind !== ActionDraftKinds.create_workout &&
-    draft.kind !== ActionDraftKinds.create_template
+    draft.kind !== ActionDraftKinds.create_template &&
+    draft.kind !== ActionDraftKinds.edit_workout
   ) {
     return null;
   }
   return draft;
 }
 
+function validateWorkoutEditExerciseIds(draft, { allowedCandidateIds, libraryIdSet } = {}) {
+  const changes = Array.isArray(draft?.payload?.changes) ? draft.payload.changes : [];
+  for (let i = 0; i < changes.length; i += 1) {
+    if (changes[i]?.exerciseId == null) continue;
+    const exerciseId = parsePositiveInt(changes[i].exerciseId);
+    if (exerciseId == null) {
+      return {
+        valid: false,
+        error: `actionDraft.payload.changes[${i}].exerciseId must be a valid ID.`,
+      };
+    }
+    if (libraryIdSet?.size && !libraryIdSet.has(exerciseId)) {
+      return { valid: false, error: `Unknown exerciseId ${exerciseId} (not in library).` };
+    }
+    if (allowedCandidateIds?.size && !allowedCandidateIds.has(exerciseId)) {
+      return {
+        valid: false,
+        error: `exerciseId ${exerciseId} is outside the allowed candidate list.`,
+      };
+    }
+  }
+  return { valid: true, error: null };
+}
+
 function validateActionDraftExerciseIds(draft, { allowedCandidateIds, libraryIdSet } = {}) {
   const payload = draft?.payload ?? {};
   const exercises = Array.isArray(payload.exercises) ? payload.exercises : [];
@@ -631,7 +656,11 @@ export function validateCoachResponse({
   if (mode === "workout") {
     const actionDraft = getActionDraftForWorkout(text);
     if (actionDraft) {
-      const idValidation = validateActionDraftExerciseIds(actionDraft, {
+      const validateIds =
+        actionDraft.kind === ActionDraftKinds.edit_workout
+          ? validateWorkoutEditExerciseIds
+          : validateActionDraftExerciseIds;
+      const idValidation = validateIds(actionDraft, {
         allowedCandidateIds,
         libraryIdSet,
       });
@@ -0,0 +1,208 @@
+import { db } from "../db";
+import {
+  clearCoachChatState,
+  getCoachChatState,
+  normalizeCoachChatState,
+} from "../state/settingsStore";
+
+export const DEFAULT_THREAD_TITLE = "New conversation";
+const THREAD_TITLE_LENGTH = 60;
+
+function truncateTitle(text) {
+  const clean = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (clean.length <= THREAD_TITLE_LENGTH) return clean;
+  return `${clean.slice(0, THREAD_TITLE_LENGTH - 1).trimEnd()}…`;
+}
+
+/** Title for a thread opened from gym or exercise detail, e.g. "Exercise: Back Squat". */
+export function describeLaunchContext(launchContext) {
+  if (!launchContext) return "";
+  if (launchContext.source === "gym_detail") {
+    return `Gym: ${launchContext.gymName ?? "Workout space"}`;
+  }
+  if (launchContext.source === "exercise_detail") {
+    return `Exercise: ${launchContext.exerciseName ?? "Exercise"}`;
+  }
+  return "";
+}
+
+/** Auto title: the first thing the user asked, trimmed to one line. */
+export function deriveThreadTitle(messages) {
+  const first = (messages ?? []).find((message) => message?.role === "user");
+  return truncateTitle(first?.content) || DEFAULT_THREAD_TITLE;
+}
+
+function normalizeActionDraft(value) {
+  const draft = value?.draft;
+  if (!draft || typeof draft !== "object" || !String(draft.kind ?? "").trim()) return null;
+  const sourceMessageId = Number.parseInt(value.sourceMessageId, 10);
+  return {
+    sourceMessageId:
+      Number.isFinite(sourceMessageId) && sourceMessageId > 0 ? sourceMessageId : null,
+    draft,
+  };
+}
+
+/** Pinned threads first, then the most recently updated. */
+export function sortCoachThreads(threads) {
+  return [...(threads ?? [])].sort((a, b) => {
+    if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+    return (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
+  });
+}
+
+/** Case-insensitive match on the title or any message in the thread. */
+export function filterCoachThreads(threads, query) {
+  const needle = String(query ?? "").trim().toLowerCase();
+  if (!needle) return threads ?? [];
+  return (threads ?? []).filter(
+    (thread) =>
+      String(thread.title ?? "").toLowerCase().includes(needle) ||
+      (thread.messages ?? []).some((message) =>
+        String(message?.content ?? "").toLowerCase().includes(needle)
+      )
+  );
+}
+
+// Open stamps only ever grow, so the thread opened last wins even when two opens land in
+// the same millisecond.
+async function nextOpenStamp() {
+  const latest = await db.table("coachThreads").orderBy("lastOpenedAt").last();
+  return Math.max(Date.now(), (latest?.lastOpenedAt ?? 0) + 1);
+}
+
+export async function listCoachThreads() {
+  return sortCoachThreads(await db.table("coachThreads").toArray());
+}
+
+export async function getCoachThread(threadId) {
+  if (threadId == null) return null;
+  return (await db.table("coachThreads").get(threadId)) ?? null;
+}
+
+/**
+ * Starts an empty thread and makes it the active one. A `launchContext` from gym or
+ * exercise detail names the thread and is sent with its first turn.
+ */
+export async function createCoachThread({ title = "", launchContext = null } = {}) {
+  const now = Date.now();
+  const lastOpenedAt = await nextOpenStamp();
+  const explicitTitle = truncateTitle(title) || describeLaunchContext(launchContext);
+  return db.table("coachThreads").add({
+    title: explicitTitle || DEFAULT_THREAD_TITLE,
+    titleIsAuto: !explicitTitle,
+    pinned: false,
+    messages: [],
+    chatHistory: [],
+    launchContext: launchContext ?? null,
+    launchContextPending: Boolean(launchContext),
+    actionDraft: null,
+    createdAt: now,
+    updatedAt: now,
+    lastOpenedAt,
+  });
+}
+
+/** Marks a thread as the one CoachView shows next time it opens. */
+export async function openCoachThread(threadId) {
+  await db.table("coachThreads").update(threadId, { lastOpenedAt: await nextOpenStamp() });
+  return getCoachThread(threadId);
+}
+
+// The pre-thread chat lived in settings and its draft in localStorage; both move into
+// one thread so nothing is lost on upgrade or when an old backup is restored.
+async function migrateLegacyChat(legacyActionDraft) {
+  const legacy = await getCoachChatState();
+  const actionDraft = normalizeActionDraft(legacyActionDraft);
+  if (!legacy.messages.length && !actionDraft) return null;
+  const now = Date.now();
+  const lastOpenedAt = await nextOpenStamp();
+  const threadId = await db.table("coachThreads").add({
+    title: deriveThreadTitle(legacy.messages),
+    titleIsAuto: true,
+    pinned: false,
+    messages: legacy.messages,
+    chatHistory: legacy.chatHistory,
+    launchContext: null,
+    launchContextPending: false,
+    actionDraft,
+    createdAt: now,
+    updatedAt: now,
+    lastOpenedAt,
+  });
+  await clearCoachChatState();
+  return threadId;
+}
+
+/**
+ * The thread CoachView should show: the last one opened, after moving any legacy chat
+ * into a thread. Creates an empty thread when there are none unless `createIfMissing`
+ * is false.
+ */
+export async function loadActiveCoachThread({
+  legacyActionDraft = null,
+  createIfMissing = true,
+} = {}) {
+  const migratedId = await migrateLegacyChat(legacyActionDraft);
+  if (migratedId != null) return getCoachThread(migratedId);
+  const latest = await db.table("coachThreads").orderBy("lastOpenedAt").last();
+  if (latest || !createIfMissing) return latest ?? null;
+  return getCoachThread(await createCoachThread());
+}
+
+/**
+ * Saves the visible messages and model history. Unchanged chats are skipped so opening
+ * a thread does not move it to the top; an auto title follows the first user message.
+ */
+export async function saveCoachThreadChat(threadId, { messages, chatHistory }) {
+  const existing = await getCoachThread(threadId);
+  if (!existing) return false;
+  const normalized = normalizeCoachChatState({ messages, chatHistory });
+  const unchanged =
+    JSON.stringify(normalized.messages) === JSON.stringify(existing.messages ?? []) &&
+    JSON.stringify(normalized.chatHistory) === JSON.stringify(existing.chatHistory ?? []);
+  if (unchanged) return false;
+  const patch = {
+    messages: normalized.messages,
+    chatHistory: normalized.chatHistory,
+    updatedAt: Date.now(),
+  };
+  if (existing.titleIsAuto) patch.title = deriveThreadTitle(normalized.messages);
+  await db.table("coachThreads").update(threadId, patch);
+  return true;
+}
+
+/** Stores the thread's pending action draft (`{ sourceMessageId, draft }`), or clears it. */
+export async function setCoachThreadActionDraft(threadId, actionDraft) {
+  await db
+    .table("coachThreads")
+    .update(threadId, { actionDraft: normalizeActionDraft(actionDraft) });
+}
+
+/** The launch context is kept for reference but only sent with the thread's first turn. */
+export async function markCoachThreadLaunchConsumed(threadId) {
+  await db.table("coachThreads").update(threadId, { launchContextPending: false });
+}
+
+/** An empty title goes back to the automatic one. */
+export async function renameCoachThread(threadId, title) {
+  const next = truncateTitle(title);
+  if (next) {
+    await db.table("coachThreads").update(threadId, { title: next, titleIsAuto: false });
+    return;
+  }
+  const existing = await getCoachThread(threadId);
+  await db.table("coachThreads").update(threadId, {
+    title:
+      describeLaunchContext(existing?.launchContext) || deriveThreadTitle(existing?.messages),
+    titleIsAuto: !existing?.launchContext,
+  });
+}
+
+export async function setCoachThreadPinned(threadId, pinned) {
+  await db.table("coachThreads").update(threadId, { pinned: Boolean(pinned) });
+}
+
+export async function deleteCoachThread(threadId) {
+  await db.table("coachThreads").delete(threadId);
+}
@@ -11,13 +11,29 @@ import {
   updateWorkoutSpace,
   setActiveWorkoutSpace,
   getWorkoutSpaceById,
+  getDefaultWeightUnit,
+  getPersonalRecordsByExercise,
+  getTrainingMaxesByExercise,
   db,
 } from "../db";
-import { normalizeCoachMemory, upsertGoal } from "./memory";
+import { COACH_MEMORY_FIELDS } from "./memory";
+import { applyCoachMemoryChanges, proposeCoachMemoryChanges } from "./memoryChanges";
 import { validateSchema } from "./schema";
 import { isSpaceExpired, normalizeGymName } from "../workoutSpaces/logic";
 import { getExerciseSubstitutions } from "../equipment/engine";
+import { countsTowardBestSet, getSetType, normalizeRir, normalizeRpe } from "../workouts/setTypes";
+import { convertDistance, getExerciseSetSchema, parseDuration } from "../workouts/setSchemas";
+import { summarizeSetPrescriptions } from "../workouts/setPrescriptions";
 import { resolveTemplateExercises } from "./templateExerciseMapping";
+import { convertWeight, getSetWeightIn, roundWeight } from "../utils/units";
+import { RECORD_UNIT } from "../workouts/personalRecords";
+import {
+  getActiveProgram,
+  getNextProgramPlan,
+  getProgramAdherence,
+  getProgramById,
+  listProgramPlans,
+} from "../programs/programs";
 
 const MAX_LIST_LIMIT = 50;
 const MAX_SESSION_LIMIT = 20;
@@ -79,6 +95,21 @@ function summarizeSession(bundle) {
   };
 }
 
+function formatToolSet(set) {
+  return {
+    setNumber: set.setNumber ?? null,
+    weight: set.weight ?? "",
+    reps: set.reps ?? "",
+    unit: set.unit ?? null,
+    setType: getSetType(set),
+    rpe: normalizeRpe(set.rpe),
+    rir: normalizeRir(set.rir),
+    durationSec: parseDuration(set.durationSec),
+    distance: set.distance === "" ? null : set.distance ?? null,
+    distanceUnit: set.distanceUnit ?? null,
+  };
+}
+
 function formatSessionDetail(bundle) {
   const workout = bundle.workout ?? {};
   const items = bundle.items ?? [];
@@ -92,12 +123,9 @@ function formatSessionDetail(bundle) {
       exerciseId: item.exerciseId,
       name: item.exercise?.name ?? "Unknown Exercise",
       muscleGroup: item.exercise?.muscle_group ?? "Unknown",
+      setSchema: getExerciseSetSchema(item.exercise),
       note: exerciseNotes?.[item.exerciseId] ?? "",
-      sets: (item.sets ?? []).map((set) => ({
-        setNumber: set.setNumber ?? null,
-        weight: set.weight ?? "",
-        reps: set.reps ?? "",
-      })),
+      sets: (item.sets ?? []).map(formatToolSet),
     })),
   };
 }
@@ -125,6 +153,8 @@ function getToolSummary(name, input) {
       return `Add planned workout: ${input?.date ?? "Unknown date"}`;
     case "update_user_goal":
       return `Update goal: ${input?.goalType ?? "Goal"}`;
+    case "propose_memory_update":
+      return `Suggest memory update: ${input?.op ?? "set"} ${input?.field ?? "unknown"}`;
     case "get_recent_sessions":
       return `Fetch recent sessions (${input?.limit ?? "default"})`;
     case "get_session_detail":
@@ -133,6 +163,10 @@ function getToolSummary(name, input) {
       return `Fetch templates (${input?.limit ?? "default"})`;
     case "get_template_detail":
       return `Fetch template detail (${input?.templateId ?? "unknown"})`;
+    case "get_active_program":
+      return "Fetch active program";
+    case "get_program_adherence":
+      return `Fetch program adherence (${input?.programId ?? "active"})`;
     case "search_exercises":
       return `Search exercises (${input?.query ?? ""})`;
     case "get_exercise_history":
@@ -264,10 +298,91 @@ export const toolDefinitions = [
           muscleGroup: item.exercise?.muscle_group ?? "Unknown",
           targetSets: item.targetSets ?? null,
           targetReps: item.targetReps ?? null,
+          ...(item.setPrescriptions?.length
+            ? {
+                prescription: summarizeSetPrescriptions(item.setPrescriptions),
+                setPrescriptions: item.setPrescriptions,
+              }
+            : {}),
         })),
       };
     },
   },
+  {
+    name: "get_active_program",
+    description:
+      "Get the active multi-week program: its weekly progression, training days, and the next scheduled day.",
+    inputSchema: { type: "object", properties: {} },
+    outputSchema: { type: "object" },
+    isWriteTool: false,
+    handler: async () => {
+      const program = await getActiveProgram();
+      if (!program) return { program: null };
+      const templates = await listTemplates();
+      const templateNames = new Map(templates.map((tpl) => [tpl.id, tpl.name ?? "Untitled"]));
+      const next = await getNextProgramPlan(program.id);
+      return {
+        program: {
+          id: program.id,
+          name: program.name ?? "Untitled",
+          startDate: program.startDate ?? null,
+          weeks: program.weeks ?? null,
+          days: (program.days ?? []).map((day, index) => ({
+            programDay: index + 1,
+            dayOffset: day.dayOffset,
+            templateId: day.templateId,
+            templateName: templateNames.get(day.templateId) ?? null,
+          })),
+          progression: program.progression ?? [],
+        },
+        nextDay: next
+          ? {
+              plannedWorkoutId: next.plan.id,
+              date: next.plan.date,
+              programWeek: next.plan.programWeek ?? null,
+              programDay: next.plan.programDay ?? null,
+              templateId: next.plan.templateId ?? null,
+              prescription: next.plan.prescription ?? null,
+            }
+          : null,
+      };
+    },
+  },
+  {
+    name: "get_program_adherence",
+    description:
+      "Summarize completed, missed, and upcoming program days for the active (or given) program.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        programId: { type: "integer" },
+      },
+    },
+    outputSchema: { type: "object" },
+    isWriteTool: false,
+    handler: async ({ programId }) => {
+      const program = programId != null ? await getProgramById(programId) : await getActiveProgram();
+      if (!program) return { error: "Program not found." };
+      const plans = await listProgramPlans(program.id);
+      const adherence = await getProgramAdherence(program.id);
+      return {
+        programId: program.id,
+        name: program.name ?? "Untitled",
+        ...adherence,
+        recentDays: plans
+          .filter((plan) => plan.fulfilledAt || plan.workoutId != null)
+          .sort((a, b) => String(b.date ?? "").localeCompare(String(a.date ?? "")))
+          .slice(0, 10)
+          .map((plan) => ({
+            date: plan.date,
+            programWeek: plan.programWeek ?? null,
+            programDay: plan.programDay ?? null,
+            sessionId: plan.workoutId ?? null,
+            completed: Boolean(plan.fulfilledAt),
+          })),
+      };
+    },
+  },
   {
     name: "search_exercises",
     description: "Search exercises by name or muscle group.",
@@ -340,11 +455,7 @@ export const toolDefinitions = [
         matches.push({
           sessionId: workout.id ?? null,
           date: workout.finishedAt ?? workout.startedAt ?? null,
-          sets: (item.sets ?? []).map((set) => ({
-            setNumber: set.setNumber ?? null,
-            weight: set.weight ?? "",
-            reps: set.reps ?? "",
-          })),
+          sets: (item.sets ?? []).map(formatToolSet),
         });
       });
       const sorted = matches.sort((a, b) => String(b.date ?? "").localeCompare(String(a.date ?? "")));
@@ -352,6 +463,7 @@ export const toolDefinitions = [
         exercise: {
           id: exercise.id,
           name: exercise.name ?? "Unknown",
+          setSchema: getExerciseSetSchema(exercise),
         },
         history: sorted.slice(0, safeLimit),
       };
@@ -377,7 +489,8 @@ export const toolDefinitions = [
   },
   {
     name: "get_personal_records",
-    description: "Detect personal records from recent workout history.",
+    description:
+      "Detect personal records from recent workout history, plus the estimated 1RM, 5-rep max, best session volume, and current training max. Warmups and drop sets are ignored.",
     inputSchema: {
       type: "object",
       properties: {
@@ -390,6 +503,7 @@ export const toolDefinitions = [
       const exercises = await getAllExercises();
       const bundles = await getSessionBundles(MAX_SESSION_LIMIT);
       const target = exerciseIdOrName ? await resolveExercise(exerciseIdOrName) : null;
+      const unit = await getDefaultWeightUnit();
 
       const prMap = new Map();
       bundles.forEach((bundle) => {
@@ -399,10 +513,12 @@ export const toolDefinitions = [
           const existing = prMap.get(item.exerciseId) ?? {
             maxWeight: null,
             maxReps: null,
+            longestDurationSec: null,
             lastDate: null,
           };
           (item.sets ?? []).forEach((set) => {
-            const weight = parseNumber(set.weight);
+            if (!countsTowardBestSet(set)) return;
+            const weight = getSetWeightIn(set, unit);
             const reps = parseNumber(set.reps);
             if (weight != null && (existing.maxWeight == null || weight > existing.maxWeight)) {
               existing.maxWeight = weight;
@@ -412,25 +528,40 @@ export const toolDefinitions = [
               existing.maxReps = reps;
               existing.lastDate = workoutDate;
             }
+            const duration = parseDuration(set.durationSec);
+            if (duration != null && duration > (existing.longestDurationSec ?? 0)) {
+              existing.longestDurationSec = duration;
+              existing.lastDate = workoutDate;
+            }
           });
           prMap.set(item.exerciseId, existing);
         });
       });
 
+      const ledger = await getPersonalRecordsByExercise(Array.from(prMap.keys()));
+      const trainingMaxes = await getTrainingMaxesByExercise(Array.from(prMap.keys()));
+      const fromLedger = (value) =>
+        value == null ? null : roundWeight(convertWeight(value, RECORD_UNIT, unit));
       const records = Array.from(prMap.entries())
         .map(([exerciseId, record]) => {
           const exercise = exercises.find((ex) => ex.id === exerciseId);
+          const entry = ledger.get(exerciseId);
           return {
             exerciseId,
             name: exercise?.name ?? "Unknown",
-            maxWeight: record.maxWeight,
+            maxWeight: roundWeight(record.maxWeight),
             maxReps: record.maxReps,
+            longestDurationSec: record.longestDurationSec,
             lastDate: record.lastDate ?? null,
+            estimatedOneRepMax: fromLedger(entry?.oneRepMax?.value),
+            fiveRepMax: fromLedger(entry?.repMaxes?.[5]?.weight),
+            bestVolume: fromLedger(entry?.bestVolume?.value),
+            trainingMax: fromLedger(trainingMaxes.get(exerciseId)?.value),
           };
         })
         .sort((a, b) => String(a.name ?? "").localeCompare(String(b.name ?? "")));
 
-      return { records };
+      return { unit, records };
     },
   },
   {
@@ -447,6 +578,7 @@ export const toolDefinitions = [
     handler: async ({ rangeDays }) => {
       const safeDays = clampLimit(rangeDays, 30, 365);
       const bundles = await getSessionBundles(MAX_SESSION_LIMIT);
+      const unit = await getDefaultWeightUnit();
       const cutoff = Date.now() - safeDays * 24 * 60 * 60 * 1000;
 
       const sessions = bundles.filter((bundle) => {
@@ -458,6 +590,8 @@ export const toolDefinitions = [
       let totalSets = 0;
       let totalExercises = 0;
       let totalVolume = 0;
+      let totalDurationSec = 0;
+      let totalDistanceKm = 0;
       const dates = new Set();
 
       sessions.forEach((bundle) => {
@@ -467,11 +601,13 @@ export const toolDefinitions = [
           totalExercises += 1;
           (item.sets ?? []).forEach((set) => {
             totalSets += 1;
-            const weight = parseNumber(set.weight);
+            const weight = getSetWeightIn(set, unit);
             const reps = parseNumber(set.reps);
             if (weight != null && reps != null) {
               totalVolume += weight * reps;
             }
+            totalDurationSec += parseDuration(set.durationSec) ?? 0;
+            totalDistanceKm += convertDistance(set.distance, set.distanceUnit, "km") ?? 0;
           });
         });
       });
@@ -494,6 +630,9 @@ export const toolDefinitions = [
         totalExercises,
         totalSets,
         totalVolume: totalVolume ? Math.round(totalVolume) : null,
+        unit,
+        totalDurationMinutes: totalDurationSec ? Math.round(totalDurationSec / 60) : null,
+        totalDistanceKm: totalDistanceKm ? Math.round(totalDistanceKm * 10) / 10 : null,
         streakDays: streak,
       };
     },
@@ -760,16 +899,46 @@ export const toolDefinitions = [
     outputSchema: { type: "object" },
     isWriteTool: true,
     handler: async ({ goalType, value, notes }) => {
-      const settings = await db.settings.get(1);
-      const currentMemory = normalizeCoachMemory(settings?.coach_memory);
-      const nextMemory = upsertGoal(currentMemory, goalType, value, notes);
-      await db.settings.put({
-        ...(settings ?? { id: 1 }),
-        coach_memory: nextMemory,
-      });
+      await applyCoachMemoryChanges(
+        [{ field: "goals", op: "add", value: { type: goalType, value, notes } }],
+        { source: "coach" }
+      );
       return { updated: true };
     },
   },
+  {
+    name: "propose_memory_update",
+    description:
+      "Suggest a Coach Memory update for a durable fact the user shared (goal, injury, " +
+      "equipment, schedule, style). The user reviews it before it is saved.",
+    inputSchema: {
+      type: "object",
+      required: ["field", "op", "value", "reason"],
+      properties: {
+        field: { type: "string", enum: Object.keys(COACH_MEMORY_FIELDS) },
+        op: { type: "string", enum: ["add", "remove", "set"] },
+        value: { type: "string", minLength: 1, maxLength: 240 },
+        goalType: { type: "string", maxLength: 40 },
+        reason: { type: "string", minLength: 1, maxLength: 200 },
+      },
+    },
+    outputSchema: { type: "object" },
+    isWriteTool: false,
+    handler: async ({ field, op, value, goalType, reason }) => {
+      const kind = COACH_MEMORY_FIELDS[field]?.kind;
+      let changeValue = value;
+      if (kind === "goals") {
+        changeValue = op === "remove" ? goalType ?? value : { type: goalType ?? "general", value };
+      } else if (kind === "list" && op === "set") {
+        changeValue = value.split(",");
+      }
+      const result = await proposeCoachMemoryChanges([{ field, op, value: changeValue }], {
+        reason,
+      });
+      if (result.errors.length) throw new Error(result.errors.join(" "));
+      return { ...result, status: result.proposed ? "awaiting_user_review" : "unchanged" };
+    },
+  },
   {
     name: "create_workout_space",
     description: "Create a workout space with an equipment list.",
@@ -0,0 +1,167 @@
+import { db } from "../db";
+
+// A step-by-step record of one coach turn: context build, prompt window, each model call,
+// each tool call, validation, repair and fallback. `runCoachTurn` fills one in, returns it
+// as `debug.trace`, and keeps it in `logs` for the trace viewer in Diagnostics.
+
+export const COACH_TRACE_LOG_TYPE = "coach_trace";
+export const COACH_TRACE_VERSION = 1;
+const MAX_STORED_TRACES = 50;
+const MAX_PREVIEW_CHARS = 2000;
+const MAX_MESSAGE_CHARS = 200;
+
+/** JSON for a tool input or output, cut to a size that keeps stored traces small. */
+export function previewTraceValue(value, maxChars = MAX_PREVIEW_CHARS) {
+  let text;
+  try {
+    text = typeof value === "string" ? value : JSON.stringify(value);
+  } catch {
+    text = String(value);
+  }
+  if (text == null) return null;
+  return text.length > maxChars ? `${text.slice(0, maxChars)}… (${text.length} chars)` : text;
+}
+
+/**
+ * Starts a trace. `add(type, fields)` appends a step stamped with ms since the start;
+ * `time(type, fields, run)` also records how long `run(step)` took and whether it threw.
+ */
+export function createCoachTrace({ userMessage = "", now = () => Date.now() } = {}) {
+  const startedAt = now();
+  const trace = {
+    version: COACH_TRACE_VERSION,
+    turnId: null,
+    startedAt,
+    finishedAt: null,
+    durationMs: null,
+    status: "running",
+    userMessage: String(userMessage ?? "").slice(0, MAX_MESSAGE_CHARS),
+    steps: [],
+    outcome: null,
+    error: null,
+  };
+
+  const add = (type, fields = {}) => {
+    const step = { type, atMs: now() - startedAt, ...fields };
+    trace.steps.push(step);
+    return step;
+  };
+
+  const time = async (type, fields, run) => {
+    const step = add(type, fields);
+    const start = now();
+    try {
+      const result = await run(step);
+      step.durationMs = now() - start;
+      step.status ??= "ok";
+      return result;
+    } catch (error) {
+      step.durationMs = now() - start;
+      step.status = "error";
+      step.error = String(error?.message ?? error);
+      throw error;
+    }
+  };
+
+  const finish = ({ outcome = null, error = null } = {}) => {
+    trace.finishedAt = now();
+    trace.durationMs = trace.finishedAt - startedAt;
+    trace.status = error ? "error" : outcome?.status ?? "ok";
+    trace.outcome = outcome;
+    trace.error = error ? String(error?.message ?? error) : null;
+    return trace;
+  };
+
+  return { trace, add, time, finish };
+}
+
+function describeStepDetail(step) {
+  switch (step.type) {
+    case "context":
+      return `${step.contextBytes ?? 0} bytes in ${step.buildMs ?? 0} ms, ${
+        step.exerciseCount ?? 0
+      } exercises, fingerprint ${String(step.fingerprint ?? "—").slice(0, 12)}`;
+    case "candidates":
+      return `${step.mode} mode, ${step.candidateCount} candidates${
+        step.fallback ? " (library fallback)" : ""
+      }`;
+    case "snapshot": {
+      const omitted = step.omitted?.length ? `, omitted ${step.omitted.join(", ")}` : "";
+      return `${step.contextBytes ?? 0} bytes${step.truncated ? ", truncated" : ""}${omitted}`;
+    }
+    case "prompt":
+      return `${step.systemMessages} system + ${step.historyMessages} history messages (${
+        step.droppedMessages
+      } dropped), ~${step.estimatedTokens ?? 0} tokens`;
+    case "model": {
+      const calls = step.toolCalls?.length ? `, tool calls: ${step.toolCalls.join(", ")}` : "";
+      const tokens = step.totalTokens != null ? `, ${step.totalTokens} tokens` : "";
+      return `${step.phase}${step.loop ? ` #${step.loop}` : ""}, ${step.status ?? "running"}${
+        step.durationMs != null ? ` in ${step.durationMs} ms` : ""
+      }${tokens}${calls}`;
+    }
+    case "tool":
+      return `${step.name}: ${step.status ?? "running"}${
+        step.durationMs != null ? ` in ${step.durationMs} ms` : ""
+      }`;
+    case "validation":
+      return `${step.phase} ${step.mode} reply ${step.valid ? "passed" : "failed"}${
+        step.error ? `: ${step.error}` : ""
+      }`;
+    case "context_window_retry":
+      return `retried with only the last message (${step.error})`;
+    case "fallback":
+      return `${step.reason}, ${step.exerciseCount} exercises`;
+    case "edit":
+      return `${step.status}, ${step.opsApplied ?? 0} ops applied${
+        step.error ? `: ${step.error}` : ""
+      }`;
+    case "action_parse":
+      return (step.errors ?? []).join("; ");
+    default:
+      return "";
+  }
+}
+
+/** One line per step for the trace viewer, e.g. `+120 ms model: tool_loop #1, ok in 850 ms`. */
+export function describeCoachTraceStep(step) {
+  const detail = describeStepDetail(step);
+  return `+${step.atMs ?? 0} ms ${step.type}${detail ? `: ${detail}` : ""}`;
+}
+
+/** Keeps a finished trace in `logs`, trimmed to the newest few dozen. */
+export async function saveCoachTrace(trace) {
+  try {
+    await db.table("logs").add({
+      date: trace.startedAt ?? Date.now(),
+      type: COACH_TRACE_LOG_TYPE,
+      turnId: trace.turnId ?? null,
+      trace,
+    });
+    const stored = await db
+      .table("logs")
+      .filter((entry) => entry.type === COACH_TRACE_LOG_TYPE)
+      .primaryKeys();
+    const stale = stored.sort((a, b) => a - b).slice(0, -MAX_STORED_TRACES);
+    if (stale.length) await db.table("logs").bulkDelete(stale);
+  } catch (error) {
+    console.warn("Unable to store coach trace.", error);
+  }
+}
+
+/** Stored traces, newest first. */
+export async function listCoachTraces() {
+  const entries = await db
+    .table("logs")
+    .filter((entry) => entry.type === COACH_TRACE_LOG_TYPE)
+    .toArray();
+  return entries.sort((a, b) => b.date - a.date);
+}
+
+export async function clearCoachTraces() {
+  const keys = await db
+    .table("logs")
+    .filter((entry) => entry.type === COACH_TRACE_LOG_TYPE)
+    .primaryKeys();
+  await db.table("logs").bulkDelete(keys);
+}
@@ -0,0 +1,335 @@
+import { db } from "../db";
+import { createCoachRuntime, runCoachTurn } from "./orchestrator";
+
+// Record/replay for coach turns. A transcript holds everything `runCoachTurn` read from
+// outside (context builders, library, read tools, model responses) plus the outcome it
+// produced, so the same turn can be run again with no network and no user data. Fixtures
+// live in tests/fixtures/coach-transcripts/ and are replayed by tests/coachTranscripts.test.js.
+
+export const COACH_TRANSCRIPT_VERSION = 1;
+export const COACH_TRANSCRIPT_LOG_TYPE = "coach_transcript";
+const MAX_STORED_TRANSCRIPTS = 10;
+
+const CONTEXT_SOURCES = [
+  "getCoachRequestContext",
+  "getAllExercises",
+  "getCoachExerciseCandidates",
+  "getCoachContextSnapshot",
+  "getCoachActiveWorkout",
+];
+
+// Only the turn's inputs are kept: keys, tokens, signals and callbacks are left out.
+const INPUT_FIELDS = [
+  "keyMode",
+  "chatHistory",
+  "userMessage",
+  "contextConfig",
+  "draftEditConfig",
+  "responseMode",
+  "memoryEnabled",
+  "memorySummary",
+  "activeWorkoutId",
+];
+
+// The exercise fields the orchestrator reads; the rest of a library row is dropped so
+// fixtures stay small.
+const EXERCISE_FIELDS = [
+  "id",
+  "name",
+  "aliases",
+  "equipment",
+  "primaryMuscles",
+  "secondaryMuscles",
+  "tags",
+  "muscle_group",
+  "muscleGroup",
+  "default_sets",
+  "default_reps",
+];
+
+const OUTCOME_FIELDS = [
+  "assistant",
+  "actionDraft",
+  "actionParseErrors",
+  "responseValidation",
+  "toolEvents",
+  "proposals",
+  "error",
+];
+
+function cloneJson(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function pick(source, fields) {
+  return fields.reduce((result, field) => {
+    if (source?.[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+}
+
+function slimExercises(list) {
+  return Array.isArray(list) ? list.map((entry) => pick(entry, EXERCISE_FIELDS)) : list;
+}
+
+function serializeError(error) {
+  return {
+    message: String(error?.message ?? error ?? "Unknown error"),
+    status: error?.status ?? null,
+    code: error?.code ?? null,
+  };
+}
+
+function restoreError(recorded) {
+  const error = new Error(recorded.message);
+  if (recorded.status != null) error.status = recorded.status;
+  if (recorded.code != null) error.code = recorded.code;
+  return error;
+}
+
+function summarizeModelRequest({ messages, tools, temperature }) {
+  return cloneJson({
+    messages,
+    tools: Array.isArray(tools) ? tools.map((tool) => tool?.function?.name ?? null) : null,
+    temperature: temperature ?? null,
+  });
+}
+
+function serializeModelResponse(type, response) {
+  if (type === "completion") return cloneJson(response);
+  return cloneJson(pick(response, ["content", "toolCalls", "usage", "model"]));
+}
+
+/** The fields of a `runCoachTurn` result (or its error) that a replay must reproduce. */
+export function summarizeCoachTurnOutcome(result, error = null) {
+  if (error) return { error: serializeError(error).message };
+  return cloneJson(pick(result, OUTCOME_FIELDS));
+}
+
+/**
+ * Wraps the coach runtime so one turn is captured as it runs. Pass `recorder.runtime` to
+ * `runCoachTurn`, then call `finish(result)` (or `finish(null, error)`) for the transcript.
+ */
+export function createTranscriptRecorder({ input, runtime = null, name = null } = {}) {
+  const base = createCoachRuntime(runtime);
+  const transcript = {
+    version: COACH_TRANSCRIPT_VERSION,
+    name,
+    recordedAt: Date.now(),
+    input: cloneJson(pick(input, INPUT_FIELDS)),
+    context: {},
+    modelCalls: [],
+    toolCalls: [],
+    outcome: null,
+  };
+
+  const recordSource = (source, fn, project = (value) => value) => async (...args) => {
+    try {
+      const value = await fn(...args);
+      transcript.context[source] = { value: cloneJson(project(value)) };
+      return value;
+    } catch (error) {
+      transcript.context[source] = { error: serializeError(error) };
+      throw error;
+    }
+  };
+
+  const recordModel = (type, fn) => async (request) => {
+    const call = { type, request: summarizeModelRequest(request) };
+    transcript.modelCalls.push(call);
+    try {
+      const response = await fn(request);
+      call.response = serializeModelResponse(type, response);
+      return response;
+    } catch (error) {
+      call.error = serializeError(error);
+      throw error;
+    }
+  };
+
+  const wrapped = {
+    ...base,
+    streamChatCompletion: recordModel("stream", base.streamChatCompletion),
+    createChatCompletion: recordModel("completion", base.createChatCompletion),
+    executeTool: async (toolName, toolInput, context) => {
+      const call = { name: toolName, input: cloneJson(toolInput) };
+      transcript.toolCalls.push(call);
+      try {
+        const result = await base.executeTool(toolName, toolInput, context);
+        call.result = cloneJson(result);
+        return result;
+      } catch (error) {
+        call.error = serializeError(error);
+        throw error;
+      }
+    },
+  };
+  CONTEXT_SOURCES.forEach((source) => {
+    const project = source === "getAllExercises" ? slimExercises : undefined;
+    wrapped[source] = recordSource(source, base[source], project);
+  });
+
+  return {
+    runtime: wrapped,
+    transcript,
+    finish(result, error = null) {
+      transcript.outcome = summarizeCoachTurnOutcome(result, error);
+      return transcript;
+    },
+  };
+}
+
+function getSystemContent(messages) {
+  return (Array.isArray(messages) ? messages : [])
+    .filter((message) => message?.role === "system")
+    .map((message) => message.content)
+    .join("\n\n");
+}
+
+/**
+ * A runtime that serves a transcript back to `runCoachTurn`. Context and read tools always
+ * come from the recording. Model calls return the recorded responses in order, unless
+ * `models` supplies live `streamChatCompletion`/`createChatCompletion` to evaluate a prompt
+ * change against real output. Requests that no longer match the recording (a changed system
+ * prompt, a different message count, a tool the recording never saw) land in `report`.
+ */
+export function createReplayRuntime(transcript, { models = null } = {}) {
+  const report = { promptDrift: [], missingToolResults: [], unusedModelCalls: 0 };
+  const modelCalls = [...(transcript?.modelCalls ?? [])];
+  const toolCalls = [...(transcript?.toolCalls ?? [])];
+  let callIndex = 0;
+
+  const replaySource = (source) => async () => {
+    const recorded = transcript?.context?.[source];
+    if (!recorded) throw new Error(`Transcript has no recorded ${source}.`);
+    if (recorded.error) throw restoreError(recorded.error);
+    return cloneJson(recorded.value);
+  };
+
+  const checkDrift = (index, expected, request) => {
+    const actual = summarizeModelRequest(request);
+    if (getSystemContent(expected?.messages) !== getSystemContent(actual.messages)) {
+      report.promptDrift.push({ call: index, reason: "system_messages_changed" });
+    }
+    if ((expected?.messages?.length ?? 0) !== (actual.messages?.length ?? 0)) {
+      report.promptDrift.push({ call: index, reason: "message_count_changed" });
+    }
+    if (JSON.stringify(expected?.tools ?? null) !== JSON.stringify(actual.tools ?? null)) {
+      report.promptDrift.push({ call: index, reason: "tools_changed" });
+    }
+  };
+
+  const replayModel = (type) => async (request) => {
+    const index = callIndex;
+    callIndex += 1;
+    const recorded = modelCalls[index];
+    if (recorded) checkDrift(index, recorded.request, request);
+    const live = models?.[type === "stream" ? "streamChatCompletion" : "createChatCompletion"];
+    if (live) return live(request);
+    if (!recorded || recorded.type !== type) {
+      throw new Error(`Transcript has no recorded ${type} response for model call ${index}.`);
+    }
+    if (recorded.error) throw restoreError(recorded.error);
+    const response = cloneJson(recorded.response);
+    if (type === "stream") {
+      request.onStart?.();
+      if (response?.content) request.onDelta?.(response.content);
+      request.onEnd?.();
+    }
+    return response;
+  };
+
+  const runtime = {
+    streamChatCompletion: replayModel("stream"),
+    createChatCompletion: replayModel("completion"),
+    executeTool: async (toolName, toolInput) => {
+      const inputKey = JSON.stringify(cloneJson(toolInput));
+      const index = toolCalls.findIndex(
+        (call) => call.name === toolName && JSON.stringify(call.input) === inputKey
+      );
+      if (index === -1) {
+        report.missingToolResults.push({ name: toolName, input: cloneJson(toolInput) });
+        throw new Error(`Transcript has no recorded result for ${toolName}.`);
+      }
+      const [call] = toolCalls.splice(index, 1);
+      if (call.error) throw restoreError(call.error);
+      return cloneJson(call.result);
+    },
+  };
+  CONTEXT_SOURCES.forEach((source) => {
+    runtime[source] = replaySource(source);
+  });
+
+  return {
+    runtime,
+    report,
+    finish() {
+      report.unusedModelCalls = models ? 0 : Math.max(0, modelCalls.length - callIndex);
+      return report;
+    },
+  };
+}
+
+/** Fields of `expected` whose replayed value differs, as `[{ field, expected, actual }]`. */
+export function compareTranscriptOutcome(expected, actual) {
+  const same = (field) =>
+    JSON.stringify(expected?.[field] ?? null) === JSON.stringify(actual?.[field] ?? null);
+  return OUTCOME_FIELDS.filter((field) => !same(field)).map((field) => ({
+    field,
+    expected: expected?.[field] ?? null,
+    actual: actual?.[field] ?? null,
+  }));
+}
+
+/**
+ * Runs the recorded turn through the current orchestrator. `diff` is empty when the outcome
+ * matches the golden one; `report` lists request drift. Options go to `createReplayRuntime`.
+ */
+export async function replayCoachTranscript(transcript, options = {}) {
+  if (transcript?.version !== COACH_TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported coach transcript version: ${transcript?.version}.`);
+  }
+  const replay = createReplayRuntime(transcript, options);
+  let result = null;
+  let outcome;
+  try {
+    result = await runCoachTurn({ ...cloneJson(transcript.input), runtime: replay.runtime });
+    outcome = summarizeCoachTurnOutcome(result);
+  } catch (error) {
+    outcome = summarizeCoachTurnOutcome(null, error);
+  }
+  return {
+    result,
+    outcome,
+    diff: compareTranscriptOutcome(transcript.outcome, outcome),
+    report: replay.finish(),
+  };
+}
+
+/** Keeps a recorded transcript in `logs`, trimmed to the newest few. */
+export async function saveCoachTranscript(transcript) {
+  try {
+    await db.table("logs").add({
+      date: transcript.recordedAt ?? Date.now(),
+      type: COACH_TRANSCRIPT_LOG_TYPE,
+      transcript,
+    });
+    const stored = await db
+      .table("logs")
+      .filter((entry) => entry.type === COACH_TRANSCRIPT_LOG_TYPE)
+      .primaryKeys();
+    const stale = stored.sort((a, b) => a - b).slice(0, -MAX_STORED_TRANSCRIPTS);
+    if (stale.length) await db.table("logs").bulkDelete(stale);
+  } catch (error) {
+    console.warn("Unable to store coach transcript.", error);
+  }
+}
+
+/** Recorded transcripts, newest first. */
+export async function listCoachTranscripts() {
+  const entries = await db
+    .table("logs")
+    .filter((entry) => entry.type === COACH_TRANSCRIPT_LOG_TYPE)
+    .toArray();
+  return entries.sort((a, b) => b.date - a.date);
+}
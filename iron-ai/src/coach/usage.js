@@ -0,0 +1,185 @@
+import { db } from "../db";
+import { getSettings, updateSettings } from "../state/settingsStore";
+
+// Token usage for every model call the coach makes, kept as `logs` rows so Diagnostics
+// can total them by day and month and budgets can be checked before the next call.
+
+export const COACH_USAGE_LOG_TYPE = "coach_usage";
+export const COACH_BUDGET_ERROR_CODE = "coach_budget_exceeded";
+
+/** USD per million tokens. Unknown models are counted in tokens but not priced. */
+export const COACH_MODEL_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+};
+
+function toCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : 0;
+}
+
+function toLimit(value) {
+  if (value === "" || value == null) return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/** OpenAI `usage` (or the same counts from the stream) → `{ promptTokens, ... }`, or null. */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  const promptTokens = toCount(usage.prompt_tokens ?? usage.promptTokens);
+  const completionTokens = toCount(usage.completion_tokens ?? usage.completionTokens);
+  if (!promptTokens && !completionTokens) return null;
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// Dated snapshots ("gpt-4o-mini-2024-07-18") take the price of their longest base name.
+function resolveModelPricing(model) {
+  const name = String(model ?? "");
+  const base = Object.keys(COACH_MODEL_PRICING)
+    .filter((key) => name === key || name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? COACH_MODEL_PRICING[base] : null;
+}
+
+/** Estimated USD for one call, or null when the model has no price. */
+export function estimateUsageCost(model, usage) {
+  const pricing = resolveModelPricing(model);
+  if (!pricing || !usage) return null;
+  return (
+    (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1_000_000
+  );
+}
+
+/**
+ * Logs one model call. `phase` is `tool_loop` for the streamed turn (with its `loop`
+ * number) or `repair` for the validation retry; `turnId` groups the calls of one turn.
+ */
+export async function recordCoachUsage({
+  model,
+  usage,
+  phase,
+  loop = null,
+  turnId = null,
+  at = Date.now(),
+}) {
+  const normalized = normalizeUsage(usage);
+  if (!normalized) return null;
+  const entry = {
+    date: at,
+    type: COACH_USAGE_LOG_TYPE,
+    model,
+    phase,
+    loop,
+    turnId,
+    ...normalized,
+    costUsd: estimateUsageCost(model, normalized),
+  };
+  try {
+    await db.table("logs").add(entry);
+  } catch (error) {
+    console.warn("Unable to log coach usage.", error);
+  }
+  return entry;
+}
+
+function startOfDay(now) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function startOfMonth(now) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(1);
+  return date.getTime();
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addEntry(totals, entry) {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens ?? 0;
+  totals.completionTokens += entry.completionTokens ?? 0;
+  totals.totalTokens += entry.totalTokens ?? 0;
+  totals.costUsd += entry.costUsd ?? 0;
+}
+
+/** Sums usage rows into `{ daily, monthly, byModel }` for the local day and month. */
+export function summarizeCoachUsage(entries, now = Date.now()) {
+  const dayStart = startOfDay(now);
+  const daily = emptyTotals();
+  const monthly = emptyTotals();
+  const byModel = {};
+  (entries ?? []).forEach((entry) => {
+    if (entry.date >= dayStart) addEntry(daily, entry);
+    addEntry(monthly, entry);
+    byModel[entry.model] ??= emptyTotals();
+    addEntry(byModel[entry.model], entry);
+  });
+  return { daily, monthly, byModel };
+}
+
+export async function getCoachUsageTotals(now = Date.now()) {
+  const entries = await db
+    .table("logs")
+    .where("date")
+    .aboveOrEqual(startOfMonth(now))
+    .filter((entry) => entry.type === COACH_USAGE_LOG_TYPE)
+    .toArray();
+  return summarizeCoachUsage(entries, now);
+}
+
+export function normalizeCoachBudget(raw) {
+  return {
+    dailyTokens: toLimit(raw?.dailyTokens),
+    monthlyTokens: toLimit(raw?.monthlyTokens),
+    monthlyCostUsd: toLimit(raw?.monthlyCostUsd),
+  };
+}
+
+export async function getCoachBudget() {
+  return normalizeCoachBudget((await getSettings())?.coach_budget);
+}
+
+export async function setCoachBudget(budget) {
+  const next = normalizeCoachBudget(budget);
+  await updateSettings({ coach_budget: next });
+  return next;
+}
+
+/** The first limit the totals have reached, as a user-facing sentence, or null. */
+export function findExceededBudget(budget, totals) {
+  const tokens = (limit) => `${limit.toLocaleString()} tokens`;
+  if (budget.dailyTokens != null && totals.daily.totalTokens >= budget.dailyTokens) {
+    return `Today's coach budget of ${tokens(budget.dailyTokens)} is used up.`;
+  }
+  if (budget.monthlyTokens != null && totals.monthly.totalTokens >= budget.monthlyTokens) {
+    return `This month's coach budget of ${tokens(budget.monthlyTokens)} is used up.`;
+  }
+  if (budget.monthlyCostUsd != null && totals.monthly.costUsd >= budget.monthlyCostUsd) {
+    return `This month's coach budget of $${budget.monthlyCostUsd.toFixed(2)} is used up.`;
+  }
+  return null;
+}
+
+/**
+ * Throws before a model call once a budget set in Diagnostics is used up, so a runaway
+ * tool or repair loop stops at the next call.
+ */
+export async function assertCoachBudget(now = Date.now()) {
+  const budget = await getCoachBudget();
+  if (Object.values(budget).every((limit) => limit == null)) return;
+  const message = findExceededBudget(budget, await getCoachUsageTotals(now));
+  if (!message) return;
+  const error = new Error(`${message} Raise the limit in Diagnostics to keep chatting.`);
+  error.status = 429;
+  error.code = COACH_BUDGET_ERROR_CODE;
+  throw error;
+}
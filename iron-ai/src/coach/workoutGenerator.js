@@ -0,0 +1,277 @@
+import { db, getExerciseUsageCounts, listFinishedWorkouts } from "../db";
+import { getAvailableExercises } from "../equipment/engine";
+import { ActionDraftKinds, ActionDraftRisks } from "./actionDraftContract";
+
+// Rule-based workout drafts for when the model can't be reached (no key, offline, or the
+// server is down). Each goal is an ordered list of slots; the time budget decides how many
+// slots are filled, and each slot takes the best available exercise for its muscle.
+
+const WARMUP_MINUTES = 5;
+const SETUP_MINUTES_PER_EXERCISE = 1;
+const MINUTES_PER_SET = { compound: 2.5, isolation: 2 };
+const DEFAULT_REPS = { compound: 8, isolation: 12 };
+const MIN_MINUTES = 15;
+const MAX_MINUTES = 120;
+const MIN_EXERCISES = 2;
+const VARIATION_POOL = 3;
+
+const EXCLUDED_CATEGORIES = new Set(["stretching", "cardio", "plyometrics"]);
+
+// Older and custom exercises may only carry a broad `muscle_group`.
+const MUSCLE_GROUP_MUSCLES = {
+  legs: ["quadriceps", "hamstrings", "glutes", "calves"],
+  back: ["lats", "middle back", "lower back", "traps"],
+  arms: ["biceps", "triceps", "forearms"],
+  core: ["abdominals"],
+  abs: ["abdominals"],
+  chest: ["chest"],
+  shoulders: ["shoulders"],
+};
+
+const slot = (label, muscles, pattern) => ({ label, muscles, pattern });
+
+export const WORKOUT_GENERATOR_GOALS = {
+  push: {
+    label: "Push",
+    slots: [
+      slot("chest", ["chest"], "compound"),
+      slot("shoulders", ["shoulders"], "compound"),
+      slot("triceps", ["triceps"], "isolation"),
+      slot("chest", ["chest"], "isolation"),
+      slot("shoulders", ["shoulders"], "isolation"),
+      slot("triceps", ["triceps"], "compound"),
+    ],
+  },
+  pull: {
+    label: "Pull",
+    slots: [
+      slot("lats", ["lats"], "compound"),
+      slot("upper back", ["middle back"], "compound"),
+      slot("biceps", ["biceps"], "isolation"),
+      slot("rear shoulders", ["traps", "shoulders"], "isolation"),
+      slot("lats", ["lats"], "isolation"),
+      slot("biceps", ["biceps", "forearms"], "isolation"),
+    ],
+  },
+  legs: {
+    label: "Legs",
+    slots: [
+      slot("quads", ["quadriceps"], "compound"),
+      slot("hamstrings", ["hamstrings"], "compound"),
+      slot("glutes", ["glutes"], "compound"),
+      slot("quads", ["quadriceps"], "isolation"),
+      slot("hamstrings", ["hamstrings"], "isolation"),
+      slot("calves", ["calves"], "isolation"),
+    ],
+  },
+  upper: {
+    label: "Upper body",
+    slots: [
+      slot("chest", ["chest"], "compound"),
+      slot("lats", ["lats"], "compound"),
+      slot("shoulders", ["shoulders"], "compound"),
+      slot("upper back", ["middle back"], "compound"),
+      slot("triceps", ["triceps"], "isolation"),
+      slot("biceps", ["biceps"], "isolation"),
+    ],
+  },
+  lower: {
+    label: "Lower body",
+    slots: [
+      slot("quads", ["quadriceps"], "compound"),
+      slot("hamstrings", ["hamstrings"], "compound"),
+      slot("glutes", ["glutes"], "compound"),
+      slot("calves", ["calves"], "isolation"),
+      slot("core", ["abdominals"], "isolation"),
+      slot("quads", ["quadriceps"], "isolation"),
+    ],
+  },
+  full_body: {
+    label: "Full body",
+    slots: [
+      slot("quads", ["quadriceps"], "compound"),
+      slot("chest", ["chest"], "compound"),
+      slot("back", ["lats", "middle back"], "compound"),
+      slot("hamstrings", ["hamstrings", "glutes"], "compound"),
+      slot("shoulders", ["shoulders"], "compound"),
+      slot("core", ["abdominals"], "isolation"),
+    ],
+  },
+};
+
+function clampMinutes(minutes) {
+  const parsed = Number(minutes);
+  if (!Number.isFinite(parsed)) return 45;
+  return Math.max(MIN_MINUTES, Math.min(MAX_MINUTES, Math.round(parsed)));
+}
+
+function toPositiveInt(value) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function normalizeList(value) {
+  return (Array.isArray(value) ? value : [])
+    .map((entry) => String(entry ?? "").trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getExerciseMuscles(exercise) {
+  const primary = normalizeList(exercise?.primaryMuscles);
+  if (primary.length) return primary;
+  const group = String(exercise?.muscle_group ?? "").trim().toLowerCase();
+  return MUSCLE_GROUP_MUSCLES[group] ?? (group ? [group] : []);
+}
+
+// `push`/`pull` patterns in the seed are multi-joint movements.
+function getExercisePattern(exercise) {
+  const pattern = String(exercise?.pattern ?? "").trim().toLowerCase();
+  if (pattern === "compound" || pattern === "push" || pattern === "pull") return "compound";
+  if (pattern === "isolation") return "isolation";
+  return null;
+}
+
+function isTrainable(exercise) {
+  if (exercise?.id == null) return false;
+  const category = String(exercise?.category ?? "").trim().toLowerCase();
+  if (EXCLUDED_CATEGORIES.has(category)) return false;
+  return String(exercise?.pattern ?? "").trim().toLowerCase() !== "static";
+}
+
+/**
+ * Familiar exercises first (usage count, capped), the slot's pattern over the other one,
+ * and anything from the last finished session pushed down so consecutive days vary.
+ */
+function scoreCandidate(exercise, targetSlot, { usageCounts, recentExerciseIds }) {
+  let score = 0;
+  const pattern = getExercisePattern(exercise);
+  if (pattern === targetSlot.pattern) score += 4;
+  else if (pattern) score -= 2;
+  if (getExerciseMuscles(exercise)[0] === targetSlot.muscles[0]) score += 1;
+  score += Math.min(usageCounts.get(exercise.id) ?? 0, 6);
+  if (recentExerciseIds.has(exercise.id)) score -= 3;
+  return score;
+}
+
+function resolveSets(pattern, minutes) {
+  if (pattern === "compound") return minutes >= 60 ? 4 : 3;
+  return minutes >= 30 ? 3 : 2;
+}
+
+function estimateExerciseMinutes(pattern, sets) {
+  return SETUP_MINUTES_PER_EXERCISE + sets * MINUTES_PER_SET[pattern];
+}
+
+/**
+ * Picks exercises for `goal` within `minutes`. Pure: callers pass the available
+ * exercises, `usageCounts` (exerciseId → times logged) and the last session's exercise ids.
+ * `variation` rotates each slot through its top few candidates for a different draft.
+ */
+export function selectGeneratedExercises({
+  goal,
+  minutes,
+  exercises,
+  usageCounts = new Map(),
+  recentExerciseIds = new Set(),
+  variation = 0,
+}) {
+  const config = WORKOUT_GENERATOR_GOALS[goal];
+  if (!config) return { exercises: [], estimatedMinutes: 0 };
+  const budget = clampMinutes(minutes);
+  const pool = (Array.isArray(exercises) ? exercises : []).filter(isTrainable);
+  const history = { usageCounts, recentExerciseIds };
+  const usedIds = new Set();
+  const chosen = [];
+  let elapsed = WARMUP_MINUTES;
+
+  config.slots.forEach((targetSlot) => {
+    const sets = resolveSets(targetSlot.pattern, budget);
+    const cost = estimateExerciseMinutes(targetSlot.pattern, sets);
+    if (chosen.length >= MIN_EXERCISES && elapsed + cost > budget) return;
+    const candidates = pool
+      .filter((exercise) => !usedIds.has(exercise.id))
+      .filter((exercise) =>
+        getExerciseMuscles(exercise).some((muscle) => targetSlot.muscles.includes(muscle))
+      )
+      .map((exercise) => ({ exercise, score: scoreCandidate(exercise, targetSlot, history) }))
+      .sort(
+        (a, b) =>
+          b.score - a.score || String(a.exercise.name).localeCompare(String(b.exercise.name))
+      );
+    if (!candidates.length) return;
+    const pick = candidates[variation % Math.min(VARIATION_POOL, candidates.length)].exercise;
+    usedIds.add(pick.id);
+    elapsed += cost;
+    chosen.push({
+      exercise: pick,
+      slot: targetSlot.label,
+      sets,
+      reps: toPositiveInt(pick.default_reps) ?? DEFAULT_REPS[targetSlot.pattern],
+    });
+  });
+
+  return { exercises: chosen, estimatedMinutes: Math.round(elapsed) };
+}
+
+/** A `create_workout` action draft from `selectGeneratedExercises`, or null when none fit. */
+export function buildGeneratedWorkoutDraft({ goal, minutes, gymId = null, ...selection }) {
+  const config = WORKOUT_GENERATOR_GOALS[goal];
+  const { exercises, estimatedMinutes } = selectGeneratedExercises({
+    goal,
+    minutes,
+    ...selection,
+  });
+  if (!config || !exercises.length) return null;
+
+  const title = `${config.label} workout`;
+  const focus = Array.from(new Set(exercises.map((entry) => entry.slot))).join(", ");
+  const payload = {
+    name: title,
+    plannedDurationMins: estimatedMinutes,
+    exercises: exercises.map(({ exercise, sets, reps }) => ({
+      exerciseId: exercise.id,
+      name: exercise.name,
+      sets: Array.from({ length: sets }, () => ({ reps })),
+    })),
+  };
+  const resolvedGymId = toPositiveInt(gymId);
+  if (resolvedGymId != null) payload.gymId = resolvedGymId;
+
+  return {
+    kind: ActionDraftKinds.create_workout,
+    confidence: 0.7,
+    risk: ActionDraftRisks.low,
+    title,
+    summary: `${exercises.length} exercises, about ${estimatedMinutes} min: ${focus}.`,
+    payload,
+  };
+}
+
+async function getLastSessionExerciseIds() {
+  const [last] = await listFinishedWorkouts();
+  if (last?.id == null) return new Set();
+  const items = await db.table("workoutItems").where("workoutId").equals(last.id).toArray();
+  return new Set(items.map((item) => item.exerciseId));
+}
+
+/**
+ * Builds a draft from the local library and history only, so it works with no API key and
+ * no network. `spaceId` limits exercises to that space's equipment (the active space when
+ * null).
+ */
+export async function generateWorkoutDraft({ goal, minutes, spaceId = null, variation = 0 }) {
+  const [exercises, usage, recentExerciseIds] = await Promise.all([
+    getAvailableExercises(spaceId),
+    getExerciseUsageCounts(),
+    getLastSessionExerciseIds(),
+  ]);
+  return buildGeneratedWorkoutDraft({
+    goal,
+    minutes,
+    gymId: spaceId,
+    exercises,
+    usageCounts: new Map(usage.map((entry) => [entry.exerciseId, entry.count])),
+    recentExerciseIds,
+    variation,
+  });
+}
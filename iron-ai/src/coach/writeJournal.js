@@ -0,0 +1,235 @@
+import { db } from "../db";
+
+// Every confirmed coach write is journaled in `coachWrites` with the rows it touched, so
+// the "Coach changes" screen can show and revert it. A write declares scopes (the rows it
+// may touch); the journal reads them before and after and keeps only what changed.
+
+const TABLE_LABELS = {
+  templates: "template",
+  templateItems: "template exercise",
+  plannedWorkouts: "planned workout",
+  settings: "setting",
+  workoutSpaces: "gym",
+  workoutSessions: "workout",
+  workouts: "workout",
+  workoutItems: "workout exercise",
+  workoutSets: "workout set",
+};
+
+const WORKOUT_TABLES = ["workoutSessions", "workouts", "workoutItems", "workoutSets"];
+
+function primaryKeyPath(table) {
+  return db.table(table).schema.primKey.keyPath;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Scope covering a whole (small) table. */
+export function tableScope(table) {
+  return { table, read: () => db.table(table).toArray() };
+}
+
+/** Scope covering rows added after this call, for large append-mostly tables. */
+export async function newRowsScope(table) {
+  const lastKey = (await db.table(table).orderBy(":id").lastKey()) ?? 0;
+  return { table, read: () => db.table(table).where(":id").above(lastKey).toArray() };
+}
+
+/** Scopes covering one workout's exercises and sets. */
+export function workoutItemsScopes(workoutId) {
+  const readItems = () => db.table("workoutItems").where({ workoutId }).toArray();
+  return [
+    { table: "workoutItems", read: readItems },
+    {
+      table: "workoutSets",
+      read: async () => {
+        const itemIds = (await readItems()).map((item) => item.id);
+        if (!itemIds.length) return [];
+        return db.table("workoutSets").where("workoutItemId").anyOf(itemIds).toArray();
+      },
+    },
+  ];
+}
+
+/**
+ * Scopes for a coach write, by tool name or action draft kind. `input` is the tool input
+ * or the draft.
+ */
+export async function getCoachWriteScopes(name, input) {
+  switch (name) {
+    case "create_template":
+      return [tableScope("templates"), tableScope("templateItems")];
+    case "add_planned_workout":
+      return [tableScope("plannedWorkouts")];
+    case "update_user_goal":
+      return [tableScope("settings"), await newRowsScope("coachMemoryChanges")];
+    case "create_workout_space":
+    case "update_workout_space":
+    case "set_active_space":
+    case "create_gym":
+      return [tableScope("workoutSpaces"), tableScope("settings")];
+    case "create_workout":
+      return Promise.all(WORKOUT_TABLES.map((table) => newRowsScope(table)));
+    case "edit_workout":
+      return workoutItemsScopes(input?.payload?.workoutId);
+    default:
+      return [];
+  }
+}
+
+async function readScopes(scopes) {
+  const snapshot = new Map();
+  for (const scope of scopes) {
+    const keyPath = primaryKeyPath(scope.table);
+    const rows = snapshot.get(scope.table) ?? new Map();
+    for (const row of await scope.read()) rows.set(row[keyPath], row);
+    snapshot.set(scope.table, rows);
+  }
+  return snapshot;
+}
+
+// Updates keep only the fields that changed, so unrelated settings (and secrets) never
+// land in the journal.
+function diffSnapshots(before, after) {
+  const changes = [];
+  const tables = new Set([...before.keys(), ...after.keys()]);
+  for (const table of tables) {
+    const beforeRows = before.get(table) ?? new Map();
+    const afterRows = after.get(table) ?? new Map();
+    const keys = new Set([...beforeRows.keys(), ...afterRows.keys()]);
+    for (const key of keys) {
+      const prev = beforeRows.get(key) ?? null;
+      const next = afterRows.get(key) ?? null;
+      const row = next ?? prev;
+      const name = row.name ?? row.title ?? null;
+      if (!prev) {
+        changes.push({ table, key, name, op: "create", before: null, after: next });
+        continue;
+      }
+      if (!next) {
+        changes.push({ table, key, name, op: "delete", before: prev, after: null });
+        continue;
+      }
+      const fields = new Set([...Object.keys(prev), ...Object.keys(next)]);
+      const patchBefore = {};
+      const patchAfter = {};
+      for (const field of fields) {
+        if (sameValue(prev[field], next[field])) continue;
+        patchBefore[field] = prev[field];
+        patchAfter[field] = next[field];
+      }
+      if (Object.keys(patchAfter).length) {
+        changes.push({ table, key, name, op: "update", before: patchBefore, after: patchAfter });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Runs a confirmed coach write and journals the rows it changed. `source` is "tool" or
+ * "draft"; `name` is the tool name or draft kind. Failed writes are not journaled.
+ */
+export async function journalCoachWrite({ source, name, summary, input }, run) {
+  const scopes = await getCoachWriteScopes(name, input);
+  const before = await readScopes(scopes);
+  const result = await run();
+  const changes = diffSnapshots(before, await readScopes(scopes));
+  const journalId = await db.table("coachWrites").add({
+    source,
+    name,
+    summary: String(summary ?? name),
+    changes,
+    createdAt: Date.now(),
+    revertedAt: null,
+  });
+  return { result, journalId };
+}
+
+export async function listCoachWrites() {
+  return db.table("coachWrites").orderBy("createdAt").reverse().toArray();
+}
+
+/** "2 templates created, 1 gym updated" style summary of a journal entry. */
+export function describeCoachWriteChanges(changes) {
+  const counts = new Map();
+  for (const change of changes ?? []) {
+    const label = `${TABLE_LABELS[change.table] ?? change.table}:${change.op}`;
+    counts.set(label, (counts.get(label) ?? 0) + 1);
+  }
+  const verbs = { create: "created", update: "updated", delete: "deleted" };
+  return Array.from(counts.entries())
+    .map(([label, count]) => {
+      const [noun, op] = label.split(":");
+      return `${count} ${noun}${count === 1 ? "" : "s"} ${verbs[op]}`;
+    })
+    .join(", ");
+}
+
+/** One line per changed row, e.g. "Created template “Push Day”". */
+export function describeCoachWriteChange(change) {
+  const verbs = { create: "Created", update: "Updated", delete: "Deleted" };
+  const label = TABLE_LABELS[change.table] ?? change.table;
+  const target = change.name ? `“${change.name}”` : `#${change.key}`;
+  const fields = change.op === "update" ? ` (${Object.keys(change.after).join(", ")})` : "";
+  return `${verbs[change.op]} ${label} ${target}${fields}`;
+}
+
+/** Marks an entry reverted when the write was undone some other way (e.g. the Undo toast). */
+export async function markCoachWriteReverted(journalId) {
+  if (journalId == null) return;
+  await db.table("coachWrites").update(journalId, { revertedAt: Date.now() });
+}
+
+function findConflict(change, current) {
+  if (change.op === "create") return !current || !sameValue(current, change.after);
+  if (change.op === "delete") return Boolean(current);
+  if (!current) return true;
+  return Object.keys(change.after).some(
+    (field) => !sameValue(current[field], change.after[field])
+  );
+}
+
+/**
+ * Reverts one journaled write. Refuses, without touching anything, when any affected row
+ * changed after the coach wrote it.
+ */
+export async function revertCoachWrite(journalId) {
+  const entry = await db.table("coachWrites").get(journalId);
+  if (!entry) throw new Error("Coach change not found.");
+  if (entry.revertedAt) throw new Error("This change was already reverted.");
+  const tables = Array.from(new Set(entry.changes.map((change) => change.table)));
+  await db.transaction(
+    "rw",
+    [...tables, "coachWrites"].map((table) => db.table(table)),
+    async () => {
+      for (const change of entry.changes) {
+        const current = await db.table(change.table).get(change.key);
+        if (findConflict(change, current)) {
+          const label = TABLE_LABELS[change.table] ?? change.table;
+          throw new Error(`Can't revert: a ${label} changed after the coach edited it.`);
+        }
+      }
+      // Undo in reverse so child rows go before their parents and come back after them.
+      for (const change of [...entry.changes].reverse()) {
+        const table = db.table(change.table);
+        if (change.op === "create") {
+          await table.delete(change.key);
+        } else if (change.op === "delete") {
+          await table.add(change.before);
+        } else {
+          const current = await table.get(change.key);
+          const restored = { ...current };
+          for (const [field, value] of Object.entries(change.before)) {
+            if (value === undefined) delete restored[field];
+            else restored[field] = value;
+          }
+          await table.put(restored);
+        }
+      }
+      await db.table("coachWrites").update(journalId, { revertedAt: Date.now() });
+    }
+  );
+}
@@ -3,10 +3,44 @@ import starterExercises from "./data/starterExercises.json";
 import { EQUIPMENT_CATALOG } from "./equipment/catalog";
 import { inferExerciseEquipment } from "./equipment/inference";
 import { computeStableId } from "./seed/seedUtils";
+import {
+  convertWeight,
+  DEFAULT_WEIGHT_UNIT,
+  normalizeWeightUnit,
+  roundWeight,
+} from "./utils/units";
+import { getSetType, normalizeRir, normalizeRpe, toSetTypePatch } from "./workouts/setTypes";
+import { normalizeDistanceUnit, parseDuration } from "./workouts/setSchemas";
+import {
+  createSupersetGroupId,
+  normalizeSupersetKind,
+  normalizeSupersetLayout,
+} from "./workouts/supersets";
+import { findFulfilledPlan } from "./workouts/plannedWorkouts";
+import { applyPrescription } from "./programs/progression";
+import {
+  applySessionToRecord,
+  buildRecordFromSessions,
+  createEmptyRecord,
+  RECORD_UNIT,
+} from "./workouts/personalRecords";
+import {
+  buildSetTarget,
+  getPrescriptionTargets,
+  normalizeSetPrescriptions,
+  resizeSetPrescriptions,
+} from "./workouts/setPrescriptions";
+import {
+  normalizeE1rmFormula,
+  normalizeTrainingMaxPercent,
+  TRAINING_MAX_SOURCES,
+} from "./workouts/trainingMax";
+import { resolveActiveSpace } from "./workoutSpaces/logic";
+import { getLoadingKind, normalizeLoadout, resolveLoadout } from "./workoutSpaces/loading";
 
 export const db = new Dexie("ironAI");
 const COACH_ACTIVE_GYM_KEY = "coach.activeGymId.v1";
-const MIGRATION_META_KEYS = {
+export const MIGRATION_META_KEYS = {
   version: "migration.version",
   lastMigrationAt: "migration.lastMigrationAt",
 };
@@ -34,6 +68,174 @@ function writeCoachGymToStorage(storage, value) {
   storage.setItem(COACH_ACTIVE_GYM_KEY, JSON.stringify(value));
 }
 
+// --------------------
+// Migration normalizers
+// --------------------
+// Shared by the schema upgrades below and by backup import so old exports
+// pick up the same defaults an in-place upgrade would apply.
+
+function slugifyExerciseName(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** v2/v3: template timestamps */
+export function applyTemplateTimestampDefaults(template, now = Date.now()) {
+  if (template.createdAt == null) template.createdAt = now;
+  if (template.updatedAt == null) template.updatedAt = now;
+  return template;
+}
+
+/** v4: legacy `workouts` row -> `workoutSessions` row */
+export function toWorkoutSessionRecord(workout) {
+  return {
+    id: workout.id,
+    startedAt: workout.startedAt ?? null,
+    finishedAt: workout.finishedAt ?? null,
+    templateId: workout.templateId ?? null,
+  };
+}
+
+/** v6: required/optional equipment inferred from exercise metadata */
+export function applyExerciseEquipmentDefaults(exercise) {
+  const required = Array.isArray(exercise.requiredEquipmentIds)
+    ? exercise.requiredEquipmentIds
+    : [];
+  const optional = Array.isArray(exercise.optionalEquipmentIds)
+    ? exercise.optionalEquipmentIds
+    : null;
+  if (required.length && optional !== null) return exercise;
+  const inferred = inferExerciseEquipment(exercise);
+  if (!required.length) {
+    exercise.requiredEquipmentIds = inferred.requiredEquipmentIds;
+  }
+  if (optional === null) {
+    exercise.optionalEquipmentIds = inferred.optionalEquipmentIds;
+  }
+  return exercise;
+}
+
+/** v7: extended exercise metadata */
+export function applyExerciseMetadataDefaults(exercise) {
+  const primary =
+    Array.isArray(exercise.primaryMuscles) && exercise.primaryMuscles.length
+      ? exercise.primaryMuscles
+      : [];
+  if (!primary.length) {
+    const legacy = String(exercise.muscle_group ?? "").trim();
+    exercise.primaryMuscles = legacy ? [legacy] : [];
+  }
+  if (!Array.isArray(exercise.secondaryMuscles)) {
+    exercise.secondaryMuscles = [];
+  }
+  if (!Array.isArray(exercise.instructions)) {
+    exercise.instructions = [];
+  }
+  if (!Array.isArray(exercise.commonMistakes)) {
+    exercise.commonMistakes = [];
+  }
+  if (!Array.isArray(exercise.progressions)) {
+    exercise.progressions = [];
+  }
+  if (!Array.isArray(exercise.regressions)) {
+    exercise.regressions = [];
+  }
+  if (!Array.isArray(exercise.aliases)) {
+    exercise.aliases = [];
+  }
+
+  const hasRequired =
+    Array.isArray(exercise.requiredEquipmentIds) &&
+    exercise.requiredEquipmentIds.length > 0;
+  const hasOptional = Array.isArray(exercise.optionalEquipmentIds);
+  if (!hasRequired || !hasOptional) {
+    const inferred = inferExerciseEquipment(exercise);
+    if (!hasRequired) {
+      exercise.requiredEquipmentIds = inferred.requiredEquipmentIds;
+    }
+    if (!hasOptional) {
+      exercise.optionalEquipmentIds = inferred.optionalEquipmentIds;
+    }
+  }
+
+  if (!exercise.media || typeof exercise.media !== "object") {
+    exercise.media = {};
+  }
+  if (exercise.video_url && !exercise.media.videoUrl) {
+    exercise.media.videoUrl = exercise.video_url;
+  }
+  if (exercise.videoUrl && !exercise.media.videoUrl) {
+    exercise.media.videoUrl = exercise.videoUrl;
+  }
+  return exercise;
+}
+
+/** v8: exercise library fields (slug, status, source, timestamps) */
+export function applyExerciseLibraryDefaults(exercise, now = Date.now()) {
+  if (!exercise.slug) {
+    const baseSlug = slugifyExerciseName(exercise.name ?? "");
+    const idPrefix = exercise.id != null ? String(exercise.id) : "";
+    if (baseSlug && idPrefix) {
+      exercise.slug = `${idPrefix}-${baseSlug}`;
+    } else {
+      exercise.slug = baseSlug || idPrefix || "exercise";
+    }
+  }
+  if (!exercise.status) exercise.status = "extended";
+  if (!Array.isArray(exercise.aliases)) exercise.aliases = [];
+  if (!Array.isArray(exercise.primaryMuscles)) {
+    const legacy = String(exercise.muscle_group ?? "").trim();
+    exercise.primaryMuscles = legacy ? [legacy] : [];
+  }
+  if (!Array.isArray(exercise.secondaryMuscles)) exercise.secondaryMuscles = [];
+  if (!Array.isArray(exercise.instructions)) exercise.instructions = [];
+  if (!Array.isArray(exercise.gotchas)) exercise.gotchas = [];
+  if (!Array.isArray(exercise.equipment)) exercise.equipment = [];
+  if (!exercise.youtubeSearchQuery && exercise.name) {
+    exercise.youtubeSearchQuery = `${exercise.name} exercise form cues`;
+  }
+  if (exercise.youtubeVideoId === undefined) {
+    exercise.youtubeVideoId = null;
+  }
+  if (!exercise.source) {
+    exercise.source = exercise.is_custom ? "user" : "starter";
+  }
+  if (exercise.createdAt == null) exercise.createdAt = now;
+  if (exercise.updatedAt == null) exercise.updatedAt = now;
+  return exercise;
+}
+
+/**
+ * v10: weight unit on every set. Sets logged before units existed take the
+ * user's default and are flagged so they can be relabeled later.
+ */
+export function applyWorkoutSetUnitDefaults(set, unit = DEFAULT_WEIGHT_UNIT) {
+  if (!set.unit) {
+    set.unit = normalizeWeightUnit(unit);
+    set.unitInferred = true;
+  }
+  return set;
+}
+
+/** v9: stable exercise id (async, so run it outside of Dexie write callbacks) */
+export async function withExerciseStableId(exercise) {
+  if (exercise.stableId) return exercise;
+  const stableId = await computeStableId({
+    source: exercise.source,
+    sourceId: exercise.sourceId ?? exercise.externalId ?? exercise.sourceKey ?? null,
+    externalId: exercise.externalId ?? exercise.sourceKey ?? null,
+    name: exercise.name,
+    equipment: exercise.equipment ?? [],
+    primaryMuscles: exercise.primaryMuscles ?? [],
+    pattern: exercise.pattern,
+    category: exercise.category,
+  });
+  return { ...exercise, stableId };
+}
+
 /**
  * v2 (existingg))
  */
@@ -50,8 +252,7 @@ db.version(2)
   .upgrade(async (tx) => {
     const now = Date.now();
     await tx.table("templates").toCollection().modify((t) => {
-      if (t.createdAt == null) t.createdAt = now;
-      if (t.updatedAt == null) t.updatedAt = now;
+      applyTemplateTimestampDefaults(t, now);
     });
   });
 
@@ -77,8 +278,7 @@ db.version(3)
   .upgrade(async (tx) => {
     const now = Date.now();
     await tx.table("templates").toCollection().modify((t) => {
-      if (t.createdAt == null) t.createdAt = now;
-      if (t.updatedAt == null) t.updatedAt = now;
+      applyTemplateTimestampDefaults(t, now);
     });
   });
 
@@ -114,14 +314,7 @@ db.version(4)
     const missing = workouts.filter((w) => !existingIds.has(w.id));
     if (!missing.length) return;
 
-    await tx.table("workoutSessions").bulkAdd(
-      missing.map((w) => ({
-        id: w.id,
-        startedAt: w.startedAt ?? null,
-        finishedAt: w.finishedAt ?? null,
-        templateId: w.templateId ?? null,
-      }))
-    );
+    await tx.table("workoutSessions").bulkAdd(missing.map(toWorkoutSessionRecord));
   });
 
 /**
@@ -204,20 +397,7 @@ db.version(6)
     }
 
     await tx.table("exercises").toCollection().modify((exercise) => {
-      const required = Array.isArray(exercise.requiredEquipmentIds)
-        ? exercise.requiredEquipmentIds
-        : [];
-      const optional = Array.isArray(exercise.optionalEquipmentIds)
-        ? exercise.optionalEquipmentIds
-        : null;
-      if (required.length && optional !== null) return;
-      const inferred = inferExerciseEquipment(exercise);
-      if (!required.length) {
-        exercise.requiredEquipmentIds = inferred.requiredEquipmentIds;
-      }
-      if (optional === null) {
-        exercise.optionalEquipmentIds = inferred.optionalEquipmentIds;
-      }
+      applyExerciseEquipmentDefaults(exercise);
     });
   });
 
@@ -249,56 +429,7 @@ db.version(7)
   })
   .upgrade(async (tx) => {
     await tx.table("exercises").toCollection().modify((exercise) => {
-      const primary =
-        Array.isArray(exercise.primaryMuscles) && exercise.primaryMuscles.length
-          ? exercise.primaryMuscles
-          : [];
-      if (!primary.length) {
-        const legacy = String(exercise.muscle_group ?? "").trim();
-        exercise.primaryMuscles = legacy ? [legacy] : [];
-      }
-      if (!Array.isArray(exercise.secondaryMuscles)) {
-        exercise.secondaryMuscles = [];
-      }
-      if (!Array.isArray(exercise.instructions)) {
-        exercise.instructions = [];
-      }
-      if (!Array.isArray(exercise.commonMistakes)) {
-        exercise.commonMistakes = [];
-      }
-      if (!Array.isArray(exercise.progressions)) {
-        exercise.progressions = [];
-      }
-      if (!Array.isArray(exercise.regressions)) {
-        exercise.regressions = [];
-      }
-      if (!Array.isArray(exercise.aliases)) {
-        exercise.aliases = [];
-      }
-
-      const hasRequired =
-        Array.isArray(exercise.requiredEquipmentIds) &&
-        exercise.requiredEquipmentIds.length > 0;
-      const hasOptional = Array.isArray(exercise.optionalEquipmentIds);
-      if (!hasRequired || !hasOptional) {
-        const inferred = inferExerciseEquipment(exercise);
-        if (!hasRequired) {
-          exercise.requiredEquipmentIds = inferred.requiredEquipmentIds;
-        }
-        if (!hasOptional) {
-          exercise.optionalEquipmentIds = inferred.optionalEquipmentIds;
-        }
-      }
-
-      if (!exercise.media || typeof exercise.media !== "object") {
-        exercise.media = {};
-      }
-      if (exercise.video_url && !exercise.media.videoUrl) {
-        exercise.media.videoUrl = exercise.video_url;
-      }
-      if (exercise.videoUrl && !exercise.media.videoUrl) {
-        exercise.media.videoUrl = exercise.videoUrl;
-      }
+      applyExerciseMetadataDefaults(exercise);
     });
   });
 
@@ -331,44 +462,8 @@ db.version(8)
   })
   .upgrade(async (tx) => {
     const now = Date.now();
-    const slugify = (value) =>
-      String(value ?? "")
-        .trim()
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/^-+|-+$/g, "");
-
     await tx.table("exercises").toCollection().modify((exercise) => {
-      if (!exercise.slug) {
-        const baseSlug = slugify(exercise.name ?? "");
-        const idPrefix = exercise.id != null ? String(exercise.id) : "";
-        if (baseSlug && idPrefix) {
-          exercise.slug = `${idPrefix}-${baseSlug}`;
-        } else {
-          exercise.slug = baseSlug || idPrefix || "exercise";
-        }
-      }
-      if (!exercise.status) exercise.status = "extended";
-      if (!Array.isArray(exercise.aliases)) exercise.aliases = [];
-      if (!Array.isArray(exercise.primaryMuscles)) {
-        const legacy = String(exercise.muscle_group ?? "").trim();
-        exercise.primaryMuscles = legacy ? [legacy] : [];
-      }
-      if (!Array.isArray(exercise.secondaryMuscles)) exercise.secondaryMuscles = [];
-      if (!Array.isArray(exercise.instructions)) exercise.instructions = [];
-      if (!Array.isArray(exercise.gotchas)) exercise.gotchas = [];
-      if (!Array.isArray(exercise.equipment)) exercise.equipment = [];
-      if (!exercise.youtubeSearchQuery && exercise.name) {
-        exercise.youtubeSearchQuery = `${exercise.name} exercise form cues`;
-      }
-      if (exercise.youtubeVideoId === undefined) {
-        exercise.youtubeVideoId = null;
-      }
-      if (!exercise.source) {
-        exercise.source = exercise.is_custom ? "user" : "starter";
-      }
-      if (exercise.createdAt == null) exercise.createdAt = now;
-      if (exercise.updatedAt == null) exercise.updatedAt = now;
+      applyExerciseLibraryDefaults(exercise, now);
     });
   });
 
@@ -401,25 +496,233 @@ db.version(9)
   })
   .upgrade(async (tx) => {
     const exercises = await tx.table("exercises").toArray();
-    const updated = await Promise.all(
-      exercises.map(async (exercise) => {
-        if (exercise.stableId) return exercise;
-        const stableId = await computeStableId({
-          source: exercise.source,
-          sourceId: exercise.sourceId ?? exercise.externalId ?? exercise.sourceKey ?? null,
-          externalId: exercise.externalId ?? exercise.sourceKey ?? null,
-          name: exercise.name,
-          equipment: exercise.equipment ?? [],
-          primaryMuscles: exercise.primaryMuscles ?? [],
-          pattern: exercise.pattern,
-          category: exercise.category,
-        });
-        return { ...exercise, stableId };
-      })
-    );
+    const updated = await Promise.all(exercises.map(withExerciseStableId));
     await tx.table("exercises").bulkPut(updated);
   });
 
+/**
+ * v10 (NEW): per-set weight units
+ */
+db.version(10)
+  .stores({
+    exercises:
+      "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+    logs: "++id, date",
+    settings: "id, api_key, coach_persona",
+    templates: "++id, name, createdAt, updatedAt",
+    templateItems:
+      "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+    // Legacy sessions (kept for backward compatibility)
+    workouts: "++id, startedAt, finishedAt, templateId",
+    // Canonical sessions table
+    workoutSessions: "++id, startedAt, finishedAt, templateId",
+    workoutItems:
+      "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+    workoutSets: "++id, workoutItemId, setNumber",
+
+    plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId",
+
+    equipment: "id, name, category, isPortable",
+    workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+    meta: "key",
+  })
+  .upgrade(async (tx) => {
+    const settings = await tx.table("settings").get(1);
+    const unit = normalizeWeightUnit(settings?.weight_unit);
+    await tx.table("workoutSets").toCollection().modify((set) => {
+      applyWorkoutSetUnitDefaults(set, unit);
+    });
+  });
+
+/**
+ * v11 (NEW): multi-week programs that generate planned workouts
+ */
+db.version(11).stores({
+  exercises:
+    "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+  logs: "++id, date",
+  settings: "id, api_key, coach_persona",
+  templates: "++id, name, createdAt, updatedAt",
+  templateItems:
+    "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+  // Legacy sessions (kept for backward compatibility)
+  workouts: "++id, startedAt, finishedAt, templateId",
+  // Canonical sessions table
+  workoutSessions: "++id, startedAt, finishedAt, templateId",
+  workoutItems:
+    "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+  workoutSets: "++id, workoutItemId, setNumber",
+
+  plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId, programId",
+  programs: "++id, name, startDate, createdAt, updatedAt",
+
+  equipment: "id, name, category, isPortable",
+  workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+  meta: "key",
+});
+
+/**
+ * v12 (NEW): personal record ledger, one row per exercise, built from finished sessions
+ */
+db.version(12)
+  .stores({
+    exercises:
+      "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+    logs: "++id, date",
+    settings: "id, api_key, coach_persona",
+    templates: "++id, name, createdAt, updatedAt",
+    templateItems:
+      "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+    // Legacy sessions (kept for backward compatibility)
+    workouts: "++id, startedAt, finishedAt, templateId",
+    // Canonical sessions table
+    workoutSessions: "++id, startedAt, finishedAt, templateId",
+    workoutItems:
+      "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+    workoutSets: "++id, workoutItemId, setNumber",
+
+    plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId, programId",
+    programs: "++id, name, startDate, createdAt, updatedAt",
+    personalRecords: "exerciseId, updatedAt",
+
+    equipment: "id, name, category, isPortable",
+    workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+    meta: "key",
+  })
+  .upgrade(async (tx) => {
+    const records = await buildPersonalRecords((name) => tx.table(name));
+    if (records.length) await tx.table("personalRecords").bulkPut(records);
+  });
+
+/**
+ * v13 (NEW): saved coach conversations; the single settings chat moves over on first load
+ */
+db.version(13).stores({
+  exercises:
+    "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+  logs: "++id, date",
+  settings: "id, api_key, coach_persona",
+  templates: "++id, name, createdAt, updatedAt",
+  templateItems:
+    "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+  // Legacy sessions (kept for backward compatibility)
+  workouts: "++id, startedAt, finishedAt, templateId",
+  // Canonical sessions table
+  workoutSessions: "++id, startedAt, finishedAt, templateId",
+  workoutItems:
+    "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+  workoutSets: "++id, workoutItemId, setNumber",
+
+  plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId, programId",
+  programs: "++id, name, startDate, createdAt, updatedAt",
+  personalRecords: "exerciseId, updatedAt",
+  coachThreads: "++id, updatedAt, lastOpenedAt",
+
+  equipment: "id, name, category, isPortable",
+  workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+  meta: "key",
+});
+
+/**
+ * v14 (NEW): journal of confirmed coach writes, revertible from Coach changes
+ */
+db.version(14).stores({
+  exercises:
+    "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+  logs: "++id, date",
+  settings: "id, api_key, coach_persona",
+  templates: "++id, name, createdAt, updatedAt",
+  templateItems:
+    "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+  // Legacy sessions (kept for backward compatibility)
+  workouts: "++id, startedAt, finishedAt, templateId",
+  // Canonical sessions table
+  workoutSessions: "++id, startedAt, finishedAt, templateId",
+  workoutItems:
+    "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+  workoutSets: "++id, workoutItemId, setNumber",
+
+  plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId, programId",
+  programs: "++id, name, startDate, createdAt, updatedAt",
+  personalRecords: "exerciseId, updatedAt",
+  coachThreads: "++id, updatedAt, lastOpenedAt",
+  coachWrites: "++id, createdAt, revertedAt",
+
+  equipment: "id, name, category, isPortable",
+  workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+  meta: "key",
+});
+
+/**
+ * v15 (NEW): coach memory change history and coach-proposed updates awaiting review
+ */
+db.version(15).stores({
+  exercises:
+    "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+  logs: "++id, date",
+  settings: "id, api_key, coach_persona",
+  templates: "++id, name, createdAt, updatedAt",
+  templateItems:
+    "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+  // Legacy sessions (kept for backward compatibility)
+  workouts: "++id, startedAt, finishedAt, templateId",
+  // Canonical sessions table
+  workoutSessions: "++id, startedAt, finishedAt, templateId",
+  workoutItems:
+    "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+  workoutSets: "++id, workoutItemId, setNumber",
+
+  plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId, programId",
+  programs: "++id, name, startDate, createdAt, updatedAt",
+  personalRecords: "exerciseId, updatedAt",
+  coachThreads: "++id, updatedAt, lastOpenedAt",
+  coachWrites: "++id, createdAt, revertedAt",
+  coachMemoryChanges: "++id, createdAt, status",
+
+  equipment: "id, name, category, isPortable",
+  workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+  meta: "key",
+});
+
+/**
+ * v16 (NEW): training max history, one row per change; the newest row is the current TM
+ */
+db.version(16).stores({
+  exercises:
+    "++id, &stableId, slug, name, default_sets, default_reps, muscle_group, video_url, is_custom, status, *aliases, *primaryMuscles, *secondaryMuscles, *equipment",
+  logs: "++id, date",
+  settings: "id, api_key, coach_persona",
+  templates: "++id, name, createdAt, updatedAt",
+  templateItems:
+    "++id, templateId, exerciseId, sortOrder, targetSets, targetReps, notes, createdAt, updatedAt, [templateId+exerciseId]",
+
+  // Legacy sessions (kept for backward compatibility)
+  workouts: "++id, startedAt, finishedAt, templateId",
+  // Canonical sessions table
+  workoutSessions: "++id, startedAt, finishedAt, templateId",
+  workoutItems:
+    "++id, workoutId, exerciseId, sortOrder, targetSets, targetReps, notes, [workoutId+exerciseId]",
+  workoutSets: "++id, workoutItemId, setNumber",
+
+  plannedWorkouts: "++id, date, createdAt, updatedAt, source, templateId, programId",
+  programs: "++id, name, startDate, createdAt, updatedAt",
+  personalRecords: "exerciseId, updatedAt",
+  trainingMaxes: "++id, exerciseId, createdAt, [exerciseId+createdAt]",
+  coachThreads: "++id, updatedAt, lastOpenedAt",
+  coachWrites: "++id, createdAt, revertedAt",
+  coachMemoryChanges: "++id, createdAt, status",
+
+  equipment: "id, name, category, isPortable",
+  workoutSpaces: "++id, name, isDefault, isTemporary, expiresAt, updatedAt",
+  meta: "key",
+});
+
 // Seed only on first DB creation
 db.on("populate", async () => {
   const now = Date.now();
@@ -634,8 +937,31 @@ export async function updateTemplateItem(itemId, patch) {
   return db.table("templateItems").update(itemId, { ...patch, updatedAt: Date.now() });
 }
 
+/**
+ * Saves per-set targets for a template item (see `workouts/setPrescriptions`) and keeps
+ * `targetSets` / `targetReps` in step. An empty list goes back to the scalar targets.
+ */
+export async function updateTemplateItemPrescriptions(itemId, prescriptions) {
+  const unit = await getDefaultWeightUnit();
+  const list = normalizeSetPrescriptions(prescriptions, { unit });
+  if (!list.length) {
+    return db.table("templateItems").update(itemId, {
+      setPrescriptions: null,
+      updatedAt: Date.now(),
+    });
+  }
+  return db.table("templateItems").update(itemId, {
+    setPrescriptions: list,
+    ...getPrescriptionTargets(list),
+    updatedAt: Date.now(),
+  });
+}
+
 export async function removeTemplateItem(itemId) {
-  return db.table("templateItems").delete(itemId);
+  const item = await db.table("templateItems").get(itemId);
+  await db.table("templateItems").delete(itemId);
+  // A superset left with one exercise is dissolved.
+  if (item?.supersetGroupId) await updateTemplateSupersets(item.templateId, (items) => items);
 }
 
 export async function reorderTemplateItems(templateId, orderedItemIds) {
@@ -651,6 +977,64 @@ export async function reorderTemplateItems(templateId, orderedItemIds) {
   });
 }
 
+async function updateTemplateSupersets(templateId, edit) {
+  return db.transaction("rw", db.table("templateItems"), db.table("templates"), async () => {
+    const now = Date.now();
+    const items = await db.table("templateItems").where({ templateId }).toArray();
+    const edited = edit(items.map((item) => ({ ...item })));
+    const byId = new Map(items.map((item) => [item.id, item]));
+    const layout = new Map(normalizeSupersetLayout(edited).map((patch) => [patch.id, patch]));
+    for (const item of edited) {
+      const next = { ...item, ...layout.get(item.id) };
+      const patch = {};
+      ["sortOrder", "supersetGroupId", "supersetKind"].forEach((key) => {
+        if ((next[key] ?? null) !== (byId.get(item.id)?.[key] ?? null)) {
+          patch[key] = next[key] ?? null;
+        }
+      });
+      if (Object.keys(patch).length) {
+        await db.table("templateItems").update(item.id, { ...patch, updatedAt: now });
+      }
+    }
+    await db.table("templates").update(templateId, { updatedAt: now });
+  });
+}
+
+/**
+ * Groups a template item with `partnerItemId`: it joins the partner's superset, or both
+ * start a new one. The group's items are moved next to each other.
+ */
+export async function linkTemplateItems(templateId, itemId, partnerItemId) {
+  if (itemId === partnerItemId) return;
+  await updateTemplateSupersets(templateId, (items) => {
+    const item = items.find((entry) => entry.id === itemId);
+    const partner = items.find((entry) => entry.id === partnerItemId);
+    if (!item || !partner) throw new Error("Template exercise not found.");
+    if (!partner.supersetGroupId) partner.supersetGroupId = createSupersetGroupId();
+    item.supersetGroupId = partner.supersetGroupId;
+    item.supersetKind = partner.supersetKind ?? null;
+    return items;
+  });
+}
+
+export async function unlinkTemplateItem(templateId, itemId) {
+  await updateTemplateSupersets(templateId, (items) =>
+    items.map((entry) =>
+      entry.id === itemId ? { ...entry, supersetGroupId: null, supersetKind: null } : entry
+    )
+  );
+}
+
+export async function updateTemplateSupersetKind(templateId, groupId, kind) {
+  await updateTemplateSupersets(templateId, (items) => {
+    const size = items.filter((entry) => entry.supersetGroupId === groupId).length;
+    const nextKind = normalizeSupersetKind(kind, size);
+    return items.map((entry) =>
+      entry.supersetGroupId === groupId ? { ...entry, supersetKind: nextKind } : entry
+    );
+  });
+}
+
 // --------------------
 // Exercises helpers
 // --------------------
@@ -687,6 +1071,7 @@ export async function createWorkoutSpace({
   isDefault = false,
   isTemporary = false,
   expiresAt = null,
+  loadout = null,
 }) {
   const now = Date.now();
   const safeName = String(name ?? "").trim() || "New Space";
@@ -703,6 +1088,7 @@ export async function createWorkoutSpace({
     isDefault: Boolean(isDefault),
     isTemporary: Boolean(isTemporary),
     expiresAt: expiresAt || null,
+    loadout: normalizeLoadout(loadout),
     createdAt: now,
     updatedAt: now,
   };
@@ -734,6 +1120,9 @@ export async function updateWorkoutSpace(spaceId, patch) {
     const withBodyweight = next.includes("bodyweight") ? next : [...next, "bodyweight"];
     safePatch.equipmentIds = Array.from(new Set(withBodyweight));
   }
+  if ("loadout" in safePatch) {
+    safePatch.loadout = normalizeLoadout(safePatch.loadout);
+  }
 
   return db.transaction("rw", db.table("workoutSpaces"), async () => {
     await db.table("workoutSpaces").update(spaceId, safePatch);
@@ -794,6 +1183,17 @@ export async function setActiveWorkoutSpace(spaceId) {
   });
 }
 
+// Workouts without a space round to the active one, like the workout screen does.
+async function getWorkoutLoadout(workoutId, unit) {
+  const session = await getWorkoutSessionRecord(workoutId);
+  if (session?.spaceId != null) {
+    return resolveLoadout(await db.table("workoutSpaces").get(session.spaceId), unit);
+  }
+  const spaces = await db.table("workoutSpaces").toArray();
+  const settings = await db.table("settings").get(1);
+  return resolveLoadout(resolveActiveSpace(spaces, settings?.active_space_id ?? null), unit);
+}
+
 export async function getCoachActiveGymMeta() {
   try {
     const record = await db.table("meta").get(COACH_ACTIVE_GYM_KEY);
@@ -834,6 +1234,11 @@ function parseRestSeconds(value, fallback = 60) {
   return Math.max(0, parsed);
 }
 
+export async function getDefaultWeightUnit() {
+  const settings = await db.table("settings").get(1);
+  return normalizeWeightUnit(settings?.weight_unit);
+}
+
 async function getRestDefaults() {
   const settings = await db.table("settings").get(1);
   return {
@@ -902,12 +1307,6 @@ export async function startWorkoutFromTemplate(templateId, options = {}) {
   if (!tpl) throw new Error("Template not found.");
   const items = (tpl.items ?? []).slice().sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
   if (items.length === 0) throw new Error("Template has no exercises.");
-  const { restDefaultSeconds } = await getRestDefaults();
-
-  // Prefill sets/reps from exercise defaults when template targets are missing.
-  const exerciseIds = items.map((i) => i.exerciseId);
-  const exercises = exerciseIds.length ? await db.table("exercises").bulkGet(exerciseIds) : [];
-  const exMap = new Map(exercises.filter(Boolean).map((ex) => [ex.id, ex]));
 
   const nowIso = new Date().toISOString();
   const workoutId = await db.transaction(
@@ -938,26 +1337,99 @@ export async function startWorkoutFromTemplate(templateId, options = {}) {
     }
   );
 
+  await addWorkoutItemsWithSets(workoutId, items, options?.prescription ?? null);
+
+  return workoutId;
+}
+
+/**
+ * Adds one workout item per entry (`{ exerciseId, targetSets?, targetReps?, notes?,
+ * progression?, supersetGroupId?, supersetKind? }`) with its sets prefilled. Missing
+ * targets fall back to the exercise defaults; a program `prescription` then adjusts them
+ * for the week.
+ */
+async function addWorkoutItemsWithSets(workoutId, entries, prescription = null) {
+  const { restDefaultSeconds } = await getRestDefaults();
+  const unit = await getDefaultWeightUnit();
+
+  const exerciseIds = entries.map((entry) => entry.exerciseId);
+  const exercises = exerciseIds.length ? await db.table("exercises").bulkGet(exerciseIds) : [];
+  const exMap = new Map(exercises.filter(Boolean).map((ex) => [ex.id, ex]));
+  const records = await getPersonalRecordsByExercise(exerciseIds);
+  const trainingMaxes = await getTrainingMaxesByExercise(exerciseIds);
+  const { percent: trainingMaxPercent } = await getTrainingMaxSettings();
+  const loadout = await getWorkoutLoadout(workoutId, unit);
+  const resolved = applyPrescription(
+    entries.map((it) => {
+      const ex = exMap.get(it.exerciseId);
+      return {
+        ...it,
+        targetSets: it.targetSets ?? ex?.default_sets ?? 3,
+        targetReps: it.targetReps ?? ex?.default_reps ?? null,
+      };
+    }),
+    prescription
+  );
+
   await db.transaction(
     "rw",
     db.table("workoutItems"),
     db.table("workoutSets"),
     async () => {
-      for (let i = 0; i < items.length; i++) {
-        const it = items[i];
-        const ex = exMap.get(it.exerciseId);
-        const targetSets = it.targetSets ?? ex?.default_sets ?? 3;
-        const targetReps = it.targetReps ?? ex?.default_reps ?? null;
+      for (let i = 0; i < resolved.length; i++) {
+        const it = resolved[i];
+        const { targetSets, targetReps } = it;
         const workoutItemId = await db.table("workoutItems").add({
           workoutId,
           exerciseId: it.exerciseId,
           sortOrder: i,
           targetSets,
           targetReps,
+          ...(it.targetLoadPercent != null ? { targetLoadPercent: it.targetLoadPercent } : {}),
+          ...(it.supersetGroupId
+            ? { supersetGroupId: it.supersetGroupId, supersetKind: it.supersetKind ?? null }
+            : {}),
+          ...(it.progression ? { progression: it.progression } : {}),
           restSeconds: restDefaultSeconds,
           notes: it.notes ?? "",
         });
 
+        if (it.setPrescriptions?.length) {
+          // Prescribed sets become placeholders that carry their `target`; only a fixed
+          // rep count is prefilled, like the scalar `targetReps` below. Percentages are
+          // resolved here, against the training max in effect when the workout starts,
+          // scaled by a program week's load and rounded to what the space can load.
+          const toUnit = (value) => convertWeight(value, RECORD_UNIT, unit);
+          const references = {
+            unit,
+            trainingMax: toUnit(trainingMaxes.get(it.exerciseId)?.value),
+            oneRepMax: toUnit(records.get(it.exerciseId)?.oneRepMax?.value),
+            trainingMaxPercent,
+            loadingKind: getLoadingKind(exMap.get(it.exerciseId)),
+            loadout,
+            weekLoadPercent: it.targetLoadPercent ?? null,
+          };
+          const planned = resizeSetPrescriptions(it.setPrescriptions, targetSets);
+          for (let s = 0; s < planned.length; s++) {
+            const entry =
+              prescription?.reps != null
+                ? { ...planned[s], repMin: prescription.reps, repMax: prescription.reps }
+                : planned[s];
+            await db.table("workoutSets").add({
+              workoutItemId,
+              setNumber: s + 1,
+              weight: "",
+              reps: entry.repMin != null && entry.repMin === entry.repMax
+                ? String(entry.repMin)
+                : "",
+              unit,
+              ...toSetTypePatch(entry.setType),
+              target: buildSetTarget(entry, references),
+            });
+          }
+          continue;
+        }
+
         const nSets = targetSets;
         for (let s = 1; s <= nSets; s++) {
           await db.table("workoutSets").add({
@@ -965,13 +1437,12 @@ export async function startWorkoutFromTemplate(templateId, options = {}) {
             setNumber: s,
             weight: "",
             reps: targetReps == null ? "" : String(targetReps),
+            unit,
           });
         }
       }
     }
   );
-
-  return workoutId;
 }
 
 export async function getMostRecentActiveWorkoutId() {
@@ -1000,6 +1471,7 @@ export async function getMostRecentActiveWorkoutId() {
 
 export async function finishWorkout(workoutId) {
   const nowIso = new Date().toISOString();
+  const wasFinished = Boolean((await getWorkoutSessionRecord(workoutId))?.finishedAt);
   await db.transaction(
     "rw",
     db.table("workoutSessions"),
@@ -1009,6 +1481,9 @@ export async function finishWorkout(workoutId) {
       await db.table("workouts").update(workoutId, { finishedAt: nowIso });
     }
   );
+  await fulfillPlannedWorkout(workoutId, nowIso);
+  // Records only move forward once per session.
+  if (!wasFinished) await recordPersonalRecords(workoutId, nowIso);
 }
 
 export async function updateWorkoutSession(workoutId, patch) {
@@ -1024,12 +1499,14 @@ export async function updateWorkoutSession(workoutId, patch) {
 }
 
 export async function deleteWorkout(workoutId) {
-  return db.transaction(
+  const session = await getWorkoutSessionRecord(workoutId);
+  const exerciseIds = await db.transaction(
     "rw",
     db.table("workoutSessions"),
     db.table("workouts"),
     db.table("workoutItems"),
     db.table("workoutSets"),
+    db.table("plannedWorkouts"),
     async () => {
       const items = await db.table("workoutItems").where({ workoutId }).toArray();
       const itemIds = items.map((i) => i.id);
@@ -1041,8 +1518,16 @@ export async function deleteWorkout(workoutId) {
       await db.table("workoutItems").where({ workoutId }).delete();
       await db.table("workoutSessions").delete(workoutId);
       await db.table("workouts").delete(workoutId);
+      // Plans started from this session become open again.
+      await db
+        .table("plannedWorkouts")
+        .filter((plan) => plan.workoutId === workoutId)
+        .modify({ workoutId: null, fulfilledAt: null, updatedAt: Date.now() });
+      return Array.from(new Set(items.map((item) => item.exerciseId))).filter((id) => id != null);
     }
   );
+  // Records this session set (or counted toward) are recomputed without it.
+  if (session?.finishedAt && exerciseIds.length) await rebuildPersonalRecords(exerciseIds);
 }
 
 export async function addExerciseToWorkout(workoutId, exerciseId) {
@@ -1052,6 +1537,7 @@ export async function addExerciseToWorkout(workoutId, exerciseId) {
   const ex = await db.table("exercises").get(exerciseId);
   if (!ex) throw new Error("Exercise not found.");
   const { restDefaultSeconds } = await getRestDefaults();
+  const unit = await getDefaultWeightUnit();
 
   const items = await db.table("workoutItems").where({ workoutId }).toArray();
   const maxSort = items.length ? Math.max(...items.map((i) => i.sortOrder ?? 0)) : -1;
@@ -1078,6 +1564,7 @@ export async function addExerciseToWorkout(workoutId, exerciseId) {
         weight: "",
         reps: targetReps == null ? "" : String(targetReps),
         isWarmup: false,
+        unit,
       });
     }
   });
@@ -1096,18 +1583,26 @@ export async function addWorkoutSet(workoutItemId, options = {}) {
   const sets = await db.table("workoutSets").where({ workoutItemId }).toArray();
   const maxN = sets.length ? Math.max(...sets.map((s) => s.setNumber ?? 0)) : 0;
   const nextN = maxN + 1;
-  const { weight, reps, isWarmup } = options ?? {};
+  const { weight, reps, isWarmup, setType, rpe, rir, unit, durationSec, distance, distanceUnit } =
+    options ?? {};
   return db.table("workoutSets").add({
     workoutItemId,
     setNumber: nextN,
     weight: weight ?? "",
     reps: reps ?? "",
-    isWarmup: isWarmup ?? false,
+    ...toSetTypePatch(setType ?? (isWarmup ? "warmup" : null)),
+    rpe: normalizeRpe(rpe),
+    rir: normalizeRir(rir),
+    unit: unit ? normalizeWeightUnit(unit) : await getDefaultWeightUnit(),
+    durationSec: parseDuration(durationSec),
+    distance: distance ?? "",
+    distanceUnit: distanceUnit ? normalizeDistanceUnit(distanceUnit) : null,
   });
 }
 
 export async function addWarmupSets(workoutItemId, count = 2) {
   const safeCount = Math.max(1, Math.floor(count));
+  const unit = await getDefaultWeightUnit();
   return db.transaction("rw", db.table("workoutSets"), async () => {
     const sets = await db.table("workoutSets").where({ workoutItemId }).toArray();
     sets.sort((a, b) => (a.setNumber ?? 0) - (b.setNumber ?? 0));
@@ -1125,13 +1620,15 @@ export async function addWarmupSets(workoutItemId, count = 2) {
         setNumber: warmupCount + i + 1,
         weight: "",
         reps: "",
-        isWarmup: true,
+        ...toSetTypePatch("warmup"),
+        unit,
       });
     }
   });
 }
 
 export async function replaceWorkoutExercise(workoutItemId, newExerciseId) {
+  const unit = await getDefaultWeightUnit();
   return db.transaction(
     "rw",
     db.table("workoutItems"),
@@ -1158,11 +1655,11 @@ export async function replaceWorkoutExercise(workoutItemId, newExerciseId) {
       // Keep same number of sets currently on the item
       const existingSets = await db.table("workoutSets").where({ workoutItemId }).toArray();
       const setCount = existingSets.length || ex.default_sets || 3;
-      const warmupFlags = existingSets.length
+      const setTypes = existingSets.length
         ? existingSets
             .sort((a, b) => (a.setNumber ?? 0) - (b.setNumber ?? 0))
-            .map((set) => Boolean(set.isWarmup))
-        : Array.from({ length: setCount }, () => false);
+            .map((set) => getSetType(set))
+        : Array.from({ length: setCount }, () => null);
 
       // Update workout item
       await db.table("workoutItems").update(workoutItemId, {
@@ -1180,7 +1677,8 @@ export async function replaceWorkoutExercise(workoutItemId, newExerciseId) {
           setNumber: s,
           weight: "",
           reps: "",
-          isWarmup: warmupFlags[s - 1] ?? false,
+          ...toSetTypePatch(setTypes[s - 1]),
+          unit,
         });
       }
     }
@@ -1204,6 +1702,7 @@ export async function removeWorkoutSet(workoutItemId, setId) {
 }
 
 export async function restoreWorkoutSet(workoutItemId, setData) {
+  const unit = setData?.unit ? normalizeWeightUnit(setData.unit) : await getDefaultWeightUnit();
   return db.transaction("rw", db.table("workoutSets"), async () => {
     const sets = await db.table("workoutSets").where({ workoutItemId }).toArray();
     const maxPosition = sets.length + 1;
@@ -1225,14 +1724,40 @@ export async function restoreWorkoutSet(workoutItemId, setData) {
       setNumber: desired,
       weight: setData?.weight ?? "",
       reps: setData?.reps ?? "",
-      isWarmup: setData?.isWarmup ?? false,
+      ...toSetTypePatch(getSetType(setData)),
+      rpe: normalizeRpe(setData?.rpe),
+      rir: normalizeRir(setData?.rir),
       isComplete: setData?.isComplete ?? false,
+      unit,
     });
   });
 }
 
+export async function countInferredSetUnits() {
+  return db.table("workoutSets").filter((set) => Boolean(set.unitInferred)).count();
+}
+
+// Relabels sets whose unit was guessed by the v10 migration; the weights are kept as typed.
+export async function relabelInferredSetUnits(unit) {
+  const safeUnit = normalizeWeightUnit(unit);
+  return db
+    .table("workoutSets")
+    .filter((set) => Boolean(set.unitInferred))
+    .modify({ unit: safeUnit });
+}
+
 export async function updateWorkoutSet(setId, patch) {
-  return db.table("workoutSets").update(setId, patch);
+  const nextPatch = { ...(patch ?? {}) };
+  // Picking a unit by hand confirms it, so the set is no longer relabeled in bulk.
+  if (nextPatch.unit) nextPatch.unitInferred = false;
+  if ("setType" in nextPatch) Object.assign(nextPatch, toSetTypePatch(nextPatch.setType));
+  if ("rpe" in nextPatch) nextPatch.rpe = normalizeRpe(nextPatch.rpe);
+  if ("rir" in nextPatch) nextPatch.rir = normalizeRir(nextPatch.rir);
+  if ("durationSec" in nextPatch) nextPatch.durationSec = parseDuration(nextPatch.durationSec);
+  if (nextPatch.distanceUnit) {
+    nextPatch.distanceUnit = normalizeDistanceUnit(nextPatch.distanceUnit);
+  }
+  return db.table("workoutSets").update(setId, nextPatch);
 }
 
 export async function updateWorkoutItem(itemId, patch) {
@@ -1308,6 +1833,20 @@ export async function listFinishedWorkouts() {
 }
 
 export async function getPreviousWorkoutSetsByExercise(exerciseIds, currentWorkoutId = null) {
+  const recent = await getRecentWorkoutSetsByExercise(exerciseIds, currentWorkoutId, 1);
+  return new Map(Array.from(recent, ([exerciseId, sessions]) => [exerciseId, sessions[0]]));
+}
+
+/**
+ * Sets from up to `limit` finished sessions per exercise, newest first:
+ * `Map<exerciseId, [{ workoutId, finishedAt, loadPercent, sets }]>`. `loadPercent` is the
+ * program week's load the item was started with, or null outside programs.
+ */
+export async function getRecentWorkoutSetsByExercise(
+  exerciseIds,
+  currentWorkoutId = null,
+  limit = 1
+) {
   const uniqueIds = Array.from(new Set(exerciseIds ?? [])).filter((id) => id != null);
   if (uniqueIds.length === 0) return new Map();
 
@@ -1327,14 +1866,19 @@ export async function getPreviousWorkoutSetsByExercise(exerciseIds, currentWorko
 
     for (const item of matchingItems) {
       if (!remaining.has(item.exerciseId)) continue;
+      const sessions = results.get(item.exerciseId) ?? [];
+      // An exercise logged twice in one session only counts once.
+      if (sessions.at(-1)?.workoutId === workout.id) continue;
       const sets = await db.table("workoutSets").where({ workoutItemId: item.id }).toArray();
       sets.sort((a, b) => (a.setNumber ?? 0) - (b.setNumber ?? 0));
-      results.set(item.exerciseId, {
+      sessions.push({
         workoutId: workout.id,
         finishedAt: workout.finishedAt ?? workout.startedAt ?? null,
+        loadPercent: item.targetLoadPercent ?? null,
         sets,
       });
-      remaining.delete(item.exerciseId);
+      results.set(item.exerciseId, sessions);
+      if (sessions.length >= limit) remaining.delete(item.exerciseId);
     }
   }
 
@@ -1396,6 +1940,267 @@ export async function getPlannedWorkoutById(id) {
   return db.table("plannedWorkouts").get(id);
 }
 
+export async function listPlannedWorkoutsInRange(startDate, endDate) {
+  // Coach plans may carry full ISO timestamps, so the upper bound covers the whole end day.
+  return db
+    .table("plannedWorkouts")
+    .where("date")
+    .between(startDate, `${endDate}\uffff`, true, true)
+    .toArray();
+}
+
+export async function updatePlannedWorkout(id, patch) {
+  return db.table("plannedWorkouts").update(id, { ...patch, updatedAt: Date.now() });
+}
+
 export async function deletePlannedWorkout(id) {
   return db.table("plannedWorkouts").delete(id);
 }
+
+/**
+ * Starts a session from a plan: its template when it has one, otherwise the
+ * `exercises` snapshot. The plan keeps the session id so finishing it fulfils the plan.
+ */
+export async function startWorkoutFromPlannedWorkout(plannedId, options = {}) {
+  const planned = await getPlannedWorkoutById(plannedId);
+  if (!planned) throw new Error("Planned workout not found.");
+
+  const prescription = planned.prescription ?? null;
+  let workoutId;
+  if (planned.templateId != null) {
+    workoutId = await startWorkoutFromTemplate(planned.templateId, { ...options, prescription });
+  } else {
+    const entries = (Array.isArray(planned.exercises) ? planned.exercises : [])
+      .filter((entry) => entry?.exerciseId != null)
+      .map((entry) => ({
+        exerciseId: entry.exerciseId,
+        targetSets: entry.sets ?? null,
+        targetReps: entry.reps ?? null,
+      }));
+    if (entries.length === 0) throw new Error("Planned workout has no exercises.");
+    workoutId = await createEmptyWorkout(options);
+    await addWorkoutItemsWithSets(workoutId, entries, prescription);
+  }
+
+  await updatePlannedWorkout(plannedId, { workoutId });
+  return workoutId;
+}
+
+async function fulfillPlannedWorkout(workoutId, finishedAt) {
+  const session = await getWorkoutSessionRecord(workoutId);
+  const plans = await db.table("plannedWorkouts").toArray();
+  const plan = findFulfilledPlan(plans, session);
+  if (!plan) return;
+  await updatePlannedWorkout(plan.id, { workoutId, fulfilledAt: finishedAt });
+}
+
+// --------------------
+// Personal records (v12)
+// --------------------
+
+/**
+ * Finished sessions grouped per exercise, oldest first, as `{ workoutId, achievedAt, sets }`.
+ * Takes a table getter so the v12 upgrade can run it inside its transaction.
+ */
+async function loadRecordSessions(getTable, exerciseIds = null) {
+  let sessions = await getTable("workoutSessions").filter((s) => Boolean(s.finishedAt)).toArray();
+  if (!sessions.length) {
+    sessions = await getTable("workouts").filter((w) => Boolean(w.finishedAt)).toArray();
+  }
+  if (!sessions.length) return new Map();
+  sessions.sort((a, b) => String(a.finishedAt).localeCompare(String(b.finishedAt)));
+
+  const wanted = exerciseIds ? new Set(exerciseIds) : null;
+  const items = (
+    await getTable("workoutItems")
+      .where("workoutId")
+      .anyOf(sessions.map((session) => session.id))
+      .toArray()
+  ).filter((item) => item.exerciseId != null && (!wanted || wanted.has(item.exerciseId)));
+  const sets = items.length
+    ? await getTable("workoutSets")
+        .where("workoutItemId")
+        .anyOf(items.map((item) => item.id))
+        .toArray()
+    : [];
+  const setsByItem = new Map();
+  sets.forEach((set) => {
+    const list = setsByItem.get(set.workoutItemId) ?? [];
+    list.push(set);
+    setsByItem.set(set.workoutItemId, list);
+  });
+  const itemsByWorkout = new Map();
+  items.forEach((item) => {
+    const list = itemsByWorkout.get(item.workoutId) ?? [];
+    list.push(item);
+    itemsByWorkout.set(item.workoutId, list);
+  });
+
+  const byExercise = new Map();
+  sessions.forEach((session) => {
+    (itemsByWorkout.get(session.id) ?? []).forEach((item) => {
+      const list = byExercise.get(item.exerciseId) ?? [];
+      const itemSets = setsByItem.get(item.id) ?? [];
+      const last = list.at(-1);
+      if (last?.workoutId === session.id) {
+        last.sets.push(...itemSets);
+      } else {
+        list.push({ workoutId: session.id, achievedAt: session.finishedAt, sets: itemSets });
+      }
+      byExercise.set(item.exerciseId, list);
+    });
+  });
+  return byExercise;
+}
+
+async function buildPersonalRecords(getTable, exerciseIds = null) {
+  const byExercise = await loadRecordSessions(getTable, exerciseIds);
+  const now = Date.now();
+  return Array.from(byExercise, ([exerciseId, sessions]) => ({
+    ...buildRecordFromSessions(exerciseId, sessions),
+    updatedAt: now,
+  }));
+}
+
+export async function getPersonalRecord(exerciseId) {
+  if (exerciseId == null) return null;
+  return (await db.table("personalRecords").get(exerciseId)) ?? null;
+}
+
+export async function getPersonalRecordsByExercise(exerciseIds) {
+  const uniqueIds = Array.from(new Set(exerciseIds ?? [])).filter((id) => id != null);
+  if (!uniqueIds.length) return new Map();
+  const records = await db.table("personalRecords").bulkGet(uniqueIds);
+  return new Map(records.filter(Boolean).map((record) => [record.exerciseId, record]));
+}
+
+/**
+ * Recomputes records from history, for the given exercises or all of them. Used after
+ * a workout is deleted and after imports, where incremental updates cannot apply.
+ */
+export async function rebuildPersonalRecords(exerciseIds = null) {
+  const records = await buildPersonalRecords((name) => db.table(name), exerciseIds);
+  await db.transaction("rw", db.table("personalRecords"), async () => {
+    if (exerciseIds) {
+      await db.table("personalRecords").bulkDelete(exerciseIds);
+    } else {
+      await db.table("personalRecords").clear();
+    }
+    if (records.length) await db.table("personalRecords").bulkPut(records);
+  });
+  return records.length;
+}
+
+/**
+ * Folds a just-finished workout into the ledger and stores the records it set on the
+ * session as `personalRecords`.
+ */
+async function recordPersonalRecords(workoutId, finishedAt) {
+  const items = await db.table("workoutItems").where({ workoutId }).toArray();
+  const exerciseIds = Array.from(new Set(items.map((item) => item.exerciseId))).filter(
+    (id) => id != null
+  );
+  if (!exerciseIds.length) return [];
+
+  const newRecords = [];
+  await db.transaction(
+    "rw",
+    db.table("personalRecords"),
+    db.table("workoutSets"),
+    async () => {
+      const now = Date.now();
+      for (const exerciseId of exerciseIds) {
+        const itemIds = items.filter((item) => item.exerciseId === exerciseId).map((i) => i.id);
+        const sets = await db.table("workoutSets").where("workoutItemId").anyOf(itemIds).toArray();
+        const existing =
+          (await db.table("personalRecords").get(exerciseId)) ?? createEmptyRecord(exerciseId);
+        const result = applySessionToRecord(existing, { workoutId, achievedAt: finishedAt, sets });
+        await db.table("personalRecords").put({ ...result.record, updatedAt: now });
+        newRecords.push(...result.newRecords);
+      }
+    }
+  );
+  await updateWorkoutSession(workoutId, { personalRecords: newRecords });
+  return newRecords;
+}
+
+// --------------------
+// Training maxes (v16)
+// --------------------
+
+/** The e1RM formula and the share of the e1RM a suggested training max uses. */
+export async function getTrainingMaxSettings() {
+  const settings = await db.table("settings").get(1);
+  return {
+    formula: normalizeE1rmFormula(settings?.e1rm_formula),
+    percent: normalizeTrainingMaxPercent(settings?.training_max_percent),
+  };
+}
+
+/** Every training max set for an exercise, newest first; values are in `RECORD_UNIT`. */
+export async function listTrainingMaxHistory(exerciseId) {
+  if (exerciseId == null) return [];
+  const rows = await db.table("trainingMaxes").where({ exerciseId }).sortBy("createdAt");
+  return rows.reverse();
+}
+
+export async function getTrainingMax(exerciseId) {
+  if (exerciseId == null) return null;
+  const latest = await db
+    .table("trainingMaxes")
+    .where("[exerciseId+createdAt]")
+    .between([exerciseId, Dexie.minKey], [exerciseId, Dexie.maxKey])
+    .last();
+  return latest ?? null;
+}
+
+export async function getTrainingMaxesByExercise(exerciseIds) {
+  const uniqueIds = Array.from(new Set(exerciseIds ?? [])).filter((id) => id != null);
+  const entries = await Promise.all(uniqueIds.map((id) => getTrainingMax(id)));
+  return new Map(entries.filter(Boolean).map((entry) => [entry.exerciseId, entry]));
+}
+
+/**
+ * Adds a training max for an exercise; the newest one is current. `value` and
+ * `oneRepMax` are in `unit` and stored in `RECORD_UNIT`. Suggestions from an AMRAP set or
+ * recent sessions keep the estimate, formula and set they came from.
+ */
+export async function setTrainingMax(
+  exerciseId,
+  {
+    value,
+    unit,
+    source = "manual",
+    oneRepMax = null,
+    formula = null,
+    percent = null,
+    workoutId = null,
+    setId = null,
+  } = {}
+) {
+  const safeUnit = unit ? normalizeWeightUnit(unit) : await getDefaultWeightUnit();
+  const toRecordUnit = (weight) => {
+    const converted = convertWeight(weight, safeUnit, RECORD_UNIT);
+    return converted != null && converted > 0 ? roundWeight(converted, 2) : null;
+  };
+  const stored = toRecordUnit(value);
+  if (exerciseId == null || stored == null) {
+    throw new Error("A training max needs an exercise and a weight above zero.");
+  }
+  const fromEstimate = source !== "manual" && oneRepMax != null;
+  return db.table("trainingMaxes").add({
+    exerciseId,
+    value: stored,
+    source: TRAINING_MAX_SOURCES.includes(source) ? source : "manual",
+    oneRepMax: fromEstimate ? toRecordUnit(oneRepMax) : null,
+    formula: fromEstimate ? normalizeE1rmFormula(formula) : null,
+    percent: fromEstimate ? normalizeTrainingMaxPercent(percent) : null,
+    workoutId,
+    setId,
+    createdAt: Date.now(),
+  });
+}
+
+export async function deleteTrainingMax(id) {
+  return db.table("trainingMaxes").delete(id);
+}
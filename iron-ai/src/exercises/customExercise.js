@@ -1,5 +1,6 @@
 import { db } from "../db";
 import { inferExerciseEquipment } from "../equipment/inference";
+import { normalizeSetSchema } from "../workouts/setSchemas";
 
 const MAX_ALIAS_COUNT = 10;
 const MAX_LIST_COUNT = 12;
@@ -78,6 +79,8 @@ export function normalizeCustomExerciseInput(values) {
   const youtubeSearchQuery = normalizeText(values?.youtubeSearchQuery, 120);
   const youtubeVideoId = normalizeText(values?.youtubeVideoId, 80);
   const status = normalizeText(values?.status, 20) || "core";
+  // Empty means "infer from category and name" (see workouts/setSchemas).
+  const setSchema = normalizeSetSchema(values?.setSchema);
 
   const equipmentFields = buildEquipmentFields({ equipment: values?.equipment, name: safeName });
 
@@ -94,6 +97,7 @@ export function normalizeCustomExerciseInput(values) {
       youtubeSearchQuery || `${safeName ?? "exercise"} exercise form cues`,
     youtubeVideoId: youtubeVideoId || null,
     status,
+    setSchema,
     ...equipmentFields,
   };
 }
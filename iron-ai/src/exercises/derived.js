@@ -1,6 +1,20 @@
-import { db, listFinishedWorkouts } from "../db";
+import { db, getDefaultWeightUnit, listFinishedWorkouts } from "../db";
 import { getEquipmentMap } from "../equipment/catalog";
 import { getMissingEquipmentForExercise } from "../equipment/engine";
+import { getSetWeightIn, normalizeWeightUnit } from "../utils/units";
+import { estimateOneRepMax } from "../workouts/personalRecords";
+import {
+  compareTimedSets,
+  computePace,
+  computeSchemaSetVolume,
+  convertDistance,
+  getDefaultDistanceUnit,
+  getExerciseSetSchema,
+  isTimedSetSchema,
+  parseDuration,
+} from "../workouts/setSchemas";
+import { countsTowardBestSet } from "../workouts/setTypes";
+import { estimateSetOneRepMaxWith } from "../workouts/trainingMax";
 
 export function parseMetric(value) {
   if (value == null || value === "") return null;
@@ -17,12 +31,45 @@ export function computeSetVolume(weight, reps) {
   return 0;
 }
 
-export function estimateOneRepMax(weight, reps) {
-  const parsedWeight = parseMetric(weight);
-  const parsedReps = parseMetric(reps);
-  if (parsedWeight == null || parsedReps == null) return null;
-  if (parsedWeight <= 0 || parsedReps <= 0) return null;
-  return parsedWeight * (1 + parsedReps / 30);
+export { estimateOneRepMax };
+
+/**
+ * Per-session totals for time-based exercises: time, distance (in `distanceUnit`), the
+ * fastest pace over a distance, and the best set by `compareTimedSets`.
+ */
+export function summarizeTimedSets(sets, schema, { weightUnit, distanceUnit = "km" } = {}) {
+  let totalDurationSec = 0;
+  let totalDistance = 0;
+  let bestPace = null;
+  let bestSet = null;
+  (Array.isArray(sets) ? sets : []).forEach((set) => {
+    const duration = parseDuration(set?.durationSec);
+    if (duration != null) totalDurationSec += duration;
+    const loggedUnit = set?.distanceUnit ?? distanceUnit;
+    const distance = convertDistance(set?.distance, loggedUnit, distanceUnit);
+    if (distance != null) totalDistance += distance;
+    const pace = computePace(distance, duration);
+    if (pace != null && (bestPace == null || pace < bestPace)) bestPace = pace;
+    if (!countsTowardBestSet(set) || (duration == null && distance == null)) return;
+    const comparison = bestSet ? compareTimedSets(set, bestSet, schema, { weightUnit }) : 1;
+    if (comparison != null && comparison > 0) bestSet = set;
+  });
+  return { totalDurationSec, totalDistance, bestPace, bestSet };
+}
+
+/**
+ * Returns a copy of the set with `weight` expressed in `unit`. The logged values
+ * stay available as `loggedWeight` / `loggedUnit`.
+ */
+export function toDisplayUnitSet(set, unit) {
+  const weight = getSetWeightIn(set, unit);
+  return {
+    ...set,
+    weight: weight == null ? set?.weight ?? "" : weight,
+    unit,
+    loggedWeight: set?.weight ?? "",
+    loggedUnit: set?.unit ?? unit,
+  };
 }
 
 export async function getExerciseUsageStats() {
@@ -90,6 +137,11 @@ async function resolveExerciseId(exerciseKey) {
 export async function getExerciseHistory(exerciseKey, options = {}) {
   const parsedId = await resolveExerciseId(exerciseKey);
   if (!parsedId || Number.isNaN(parsedId)) return [];
+  const unit = options.unit
+    ? normalizeWeightUnit(options.unit)
+    : await getDefaultWeightUnit();
+  const setSchema = getExerciseSetSchema(await db.table("exercises").get(parsedId));
+  const distanceUnit = getDefaultDistanceUnit(unit);
 
   const finished = await listFinishedWorkouts();
   if (!finished.length) return [];
@@ -111,6 +163,7 @@ export async function getExerciseHistory(exerciseKey, options = {}) {
     const entry = grouped.get(item.workoutId) ?? {
       workoutId: item.workoutId,
       date: workoutDates.get(item.workoutId) ?? null,
+      unit,
       sets: [],
     };
     entry.sets.push(...sets);
@@ -118,7 +171,27 @@ export async function getExerciseHistory(exerciseKey, options = {}) {
   }
 
   const sessions = Array.from(grouped.values()).map((entry) => {
-    const sets = Array.isArray(entry.sets) ? entry.sets : [];
+    const sets = (Array.isArray(entry.sets) ? entry.sets : []).map((set) =>
+      toDisplayUnitSet(set, unit)
+    );
+    if (isTimedSetSchema(setSchema)) {
+      const timed = summarizeTimedSets(sets, setSchema, { weightUnit: unit, distanceUnit });
+      return {
+        ...entry,
+        sets,
+        setSchema,
+        distanceUnit,
+        ...timed,
+        volume: sets.reduce(
+          (sum, set) =>
+            sum + computeSchemaSetVolume(set, setSchema, { weightUnit: unit, distanceUnit }),
+          0
+        ),
+        maxWeight: null,
+        maxReps: null,
+        oneRm: null,
+      };
+    }
     let maxWeight = null;
     let maxReps = null;
     let bestSet = null;
@@ -127,6 +200,7 @@ export async function getExerciseHistory(exerciseKey, options = {}) {
     const volume = sets.reduce((sum, set) => sum + computeSetVolume(set.weight, set.reps), 0);
 
     sets.forEach((set) => {
+      if (!countsTowardBestSet(set)) return;
       const weight = parseMetric(set.weight);
       const reps = parseMetric(set.reps);
       if (weight != null) {
@@ -146,7 +220,7 @@ export async function getExerciseHistory(exerciseKey, options = {}) {
         }
       }
 
-      const oneRm = estimateOneRepMax(weight, reps);
+      const oneRm = estimateSetOneRepMaxWith(set, options.formula);
       if (oneRm != null && (maxOneRm == null || oneRm > maxOneRm)) {
         maxOneRm = oneRm;
       }
@@ -155,6 +229,7 @@ export async function getExerciseHistory(exerciseKey, options = {}) {
     return {
       ...entry,
       sets,
+      setSchema,
       volume,
       maxWeight,
       maxReps,
@@ -173,10 +248,22 @@ export async function getExerciseHistory(exerciseKey, options = {}) {
 export function computeBestSet(history) {
   const sessions = Array.isArray(history) ? history : [];
   let best = null;
+  const schema = sessions[0]?.setSchema;
+  if (isTimedSetSchema(schema)) {
+    sessions.forEach((session) => {
+      const candidate = session.bestSet;
+      if (!candidate) return;
+      if (!best || compareTimedSets(candidate, best, schema, { weightUnit: session.unit }) > 0) {
+        best = { ...candidate, date: session.date ?? null };
+      }
+    });
+    return best;
+  }
 
   sessions.forEach((session) => {
     const sets = Array.isArray(session.sets) ? session.sets : [];
     sets.forEach((set) => {
+      if (!countsTowardBestSet(set)) return;
       const weight = parseMetric(set.weight);
       const reps = parseMetric(set.reps);
       if (weight == null && reps == null) return;
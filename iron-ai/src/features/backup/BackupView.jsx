@@ -0,0 +1,201 @@
+import { useCallback, useRef, useState } from "react";
+import { useLiveQuery } from "dexie-react-hooks";
+
+import { db } from "../../db";
+import {
+  BACKUP_META_KEYS,
+  exportBackup,
+  getBackupFileName,
+  importBackup,
+  parseBackup,
+  serializeBackup,
+  summarizeBackup,
+} from "../../backup/backup";
+import { Button, Card, CardBody, Label, PageHeader, Select } from "../../components/ui";
+
+function formatTimestamp(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleString();
+}
+
+function downloadJson(payload, fileName) {
+  const blob = new Blob([payload], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default function BackupView({ onBack, onNotify }) {
+  const fileInputRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [pendingFileName, setPendingFileName] = useState("");
+  const [importMode, setImportMode] = useState("merge");
+  const [importError, setImportError] = useState("");
+  const [lastResult, setLastResult] = useState(null);
+
+  const backupMeta = useLiveQuery(
+    () => db.table("meta").where("key").anyOf(Object.values(BACKUP_META_KEYS)).toArray(),
+    []
+  );
+  const metaMap = new Map((backupMeta ?? []).map((item) => [item.key, item.value]));
+
+  const handleExport = useCallback(async () => {
+    setExporting(true);
+    try {
+      const backup = await exportBackup();
+      downloadJson(serializeBackup(backup), getBackupFileName());
+      onNotify?.("Backup exported.", { tone: "success" });
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to export backup.", { tone: "error" });
+    } finally {
+      setExporting(false);
+    }
+  }, [onNotify]);
+
+  const handleFileChange = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    setImportError("");
+    setLastResult(null);
+    try {
+      const text = await file.text();
+      setPendingBackup(parseBackup(text));
+      setPendingFileName(file.name);
+    } catch (error) {
+      setPendingBackup(null);
+      setPendingFileName("");
+      setImportError(error?.message ?? "Unable to read backup file.");
+    }
+  }, []);
+
+  const handleImport = useCallback(async () => {
+    if (!pendingBackup) return;
+    if (
+      importMode === "replace" &&
+      !window.confirm("Replace all local workouts, templates, and gyms with this backup?")
+    ) {
+      return;
+    }
+    setImporting(true);
+    setImportError("");
+    try {
+      const result = await importBackup(pendingBackup, { mode: importMode });
+      setLastResult(result);
+      setPendingBackup(null);
+      setPendingFileName("");
+      onNotify?.("Backup imported.", { tone: "success" });
+    } catch (error) {
+      setImportError(error?.message ?? "Unable to import backup.");
+    } finally {
+      setImporting(false);
+    }
+  }, [importMode, onNotify, pendingBackup]);
+
+  const preview = pendingBackup ? summarizeBackup(pendingBackup) : null;
+
+  return (
+    <div className="page">
+      <PageHeader
+        title="Backup & restore"
+        subtitle="Export your training data or restore it on this device."
+        actions={
+          onBack ? (
+            <Button variant="ghost" size="sm" onClick={onBack}>
+              Back
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="library-grid">
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Export</div>
+            <div className="template-meta">
+              Downloads workouts, templates, gyms, exercises, and coach memory as JSON.
+              API keys are never included.
+            </div>
+            <div className="template-meta">
+              Last export: {formatTimestamp(metaMap.get(BACKUP_META_KEYS.lastExportAt))}
+            </div>
+            <Button variant="primary" size="sm" onClick={handleExport} loading={exporting}>
+              Export backup
+            </Button>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Import</div>
+            <div className="template-meta">
+              Last import: {formatTimestamp(metaMap.get(BACKUP_META_KEYS.lastImportAt))}
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              hidden
+              onChange={handleFileChange}
+            />
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+            >
+              Choose backup file
+            </Button>
+            {importError ? <div className="chat-error">{importError}</div> : null}
+            {preview ? (
+              <div className="ui-stack">
+                <div className="template-meta">{pendingFileName}</div>
+                <div className="template-meta">
+                  Schema v{preview.schemaVersion} · exported{" "}
+                  {formatTimestamp(preview.exportedAt)}
+                </div>
+                <div className="template-meta">
+                  {preview.workouts} workouts · {preview.sets} sets · {preview.templates}{" "}
+                  templates · {preview.workoutSpaces} gyms
+                </div>
+                <Label htmlFor="backup-import-mode">Import mode</Label>
+                <Select
+                  id="backup-import-mode"
+                  value={importMode}
+                  onChange={(event) => setImportMode(event.target.value)}
+                >
+                  <option value="merge">Merge with existing data</option>
+                  <option value="replace">Replace existing data</option>
+                </Select>
+                <Button
+                  variant={importMode === "replace" ? "destructive" : "primary"}
+                  size="sm"
+                  onClick={handleImport}
+                  loading={importing}
+                >
+                  Import backup
+                </Button>
+              </div>
+            ) : null}
+            {lastResult ? (
+              <div className="template-meta">
+                Imported {lastResult.counts.workoutSessions.added} workouts and{" "}
+                {lastResult.counts.templates.added} templates (
+                {lastResult.counts.workoutSessions.skipped} workouts already present).
+              </div>
+            ) : null}
+          </CardBody>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,381 @@
+import { useCallback, useMemo, useState } from "react";
+import { useLiveQuery } from "dexie-react-hooks";
+
+import {
+  addPlannedWorkout,
+  deletePlannedWorkout,
+  listFinishedWorkouts,
+  listPlannedWorkoutsInRange,
+  listTemplates,
+  updatePlannedWorkout,
+} from "../../db";
+import {
+  addDays,
+  addMonths,
+  buildCalendarDays,
+  getCalendarRange,
+  getPlannedWorkoutStatus,
+  parseDateKey,
+  toDateKey,
+} from "../../workouts/plannedWorkouts";
+import {
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  Input,
+  Label,
+  PageHeader,
+  Select,
+} from "../../components/ui";
+
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const STATUS_LABELS = {
+  planned: "Planned",
+  started: "In progress",
+  fulfilled: "Done",
+  missed: "Missed",
+};
+
+function formatDayLabel(key) {
+  return parseDateKey(key).toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function formatRangeLabel(range, mode, anchor) {
+  if (mode === "month") {
+    return parseDateKey(anchor).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+  }
+  const options = { month: "short", day: "numeric" };
+  return `${parseDateKey(range.start).toLocaleDateString(undefined, options)} – ${parseDateKey(
+    range.end
+  ).toLocaleDateString(undefined, options)}`;
+}
+
+function getPlanName(plan, templateMap) {
+  if (plan.templateId != null) {
+    return templateMap.get(plan.templateId)?.name ?? `Template #${plan.templateId}`;
+  }
+  const count = Array.isArray(plan.exercises) ? plan.exercises.length : 0;
+  return `${count} exercise${count === 1 ? "" : "s"}`;
+}
+
+function PlannedWorkoutRow({ plan, templateMap, todayKey, onStart, onOpenWorkout, onNotify }) {
+  const [moving, setMoving] = useState(false);
+  const [moveDate, setMoveDate] = useState(toDateKey(plan.date) ?? todayKey);
+  const [starting, setStarting] = useState(false);
+  const status = getPlannedWorkoutStatus(plan, todayKey);
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      await onStart?.(plan.id);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleMove = async () => {
+    if (!moveDate) return;
+    await updatePlannedWorkout(plan.id, { date: moveDate });
+    setMoving(false);
+    onNotify?.("Plan moved.", { tone: "success" });
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Delete this planned workout?")) return;
+    await deletePlannedWorkout(plan.id);
+  };
+
+  return (
+    <div className="calendar-entry ui-stack">
+      <div className="ui-row ui-row--between">
+        <div>
+          <div className="ui-strong">{getPlanName(plan, templateMap)}</div>
+          <div className="template-meta">
+            {plan.programId != null
+              ? `Program · Week ${plan.programWeek} · Day ${plan.programDay}`
+              : plan.source === "coach"
+                ? "Planned by Coach"
+                : "Planned"}
+          </div>
+        </div>
+        <span className={`pill${status === "fulfilled" ? "" : " pill--muted"}`}>
+          {STATUS_LABELS[status]}
+        </span>
+      </div>
+      {moving ? (
+        <div className="ui-row ui-row--wrap">
+          <Input
+            type="date"
+            aria-label="New date"
+            value={moveDate}
+            onChange={(event) => setMoveDate(event.target.value)}
+          />
+          <Button variant="primary" size="sm" onClick={handleMove} disabled={!moveDate}>
+            Save
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => setMoving(false)}>
+            Cancel
+          </Button>
+        </div>
+      ) : (
+        <div className="ui-row ui-row--wrap">
+          {status === "started" ? (
+            <Button variant="primary" size="sm" onClick={() => onOpenWorkout?.(plan.workoutId)}>
+              Open workout
+            </Button>
+          ) : status !== "fulfilled" ? (
+            <Button variant="primary" size="sm" onClick={handleStart} loading={starting}>
+              Start
+            </Button>
+          ) : null}
+          {status !== "fulfilled" ? (
+            <Button variant="secondary" size="sm" onClick={() => setMoving(true)}>
+              Move
+            </Button>
+          ) : null}
+          <Button variant="destructive" size="sm" onClick={handleDelete}>
+            Delete
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CalendarDay({ day, templateMap, todayKey, onStart, onOpenWorkout, onNotify }) {
+  const isEmpty = day.plans.length === 0 && day.sessions.length === 0;
+  return (
+    <Card>
+      <CardHeader>
+        <div className="ui-strong">
+          {formatDayLabel(day.date)}
+          {day.date === todayKey ? " · Today" : ""}
+        </div>
+      </CardHeader>
+      <CardBody className="ui-stack">
+        {isEmpty ? <div className="template-meta">Nothing scheduled.</div> : null}
+        {day.sessions.map((session) => (
+          <div key={`session-${session.id}`} className="calendar-entry calendar-entry--done">
+            <div className="ui-strong">
+              {session.title || templateMap.get(session.templateId)?.name || "Workout"}
+            </div>
+            <div className="template-meta">
+              Completed{" "}
+              {new Date(session.finishedAt).toLocaleTimeString(undefined, {
+                hour: "numeric",
+                minute: "2-digit",
+              })}
+            </div>
+          </div>
+        ))}
+        {day.plans.map((plan) => (
+          <PlannedWorkoutRow
+            key={`plan-${plan.id}`}
+            plan={plan}
+            templateMap={templateMap}
+            todayKey={todayKey}
+            onStart={onStart}
+            onOpenWorkout={onOpenWorkout}
+            onNotify={onNotify}
+          />
+        ))}
+      </CardBody>
+    </Card>
+  );
+}
+
+export default function CalendarView({ onBack, onStartPlannedWorkout, onOpenWorkout, onNotify }) {
+  const todayKey = toDateKey(new Date());
+  const [mode, setMode] = useState("week");
+  const [anchor, setAnchor] = useState(todayKey);
+  const [selectedDate, setSelectedDate] = useState(todayKey);
+  const [newPlanDate, setNewPlanDate] = useState(todayKey);
+  const [newPlanTemplateId, setNewPlanTemplateId] = useState("");
+
+  const range = useMemo(() => getCalendarRange(anchor, mode), [anchor, mode]);
+  const plans = useLiveQuery(
+    () => listPlannedWorkoutsInRange(range.start, range.end),
+    [range.start, range.end]
+  );
+  const sessions = useLiveQuery(() => listFinishedWorkouts(), []);
+  const templates = useLiveQuery(() => listTemplates(), []);
+
+  const templateMap = useMemo(
+    () => new Map((templates ?? []).map((template) => [template.id, template])),
+    [templates]
+  );
+  const days = useMemo(
+    () => buildCalendarDays(range.days, plans ?? [], sessions ?? []),
+    [range.days, plans, sessions]
+  );
+  const selectedDay = days.find((day) => day.date === selectedDate) ?? null;
+  const anchorMonth = parseDateKey(anchor).getMonth();
+
+  const handleShift = (direction) => {
+    const next = mode === "month" ? addMonths(anchor, direction) : addDays(anchor, 7 * direction);
+    setAnchor(next);
+    setSelectedDate(next);
+  };
+
+  const handleToday = () => {
+    setAnchor(todayKey);
+    setSelectedDate(todayKey);
+  };
+
+  const handleAddPlan = useCallback(async () => {
+    const templateId = Number.parseInt(newPlanTemplateId, 10);
+    if (!newPlanDate || !Number.isFinite(templateId)) return;
+    await addPlannedWorkout({ date: newPlanDate, templateId, source: "user" });
+    setAnchor(newPlanDate);
+    setSelectedDate(newPlanDate);
+    onNotify?.("Workout planned.", { tone: "success" });
+  }, [newPlanDate, newPlanTemplateId, onNotify]);
+
+  const handleStart = useCallback(
+    async (planId) => {
+      try {
+        await onStartPlannedWorkout?.(planId);
+      } catch (error) {
+        onNotify?.(error?.message ?? "Unable to start this workout.", { tone: "error" });
+      }
+    },
+    [onNotify, onStartPlannedWorkout]
+  );
+
+  const dayProps = {
+    templateMap,
+    todayKey,
+    onStart: handleStart,
+    onOpenWorkout,
+    onNotify,
+  };
+
+  return (
+    <div className="page">
+      <PageHeader
+        title="Training calendar"
+        subtitle="Planned and completed sessions by day."
+        actions={
+          onBack ? (
+            <Button variant="ghost" size="sm" onClick={onBack}>
+              Back
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="ui-stack">
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-row ui-row--between ui-row--wrap">
+              <div className="ui-row">
+                <Button variant="ghost" size="sm" onClick={() => handleShift(-1)}>
+                  Prev
+                </Button>
+                <Button variant="secondary" size="sm" onClick={handleToday}>
+                  Today
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => handleShift(1)}>
+                  Next
+                </Button>
+              </div>
+              <Select
+                aria-label="Calendar view"
+                value={mode}
+                onChange={(event) => setMode(event.target.value)}
+              >
+                <option value="week">Week</option>
+                <option value="month">Month</option>
+              </Select>
+            </div>
+            <div className="ui-strong">{formatRangeLabel(range, mode, anchor)}</div>
+            {mode === "month" ? (
+              <div className="calendar-grid" role="grid">
+                {WEEKDAY_LABELS.map((label) => (
+                  <div key={label} className="calendar-grid__weekday">
+                    {label}
+                  </div>
+                ))}
+                {days.map((day) => {
+                  const date = parseDateKey(day.date);
+                  const classes = ["calendar-grid__day"];
+                  if (date.getMonth() !== anchorMonth) classes.push("calendar-grid__day--outside");
+                  if (day.date === selectedDate) classes.push("calendar-grid__day--selected");
+                  if (day.date === todayKey) classes.push("calendar-grid__day--today");
+                  return (
+                    <button
+                      key={day.date}
+                      type="button"
+                      className={classes.join(" ")}
+                      onClick={() => setSelectedDate(day.date)}
+                      aria-label={`${formatDayLabel(day.date)}: ${day.plans.length} planned, ${day.sessions.length} completed`}
+                    >
+                      <span>{date.getDate()}</span>
+                      <span className="calendar-grid__markers">
+                        {day.sessions.length ? (
+                          <span className="calendar-marker calendar-marker--done" />
+                        ) : null}
+                        {day.plans.length ? <span className="calendar-marker" /> : null}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            ) : null}
+          </CardBody>
+        </Card>
+
+        {mode === "month" ? (
+          selectedDay ? (
+            <CalendarDay day={selectedDay} {...dayProps} />
+          ) : null
+        ) : (
+          days.map((day) => <CalendarDay key={day.date} day={day} {...dayProps} />)
+        )}
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">Plan a workout</div>
+            <Label htmlFor="calendar-plan-date">Date</Label>
+            <Input
+              id="calendar-plan-date"
+              type="date"
+              value={newPlanDate}
+              onChange={(event) => setNewPlanDate(event.target.value)}
+            />
+            <Label htmlFor="calendar-plan-template">Template</Label>
+            <Select
+              id="calendar-plan-template"
+              value={newPlanTemplateId}
+              onChange={(event) => setNewPlanTemplateId(event.target.value)}
+            >
+              <option value="">Choose a template</option>
+              {(templates ?? []).map((template) => (
+                <option key={template.id} value={template.id}>
+                  {template.name}
+                </option>
+              ))}
+            </Select>
+            {templates && templates.length === 0 ? (
+              <div className="template-meta">Create a template first to plan workouts.</div>
+            ) : null}
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleAddPlan}
+              disabled={!newPlanDate || !newPlanTemplateId}
+            >
+              Add to calendar
+            </Button>
+          </CardBody>
+        </Card>
+      </div>
+    </div>
+  );
+}
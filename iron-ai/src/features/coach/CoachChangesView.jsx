@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { useLiveQuery } from "dexie-react-hooks";
+
+import {
+  describeCoachWriteChange,
+  describeCoachWriteChanges,
+  listCoachWrites,
+  revertCoachWrite,
+} from "../../coach/writeJournal";
+import { Button, Card, CardBody, PageHeader } from "../../components/ui";
+
+function formatPayload(value) {
+  return value == null ? "—" : JSON.stringify(value, null, 2);
+}
+
+export default function CoachChangesView({ onBack, onNotify }) {
+  const [revertingId, setRevertingId] = useState(null);
+  const entries = useLiveQuery(() => listCoachWrites(), []);
+
+  const handleRevert = async (entry) => {
+    const detail = describeCoachWriteChanges(entry.changes);
+    if (!window.confirm(`Revert "${entry.summary}"? This undoes: ${detail}.`)) return;
+    setRevertingId(entry.id);
+    try {
+      await revertCoachWrite(entry.id);
+      onNotify?.("Coach change reverted.", { tone: "success" });
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to revert this change.", { tone: "error" });
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <div className="page">
+      <PageHeader
+        title="Coach changes"
+        subtitle="Everything the coach wrote after you confirmed it, newest first."
+        actions={
+          onBack ? (
+            <Button variant="ghost" size="sm" onClick={onBack}>
+              Back
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="ui-stack">
+        {entries && entries.length === 0 ? (
+          <Card>
+            <CardBody>
+              <div className="empty-state">
+                No coach changes yet. Templates, gyms, goals, and workouts the coach saves show
+                up here.
+              </div>
+            </CardBody>
+          </Card>
+        ) : null}
+
+        {(entries ?? []).map((entry) => (
+          <Card key={entry.id}>
+            <CardBody className="ui-stack">
+              <div className="ui-row ui-row--between">
+                <div className="ui-strong">{entry.summary}</div>
+                {entry.revertedAt ? <span className="pill">Reverted</span> : null}
+              </div>
+              <div className="template-meta">
+                {new Date(entry.createdAt).toLocaleString()} ·{" "}
+                {describeCoachWriteChanges(entry.changes) || "No rows changed"}
+              </div>
+              {entry.changes.length ? (
+                <ul className="coach-action-diff">
+                  {entry.changes.map((change) => (
+                    <li
+                      key={`${change.table}:${change.key}`}
+                      className="coach-action-diff__line"
+                      data-op={change.op}
+                    >
+                      <details>
+                        <summary>{describeCoachWriteChange(change)}</summary>
+                        <div className="template-meta">Before</div>
+                        <pre className="coach-changes__payload">{formatPayload(change.before)}</pre>
+                        <div className="template-meta">After</div>
+                        <pre className="coach-changes__payload">{formatPayload(change.after)}</pre>
+                      </details>
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+              {!entry.revertedAt && entry.changes.length ? (
+                <div className="ui-row">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    loading={revertingId === entry.id}
+                    onClick={() => handleRevert(entry)}
+                  >
+                    Revert
+                  </Button>
+                </div>
+              ) : null}
+            </CardBody>
+          </Card>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+import { useState } from "react";
+import { useLiveQuery } from "dexie-react-hooks";
+
+import { db } from "../../db";
+import {
+  COACH_MEMORY_FIELDS,
+  describeCoachMemoryChange,
+  getCoachMemoryField,
+  MAX_MEMORY_NOTES_CHARS,
+  normalizeCoachMemory,
+} from "../../coach/memory";
+import {
+  acceptCoachMemoryProposal,
+  applyCoachMemoryChanges,
+  COACH_MEMORY_CHANGE_STATUS,
+  listCoachMemoryChanges,
+  rejectCoachMemoryProposal,
+} from "../../coach/memoryChanges";
+import { Button, Card, CardBody, Input, Label, PageHeader, Select } from "../../components/ui";
+
+const STATUS_LABELS = {
+  applied: "Saved",
+  pending: "Waiting for review",
+  rejected: "Rejected",
+};
+
+function ListFieldEditor({ field, config, items, onChange }) {
+  const [draft, setDraft] = useState("");
+  const add = async () => {
+    if (await onChange({ field, op: "add", value: draft })) setDraft("");
+  };
+  return (
+    <div className="ui-stack">
+      <Label htmlFor={`coach-memory-${field}`}>{config.label}</Label>
+      <div className="coach-memory__items">
+        {items.length === 0 ? <span className="template-meta">Nothing saved.</span> : null}
+        {items.map((item) => (
+          <span key={item} className="pill pill--muted">
+            {item}
+            <button
+              type="button"
+              className="coach-memory__remove"
+              aria-label={`Remove ${item}`}
+              onClick={() => onChange({ field, op: "remove", value: item })}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <div className="ui-row">
+        <Input
+          id={`coach-memory-${field}`}
+          value={draft}
+          maxLength={80}
+          placeholder={`Add to ${config.label.toLowerCase()}`}
+          onChange={(event) => setDraft(event.target.value)}
+        />
+        <Button variant="secondary" size="sm" disabled={!draft.trim()} onClick={add}>
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function GoalsEditor({ goals, onChange }) {
+  const [type, setType] = useState("");
+  const [value, setValue] = useState("");
+  const add = async () => {
+    if (await onChange({ field: "goals", op: "add", value: { type, value } })) {
+      setType("");
+      setValue("");
+    }
+  };
+  return (
+    <div className="ui-stack">
+      <Label htmlFor="coach-memory-goal-type">Goals</Label>
+      {goals.length === 0 ? <span className="template-meta">No goals saved.</span> : null}
+      {goals.map((goal) => (
+        <div key={goal.type} className="ui-row ui-row--between">
+          <span>
+            <span className="ui-strong">{goal.type}</span>: {goal.value}
+            {goal.notes ? <span className="template-meta"> · {goal.notes}</span> : null}
+          </span>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ field: "goals", op: "remove", value: goal.type })}
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+      <div className="ui-row">
+        <Input
+          id="coach-memory-goal-type"
+          value={type}
+          maxLength={40}
+          placeholder="Goal (e.g. strength)"
+          onChange={(event) => setType(event.target.value)}
+        />
+        <Input
+          value={value}
+          maxLength={80}
+          placeholder="Target (e.g. 140 kg squat)"
+          aria-label="Goal target"
+          onChange={(event) => setValue(event.target.value)}
+        />
+        <Button
+          variant="secondary"
+          size="sm"
+          disabled={!type.trim() || !value.trim()}
+          onClick={add}
+        >
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function TextFieldEditor({ field, config, value, onChange }) {
+  const saved = value ?? "";
+  const [draft, setDraft] = useState(null);
+  const current = draft ?? String(saved);
+  const save = async () => {
+    if (await onChange({ field, op: "set", value: current })) setDraft(null);
+  };
+  return (
+    <div className="ui-stack">
+      <Label htmlFor={`coach-memory-${field}`}>{config.label}</Label>
+      {config.kind === "number" ? (
+        <Input
+          id={`coach-memory-${field}`}
+          type="number"
+          min={1}
+          max={7}
+          value={current}
+          placeholder="Not set"
+          onChange={(event) => setDraft(event.target.value)}
+        />
+      ) : (
+        <textarea
+          id={`coach-memory-${field}`}
+          className="ui-input ui-textarea"
+          rows={3}
+          maxLength={MAX_MEMORY_NOTES_CHARS}
+          value={current}
+          onChange={(event) => setDraft(event.target.value)}
+        />
+      )}
+      {draft != null && draft !== String(saved) ? (
+        <div className="ui-row">
+          <Button variant="secondary" size="sm" onClick={save}>
+            Save
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => setDraft(null)}>
+            Cancel
+          </Button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default function CoachMemoryView({ onBack, onNotify }) {
+  const [busyId, setBusyId] = useState(null);
+  const settings = useLiveQuery(() => db.settings.get(1), []);
+  const changes = useLiveQuery(() => listCoachMemoryChanges(), []);
+  const memory = normalizeCoachMemory(settings?.coach_memory);
+  const pending = (changes ?? []).filter(
+    (change) => change.status === COACH_MEMORY_CHANGE_STATUS.pending
+  );
+  const history = (changes ?? []).filter(
+    (change) => change.status !== COACH_MEMORY_CHANGE_STATUS.pending
+  );
+
+  const saveChange = async (change) => {
+    try {
+      await applyCoachMemoryChanges([change], { source: "user" });
+      return true;
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to update Coach memory.", { tone: "error" });
+      return false;
+    }
+  };
+
+  const resolveProposal = async (change, accept) => {
+    setBusyId(change.id);
+    try {
+      if (accept) {
+        await acceptCoachMemoryProposal(change.id);
+        onNotify?.("Saved to Coach memory.", { tone: "success" });
+      } else {
+        await rejectCoachMemoryProposal(change.id);
+      }
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to update this suggestion.", { tone: "error" });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderField = ([field, config]) => {
+    const value = getCoachMemoryField(memory, field);
+    if (config.kind === "goals") {
+      return <GoalsEditor key={field} goals={value} onChange={saveChange} />;
+    }
+    if (config.kind === "list") {
+      return (
+        <ListFieldEditor
+          key={field}
+          field={field}
+          config={config}
+          items={value}
+          onChange={saveChange}
+        />
+      );
+    }
+    if (config.kind === "choice") {
+      return (
+        <div key={field} className="ui-stack">
+          <Label htmlFor={`coach-memory-${field}`}>{config.label}</Label>
+          <Select
+            id={`coach-memory-${field}`}
+            value={value}
+            onChange={(event) => saveChange({ field, op: "set", value: event.target.value })}
+          >
+            {config.choices.map((choice) => (
+              <option key={choice} value={choice}>
+                {choice}
+              </option>
+            ))}
+          </Select>
+        </div>
+      );
+    }
+    return (
+      <TextFieldEditor
+        key={`${field}:${value ?? ""}`}
+        field={field}
+        config={config}
+        value={value}
+        onChange={saveChange}
+      />
+    );
+  };
+
+  return (
+    <div className="page">
+      <PageHeader
+        title="Coach memory"
+        subtitle="What the coach knows about you. Its suggestions wait here for your review."
+        actions={
+          onBack ? (
+            <Button variant="ghost" size="sm" onClick={onBack}>
+              Back
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="ui-stack">
+        {settings && !settings.coach_memory_enabled ? (
+          <Card>
+            <CardBody>
+              <div className="template-meta">
+                Coach memory is off, so the coach does not see these details. Turn it on in
+                Settings.
+              </div>
+            </CardBody>
+          </Card>
+        ) : null}
+
+        {pending.length ? (
+          <Card>
+            <CardBody className="ui-stack">
+              <div className="ui-strong">Suggested by the coach</div>
+              {pending.map((change) => (
+                <div key={change.id} className="ui-stack">
+                  <div>{describeCoachMemoryChange(change)}</div>
+                  {change.reason ? <div className="template-meta">{change.reason}</div> : null}
+                  <div className="ui-row">
+                    <Button
+                      variant="primary"
+                      size="sm"
+                      loading={busyId === change.id}
+                      onClick={() => resolveProposal(change, true)}
+                    >
+                      Accept
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={busyId === change.id}
+                      onClick={() => resolveProposal(change, false)}
+                    >
+                      Reject
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </CardBody>
+          </Card>
+        ) : null}
+
+        <Card>
+          <CardBody className="ui-stack">
+            {Object.entries(COACH_MEMORY_FIELDS).map(renderField)}
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">History</div>
+            {history.length === 0 ? (
+              <div className="empty-state">No memory changes yet.</div>
+            ) : null}
+            {history.map((change) => (
+              <div key={change.id} className="ui-row ui-row--between">
+                <div>
+                  <div>{describeCoachMemoryChange(change)}</div>
+                  <div className="template-meta">
+                    {new Date(change.resolvedAt ?? change.createdAt).toLocaleString()} ·{" "}
+                    {change.source === "coach" ? "Coach" : "You"}
+                    {change.reason ? ` · ${change.reason}` : ""}
+                  </div>
+                </div>
+                <span className={`pill${change.status === "rejected" ? " pill--muted" : ""}`}>
+                  {STATUS_LABELS[change.status] ?? change.status}
+                </span>
+              </div>
+            ))}
+          </CardBody>
+        </Card>
+      </div>
+    </div>
+  );
+}
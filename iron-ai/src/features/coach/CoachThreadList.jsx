@@ -0,0 +1,129 @@
+import { useMemo, useState } from "react";
+import { Pin, PinOff } from "lucide-react";
+
+import { filterCoachThreads } from "../../coach/threads";
+import { Button, Input } from "../../components/ui";
+
+function formatThreadDate(timestamp) {
+  if (!timestamp) return "";
+  return new Date(timestamp).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+/**
+ * Saved coach conversations: search, open, start, rename, pin, and delete. Switching is
+ * disabled while a reply is in flight so it can't land in the wrong thread.
+ */
+export default function CoachThreadList({
+  threads,
+  activeThreadId,
+  disabled = false,
+  onOpen,
+  onNew,
+  onRename,
+  onTogglePin,
+  onDelete,
+}) {
+  const [query, setQuery] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const visible = useMemo(() => filterCoachThreads(threads, query), [query, threads]);
+
+  const submitRename = async (event) => {
+    event.preventDefault();
+    if (!renaming) return;
+    await onRename?.(renaming.id, renaming.title);
+    setRenaming(null);
+  };
+
+  return (
+    <div className="coach-threads ui-stack">
+      <div className="ui-row">
+        <Input
+          type="search"
+          placeholder="Search conversations"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          aria-label="Search conversations"
+        />
+        <Button variant="primary" size="sm" onClick={() => onNew?.()} disabled={disabled}>
+          New chat
+        </Button>
+      </div>
+      {visible.length === 0 ? (
+        <div className="template-meta">
+          {query.trim() ? "No conversations match." : "No saved conversations yet."}
+        </div>
+      ) : null}
+      <ul className="coach-threads__list">
+        {visible.map((thread) => {
+          const isActive = thread.id === activeThreadId;
+          const messageCount = thread.messages?.length ?? 0;
+          if (renaming?.id === thread.id) {
+            return (
+              <li key={thread.id} className="coach-threads__item" data-active={isActive}>
+                <form className="ui-row" onSubmit={submitRename}>
+                  <Input
+                    value={renaming.title}
+                    onChange={(event) => setRenaming({ ...renaming, title: event.target.value })}
+                    aria-label="Conversation name"
+                    autoFocus
+                  />
+                  <Button type="submit" variant="primary" size="sm">
+                    Save
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setRenaming(null)}>
+                    Cancel
+                  </Button>
+                </form>
+              </li>
+            );
+          }
+          return (
+            <li key={thread.id} className="coach-threads__item" data-active={isActive}>
+              <button
+                type="button"
+                className="coach-threads__open"
+                onClick={() => onOpen?.(thread.id)}
+                disabled={disabled || isActive}
+                aria-current={isActive ? "true" : undefined}
+              >
+                <span className="ui-strong">
+                  {thread.pinned ? <Pin size={12} aria-label="Pinned" /> : null} {thread.title}
+                </span>
+                <span className="template-meta">
+                  {formatThreadDate(thread.updatedAt)} · {messageCount}{" "}
+                  {messageCount === 1 ? "message" : "messages"}
+                  {thread.actionDraft ? " · draft pending" : ""}
+                </span>
+              </button>
+              <div className="ui-row">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onTogglePin?.(thread)}
+                  aria-label={thread.pinned ? "Unpin conversation" : "Pin conversation"}
+                >
+                  {thread.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setRenaming({ id: thread.id, title: thread.title ?? "" })}
+                >
+                  Rename
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onDelete?.(thread)}
+                  disabled={disabled && isActive}
+                >
+                  Delete
+                </Button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
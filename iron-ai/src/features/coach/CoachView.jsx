@@ -19,14 +19,19 @@ import { ActionDraftKinds } from "../../coach/actionDraftContract";
 import {
   createWorkoutFromDraft,
   executeActionDraft,
+  undoWorkoutEdit,
   validateActionDraft,
 } from "../../coach/actionDraftExecution";
 import { executeWriteToolCall, runCoachTurn } from "../../coach/orchestrator";
+import { markCoachWriteReverted } from "../../coach/writeJournal";
+import { createTranscriptRecorder, saveCoachTranscript } from "../../coach/transcript";
+import { generateWorkoutDraft } from "../../coach/workoutGenerator";
 import { buildContextFingerprint } from "../../coach/fingerprint";
 import { resolveTemplateExercises } from "../../coach/templateExerciseMapping";
 import { executeTool, getToolRegistry } from "../../coach/tools";
 import { extractWorkoutPlanOutput } from "../../coach/responseValidation";
 import { getCoachAccessState } from "./coachAccess";
+import useOnlineStatus from "../../utils/useOnlineStatus";
 import { getCoachKeyMode } from "../../config/coachKeyMode";
 import {
   applyUniformSetCountToExercises,
@@ -43,6 +48,7 @@ import {
   isTemplateIntentText,
   isInternalPromptMessage,
   getSuggestedActionPrimaryLabel,
+  shouldShowSuggestedActionEdit,
   shouldShowSuggestedActionSaveTemplate,
   resolveCoachErrorMessage,
   sanitizeCoachAssistantText,
@@ -57,11 +63,22 @@ import {
 import {
   clearPersistedSuggestedAction,
   readPersistedSuggestedAction,
-  writePersistedSuggestedAction,
 } from "./suggestedActionStorage";
+import CoachThreadList from "./CoachThreadList";
+import WorkoutGeneratorPanel from "./WorkoutGeneratorPanel";
+import {
+  createCoachThread,
+  deleteCoachThread,
+  listCoachThreads,
+  loadActiveCoachThread,
+  markCoachThreadLaunchConsumed,
+  openCoachThread,
+  renameCoachThread,
+  saveCoachThreadChat,
+  setCoachThreadActionDraft,
+  setCoachThreadPinned,
+} from "../../coach/threads";
 import {
-  getCoachChatState,
-  setCoachChatState,
   setOpenAIKeyStatus,
   useCoachMemoryEnabled,
   useSettings,
@@ -385,7 +402,8 @@ export default function CoachView({
   diagnosticsEnabled,
 }) {
   const coachKeyMode = getCoachKeyMode();
-  const { settings, apiKey, hasKey, keyStatus } = useSettings();
+  const { settings, apiKey, hasKey, keyStatus, coachAccessToken, coachRecordTranscripts } =
+    useSettings();
   const { coachMemoryEnabled } = useCoachMemoryEnabled();
   const memoryEnabled = coachMemoryEnabled ?? false;
   const memory = useMemo(
@@ -465,6 +483,7 @@ export default function CoachView({
   });
   const [actionErrors, setActionErrors] = useState([]);
   const [actionWarnings, setActionWarnings] = useState([]);
+  const [actionPreview, setActionPreview] = useState([]);
   const [actionApplying, setActionApplying] = useState(false);
   const [actionConfirmOpen, setActionConfirmOpen] = useState(false);
   const [pendingHighRiskDraft, setPendingHighRiskDraft] = useState(null);
@@ -480,19 +499,27 @@ export default function CoachView({
   });
   const [messages, setMessages] = useState([]);
   const [chatHistory, setChatHistory] = useState([]);
-  const [chatStateLoaded, setChatStateLoaded] = useState(false);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [threadsOpen, setThreadsOpen] = useState(false);
+  const [generatorOpen, setGeneratorOpen] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const generatorVariationRef = useRef(0);
+  const threadLoadStartedRef = useRef(false);
+  const handledLaunchContextRef = useRef(null);
   const chatHistoryRef = useRef([]);
   const chatPersistTimerRef = useRef(null);
   const messageIdRef = useRef(0);
   const listRef = useRef(null);
   const streamingIdRef = useRef(null);
+  const turnAbortRef = useRef(null);
   const inputRef = useRef(null);
   const actionTrayRef = useRef(null);
   const lastActionScrollMessageIdRef = useRef(null);
 
+  const isOnline = useOnlineStatus();
   const accessState = useMemo(
-    () => getCoachAccessState({ hasKey, keyStatus, keyMode: coachKeyMode }),
-    [coachKeyMode, hasKey, keyStatus]
+    () => getCoachAccessState({ hasKey, keyStatus, keyMode: coachKeyMode, isOnline }),
+    [coachKeyMode, hasKey, isOnline, keyStatus]
   );
   const canSend = accessState.canChat && input.trim().length > 0 && !sending;
   const activeGymId = settings?.active_space_id ?? null;
@@ -508,13 +535,6 @@ export default function CoachView({
   }, [diagnosticsEnabled]);
   const debugEnabled = coachDiagnosticsEnabled;
 
-  useEffect(() => {
-    if (!launchContext) return;
-    setPendingLaunchContext(launchContext);
-    setContextEnabled(true);
-    setContextScopes((prev) => ({ ...prev, spaces: true }));
-  }, [launchContext]);
-
   useEffect(() => {
     chatHistoryRef.current = chatHistory;
   }, [chatHistory]);
@@ -524,54 +544,85 @@ export default function CoachView({
     listRef.current.scrollTop = listRef.current.scrollHeight;
   }, [messages, sending]);
 
-  useEffect(() => {
-    let active = true;
-    const loadChatState = async () => {
-      try {
-        const saved = await getCoachChatState();
-        if (!active) return;
-        if (saved.messages.length) {
-          setMessages(saved.messages);
-          messageIdRef.current = Math.max(
-            messageIdRef.current,
-            getHighestMessageId(saved.messages)
-          );
-        }
-        if (saved.chatHistory.length) {
-          setChatHistory(saved.chatHistory);
-        }
-      } finally {
-        if (active) {
-          setChatStateLoaded(true);
-        }
+  const threads = useLiveQuery(() => listCoachThreads(), []);
+  const activeThread = useMemo(
+    () => (threads ?? []).find((thread) => thread.id === activeThreadId) ?? null,
+    [activeThreadId, threads]
+  );
+
+  // Swaps every piece of per-conversation state over to `thread`.
+  const applyThread = useCallback(
+    (thread) => {
+      if (!thread) return;
+      const threadMessages = thread.messages ?? [];
+      setMessages(threadMessages);
+      setChatHistory(thread.chatHistory ?? []);
+      chatHistoryRef.current = thread.chatHistory ?? [];
+      messageIdRef.current = Math.max(
+        messageIdRef.current,
+        getHighestMessageId(threadMessages)
+      );
+      actionDispatch({ type: "DISCARD" });
+      if (thread.actionDraft?.draft) {
+        actionDispatch({
+          type: "SET_FROM_MESSAGE",
+          payload: {
+            messageId: thread.actionDraft.sourceMessageId ?? null,
+            actionDraft: thread.actionDraft.draft,
+          },
+        });
       }
-    };
-    void loadChatState();
-    return () => {
-      active = false;
-    };
-  }, []);
+      dispatch({ type: "CLEAR_EVENTS" });
+      setActionEditMode(false);
+      setActionErrors([]);
+      setError("");
+      setRetryMessage("");
+      setAdjustMessageId(null);
+      setCreatedTemplateByMessageId({});
+      setStartedWorkoutByMessageId({});
+      const pending = thread.launchContextPending ? thread.launchContext : null;
+      setPendingLaunchContext(pending);
+      if (pending) {
+        setContextEnabled(true);
+        setContextScopes((prev) => ({ ...prev, spaces: true }));
+      }
+      setActiveThreadId(thread.id);
+    },
+    [actionDispatch]
+  );
 
+  // Opens the last thread on mount; opening from gym or exercise detail starts a new one.
   useEffect(() => {
-    const persisted = readPersistedSuggestedAction();
-    if (!persisted?.draft) return;
-    actionDispatch({
-      type: "SET_FROM_MESSAGE",
-      payload: {
-        messageId: persisted.sourceMessageId ?? null,
-        actionDraft: persisted.draft,
-      },
-    });
-  }, []);
+    if (launchContext) {
+      if (handledLaunchContextRef.current === launchContext) return;
+    } else if (threadLoadStartedRef.current) {
+      return;
+    }
+    threadLoadStartedRef.current = true;
+    handledLaunchContextRef.current = launchContext ?? null;
+    const loadThread = async () => {
+      const latest = await loadActiveCoachThread({
+        legacyActionDraft: readPersistedSuggestedAction(),
+        createIfMissing: !launchContext,
+      });
+      clearPersistedSuggestedAction();
+      applyThread(
+        launchContext
+          ? await openCoachThread(await createCoachThread({ launchContext }))
+          : latest
+      );
+    };
+    void loadThread();
+  }, [applyThread, launchContext]);
 
   useEffect(() => {
-    if (!chatStateLoaded) return;
+    if (activeThreadId == null) return;
     if (chatPersistTimerRef.current) {
       clearTimeout(chatPersistTimerRef.current);
       chatPersistTimerRef.current = null;
     }
     chatPersistTimerRef.current = setTimeout(() => {
-      void setCoachChatState({ messages, chatHistory });
+      void saveCoachThreadChat(activeThreadId, { messages, chatHistory });
     }, 150);
     return () => {
       if (chatPersistTimerRef.current) {
@@ -579,7 +630,7 @@ export default function CoachView({
         chatPersistTimerRef.current = null;
       }
     };
-  }, [chatHistory, chatStateLoaded, messages]);
+  }, [activeThreadId, chatHistory, messages]);
 
   useEffect(() => {
     if (!contextEnabled && contextPreviewOpen) {
@@ -858,6 +909,7 @@ export default function CoachView({
       actionPayload?.frequencyHint
   );
   const canSaveActionAsTemplate = shouldShowSuggestedActionSaveTemplate(actionDraftKind);
+  const canEditActionDraft = shouldShowSuggestedActionEdit(actionDraftKind);
   const actionEditTitle = String(actionEditDraft.title ?? "");
   const canSaveActionEdit = actionEditTitle.trim().length > 0;
   const coachDebugTrace = useMemo(
@@ -889,15 +941,12 @@ export default function CoachView({
   }, [debugEnabled, suggestedActionDebugTrace]);
 
   useEffect(() => {
-    if (!actionDraft) {
-      clearPersistedSuggestedAction();
-      return;
-    }
-    writePersistedSuggestedAction({
-      sourceMessageId: actionSourceMessageId,
-      draft: actionDraft,
-    });
-  }, [actionDraft, actionSourceMessageId]);
+    if (activeThreadId == null) return;
+    void setCoachThreadActionDraft(
+      activeThreadId,
+      actionDraft ? { sourceMessageId: actionSourceMessageId, draft: actionDraft } : null
+    );
+  }, [actionDraft, actionSourceMessageId, activeThreadId]);
 
   const buildContextPreview = useCallback(async () => {
     if (!contextEnabled || !contextPreviewOpen) return;
@@ -1030,6 +1079,7 @@ export default function CoachView({
     const validateDraft = async () => {
       if (!actionDraft) {
         setActionWarnings([]);
+        setActionPreview([]);
         return;
       }
       const result = await validateActionDraft(actionDraft, {
@@ -1037,6 +1087,7 @@ export default function CoachView({
       });
       if (!active) return;
       setActionWarnings(result.warnings ?? []);
+      setActionPreview(result.preview ?? []);
     };
     void validateDraft();
     return () => {
@@ -1064,6 +1115,8 @@ export default function CoachView({
       setRetryMessage("");
       setSending(true);
       if (clearInput) setInput("");
+      const turnAbort = new AbortController();
+      turnAbortRef.current = turnAbort;
 
       const userId = skipUserMessage ? null : (messageIdRef.current += 1);
       if (userId != null) {
@@ -1078,6 +1131,7 @@ export default function CoachView({
 
       let streamedId = null;
       let expectsDraftForRequest = false;
+      let transcriptRecorder = null;
       try {
         const hasEditableWorkoutDraft =
           actionDraft?.kind === ActionDraftKinds.create_workout &&
@@ -1119,9 +1173,10 @@ export default function CoachView({
                   ? selectedGymEquipmentSummary
                   : [],
               };
-        const result = await runCoachTurn({
+        const turnInput = {
           apiKey,
           keyMode: coachKeyMode,
+          accessToken: coachAccessToken,
           chatHistory: chatHistoryRef.current,
           userMessage: trimmed,
           responseMode: resolvedResponseMode,
@@ -1140,6 +1195,7 @@ export default function CoachView({
           },
           memoryEnabled,
           memorySummary: memory,
+          activeWorkoutId,
           onStreamStart: () => {
             streamedId = (messageIdRef.current += 1);
             streamingIdRef.current = streamedId;
@@ -1161,7 +1217,19 @@ export default function CoachView({
           onStreamEnd: () => {
             streamingIdRef.current = null;
           },
+          signal: turnAbort.signal,
+        };
+        transcriptRecorder = coachRecordTranscripts
+          ? createTranscriptRecorder({ input: turnInput })
+          : null;
+        const result = await runCoachTurn({
+          ...turnInput,
+          runtime: transcriptRecorder?.runtime ?? null,
         });
+        if (transcriptRecorder) {
+          void saveCoachTranscript(transcriptRecorder.finish(result));
+          transcriptRecorder = null;
+        }
 
         setChatHistory(result.conversation);
         dispatch({ type: "ADD_TOOL_EVENTS", payload: result.toolEvents });
@@ -1392,9 +1460,23 @@ export default function CoachView({
         }
         if (pendingLaunchContext) {
           setPendingLaunchContext(null);
+          if (activeThreadId != null) void markCoachThreadLaunchConsumed(activeThreadId);
           onLaunchContextConsumed?.();
         }
       } catch (err) {
+        if (turnAbort.signal.aborted) {
+          streamingIdRef.current = null;
+          if (streamedId) {
+            setMessages((prev) => prev.filter((msg) => msg.id !== streamedId));
+          }
+          if (expectsDraftForRequest) {
+            actionDispatch({ type: "SET_ERROR", payload: { error: "Stopped." } });
+          }
+          setError("Stopped. Tap Retry to ask again.");
+          setRetryMessage(trimmed);
+          return;
+        }
+        if (transcriptRecorder) void saveCoachTranscript(transcriptRecorder.finish(null, err));
         if (coachKeyMode === "user" && (err?.status === 401 || err?.status === 403)) {
           void setOpenAIKeyStatus("invalid");
         }
@@ -1414,17 +1496,22 @@ export default function CoachView({
           setMessages((prev) => prev.filter((msg) => msg.id !== streamedId));
         }
       } finally {
+        if (turnAbortRef.current === turnAbort) turnAbortRef.current = null;
         setSending(false);
       }
     },
     [
       accessState,
       activeGymId,
+      activeThreadId,
+      activeWorkoutId,
       apiKey,
       actionDraft,
       actionDispatch,
       allExercises,
       buildWorkoutDraftForMessage,
+      coachAccessToken,
+      coachRecordTranscripts,
       contextScopes,
       effectiveContextEnabled,
       exerciseNameById,
@@ -1448,6 +1535,86 @@ export default function CoachView({
     await sendCoachMessage(input, { clearInput: true });
   };
 
+  const handleStop = () => {
+    turnAbortRef.current?.abort();
+  };
+
+  const flushActiveThread = useCallback(async () => {
+    if (activeThreadId == null) return;
+    await saveCoachThreadChat(activeThreadId, {
+      messages,
+      chatHistory: chatHistoryRef.current,
+    });
+  }, [activeThreadId, messages]);
+
+  const handleOpenThread = useCallback(
+    async (threadId) => {
+      if (sending || threadId === activeThreadId) return;
+      await flushActiveThread();
+      applyThread(await openCoachThread(threadId));
+    },
+    [activeThreadId, applyThread, flushActiveThread, sending]
+  );
+
+  const handleNewThread = useCallback(async () => {
+    if (sending) return;
+    await flushActiveThread();
+    applyThread(await openCoachThread(await createCoachThread()));
+  }, [applyThread, flushActiveThread, sending]);
+
+  const handleDeleteThread = useCallback(
+    async (thread) => {
+      if (!window.confirm(`Delete "${thread.title}"? This cannot be undone.`)) return;
+      await deleteCoachThread(thread.id);
+      if (thread.id === activeThreadId) applyThread(await loadActiveCoachThread());
+    },
+    [activeThreadId, applyThread]
+  );
+
+  // Offline drafts land in the chat like a coach reply so Apply, edit, and Undo all work.
+  const handleGenerateWorkout = useCallback(
+    async ({ goal, minutes }) => {
+      if (sending || generating) return;
+      setGenerating(true);
+      try {
+        const draft = await generateWorkoutDraft({
+          goal,
+          minutes,
+          spaceId: activeGymId ?? null,
+          variation: generatorVariationRef.current,
+        });
+        if (!draft) {
+          setError("No exercises in this gym fit that goal. Try another goal or add equipment.");
+          return;
+        }
+        generatorVariationRef.current += 1;
+        const assistantId = (messageIdRef.current += 1);
+        const content = `Generated offline: ${draft.summary}`;
+        setMessages((prev) => [
+          ...prev,
+          createMessage(assistantId, "assistant", content, {
+            actionDraft: draft,
+            displayText: buildCoachWorkoutSummaryFromDraft(draft, exerciseNameById),
+            generatedOffline: true,
+          }),
+        ]);
+        actionDispatch({
+          type: "SET_FROM_MESSAGE",
+          payload: { messageId: assistantId, actionDraft: draft },
+        });
+        setError("");
+        setGeneratorOpen(false);
+      } catch (err) {
+        setError(err?.message ?? "Unable to generate a workout.");
+      } finally {
+        setGenerating(false);
+      }
+    },
+    [activeGymId, actionDispatch, exerciseNameById, generating, sending]
+  );
+
+  useEffect(() => () => turnAbortRef.current?.abort(), []);
+
   const handleRetry = useCallback(async () => {
     const nextMessage = retryMessage || latestUserContent;
     if (!nextMessage || sending) return;
@@ -1730,7 +1897,6 @@ export default function CoachView({
   }, [copyTextToClipboard, suggestedActionDebugTraceJson]);
 
   const handleDiscardActionDraft = useCallback(() => {
-    clearPersistedSuggestedAction();
     actionDispatch({ type: "DISCARD" });
     setActionEditMode(false);
     setActionErrors([]);
@@ -1800,6 +1966,26 @@ export default function CoachView({
         }
 
         const result = await executeActionDraft(validation.normalizedDraft);
+        if (result.kind === ActionDraftKinds.edit_workout) {
+          onNotify?.("Updated your workout.", {
+            tone: "success",
+            duration: 8000,
+            actionLabel: "Undo",
+            onAction: async () => {
+              try {
+                await undoWorkoutEdit(result.undo);
+                await markCoachWriteReverted(result.journalId);
+                onNotify?.("Workout edit undone.", { tone: "success", duration: 2000 });
+              } catch (err) {
+                onNotify?.(err?.message ?? "Unable to undo the workout edit.", {
+                  tone: "error",
+                });
+              }
+            },
+          });
+          actionDispatch({ type: "DISCARD" });
+          return;
+        }
         const label =
           result.kind === ActionDraftKinds.create_workout
             ? "Created workout."
@@ -1817,7 +2003,6 @@ export default function CoachView({
           (result.kind === ActionDraftKinds.create_template && onOpenTemplate) ||
           (result.kind === ActionDraftKinds.create_gym && onNavigateToGyms);
 
-        clearPersistedSuggestedAction();
         onNotify?.(label, {
           tone: "success",
           ...(canOpen ? { actionLabel: "Open", onAction: openAction } : {}),
@@ -1901,7 +2086,6 @@ export default function CoachView({
       if (result.id != null) {
         onOpenTemplate?.(result.id);
       }
-      clearPersistedSuggestedAction();
       actionDispatch({ type: "DISCARD" });
     } catch (err) {
       setActionErrors([err?.message ?? "Unable to save template from draft."]);
@@ -2152,18 +2336,26 @@ export default function CoachView({
         <CardHeader>
           <div className="ui-row ui-row--between ui-row--wrap">
             <div>
-              <div className="ui-section-title">Coach chat</div>
+              <div className="ui-section-title">{activeThread?.title ?? "Coach chat"}</div>
               <div className="template-meta">
                 {accessState.message}
               </div>
             </div>
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => setContextPanelOpen((prev) => !prev)}
-            >
-              {contextPanelOpen ? "Hide context" : "Context"}
-            </Button>
+            <div className="ui-row">
+              <Button variant="ghost" size="sm" onClick={() => setThreadsOpen((prev) => !prev)}>
+                {threadsOpen ? "Hide chats" : "Chats"}
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => setGeneratorOpen((prev) => !prev)}>
+                {generatorOpen ? "Hide generator" : "Generate"}
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setContextPanelOpen((prev) => !prev)}
+              >
+                {contextPanelOpen ? "Hide context" : "Context"}
+              </Button>
+            </div>
           </div>
           {trustBadgeEnabled ? (
             <details className="coach-trust">
@@ -2217,6 +2409,31 @@ export default function CoachView({
           ) : null}
         </CardHeader>
 
+        {threadsOpen ? (
+          <CardBody>
+            <CoachThreadList
+              threads={threads ?? []}
+              activeThreadId={activeThreadId}
+              disabled={sending}
+              onOpen={handleOpenThread}
+              onNew={handleNewThread}
+              onRename={renameCoachThread}
+              onTogglePin={(thread) => setCoachThreadPinned(thread.id, !thread.pinned)}
+              onDelete={handleDeleteThread}
+            />
+          </CardBody>
+        ) : null}
+
+        {generatorOpen ? (
+          <CardBody>
+            <WorkoutGeneratorPanel
+              gymName={selectedGym?.name ?? null}
+              generating={generating}
+              onGenerate={handleGenerateWorkout}
+            />
+          </CardBody>
+        ) : null}
+
         {contextPanelOpen ? (
           <CardBody className="coach-context">
             <div className="ui-row ui-row--between ui-row--wrap">
@@ -2506,15 +2723,15 @@ export default function CoachView({
               onKeyDown={handleKeyDown}
               disabled={!accessState.canChat}
             />
-            <Button
-              variant="primary"
-              size="md"
-              onClick={handleSend}
-              disabled={!canSend}
-              loading={sending}
-            >
-              Send
-            </Button>
+            {sending ? (
+              <Button variant="secondary" size="md" onClick={handleStop}>
+                Stop
+              </Button>
+            ) : (
+              <Button variant="primary" size="md" onClick={handleSend} disabled={!canSend}>
+                Send
+              </Button>
+            )}
           </div>
           <div className="template-meta">Chat history is saved on this device.</div>
         </CardFooter>
@@ -2655,6 +2872,20 @@ export default function CoachView({
                     </div>
                   )}
 
+                  {actionDraftKind === ActionDraftKinds.edit_workout ? (
+                    <ul className="coach-action-diff">
+                      {actionPreview.map((line, index) => (
+                        <li
+                          key={`${line.op}-${index}`}
+                          className="coach-action-diff__line"
+                          data-op={line.op}
+                        >
+                          {line.text}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : null}
+
                   {actionDraftKind === ActionDraftKinds.create_workout ||
                   actionDraftKind === ActionDraftKinds.create_template ? (
                     <div className="coach-action-exercises">
@@ -2794,20 +3025,22 @@ export default function CoachView({
                   >
                     {actionPrimaryLabel}
                   </Button>
-                  <Button
-                    variant="secondary"
-                    size="sm"
-                    onClick={() => {
-                      if (actionEditMode) {
-                        handleSaveActionEdit();
-                        return;
-                      }
-                      setActionEditMode(true);
-                    }}
-                    disabled={actionApplying || (actionEditMode && !canSaveActionEdit)}
-                  >
-                    {actionEditMode ? "Save" : "Edit"}
-                  </Button>
+                  {canEditActionDraft ? (
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => {
+                        if (actionEditMode) {
+                          handleSaveActionEdit();
+                          return;
+                        }
+                        setActionEditMode(true);
+                      }}
+                      disabled={actionApplying || (actionEditMode && !canSaveActionEdit)}
+                    >
+                      {actionEditMode ? "Save" : "Edit"}
+                    </Button>
+                  ) : null}
                   {canSaveActionAsTemplate && !actionEditMode ? (
                     <Button
                       variant="secondary"
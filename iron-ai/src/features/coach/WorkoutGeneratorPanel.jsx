@@ -0,0 +1,62 @@
+import { useId, useState } from "react";
+
+import { WORKOUT_GENERATOR_GOALS } from "../../coach/workoutGenerator";
+import { Button, Input, Label, Select } from "../../components/ui";
+
+/**
+ * Goal and time budget for the offline generator. Works without an API key or network;
+ * generating again with the same settings rotates in other exercises.
+ */
+export default function WorkoutGeneratorPanel({ gymName, generating = false, onGenerate }) {
+  const goalId = useId();
+  const minutesId = useId();
+  const [goal, setGoal] = useState("full_body");
+  const [minutes, setMinutes] = useState("45");
+
+  return (
+    <div className="ui-stack">
+      <div>
+        <div className="ui-strong">Generate workout</div>
+        <div className="template-meta">
+          Built on this device from {gymName ? `${gymName}'s equipment` : "your library"} and
+          your history. No API key or connection needed.
+        </div>
+      </div>
+      <div className="ui-row ui-row--wrap">
+        <div className="ui-stack">
+          <Label htmlFor={goalId}>Goal</Label>
+          <Select id={goalId} value={goal} onChange={(event) => setGoal(event.target.value)}>
+            {Object.entries(WORKOUT_GENERATOR_GOALS).map(([key, config]) => (
+              <option key={key} value={key}>
+                {config.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div className="ui-stack">
+          <Label htmlFor={minutesId}>Minutes</Label>
+          <Input
+            id={minutesId}
+            type="number"
+            inputMode="numeric"
+            min={15}
+            max={120}
+            step={5}
+            value={minutes}
+            onChange={(event) => setMinutes(event.target.value)}
+          />
+        </div>
+      </div>
+      <div className="ui-row">
+        <Button
+          variant="primary"
+          size="sm"
+          loading={generating}
+          onClick={() => onGenerate?.({ goal, minutes: Number(minutes) })}
+        >
+          Generate workout
+        </Button>
+      </div>
+    </div>
+  );
+}
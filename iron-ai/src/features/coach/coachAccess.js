@@ -1,6 +1,23 @@
 import { getCoachKeyMode } from "../../config/coachKeyMode";
 
-export function getCoachAccessState({ hasKey, keyStatus, keyMode = getCoachKeyMode() }) {
+export function getCoachAccessState({
+  hasKey,
+  keyStatus,
+  keyMode = getCoachKeyMode(),
+  isOnline = true,
+}) {
+  // Both key modes need the network: server mode calls /api/coach and BYOK mode calls the
+  // provider directly, so nothing can be sent while offline.
+  // The draft stays in the input until the connection returns.
+  if (!isOnline) {
+    return {
+      canChat: false,
+      status: "offline",
+      keyMode,
+      message: "You're offline. Workouts still log; the coach is back when you reconnect.",
+    };
+  }
+
   if (keyMode === "server") {
     return {
       canChat: true,
@@ -42,7 +42,14 @@ export function getVisibleCoachActionExerciseCount(totalExercises, expanded) {
 }
 
 export function getSuggestedActionPrimaryLabel(actionDraftKind) {
-  return actionDraftKind === "create_workout" ? "Open workout" : "Apply";
+  if (actionDraftKind === "create_workout") return "Open workout";
+  if (actionDraftKind === "edit_workout") return "Apply to workout";
+  return "Apply";
+}
+
+// Edits to the workout in progress are reviewed as a diff, not through the draft form.
+export function shouldShowSuggestedActionEdit(actionDraftKind) {
+  return actionDraftKind !== "edit_workout";
 }
 
 export function shouldShowSuggestedActionSaveTemplate(actionDraftKind) {
@@ -266,19 +273,46 @@ export function shouldForceWorkoutResponseMode({ userMessage, hasVisibleWorkoutD
   return WORKOUT_ADJUST_INTENT_REGEX.test(text);
 }
 
+const COACH_SERVER_USER_CODES = new Set([
+  "coach_unauthorized",
+  "coach_token_expired",
+  "coach_rate_limited",
+]);
+const COACH_SERVER_REQUEST_CODES = new Set([
+  "coach_invalid_request",
+  "coach_model_not_allowed",
+  "coach_request_too_large",
+  "coach_method_not_allowed",
+  "coach_invalid_json",
+]);
+
 export function resolveCoachErrorMessage({ err, accessState }) {
   if (!accessState?.canChat) return accessState?.message ?? "";
 
   const status = Number(err?.status);
   const rawMessage = String(err?.message ?? "").trim();
 
+  // Budget errors (client or /api/coach) already say which limit was hit.
+  if (err?.code === "coach_budget_exceeded" && rawMessage) {
+    return rawMessage;
+  }
+
+  // Access and rate-limit errors from /api/coach are written for the user.
+  if (COACH_SERVER_USER_CODES.has(err?.code) && rawMessage) {
+    return rawMessage;
+  }
+  if (COACH_SERVER_REQUEST_CODES.has(err?.code) && rawMessage) {
+    return `Coach server refused the request: ${rawMessage}`;
+  }
+
   if (accessState?.keyMode === "server" && (status === 401 || status === 403)) {
     return "Coach server is disabled in production. Remove ALLOW_COACH_PROD=false in Vercel to enable Coach.";
   }
 
   if (accessState?.keyMode === "server" && status >= 500) {
-    if (/openai_api_key/i.test(rawMessage)) {
-      return "Coach server is missing OPENAI_API_KEY. Add it to your local env and restart the dev server.";
+    const missingSetting = rawMessage.match(/missing ([A-Z][A-Z0-9_]+)/);
+    if (missingSetting) {
+      return `Coach server is missing ${missingSetting[1]}. Add it to your local env and restart the dev server.`;
     }
     if (rawMessage) {
       return `Coach server error: ${rawMessage}`;
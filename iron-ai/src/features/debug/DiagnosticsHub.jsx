@@ -3,8 +3,30 @@ import { useLiveQuery } from "dexie-react-hooks";
 
 import { db } from "../../db";
 import { COACH_PAYLOAD_META_KEYS } from "../../coach/telemetry";
+import { COACH_TRANSCRIPT_LOG_TYPE, listCoachTranscripts } from "../../coach/transcript";
+import {
+  COACH_TRACE_LOG_TYPE,
+  clearCoachTraces,
+  describeCoachTraceStep,
+  listCoachTraces,
+} from "../../coach/trace";
+import {
+  COACH_USAGE_LOG_TYPE,
+  getCoachBudget,
+  getCoachUsageTotals,
+  setCoachBudget,
+} from "../../coach/usage";
 import { SEED_VERSION } from "../../seed/seedConstants";
-import { Button, Card, CardBody, CardFooter, PageHeader } from "../../components/ui";
+import { setCoachTranscriptRecording, useSettings } from "../../state/settingsStore";
+import {
+  Button,
+  Card,
+  CardBody,
+  CardFooter,
+  Input,
+  Label,
+  PageHeader,
+} from "../../components/ui";
 
 const META_KEYS = [
   "seed.lastSeedAt",
@@ -47,6 +69,258 @@ function useMetaSnapshot() {
   }, [items]);
 }
 
+function formatUsage(totals) {
+  if (!totals) return "—";
+  const cost = totals.costUsd ? ` · ~$${totals.costUsd.toFixed(4)}` : "";
+  return `${totals.totalTokens.toLocaleString()} tokens · ${totals.calls} calls${cost}`;
+}
+
+function toBudgetDraft(budget) {
+  return {
+    dailyTokens: budget?.dailyTokens == null ? "" : String(budget.dailyTokens),
+    monthlyTokens: budget?.monthlyTokens == null ? "" : String(budget.monthlyTokens),
+    monthlyCostUsd: budget?.monthlyCostUsd == null ? "" : String(budget.monthlyCostUsd),
+  };
+}
+
+function CoachUsageCard() {
+  const usage = useLiveQuery(() => getCoachUsageTotals(), []);
+  const budget = useLiveQuery(() => getCoachBudget(), []);
+  const [draft, setDraft] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+  const values = draft ?? toBudgetDraft(budget);
+
+  const updateDraft = (field) => (event) => {
+    const { value } = event.target;
+    setDraft((prev) => ({ ...(prev ?? toBudgetDraft(budget)), [field]: value }));
+  };
+
+  const handleSave = async () => {
+    await setCoachBudget(values);
+    setDraft(null);
+    setSavedAt(Date.now());
+  };
+
+  return (
+    <Card>
+      <CardBody className="ui-stack">
+        <div className="ui-section-title">Coach usage</div>
+        <div className="template-meta">Today: {formatUsage(usage?.daily)}</div>
+        <div className="template-meta">This month: {formatUsage(usage?.monthly)}</div>
+        {Object.entries(usage?.byModel ?? {}).map(([model, totals]) => (
+          <div key={model} className="template-meta">
+            {model}: {formatUsage(totals)}
+          </div>
+        ))}
+        <div className="template-meta">
+          Costs are estimates from list prices; models without a price count tokens only.
+        </div>
+        <div className="ui-row ui-row--wrap">
+          <div className="ui-stack">
+            <Label htmlFor="coach-budget-daily">Daily tokens</Label>
+            <Input
+              id="coach-budget-daily"
+              type="number"
+              min={0}
+              placeholder="No limit"
+              value={values.dailyTokens}
+              onChange={updateDraft("dailyTokens")}
+            />
+          </div>
+          <div className="ui-stack">
+            <Label htmlFor="coach-budget-monthly">Monthly tokens</Label>
+            <Input
+              id="coach-budget-monthly"
+              type="number"
+              min={0}
+              placeholder="No limit"
+              value={values.monthlyTokens}
+              onChange={updateDraft("monthlyTokens")}
+            />
+          </div>
+          <div className="ui-stack">
+            <Label htmlFor="coach-budget-cost">Monthly cost (USD)</Label>
+            <Input
+              id="coach-budget-cost"
+              type="number"
+              min={0}
+              step="0.01"
+              placeholder="No limit"
+              value={values.monthlyCostUsd}
+              onChange={updateDraft("monthlyCostUsd")}
+            />
+          </div>
+        </div>
+      </CardBody>
+      <CardFooter className="ui-row ui-row--wrap">
+        <Button variant="secondary" size="sm" onClick={handleSave} disabled={!draft}>
+          Save coach budget
+        </Button>
+        {savedAt && !draft ? <div className="template-meta">Budget saved.</div> : null}
+      </CardFooter>
+    </Card>
+  );
+}
+
+// Coach rows in `logs` that aren't per-session payload telemetry.
+const NON_SESSION_LOG_TYPES = new Set([
+  COACH_USAGE_LOG_TYPE,
+  COACH_TRANSCRIPT_LOG_TYPE,
+  COACH_TRACE_LOG_TYPE,
+]);
+
+function fileStamp(value) {
+  return new Date(value).toISOString().replace(/[:.]/g, "-");
+}
+
+function downloadJson(fileName, value) {
+  const payload = `${JSON.stringify(value, null, 2)}\n`;
+  const blob = new Blob([payload], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function downloadTranscript(entry) {
+  downloadJson(`coach-transcript-${fileStamp(entry.date)}.json`, entry.transcript);
+}
+
+function formatTraceSummary(trace) {
+  const duration = trace?.durationMs != null ? `${trace.durationMs} ms` : "—";
+  const tokens = trace?.outcome?.totalTokens ? ` · ${trace.outcome.totalTokens} tokens` : "";
+  return `${trace?.status ?? "—"} · ${duration}${tokens}`;
+}
+
+// Step fields worth showing in full under the one-line summary.
+const TRACE_STEP_PAYLOAD_FIELDS = ["input", "output", "repairPrompt", "error"];
+
+function CoachTraceSteps({ trace }) {
+  return (
+    <ul className="coach-action-diff">
+      {(trace?.steps ?? []).map((step, index) => {
+        const payloads = TRACE_STEP_PAYLOAD_FIELDS.filter((field) => step[field]);
+        return (
+          <li key={index} className="coach-action-diff__line">
+            {payloads.length ? (
+              <details>
+                <summary>{describeCoachTraceStep(step)}</summary>
+                {payloads.map((field) => (
+                  <div key={field}>
+                    <div className="template-meta">{field}</div>
+                    <pre className="coach-changes__payload">{step[field]}</pre>
+                  </div>
+                ))}
+              </details>
+            ) : (
+              describeCoachTraceStep(step)
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function CoachTracesCard() {
+  const traces = useLiveQuery(() => listCoachTraces(), []);
+
+  const handleExport = () => {
+    downloadJson(
+      `coach-traces-${fileStamp(Date.now())}.json`,
+      (traces ?? []).map((entry) => entry.trace)
+    );
+  };
+
+  return (
+    <Card>
+      <CardBody className="ui-stack">
+        <div className="ui-section-title">Coach turn traces</div>
+        <div className="template-meta">
+          Each coach turn: context size and fingerprint, prompt window, model and tool calls
+          with timings, validation, repair, and fallbacks. The last 50 are kept. Tool inputs and
+          outputs can include your workout data.
+        </div>
+        {(traces ?? []).map((entry) => (
+          <details key={entry.id}>
+            <summary className="template-meta">
+              {formatTimestamp(entry.date)} · {formatTraceSummary(entry.trace)} ·{" "}
+              {entry.trace?.userMessage || "—"}
+            </summary>
+            {entry.trace?.error ? (
+              <div className="template-meta">Error: {entry.trace.error}</div>
+            ) : null}
+            {entry.trace?.outcome?.validationError ? (
+              <div className="template-meta">
+                Validation: {entry.trace.outcome.validationError}
+              </div>
+            ) : null}
+            <CoachTraceSteps trace={entry.trace} />
+          </details>
+        ))}
+        {traces?.length === 0 ? <div className="template-meta">No traces yet.</div> : null}
+      </CardBody>
+      <CardFooter className="ui-row ui-row--wrap">
+        <Button variant="secondary" size="sm" onClick={handleExport} disabled={!traces?.length}>
+          Export traces
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => void clearCoachTraces()}
+          disabled={!traces?.length}
+        >
+          Clear traces
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
+
+function CoachTranscriptsCard() {
+  const { coachRecordTranscripts } = useSettings();
+  const transcripts = useLiveQuery(() => listCoachTranscripts(), []);
+
+  return (
+    <Card>
+      <CardBody className="ui-stack">
+        <div className="ui-section-title">Coach transcripts</div>
+        <label className="coach-context__option">
+          <input
+            type="checkbox"
+            checked={coachRecordTranscripts}
+            onChange={(event) => void setCoachTranscriptRecording(event.target.checked)}
+          />
+          <span>Record coach turns</span>
+        </label>
+        <div className="template-meta">
+          Saves the last 10 turns with their context, tool results and model replies. Download
+          one into tests/fixtures/coach-transcripts/ to replay it as a test. Transcripts include
+          your workout data, so check them before sharing.
+        </div>
+        {(transcripts ?? []).map((entry) => (
+          <div key={entry.id} className="ui-row ui-row--between ui-row--wrap">
+            <div className="template-meta">
+              {formatTimestamp(entry.date)} · {entry.transcript?.input?.userMessage ?? "—"}
+              {entry.transcript?.outcome?.error ? " · failed" : ""}
+            </div>
+            <Button variant="ghost" size="sm" onClick={() => downloadTranscript(entry)}>
+              Download
+            </Button>
+          </div>
+        ))}
+        {transcripts?.length === 0 ? (
+          <div className="template-meta">No transcripts recorded.</div>
+        ) : null}
+      </CardBody>
+    </Card>
+  );
+}
+
 function buildIntegritySummary(checks) {
   return checks.reduce(
     (summary, check) => {
@@ -72,7 +346,10 @@ export default function DiagnosticsHub({ onBack }) {
   );
   const templateCount = useLiveQuery(() => db.table("templates").count(), []);
   const workoutCount = useLiveQuery(() => db.table("workoutSessions").count(), []);
-  const coachSessionCount = useLiveQuery(() => db.table("logs").count(), []);
+  const coachSessionCount = useLiveQuery(
+    () => db.table("logs").filter((entry) => !NON_SESSION_LOG_TYPES.has(entry.type)).count(),
+    []
+  );
 
   const [integrityReport, setIntegrityReport] = useState(null);
   const [integrityStatus, setIntegrityStatus] = useState("idle");
@@ -330,6 +607,12 @@ export default function DiagnosticsHub({ onBack }) {
         </Card>
       </div>
 
+      <CoachUsageCard />
+
+      <CoachTracesCard />
+
+      <CoachTranscriptsCard />
+
       <Card>
         <CardBody className="ui-stack">
           <div className="ui-section-title">Seed status</div>
@@ -18,6 +18,11 @@ import {
 } from "../../exercises/customExercise";
 import { generateExerciseDetails } from "../../services/exerciseAutofill";
 import { useSettings } from "../../state/settingsStore";
+import {
+  getExerciseSetSchema,
+  SET_SCHEMA_LABELS,
+  SET_SCHEMAS,
+} from "../../workouts/setSchemas";
 
 const STATUS_OPTIONS = ["core", "extended", "hidden"];
 
@@ -46,6 +51,7 @@ function buildInitialState({ exercise, initialName }) {
     youtubeSearchQuery: exercise?.youtubeSearchQuery ?? "",
     youtubeVideoId: exercise?.youtubeVideoId ?? "",
     status: exercise?.status ?? "core",
+    setSchema: exercise?.setSchema ?? "",
   };
 }
 
@@ -259,6 +265,7 @@ export default function CustomExerciseEditor({
         youtubeSearchQuery: form.youtubeSearchQuery,
         youtubeVideoId: form.youtubeVideoId,
         status: form.status,
+        setSchema: form.setSchema,
       };
 
       const id = exercise?.id
@@ -412,6 +419,25 @@ export default function CustomExerciseEditor({
                 ))}
               </Select>
             </div>
+            <div className="exercise-editor__field">
+              <Label htmlFor="exercise-set-schema">Logging</Label>
+              <Select
+                id="exercise-set-schema"
+                value={form.setSchema}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, setSchema: event.target.value }))
+                }
+              >
+                <option value="">
+                  Auto ({SET_SCHEMA_LABELS[getExerciseSetSchema({ ...form, setSchema: "" })]})
+                </option>
+                {SET_SCHEMAS.map((schema) => (
+                  <option key={schema} value={schema}>
+                    {SET_SCHEMA_LABELS[schema]}
+                  </option>
+                ))}
+              </Select>
+            </div>
           </CardBody>
         </Card>
 
@@ -1,4 +1,4 @@
-import { useMemo } from "react";
+import { useId, useMemo, useState } from "react";
 import { useLiveQuery } from "dexie-react-hooks";
 
 import {
@@ -7,13 +7,19 @@ import {
   CardBody,
   CardFooter,
   CardHeader,
+  Input,
+  Label,
   PageHeader,
 } from "../../components/ui";
 import {
   db,
+  deleteTrainingMax,
   getAllExercises,
+  getPersonalRecord,
   listEquipment,
+  listTrainingMaxHistory,
   listWorkoutSpaces,
+  setTrainingMax,
 } from "../../db";
 import { getEquipmentMap } from "../../equipment/catalog";
 import {
@@ -35,6 +41,15 @@ import {
   getGymAvailabilityForExercise,
   parseMetric,
 } from "../../exercises/derived";
+import { formatWeight as formatWeightValue, normalizeWeightUnit } from "../../utils/units";
+import { formatRecordValue, getRepMaxTable } from "../../workouts/personalRecords";
+import {
+  E1RM_FORMULA_LABELS,
+  findTrainingMaxCandidates,
+  normalizeE1rmFormula,
+  normalizeTrainingMaxPercent,
+  TRAINING_MAX_SOURCE_LABELS,
+} from "../../workouts/trainingMax";
 
 const HISTORY_LIMIT = 18;
 const CHART_LIMIT = 12;
@@ -51,10 +66,11 @@ function formatNumber(value) {
   return Number(value).toFixed(0);
 }
 
-function formatWeight(weight, reps) {
+function formatWeight(weight, reps, unit) {
   if (weight != null) {
     const repsLabel = reps != null ? formatNumber(reps) : "N/A";
-    return `${formatNumber(weight)} x ${repsLabel}`;
+    const unitLabel = unit ? ` ${unit}` : "";
+    return `${formatNumber(weight)}${unitLabel} x ${repsLabel}`;
   }
   if (reps != null) return `${formatNumber(reps)} reps`;
   return "N/A";
@@ -123,6 +139,130 @@ function LinkedExerciseList({ items, emptyLabel, onOpen }) {
   );
 }
 
+function TrainingMaxCard({ exerciseId, history, unit, formula, percent }) {
+  const inputId = useId();
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const entries = useLiveQuery(() => listTrainingMaxHistory(exerciseId), [exerciseId]);
+  const current = entries?.[0] ?? null;
+  const candidates = useMemo(
+    () => findTrainingMaxCandidates(history ?? [], { formula, percent }),
+    [formula, history, percent]
+  );
+
+  const save = async (patch) => {
+    try {
+      await setTrainingMax(exerciseId, { unit, ...patch });
+      setDraft("");
+      setError("");
+    } catch (err) {
+      setError(err?.message ?? "Could not save the training max.");
+    }
+  };
+
+  const suggestions = [
+    { source: "e1rm", candidate: candidates.e1rm },
+    { source: "amrap", candidate: candidates.amrap },
+  ].filter((entry) => entry.candidate?.value != null);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="ui-section-title">Training max</div>
+        {current ? (
+          <div className="pill">TM {formatRecordValue(current.value, unit)}</div>
+        ) : null}
+      </CardHeader>
+      <CardBody className="ui-stack">
+        <div className="template-meta">
+          {current
+            ? `${TRAINING_MAX_SOURCE_LABELS[current.source] ?? "Set"} on ${formatDate(
+                current.createdAt
+              )}. Template loads written as a percentage use it.`
+            : "No training max yet. Template loads written as a percentage use " +
+              `${percent}% of the estimated 1RM until you set one.`}
+        </div>
+        <form
+          className="ui-row ui-row--wrap"
+          onSubmit={(event) => {
+            event.preventDefault();
+            save({ value: draft, source: "manual" });
+          }}
+        >
+          <div>
+            <Label htmlFor={inputId}>New training max ({unit})</Label>
+            <Input
+              id={inputId}
+              type="text"
+              inputMode="decimal"
+              value={draft}
+              onChange={(event) => setDraft(event.target.value)}
+            />
+          </div>
+          <Button type="submit" size="sm" disabled={!draft.trim()}>
+            Save
+          </Button>
+        </form>
+        {suggestions.map(({ source, candidate }) => (
+          <div key={source} className="ui-row ui-row--between ui-row--wrap">
+            <div>
+              <div className="ui-strong">{TRAINING_MAX_SOURCE_LABELS[source]}</div>
+              <div className="template-meta">
+                {percent}% of {formatWeightValue(candidate.oneRepMax, unit)} e1RM (
+                {E1RM_FORMULA_LABELS[formula]}), from{" "}
+                {formatWeightValue(candidate.set.weight, unit)} × {candidate.set.reps} on{" "}
+                {formatDate(candidate.date)}
+              </div>
+            </div>
+            <Button
+              variant="secondary"
+              size="sm"
+              type="button"
+              onClick={() =>
+                save({
+                  value: candidate.value,
+                  source,
+                  oneRepMax: candidate.oneRepMax,
+                  formula,
+                  percent,
+                  workoutId: candidate.workoutId,
+                  setId: candidate.set.id ?? null,
+                })
+              }
+            >
+              Use {formatWeightValue(candidate.value, unit)}
+            </Button>
+          </div>
+        ))}
+        {error ? <div className="space-warning">{error}</div> : null}
+        {entries?.length ? (
+          <div className="history-list">
+            {entries.slice(0, 6).map((entry) => (
+              <div key={entry.id} className="history-row ui-row ui-row--between">
+                <div>
+                  <div className="ui-strong">{formatRecordValue(entry.value, unit)}</div>
+                  <div className="template-meta">
+                    {formatDate(entry.createdAt)} ·{" "}
+                    {TRAINING_MAX_SOURCE_LABELS[entry.source] ?? entry.source}
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  type="button"
+                  onClick={() => deleteTrainingMax(entry.id)}
+                >
+                  Remove
+                </Button>
+              </div>
+            ))}
+          </div>
+        ) : null}
+      </CardBody>
+    </Card>
+  );
+}
+
 export default function ExerciseDetailView({
   exerciseId,
   onBack,
@@ -139,10 +279,17 @@ export default function ExerciseDetailView({
   const equipmentList = useLiveQuery(() => listEquipment(), []);
   const workoutSpaces = useLiveQuery(() => listWorkoutSpaces(), []);
   const settings = useLiveQuery(() => db.settings.get(1), []);
+  const e1rmFormula = normalizeE1rmFormula(settings?.e1rm_formula);
   const history = useLiveQuery(
-    () => (exerciseId ? getExerciseHistory(exerciseId, { limit: HISTORY_LIMIT }) : []),
-    [exerciseId]
+    () =>
+      exerciseId
+        ? getExerciseHistory(exerciseId, { limit: HISTORY_LIMIT, formula: e1rmFormula })
+        : [],
+    [exerciseId, e1rmFormula]
   );
+  const personalRecord = useLiveQuery(() => getPersonalRecord(exerciseId), [exerciseId]);
+  const recordUnit = normalizeWeightUnit(settings?.weight_unit);
+  const repMaxRows = useMemo(() => getRepMaxTable(personalRecord), [personalRecord]);
 
   const equipmentMap = useMemo(
     () => getEquipmentMap(equipmentList ?? []),
@@ -185,6 +332,7 @@ export default function ExerciseDetailView({
         timesPerformed: 0,
         bestSet: null,
         bestOneRm: null,
+        unit: null,
       };
     }
 
@@ -225,6 +373,7 @@ export default function ExerciseDetailView({
       timesPerformed: sessions.length,
       bestSet,
       bestOneRm,
+      unit: sessions[0]?.unit ?? null,
     };
   }, [history]);
 
@@ -660,7 +809,11 @@ export default function ExerciseDetailView({
             <div className="stat-card">
               <div className="stat-label">Best set</div>
               <div className="ui-strong">
-                {formatWeight(historyStats.bestSet?.weight, historyStats.bestSet?.reps)}
+                {formatWeight(
+                  historyStats.bestSet?.weight,
+                  historyStats.bestSet?.reps,
+                  historyStats.unit
+                )}
               </div>
             </div>
             <div className="stat-card">
@@ -670,7 +823,7 @@ export default function ExerciseDetailView({
                   ? formatNumber(historyStats.bestOneRm)
                   : "N/A"}
               </div>
-              <div className="template-meta">Epley formula</div>
+              <div className="template-meta">{E1RM_FORMULA_LABELS[e1rmFormula]} formula</div>
             </div>
           </div>
 
@@ -701,7 +854,8 @@ export default function ExerciseDetailView({
                   <div key={entry.workoutId} className="history-row">
                     <div className="ui-strong">{formatDate(entry.date)}</div>
                     <div className="template-meta">
-                      Volume {formatNumber(entry.volume)} · Best {formatWeight(entry.bestSet?.weight, entry.bestSet?.reps)}
+                      Volume {formatNumber(entry.volume)} · Best{" "}
+                      {formatWeight(entry.bestSet?.weight, entry.bestSet?.reps, entry.unit)}
                     </div>
                   </div>
                 ))}
@@ -713,6 +867,71 @@ export default function ExerciseDetailView({
         </CardBody>
       </Card>
 
+      {exerciseId ? (
+        <TrainingMaxCard
+          exerciseId={exerciseId}
+          history={history}
+          unit={recordUnit}
+          formula={e1rmFormula}
+          percent={normalizeTrainingMaxPercent(settings?.training_max_percent)}
+        />
+      ) : null}
+
+      <Card>
+        <CardHeader>
+          <div className="ui-section-title">Rep maxes</div>
+          {personalRecord?.bestVolume ? (
+            <div className="pill pill--muted">
+              Best volume {formatRecordValue(personalRecord.bestVolume.value, recordUnit)}
+            </div>
+          ) : null}
+        </CardHeader>
+        <CardBody className="ui-stack">
+          {personalRecord?.oneRepMax ? (
+            <>
+              <table className="rep-max-table">
+                <thead>
+                  <tr>
+                    <th scope="col">Reps</th>
+                    <th scope="col">Best</th>
+                    <th scope="col">Est.</th>
+                    <th scope="col">Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {repMaxRows.map((row) => (
+                    <tr key={row.reps}>
+                      <th scope="row">{row.reps}RM</th>
+                      <td className="ui-strong">
+                        {row.entry ? formatRecordValue(row.entry.weight, recordUnit) : "—"}
+                        {row.entry && row.entry.reps > row.reps ? (
+                          <span className="template-meta"> × {row.entry.reps}</span>
+                        ) : null}
+                      </td>
+                      <td className="template-meta">
+                        {formatRecordValue(row.estimated, recordUnit)}
+                      </td>
+                      <td className="template-meta">
+                        {row.entry ? formatDate(row.entry.achievedAt) : "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="template-meta">
+                Best weight lifted for at least that many reps. Estimates use the best
+                Epley 1RM ({formatRecordValue(personalRecord.oneRepMax.value, recordUnit)}),
+                whatever the history formula.
+              </div>
+            </>
+          ) : (
+            <div className="template-meta">
+              Finish a workout with weighted sets to start tracking records.
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
       <Card>
         <CardHeader>
           <div className="ui-section-title">Where can I do this?</div>
@@ -4,6 +4,8 @@ import { useLiveQuery } from "dexie-react-hooks";
 import { BottomSheet } from "../../components/ui";
 import { db } from "../../db";
 import { computeBestSet, computeTrendPoints, getExerciseHistory } from "../../exercises/derived";
+import { formatWeight } from "../../utils/units";
+import { formatTimedSet, isTimedSetSchema } from "../../workouts/setSchemas";
 
 function formatDateLabel(value) {
   if (!value) return "Unknown date";
@@ -16,14 +18,17 @@ function formatDateLabel(value) {
   });
 }
 
-function formatSetSummary(bestSet) {
+function formatSetSummary(bestSet, unit, schema) {
   if (!bestSet) return "No logged sets";
+  if (isTimedSetSchema(schema)) {
+    return formatTimedSet(bestSet, schema, { weightUnit: unit });
+  }
   const weight = bestSet.weight ?? null;
   const reps = bestSet.reps ?? null;
   if (weight == null && reps == null) return "No logged sets";
   if (weight == null) return `${reps} reps`;
-  if (reps == null) return `${weight}`;
-  return `${weight}×${reps}`;
+  if (reps == null) return formatWeight(weight, unit);
+  return `${formatWeight(weight, unit)} × ${reps}`;
 }
 
 function Sparkline({ points }) {
@@ -83,6 +88,7 @@ export default function ExerciseHistoryDrawer({
     exerciseName ?? exercise?.name ?? (exerciseId ? "Exercise history" : "History");
   const resolvedSticky = stickyNote ?? exercise?.stickyNote ?? "";
   const recent = Array.isArray(history) ? history.slice(0, 5) : [];
+  const unit = recent[0]?.unit;
   const best = useMemo(() => computeBestSet(history ?? []), [history]);
   const trendPoints = useMemo(
     () => computeTrendPoints(history ?? [], { limit: 8 }),
@@ -103,7 +109,7 @@ export default function ExerciseHistoryDrawer({
                 <div key={entry.workoutId} className="history-drawer__row">
                   <div className="history-drawer__date">{formatDateLabel(entry.date)}</div>
                   <div className="history-drawer__summary">
-                    {formatSetSummary(entry.bestSet)}
+                    {formatSetSummary(entry.bestSet, entry.unit, entry.setSchema)}
                   </div>
                 </div>
               ))}
@@ -120,7 +126,7 @@ export default function ExerciseHistoryDrawer({
           ) : best ? (
             <div className="history-drawer__best">
               <div className="history-drawer__best-value">
-                {formatSetSummary(best)}
+                {formatSetSummary(best, unit, recent[0]?.setSchema)}
               </div>
               <div className="history-drawer__best-meta">
                 {best.date ? `PR on ${formatDateLabel(best.date)}` : "Personal best"}
@@ -138,7 +144,9 @@ export default function ExerciseHistoryDrawer({
           ) : (
             <Sparkline points={trendPoints} />
           )}
-          <div className="history-drawer__caption">Trend uses volume or best set.</div>
+          <div className="history-drawer__caption">
+            Trend uses volume (time or distance for cardio and holds) or best set.
+          </div>
         </div>
 
         <div className="history-drawer__section">
@@ -19,7 +19,11 @@ import { Button, Card, CardBody, CardFooter, CardHeader, Input, Label, PageHeade
 import { EQUIPMENT_CATEGORIES, getEquipmentMap } from "../../equipment/catalog";
 import EquipmentChecklist from "../../equipment/EquipmentChecklist";
 import { getTemplateCompatibility } from "../../equipment/engine";
+import { formatWeight } from "../../utils/units";
 import { isSpaceExpired, resolveActiveSpace, sortSpacesByName } from "../../workoutSpaces/logic";
+import { normalizeLoadout } from "../../workoutSpaces/loading";
+import LoadoutEditor from "../spaces/LoadoutEditor";
+import { fromLoadoutDraft, toLoadoutDraft } from "../spaces/loadoutDraft";
 
 const EMPTY_DRAFT = {
   name: "",
@@ -28,6 +32,7 @@ const EMPTY_DRAFT = {
   isDefault: false,
   isTemporary: false,
   expiresAt: "",
+  loadout: { custom: false },
 };
 
 function formatDateInput(value) {
@@ -196,6 +201,7 @@ function GymForm({ mode, spaceId, onCancel, onSaved, onNotify }) {
         isDefault: mode === "edit" ? Boolean(space.isDefault) : false,
         isTemporary: Boolean(space.isTemporary),
         expiresAt: formatDateInput(space.expiresAt),
+        loadout: toLoadoutDraft(space.loadout),
       });
       setSearch("");
       return;
@@ -228,6 +234,7 @@ function GymForm({ mode, spaceId, onCancel, onSaved, onNotify }) {
           isDefault: draft.isDefault,
           isTemporary: draft.isTemporary,
           expiresAt: draft.isTemporary ? draft.expiresAt || null : null,
+          loadout: fromLoadoutDraft(draft.loadout),
         });
         onNotify?.("Gym updated ✅", { tone: "success" });
         onSaved?.(spaceId);
@@ -239,6 +246,7 @@ function GymForm({ mode, spaceId, onCancel, onSaved, onNotify }) {
           isDefault: draft.isDefault,
           isTemporary: draft.isTemporary,
           expiresAt: draft.isTemporary ? draft.expiresAt || null : null,
+          loadout: fromLoadoutDraft(draft.loadout),
         });
         onNotify?.("Gym created ✅", { tone: "success" });
         onSaved?.(id);
@@ -354,6 +362,11 @@ function GymForm({ mode, spaceId, onCancel, onSaved, onNotify }) {
               <div className="space-warning">No equipment selected yet.</div>
             ) : null}
           </div>
+          <LoadoutEditor
+            idPrefix="gym"
+            draft={draft.loadout}
+            onChange={(loadout) => setDraft((prev) => ({ ...prev, loadout }))}
+          />
           <Button
             variant="primary"
             size="md"
@@ -408,6 +421,7 @@ function GymDetail({ spaceId, onBack, onEdit, onDuplicate, onLaunchCoach, onNoti
   const expired = isSpaceExpired(space);
 
   const equipmentIds = space?.equipmentIds;
+  const loadout = useMemo(() => normalizeLoadout(space?.loadout), [space?.loadout]);
   const equipmentList = useMemo(() => {
     if (!equipmentIds?.length) return [];
     return equipmentIds
@@ -590,6 +604,41 @@ function GymDetail({ spaceId, onBack, onEdit, onDuplicate, onLaunchCoach, onNoti
         </CardBody>
       </Card>
 
+      <Card>
+        <CardHeader>
+          <div className="ui-section-title">Bars and plates</div>
+        </CardHeader>
+        <CardBody className="ui-stack">
+          {loadout ? (
+            <>
+              <div className="template-meta">
+                Bars:{" "}
+                {loadout.barWeights.map((bar) => formatWeight(bar, loadout.unit)).join(", ")}
+              </div>
+              <div className="equipment-pills">
+                {loadout.plates.map((plate) => (
+                  <span key={plate.weight} className="equipment-pill">
+                    {`${formatWeight(plate.weight, loadout.unit, { decimals: 2 })} × ${
+                      plate.pairs
+                    } pairs`}
+                  </span>
+                ))}
+              </div>
+              <div className="template-meta">
+                Dumbbells {loadout.dumbbells.min}–
+                {formatWeight(loadout.dumbbells.max, loadout.unit)} in{" "}
+                {formatWeight(loadout.dumbbells.step, loadout.unit)} steps · stacks in{" "}
+                {formatWeight(loadout.stackStep, loadout.unit)} steps
+              </div>
+            </>
+          ) : (
+            <div className="template-meta">
+              Standard bar, plates and dumbbells. Edit the gym to match what it has.
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
       <Card>
         <CardHeader>
           <div className="ui-section-title">Templates for this gym</div>
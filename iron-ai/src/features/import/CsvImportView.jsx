@@ -0,0 +1,233 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import { useLiveQuery } from "dexie-react-hooks";
+
+import { db } from "../../db";
+import {
+  CSV_IMPORT_FORMATS,
+  buildCsvImportPreview,
+  commitCsvImport,
+  parseLoggerCsv,
+} from "../../import/csvImport";
+import { Button, Card, CardBody, Label, PageHeader, Select } from "../../components/ui";
+
+function toMappingValue(entry) {
+  if (entry.action === "match" && entry.exerciseId != null) return `match:${entry.exerciseId}`;
+  return entry.action;
+}
+
+function fromMappingValue(value) {
+  if (String(value).startsWith("match:")) {
+    return { action: "match", exerciseId: Number(String(value).slice(6)) };
+  }
+  return { action: value, exerciseId: null };
+}
+
+export default function CsvImportView({ onBack, onNotify }) {
+  const fileInputRef = useRef(null);
+  const [fileText, setFileText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [weightUnit, setWeightUnit] = useState("kg");
+  const [mappingOverrides, setMappingOverrides] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+
+  const exercises = useLiveQuery(() => db.table("exercises").orderBy("name").toArray(), []);
+
+  const parseState = useMemo(() => {
+    if (!fileText) return { parsed: null, error: "" };
+    try {
+      return { parsed: parseLoggerCsv(fileText, { weightUnit }), error: "" };
+    } catch (error) {
+      return { parsed: null, error: error?.message ?? "Unable to read CSV file." };
+    }
+  }, [fileText, weightUnit]);
+
+  const preview = useMemo(() => {
+    if (!parseState.parsed || !exercises) return null;
+    return buildCsvImportPreview(parseState.parsed, exercises);
+  }, [exercises, parseState.parsed]);
+
+  const entries = useMemo(
+    () =>
+      (preview?.entries ?? []).map((entry) => ({
+        ...entry,
+        ...(mappingOverrides[entry.name] ?? {}),
+      })),
+    [mappingOverrides, preview]
+  );
+
+  const handleFileChange = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    setLastResult(null);
+    setMappingOverrides({});
+    setFileName(file.name);
+    setFileText(await file.text());
+  }, []);
+
+  const handleMappingChange = useCallback((name, value) => {
+    setMappingOverrides((prev) => ({ ...prev, [name]: fromMappingValue(value) }));
+  }, []);
+
+  const handleImport = useCallback(async () => {
+    if (!parseState.parsed) return;
+    const mappings = Object.fromEntries(
+      entries.map((entry) => [entry.name, { action: entry.action, exerciseId: entry.exerciseId }])
+    );
+    setImporting(true);
+    try {
+      const result = await commitCsvImport(parseState.parsed, mappings);
+      setLastResult(result);
+      setFileText("");
+      setFileName("");
+      setMappingOverrides({});
+      onNotify?.(`Imported ${result.sessionsAdded} workouts.`, { tone: "success" });
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to import CSV.", { tone: "error" });
+    } finally {
+      setImporting(false);
+    }
+  }, [entries, onNotify, parseState.parsed]);
+
+  const unresolvedEntries = entries.filter((entry) => entry.status !== "resolved");
+  const resolvedEntries = entries.filter((entry) => entry.status === "resolved");
+
+  const renderMappingRow = (entry) => (
+    <div key={entry.name} className="ui-stack">
+      <div className="ui-row ui-row--between ui-row--wrap">
+        <span className="ui-strong">{entry.name}</span>
+        <span className="template-meta">
+          {entry.sets} sets · {entry.sessions} workouts
+        </span>
+      </div>
+      <Select
+        aria-label={`Map ${entry.name}`}
+        value={toMappingValue(entry)}
+        onChange={(event) => handleMappingChange(entry.name, event.target.value)}
+      >
+        <option value="create">Create custom exercise</option>
+        <option value="skip">Skip these sets</option>
+        {entry.suggestions?.length ? (
+          <optgroup label="Suggestions">
+            {entry.suggestions.map((suggestion) => (
+              <option key={suggestion.exerciseId} value={`match:${suggestion.exerciseId}`}>
+                {suggestion.name}
+              </option>
+            ))}
+          </optgroup>
+        ) : null}
+        <optgroup label="All exercises">
+          {(exercises ?? []).map((exercise) => (
+            <option key={exercise.id} value={`match:${exercise.id}`}>
+              {exercise.name}
+            </option>
+          ))}
+        </optgroup>
+      </Select>
+    </div>
+  );
+
+  return (
+    <div className="page">
+      <PageHeader
+        title="Import from other apps"
+        subtitle="Bring workout history over from Strong, Hevy, or FitNotes."
+        actions={
+          onBack ? (
+            <Button variant="ghost" size="sm" onClick={onBack}>
+              Back
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="ui-stack">
+        <Card>
+          <CardBody className="ui-stack">
+            <div className="ui-strong">CSV export</div>
+            <div className="template-meta">
+              Nothing is saved until you review the exercise mapping and confirm.
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="text/csv,.csv"
+              hidden
+              onChange={handleFileChange}
+            />
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+            >
+              Choose CSV file
+            </Button>
+            {fileName ? <div className="template-meta">{fileName}</div> : null}
+            {parseState.error ? <div className="chat-error">{parseState.error}</div> : null}
+            {parseState.parsed ? (
+              <>
+                <div className="template-meta">
+                  {CSV_IMPORT_FORMATS[parseState.parsed.format]} export ·{" "}
+                  {preview?.sessionCount ?? 0} workouts · {preview?.setCount ?? 0} sets
+                </div>
+                {parseState.parsed.warnings.map((warning) => (
+                  <div key={warning} className="template-meta">
+                    {warning}
+                  </div>
+                ))}
+                <Label htmlFor="csv-import-unit">Weights without a unit are in</Label>
+                <Select
+                  id="csv-import-unit"
+                  value={weightUnit}
+                  onChange={(event) => setWeightUnit(event.target.value)}
+                >
+                  <option value="kg">Kilograms</option>
+                  <option value="lb">Pounds</option>
+                </Select>
+              </>
+            ) : null}
+            {lastResult ? (
+              <div className="template-meta">
+                Added {lastResult.sessionsAdded} workouts and {lastResult.setsAdded} sets
+                {lastResult.sessionsSkipped
+                  ? ` (${lastResult.sessionsSkipped} skipped as duplicates or empty)`
+                  : ""}
+                .
+              </div>
+            ) : null}
+          </CardBody>
+        </Card>
+
+        {preview ? (
+          <Card>
+            <CardBody className="ui-stack">
+              <div className="ui-strong">Unmatched exercises ({unresolvedEntries.length})</div>
+              {unresolvedEntries.length ? (
+                unresolvedEntries.map(renderMappingRow)
+              ) : (
+                <div className="template-meta">Every exercise matched the library.</div>
+              )}
+            </CardBody>
+          </Card>
+        ) : null}
+
+        {preview && resolvedEntries.length ? (
+          <Card>
+            <CardBody className="ui-stack">
+              <div className="ui-strong">Matched exercises ({resolvedEntries.length})</div>
+              {resolvedEntries.map(renderMappingRow)}
+            </CardBody>
+          </Card>
+        ) : null}
+
+        {preview ? (
+          <Button variant="primary" onClick={handleImport} loading={importing}>
+            Import {preview.sessionCount} workouts
+          </Button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
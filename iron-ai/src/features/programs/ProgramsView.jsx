@@ -0,0 +1,418 @@
+import { useMemo, useState } from "react";
+import { useLiveQuery } from "dexie-react-hooks";
+
+import { db, listTemplates } from "../../db";
+import {
+  createProgram,
+  deleteProgram,
+  getNextProgramPlan,
+  setActiveProgram,
+  updateProgram,
+} from "../../programs/programs";
+import {
+  DEFAULT_LOAD_PERCENT,
+  MAX_PROGRAM_WEEKS,
+  normalizeProgression,
+  summarizeAdherence,
+} from "../../programs/progression";
+import { toDateKey } from "../../workouts/plannedWorkouts";
+import { Button, Card, CardBody, Input, Label, PageHeader, Select } from "../../components/ui";
+
+const WEEKDAY_OPTIONS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+function createDraft(program = null) {
+  const weeks = program?.weeks ?? 4;
+  return {
+    id: program?.id ?? null,
+    name: program?.name ?? "",
+    startDate: program?.startDate ?? toDateKey(new Date()),
+    weeks: String(weeks),
+    days: (program?.days ?? []).map((day) => ({
+      templateId: String(day.templateId),
+      dayOffset: String(day.dayOffset),
+    })),
+    progression: normalizeProgression(program?.progression, weeks).map((rule) => ({
+      week: rule.week,
+      loadPercent: String(rule.loadPercent),
+      sets: rule.sets == null ? "" : String(rule.sets),
+      reps: rule.reps == null ? "" : String(rule.reps),
+      deload: rule.deload,
+    })),
+  };
+}
+
+// Keeps one progression row per week when the week count changes.
+function resizeProgression(progression, weeks) {
+  return Array.from({ length: weeks }, (_, index) => {
+    return (
+      progression[index] ?? {
+        week: index + 1,
+        loadPercent: String(DEFAULT_LOAD_PERCENT),
+        sets: "",
+        reps: "",
+        deload: false,
+      }
+    );
+  });
+}
+
+function ProgramEditor({ draft, setDraft, templates, saving, onSave, onCancel }) {
+  const weeks = Math.min(Math.max(Number.parseInt(draft.weeks, 10) || 1, 1), MAX_PROGRAM_WEEKS);
+
+  const updateDay = (index, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      days: prev.days.map((day, i) => (i === index ? { ...day, ...patch } : day)),
+    }));
+  };
+
+  const updateRule = (index, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      progression: prev.progression.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)),
+    }));
+  };
+
+  return (
+    <Card>
+      <CardBody className="ui-stack">
+        <div className="ui-strong">{draft.id ? "Edit program" : "New program"}</div>
+        <Label htmlFor="program-name">Name</Label>
+        <Input
+          id="program-name"
+          value={draft.name}
+          placeholder="PPL x 8 weeks"
+          onChange={(event) => setDraft((prev) => ({ ...prev, name: event.target.value }))}
+        />
+        <div className="ui-row ui-row--wrap">
+          <div className="ui-stack">
+            <Label htmlFor="program-start">Start date</Label>
+            <Input
+              id="program-start"
+              type="date"
+              value={draft.startDate}
+              onChange={(event) => setDraft((prev) => ({ ...prev, startDate: event.target.value }))}
+            />
+          </div>
+          <div className="ui-stack">
+            <Label htmlFor="program-weeks">Weeks</Label>
+            <Input
+              id="program-weeks"
+              type="number"
+              min={1}
+              max={MAX_PROGRAM_WEEKS}
+              value={draft.weeks}
+              onChange={(event) => {
+                const value = event.target.value;
+                const nextWeeks = Math.min(
+                  Math.max(Number.parseInt(value, 10) || 1, 1),
+                  MAX_PROGRAM_WEEKS
+                );
+                setDraft((prev) => ({
+                  ...prev,
+                  weeks: value,
+                  progression: resizeProgression(prev.progression, nextWeeks),
+                }));
+              }}
+            />
+          </div>
+        </div>
+
+        <div className="ui-section-title">Training days</div>
+        {draft.days.length === 0 ? (
+          <div className="template-meta">Add a day for each template you train per week.</div>
+        ) : null}
+        {draft.days.map((day, index) => (
+          <div key={index} className="ui-row ui-row--wrap">
+            <Select
+              aria-label={`Day ${index + 1} weekday`}
+              value={day.dayOffset}
+              onChange={(event) => updateDay(index, { dayOffset: event.target.value })}
+            >
+              {WEEKDAY_OPTIONS.map((label, offset) => (
+                <option key={label} value={String(offset)}>
+                  {label}
+                </option>
+              ))}
+            </Select>
+            <Select
+              aria-label={`Day ${index + 1} template`}
+              value={day.templateId}
+              onChange={(event) => updateDay(index, { templateId: event.target.value })}
+            >
+              <option value="">Choose a template</option>
+              {(templates ?? []).map((template) => (
+                <option key={template.id} value={String(template.id)}>
+                  {template.name}
+                </option>
+              ))}
+            </Select>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() =>
+                setDraft((prev) => ({ ...prev, days: prev.days.filter((_, i) => i !== index) }))
+              }
+            >
+              Remove
+            </Button>
+          </div>
+        ))}
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() =>
+            setDraft((prev) => ({
+              ...prev,
+              days: [...prev.days, { templateId: "", dayOffset: String(prev.days.length) }],
+            }))
+          }
+        >
+          Add training day
+        </Button>
+
+        <div className="ui-section-title">Weekly progression</div>
+        <div className="template-meta">
+          Load % is shown on each exercise as the week&apos;s target intensity. Sets and reps
+          override template targets when set. Deload weeks halve the sets unless a set count is
+          given.
+        </div>
+        {draft.progression.slice(0, weeks).map((rule, index) => (
+          <div key={rule.week} className="program-week-row">
+            <div className="ui-strong">W{rule.week}</div>
+            <Input
+              type="number"
+              aria-label={`Week ${rule.week} load percent`}
+              placeholder="%"
+              value={rule.loadPercent}
+              onChange={(event) => updateRule(index, { loadPercent: event.target.value })}
+            />
+            <Input
+              type="number"
+              aria-label={`Week ${rule.week} sets`}
+              placeholder="Sets"
+              value={rule.sets}
+              onChange={(event) => updateRule(index, { sets: event.target.value })}
+            />
+            <Input
+              type="number"
+              aria-label={`Week ${rule.week} reps`}
+              placeholder="Reps"
+              value={rule.reps}
+              onChange={(event) => updateRule(index, { reps: event.target.value })}
+            />
+            <label className="program-week-row__deload">
+              <input
+                type="checkbox"
+                checked={rule.deload}
+                onChange={(event) => updateRule(index, { deload: event.target.checked })}
+              />
+              <span>Deload</span>
+            </label>
+          </div>
+        ))}
+
+        <div className="ui-row">
+          <Button variant="primary" size="sm" onClick={onSave} loading={saving}>
+            Save program
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
+
+export default function ProgramsView({ onBack, onStartPlannedWorkout, onNotify }) {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [starting, setStarting] = useState(false);
+
+  const programs = useLiveQuery(() => db.table("programs").toArray(), []);
+  const templates = useLiveQuery(() => listTemplates(), []);
+  const programPlans = useLiveQuery(
+    () => db.table("plannedWorkouts").where("programId").above(0).toArray(),
+    []
+  );
+  const nextDay = useLiveQuery(() => getNextProgramPlan(), []);
+
+  const templateMap = useMemo(
+    () => new Map((templates ?? []).map((template) => [template.id, template])),
+    [templates]
+  );
+  const plansByProgram = useMemo(() => {
+    const map = new Map();
+    (programPlans ?? []).forEach((plan) => {
+      const list = map.get(plan.programId) ?? [];
+      list.push(plan);
+      map.set(plan.programId, list);
+    });
+    return map;
+  }, [programPlans]);
+  const sortedPrograms = useMemo(
+    () =>
+      [...(programs ?? [])].sort(
+        (a, b) => Number(Boolean(b.isActive)) - Number(Boolean(a.isActive)) || b.updatedAt - a.updatedAt
+      ),
+    [programs]
+  );
+
+  const handleSave = async () => {
+    if (!draft) return;
+    const input = {
+      name: draft.name,
+      startDate: draft.startDate,
+      weeks: draft.weeks,
+      days: draft.days
+        .filter((day) => day.templateId)
+        .map((day) => ({
+          templateId: Number.parseInt(day.templateId, 10),
+          dayOffset: Number.parseInt(day.dayOffset, 10),
+        })),
+      progression: draft.progression,
+    };
+    setSaving(true);
+    try {
+      if (draft.id) {
+        await updateProgram(draft.id, input);
+      } else {
+        await createProgram(input);
+      }
+      setDraft(null);
+      onNotify?.("Program saved.", { tone: "success" });
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to save program.", { tone: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleActivate = async (program) => {
+    await setActiveProgram(program.isActive ? null : program.id);
+    onNotify?.(program.isActive ? "Program paused." : "Program scheduled on the calendar.", {
+      tone: "success",
+    });
+  };
+
+  const handleDelete = async (program) => {
+    if (!window.confirm(`Delete "${program.name}"? Finished sessions stay in History.`)) return;
+    await deleteProgram(program.id);
+  };
+
+  const handleStartNext = async () => {
+    if (!nextDay) return;
+    setStarting(true);
+    try {
+      await onStartPlannedWorkout?.(nextDay.plan.id);
+    } catch (error) {
+      onNotify?.(error?.message ?? "Unable to start this workout.", { tone: "error" });
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="page">
+      <PageHeader
+        title="Programs"
+        subtitle="Sequence templates across weeks with progression and deloads."
+        actions={
+          onBack ? (
+            <Button variant="ghost" size="sm" onClick={onBack}>
+              Back
+            </Button>
+          ) : null
+        }
+      />
+
+      <div className="ui-stack">
+        {nextDay ? (
+          <Card>
+            <CardBody className="ui-stack">
+              <div className="ui-strong">Next up: {nextDay.program.name}</div>
+              <div className="template-meta">
+                Week {nextDay.plan.programWeek} · Day {nextDay.plan.programDay} ·{" "}
+                {templateMap.get(nextDay.plan.templateId)?.name ?? "Template"} · planned{" "}
+                {nextDay.plan.date}
+              </div>
+              <Button variant="primary" size="sm" onClick={handleStartNext} loading={starting}>
+                Start today&apos;s workout
+              </Button>
+            </CardBody>
+          </Card>
+        ) : null}
+
+        {draft ? (
+          <ProgramEditor
+            draft={draft}
+            setDraft={setDraft}
+            templates={templates}
+            saving={saving}
+            onSave={handleSave}
+            onCancel={() => setDraft(null)}
+          />
+        ) : (
+          <Button variant="primary" size="sm" onClick={() => setDraft(createDraft())}>
+            New program
+          </Button>
+        )}
+
+        {programs && programs.length === 0 && !draft ? (
+          <Card>
+            <CardBody>
+              <div className="empty-state">
+                No programs yet. Build one from your templates to schedule several weeks at once.
+              </div>
+            </CardBody>
+          </Card>
+        ) : null}
+
+        {sortedPrograms.map((program) => {
+          const adherence = summarizeAdherence(plansByProgram.get(program.id) ?? []);
+          return (
+            <Card key={program.id}>
+              <CardBody className="ui-stack">
+                <div className="ui-row ui-row--between">
+                  <div className="ui-strong">{program.name}</div>
+                  {program.isActive ? <span className="pill">Active</span> : null}
+                </div>
+                <div className="template-meta">
+                  {program.weeks} weeks from {program.startDate} ·{" "}
+                  {(program.days ?? [])
+                    .map((day) => templateMap.get(day.templateId)?.name ?? "Template")
+                    .join(", ")}
+                </div>
+                {adherence.planned ? (
+                  <div className="template-meta">
+                    {adherence.completed}/{adherence.planned} sessions done
+                    {adherence.missed ? ` · ${adherence.missed} missed` : ""}
+                    {adherence.adherencePercent != null
+                      ? ` · ${adherence.adherencePercent}% adherence`
+                      : ""}
+                  </div>
+                ) : null}
+                <div className="ui-row ui-row--wrap">
+                  <Button
+                    variant={program.isActive ? "secondary" : "primary"}
+                    size="sm"
+                    onClick={() => handleActivate(program)}
+                  >
+                    {program.isActive ? "Pause" : "Activate"}
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => setDraft(createDraft(program))}>
+                    Edit
+                  </Button>
+                  <Button variant="destructive" size="sm" onClick={() => handleDelete(program)}>
+                    Delete
+                  </Button>
+                </div>
+              </CardBody>
+            </Card>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
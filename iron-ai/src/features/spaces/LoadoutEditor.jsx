@@ -0,0 +1,161 @@
+import { useLiveQuery } from "dexie-react-hooks";
+
+import { getDefaultWeightUnit } from "../../db";
+import { Button, Input, Label, Select } from "../../components/ui";
+import { WEIGHT_UNITS } from "../../utils/units";
+import { getDefaultLoadout } from "../../workoutSpaces/loading";
+import { toLoadoutDraft } from "./loadoutDraft";
+
+/** Bars, plate inventory, dumbbell rack and stack step for a workout space. */
+export default function LoadoutEditor({ idPrefix, draft, onChange }) {
+  const defaultUnit = useLiveQuery(() => getDefaultWeightUnit(), []) ?? "kg";
+  const safeDraft = draft ?? { custom: false };
+
+  const update = (patch) => onChange({ ...safeDraft, ...patch });
+  const updatePlate = (index, patch) =>
+    update({
+      plates: safeDraft.plates.map((plate, i) => (i === index ? { ...plate, ...patch } : plate)),
+    });
+
+  const handleToggle = () => {
+    onChange(
+      safeDraft.custom ? { custom: false } : toLoadoutDraft(getDefaultLoadout(defaultUnit))
+    );
+  };
+
+  return (
+    <div className="ui-stack">
+      <div className="ui-row ui-row--between ui-row--wrap">
+        <div>
+          <div className="ui-strong">Bars and plates</div>
+          <div className="template-meta">
+            {safeDraft.custom
+              ? "Plate math and suggested weights use this inventory."
+              : `Using a standard ${defaultUnit} bar, plates and dumbbells.`}
+          </div>
+        </div>
+        <Button
+          variant={safeDraft.custom ? "primary" : "secondary"}
+          size="sm"
+          type="button"
+          onClick={handleToggle}
+        >
+          {safeDraft.custom ? "Custom" : "Standard"}
+        </Button>
+      </div>
+      {safeDraft.custom ? (
+        <>
+          <div className="loadout-editor__grid">
+            <div>
+              <Label htmlFor={`${idPrefix}-loadout-unit`}>Unit</Label>
+              <Select
+                id={`${idPrefix}-loadout-unit`}
+                value={safeDraft.unit}
+                onChange={(e) => onChange(toLoadoutDraft(getDefaultLoadout(e.target.value)))}
+              >
+                {WEIGHT_UNITS.map((unit) => (
+                  <option key={unit} value={unit}>
+                    {unit}
+                  </option>
+                ))}
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor={`${idPrefix}-loadout-bars`}>Bar weights</Label>
+              <Input
+                id={`${idPrefix}-loadout-bars`}
+                inputMode="decimal"
+                value={safeDraft.barWeights}
+                onChange={(e) => update({ barWeights: e.target.value })}
+                placeholder="20, 15"
+              />
+            </div>
+          </div>
+          <div className="template-meta">
+            Changing the unit starts over from its standard plates. The first bar is the
+            one suggested weights assume.
+          </div>
+          <div>
+            <Label>Plates (pairs)</Label>
+            <div className="ui-stack">
+              {safeDraft.plates.map((plate, index) => (
+                <div key={index} className="loadout-editor__plate">
+                  <Input
+                    inputMode="decimal"
+                    aria-label={`Plate ${index + 1} weight (${safeDraft.unit})`}
+                    value={plate.weight}
+                    onChange={(e) => updatePlate(index, { weight: e.target.value })}
+                  />
+                  <Input
+                    inputMode="numeric"
+                    aria-label={`Plate ${index + 1} pairs`}
+                    value={plate.pairs}
+                    onChange={(e) => updatePlate(index, { pairs: e.target.value })}
+                  />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    type="button"
+                    onClick={() =>
+                      update({ plates: safeDraft.plates.filter((_, i) => i !== index) })
+                    }
+                  >
+                    Remove
+                  </Button>
+                </div>
+              ))}
+              <Button
+                variant="secondary"
+                size="sm"
+                type="button"
+                onClick={() =>
+                  update({ plates: [...safeDraft.plates, { weight: "", pairs: "1" }] })
+                }
+              >
+                Add plate
+              </Button>
+            </div>
+          </div>
+          <div className="loadout-editor__grid">
+            <div>
+              <Label htmlFor={`${idPrefix}-loadout-db-min`}>Lightest dumbbell</Label>
+              <Input
+                id={`${idPrefix}-loadout-db-min`}
+                inputMode="decimal"
+                value={safeDraft.dumbbellMin}
+                onChange={(e) => update({ dumbbellMin: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor={`${idPrefix}-loadout-db-max`}>Heaviest dumbbell</Label>
+              <Input
+                id={`${idPrefix}-loadout-db-max`}
+                inputMode="decimal"
+                value={safeDraft.dumbbellMax}
+                onChange={(e) => update({ dumbbellMax: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor={`${idPrefix}-loadout-db-step`}>Dumbbell step</Label>
+              <Input
+                id={`${idPrefix}-loadout-db-step`}
+                inputMode="decimal"
+                value={safeDraft.dumbbellStep}
+                onChange={(e) => update({ dumbbellStep: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor={`${idPrefix}-loadout-stack`}>Stack step</Label>
+              <Input
+                id={`${idPrefix}-loadout-stack`}
+                inputMode="decimal"
+                value={safeDraft.stackStep}
+                onChange={(e) => update({ stackStep: e.target.value })}
+              />
+            </div>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
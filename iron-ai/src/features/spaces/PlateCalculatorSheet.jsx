@@ -0,0 +1,110 @@
+import { useId, useMemo, useState } from "react";
+
+import { BottomSheet, Button, Input, Label, Select } from "../../components/ui";
+import { convertWeight, formatWeight, roundWeight } from "../../utils/units";
+import { calculatePlates } from "../../workoutSpaces/loading";
+
+/**
+ * Plates per side for a barbell set, loaded from the workout space's inventory. `weight`
+ * and `unit` are the set's; the loadout may be in the other unit and is converted.
+ * Mount with a `key` per set so the target resets when another set opens it.
+ */
+export default function PlateCalculatorSheet({
+  open,
+  onClose,
+  title,
+  weight,
+  unit,
+  loadout,
+  spaceName,
+  onUse,
+}) {
+  const id = useId();
+  const [targetDraft, setTargetDraft] = useState(() =>
+    weight == null || weight === "" ? "" : String(weight)
+  );
+  const [barWeight, setBarWeight] = useState(() => loadout?.barWeights?.[0] ?? null);
+
+  const loadoutUnit = loadout?.unit ?? unit;
+  const target = Number.parseFloat(targetDraft);
+  const result = useMemo(() => {
+    if (!loadout || !Number.isFinite(target) || target <= 0) return null;
+    return calculatePlates(convertWeight(target, unit, loadoutUnit), loadout, { barWeight });
+  }, [barWeight, loadout, loadoutUnit, target, unit]);
+  const total = result ? roundWeight(convertWeight(result.total, loadoutUnit, unit), 2) : null;
+
+  return (
+    <BottomSheet open={open} onClose={onClose} title={title} ariaLabel="Plate calculator">
+      <div className="plate-calculator">
+        <div className="plate-calculator__fields">
+          <div>
+            <Label htmlFor={`${id}-target`}>Target ({unit})</Label>
+            <Input
+              id={`${id}-target`}
+              inputMode="decimal"
+              value={targetDraft}
+              onChange={(event) => setTargetDraft(event.target.value)}
+            />
+          </div>
+          {loadout?.barWeights?.length > 1 ? (
+            <div>
+              <Label htmlFor={`${id}-bar`}>Bar</Label>
+              <Select
+                id={`${id}-bar`}
+                value={String(barWeight)}
+                onChange={(event) => setBarWeight(Number(event.target.value))}
+              >
+                {loadout.barWeights.map((bar) => (
+                  <option key={bar} value={String(bar)}>
+                    {formatWeight(bar, loadoutUnit)}
+                  </option>
+                ))}
+              </Select>
+            </div>
+          ) : null}
+        </div>
+
+        {result ? (
+          <>
+            <div className="plate-calculator__section-title">
+              Each side of a {formatWeight(result.barWeight, loadoutUnit)} bar
+            </div>
+            {result.perSide.length ? (
+              <div className="plate-calculator__plates">
+                {result.perSide.map((plate) => (
+                  <span key={plate.weight} className="plate-calculator__plate">
+                    {plate.count} × {formatWeight(plate.weight, loadoutUnit, { decimals: 2 })}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <div className="plate-calculator__note">Empty bar.</div>
+            )}
+            <div className="plate-calculator__total">
+              {formatWeight(result.total, loadoutUnit, { decimals: 2 })}
+              {loadoutUnit !== unit ? ` (${formatWeight(total, unit, { decimals: 2 })})` : ""}
+            </div>
+            {Math.abs(result.remainder) >= 0.01 ? (
+              <div className="plate-calculator__note">
+                Closest loadable weight: {formatWeight(Math.abs(result.remainder), loadoutUnit, {
+                  decimals: 2,
+                })}{" "}
+                {result.remainder > 0 ? "under" : "over"} the target.
+              </div>
+            ) : null}
+            <Button variant="primary" size="sm" onClick={() => onUse(String(total))}>
+              Use {formatWeight(total, unit, { decimals: 2 })}
+            </Button>
+          </>
+        ) : (
+          <div className="plate-calculator__note">Enter a target weight.</div>
+        )}
+        <div className="plate-calculator__note">
+          {spaceName
+            ? `Plates from ${spaceName}. Edit them in Library › Gyms.`
+            : "Default plates. Add your own in Library › Gyms."}
+        </div>
+      </div>
+    </BottomSheet>
+  );
+}
@@ -13,6 +13,8 @@ import {
 import { Button, Card, CardBody, CardHeader, Input, Label } from "../../components/ui";
 import EquipmentChecklist from "../../equipment/EquipmentChecklist";
 import { isSpaceExpired, sortSpacesByName } from "../../workoutSpaces/logic";
+import LoadoutEditor from "./LoadoutEditor";
+import { fromLoadoutDraft, toLoadoutDraft } from "./loadoutDraft";
 
 const EMPTY_DRAFT = {
   name: "",
@@ -21,6 +23,7 @@ const EMPTY_DRAFT = {
   isDefault: false,
   isTemporary: false,
   expiresAt: "",
+  loadout: { custom: false },
 };
 
 function formatDateInput(value) {
@@ -54,6 +57,7 @@ export default function WorkoutSpacesManager({ onNotify }) {
       isDefault: Boolean(space.isDefault),
       isTemporary: Boolean(space.isTemporary),
       expiresAt: formatDateInput(space.expiresAt),
+      loadout: toLoadoutDraft(space.loadout),
     });
     setEditSearch("");
   };
@@ -86,6 +90,7 @@ export default function WorkoutSpacesManager({ onNotify }) {
         isDefault: createDraft.isDefault,
         isTemporary: createDraft.isTemporary,
         expiresAt: createDraft.isTemporary ? createDraft.expiresAt || null : null,
+        loadout: fromLoadoutDraft(createDraft.loadout),
       });
       setCreateDraft(EMPTY_DRAFT);
       setCreateSearch("");
@@ -104,6 +109,7 @@ export default function WorkoutSpacesManager({ onNotify }) {
         isDefault: editDraft.isDefault,
         isTemporary: editDraft.isTemporary,
         expiresAt: editDraft.isTemporary ? editDraft.expiresAt || null : null,
+        loadout: fromLoadoutDraft(editDraft.loadout),
       });
       onNotify?.("Workout space updated ✅", { tone: "success" });
       cancelEdit();
@@ -205,6 +211,11 @@ export default function WorkoutSpacesManager({ onNotify }) {
               <div className="template-meta">No equipment selected yet.</div>
             ) : null}
           </div>
+          <LoadoutEditor
+            idPrefix="space"
+            draft={createDraft.loadout}
+            onChange={(loadout) => setCreateDraft((prev) => ({ ...prev, loadout }))}
+          />
           <Button variant="primary" size="md" onClick={handleCreate} className="w-full">
             Create space
           </Button>
@@ -381,6 +392,11 @@ export default function WorkoutSpacesManager({ onNotify }) {
                 onSearchChange={setEditSearch}
               />
             </div>
+            <LoadoutEditor
+              idPrefix="space-edit"
+              draft={editDraft.loadout}
+              onChange={(loadout) => setEditDraft((prev) => ({ ...prev, loadout }))}
+            />
             <div className="ui-row ui-row--wrap">
               <Button variant="primary" size="sm" onClick={handleSaveEdit}>
                 Save changes
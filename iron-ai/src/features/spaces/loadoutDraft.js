@@ -0,0 +1,32 @@
+import { normalizeLoadout } from "../../workoutSpaces/loading";
+
+// Form state for a space's loadout keeps what was typed; `fromLoadoutDraft` parses it on
+// save. A draft that is not `custom` saves as null so the space follows the defaults.
+export function toLoadoutDraft(loadout) {
+  const normalized = normalizeLoadout(loadout);
+  if (!normalized) return { custom: false };
+  return {
+    custom: true,
+    unit: normalized.unit,
+    barWeights: normalized.barWeights.join(", "),
+    plates: normalized.plates.map((plate) => ({
+      weight: String(plate.weight),
+      pairs: String(plate.pairs),
+    })),
+    dumbbellMin: String(normalized.dumbbells.min),
+    dumbbellMax: String(normalized.dumbbells.max),
+    dumbbellStep: String(normalized.dumbbells.step),
+    stackStep: String(normalized.stackStep),
+  };
+}
+
+export function fromLoadoutDraft(draft) {
+  if (!draft?.custom) return null;
+  return normalizeLoadout({
+    unit: draft.unit,
+    barWeights: String(draft.barWeights ?? "").split(/[,\s]+/),
+    plates: draft.plates,
+    dumbbells: { min: draft.dumbbellMin, max: draft.dumbbellMax, step: draft.dumbbellStep },
+    stackStep: draft.stackStep,
+  });
+}
@@ -9,9 +9,13 @@ import {
   getTemplateWithDetails,
   updateTemplate,
   updateTemplateItem,
+  updateTemplateItemPrescriptions,
   deleteTemplate,
   addExerciseToTemplate,
   removeTemplateItem,
+  linkTemplateItems,
+  unlinkTemplateItem,
+  updateTemplateSupersetKind,
   listEquipment,
   listWorkoutSpaces,
   setActiveWorkoutSpace,
@@ -34,9 +38,262 @@ import {
   getMissingEquipmentForExercise,
 } from "../../equipment/engine";
 import { resolveActiveSpace } from "../../workoutSpaces/logic";
+import { normalizeWeightUnit } from "../../utils/units";
+import {
+  DEFAULT_INCREMENTS,
+  OVERLOAD_RULES,
+  OVERLOAD_RULE_LABELS,
+  normalizeOverloadConfig,
+} from "../../workouts/overload";
+import { formatDuration, parseDuration } from "../../workouts/setSchemas";
+import {
+  formatLoadTarget,
+  formatRepRange,
+  MAX_PRESCRIBED_SETS,
+  parseLoadTarget,
+  parseRepRange,
+  summarizeSetPrescriptions,
+} from "../../workouts/setPrescriptions";
+import { RPE_OPTIONS, SET_TYPE_LABELS, SET_TYPES } from "../../workouts/setTypes";
+import {
+  getDefaultSupersetKind,
+  getSupersetGroups,
+  SUPERSET_KIND_LABELS,
+} from "../../workouts/supersets";
 import ExercisePickerView from "../exercises/ExercisePickerView";
 import ExerciseHistoryDrawer from "../exercises/ExerciseHistoryDrawer";
 
+function TemplateItemProgression({ item, weightUnit }) {
+  const name = item.exercise?.name ?? "exercise";
+  const config = normalizeOverloadConfig(item.progression, item.targetReps);
+  const save = (patch) =>
+    updateTemplateItem(item.id, { progression: { ...item.progression, ...patch } });
+
+  return (
+    <div className="template-set-grid">
+      <div className="template-set-grid__label">Progression</div>
+      <div className="template-set-grid__label">
+        {config.rule === "double"
+          ? "Rep range"
+          : config.rule === "rpe"
+            ? "Target RPE"
+            : config.rule === "linear"
+              ? `Increment (${config.incrementUnit ?? weightUnit})`
+              : ""}
+      </div>
+      <Select
+        aria-label={`Progression rule for ${name}`}
+        value={config.rule}
+        onChange={(e) => save({ rule: e.target.value })}
+      >
+        {OVERLOAD_RULES.map((rule) => (
+          <option key={rule} value={rule}>
+            {OVERLOAD_RULE_LABELS[rule]}
+          </option>
+        ))}
+      </Select>
+      {config.rule === "double" ? (
+        <div className="ui-row">
+          <Input
+            inputMode="numeric"
+            aria-label={`Lowest reps for ${name}`}
+            value={item.progression?.repMin ?? ""}
+            placeholder={String(config.repMin)}
+            onChange={(e) => save({ repMin: e.target.value })}
+          />
+          <Input
+            inputMode="numeric"
+            aria-label={`Highest reps for ${name}`}
+            value={item.progression?.repMax ?? ""}
+            placeholder={String(config.repMax)}
+            onChange={(e) => save({ repMax: e.target.value })}
+          />
+        </div>
+      ) : config.rule === "rpe" ? (
+        <Input
+          inputMode="decimal"
+          aria-label={`Target RPE for ${name}`}
+          value={item.progression?.targetRpe ?? ""}
+          placeholder={String(config.targetRpe)}
+          onChange={(e) => save({ targetRpe: e.target.value })}
+        />
+      ) : config.rule === "linear" ? (
+        <Input
+          inputMode="decimal"
+          aria-label={`Weight increment for ${name}`}
+          value={item.progression?.increment ?? ""}
+          placeholder={String(DEFAULT_INCREMENTS[weightUnit])}
+          onChange={(e) => save({ increment: e.target.value, incrementUnit: weightUnit })}
+        />
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
+
+// Text inputs that are parsed on blur, so partial entries like `8-` are not rewritten.
+function DraftInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null);
+  return (
+    <Input
+      {...props}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => {
+        if (draft == null) return;
+        onCommit(draft);
+        setDraft(null);
+      }}
+    />
+  );
+}
+
+function TemplateItemSetPrescriptions({ item, weightUnit }) {
+  const name = item.exercise?.name ?? "exercise";
+  const list = item.setPrescriptions;
+  const save = (next) => updateTemplateItemPrescriptions(item.id, next);
+  const update = (index, patch) =>
+    save(list.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+
+  return (
+    <div className="ui-stack">
+      <div className="template-meta">{summarizeSetPrescriptions(list)}</div>
+      <div className="template-prescription-row template-set-grid__label">
+        <span>#</span>
+        <span>Type</span>
+        <span>Reps</span>
+        <span>Load</span>
+        <span>RPE</span>
+        <span>Rest</span>
+        <span />
+      </div>
+      {list.map((entry, index) => (
+        <div key={index} className="template-prescription-row">
+          <span className="template-meta">{index + 1}</span>
+          <Select
+            aria-label={`Set ${index + 1} type for ${name}`}
+            value={entry.setType}
+            onChange={(e) => update(index, { setType: e.target.value })}
+          >
+            {SET_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {SET_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </Select>
+          <DraftInput
+            aria-label={`Set ${index + 1} reps for ${name}`}
+            placeholder="8–12"
+            value={formatRepRange(entry)}
+            onCommit={(text) => update(index, parseRepRange(text))}
+          />
+          <DraftInput
+            aria-label={`Set ${index + 1} load for ${name}`}
+            placeholder={`${weightUnit} or % TM`}
+            value={formatLoadTarget(entry, { withUnit: entry.loadUnit !== weightUnit })}
+            onCommit={(text) => update(index, parseLoadTarget(text, weightUnit))}
+          />
+          <Select
+            aria-label={`Set ${index + 1} target RPE for ${name}`}
+            value={entry.rpe == null ? "" : String(entry.rpe)}
+            onChange={(e) => update(index, { rpe: e.target.value || null })}
+          >
+            <option value="">—</option>
+            {RPE_OPTIONS.map((rpe) => (
+              <option key={rpe} value={String(rpe)}>
+                {rpe}
+              </option>
+            ))}
+          </Select>
+          <DraftInput
+            aria-label={`Set ${index + 1} rest for ${name}`}
+            placeholder="1:30"
+            value={formatDuration(entry.restSeconds)}
+            onCommit={(text) => update(index, { restSeconds: parseDuration(text) })}
+          />
+          <Button
+            variant="ghost"
+            size="sm"
+            aria-label={`Remove set ${index + 1} of ${name}`}
+            disabled={list.length === 1}
+            onClick={() => save(list.filter((_, i) => i !== index))}
+          >
+            ×
+          </Button>
+        </div>
+      ))}
+      <div className="ui-row ui-row--wrap">
+        <Button
+          variant="secondary"
+          size="sm"
+          disabled={list.length >= MAX_PRESCRIBED_SETS}
+          onClick={() => save([...list, list[list.length - 1]])}
+        >
+          Add set
+        </Button>
+        <Button variant="ghost" size="sm" onClick={() => save([])}>
+          Same targets for every set
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function TemplateItemSuperset({ item, items, groups }) {
+  const name = item.exercise?.name ?? "exercise";
+  const group = groups.find((entry) => entry.id === item.supersetGroupId) ?? null;
+  const labelFor = (entry) => {
+    const entryGroup = groups.find((candidate) => candidate.id === entry.supersetGroupId);
+    const entryName = entry.exercise?.name ?? "Unknown Exercise";
+    return entryGroup ? `${entryName} (${entryGroup.label})` : entryName;
+  };
+  const handlePartnerChange = (value) => {
+    if (!value) return null;
+    if (value === "leave") return unlinkTemplateItem(item.templateId, item.id);
+    return linkTemplateItems(item.templateId, item.id, Number(value));
+  };
+
+  return (
+    <div className="template-set-grid">
+      <div className="template-set-grid__label">Superset with</div>
+      <div className="template-set-grid__label">{group ? "Type" : ""}</div>
+      <Select
+        aria-label={`Superset partner for ${name}`}
+        value=""
+        onChange={(e) => void handlePartnerChange(e.target.value)}
+      >
+        <option value="">{group ? `In ${group.label}` : "No superset"}</option>
+        {group ? <option value="leave">Leave {group.label}</option> : null}
+        {items
+          .filter((entry) => entry.id !== item.id && entry.supersetGroupId !== group?.id)
+          .map((entry) => (
+            <option key={entry.id} value={String(entry.id)}>
+              {labelFor(entry)}
+            </option>
+          ))}
+      </Select>
+      {group ? (
+        <Select
+          aria-label={`Superset type for ${name}`}
+          value={group.kind}
+          onChange={(e) =>
+            void updateTemplateSupersetKind(item.templateId, group.id, e.target.value)
+          }
+        >
+          {[getDefaultSupersetKind(group.items.length), "circuit"].map((kind) => (
+            <option key={kind} value={kind}>
+              {SUPERSET_KIND_LABELS[kind]}
+            </option>
+          ))}
+        </Select>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
+
 export default function TemplateEditor({ templateId, onBack, onStartWorkout, onNotify }) {
   const templateBundle = useLiveQuery(
     () => (templateId ? getTemplateWithDetails(templateId) : null),
@@ -129,8 +386,10 @@ function TemplateEditorForm({
     () => (Array.isArray(templateBundle?.items) ? templateBundle.items : []),
     [templateBundle]
   );
+  const supersetGroups = useMemo(() => getSupersetGroups(items), [items]);
   const template = templateBundle?.template ?? null;
   const settingsActiveSpaceId = settings?.active_space_id ?? null;
+  const weightUnit = normalizeWeightUnit(settings?.weight_unit);
   const activeSpace = useMemo(
     () => resolveActiveSpace(workoutSpaces ?? [], settingsActiveSpaceId),
     [settingsActiveSpaceId, workoutSpaces]
@@ -384,8 +643,15 @@ function TemplateEditorForm({
               {items.map((it) => {
                 const targetSets = Math.max(1, Number(it.targetSets ?? 3));
                 const targetReps = it.targetReps ?? "";
+                const supersetLabel =
+                  supersetGroups.find((group) => group.id === it.supersetGroupId)?.label ?? null;
                 return (
-                  <div key={it.id} className="template-item">
+                  <div
+                    key={it.id}
+                    className={`template-item${
+                      supersetLabel ? " template-item--superset" : ""
+                    }`}
+                  >
                     <div className="template-item__header">
                       <div className="ui-stack">
                         <button
@@ -405,6 +671,9 @@ function TemplateEditorForm({
                           <span className="pill pill--muted">
                             {it.exercise?.muscle_group ?? "Unknown"}
                           </span>
+                          {supersetLabel ? (
+                            <span className="pill pill--superset">{supersetLabel}</span>
+                          ) : null}
                         </div>
                       </div>
                       <div className="template-item__actions">
@@ -431,51 +700,74 @@ function TemplateEditorForm({
                         </Button>
                       </div>
                     </div>
-                    <div className="template-set-grid">
-                      <div className="template-set-grid__label">Sets</div>
-                      <div className="template-set-grid__label">Reps</div>
-                      <div className="template-set-counter">
+                    {it.setPrescriptions?.length ? (
+                      <TemplateItemSetPrescriptions item={it} weightUnit={weightUnit} />
+                    ) : (
+                      <>
+                        <div className="template-set-grid">
+                          <div className="template-set-grid__label">Sets</div>
+                          <div className="template-set-grid__label">Reps</div>
+                          <div className="template-set-counter">
+                            <Button
+                              variant="secondary"
+                              size="sm"
+                              onClick={() =>
+                                updateTemplateItem(it.id, {
+                                  targetSets: Math.max(1, targetSets - 1),
+                                })
+                              }
+                            >
+                              -
+                            </Button>
+                            <Input
+                              inputMode="numeric"
+                              value={targetSets}
+                              onChange={(e) => {
+                                const next = Number.parseInt(e.target.value, 10);
+                                if (Number.isNaN(next)) return;
+                                updateTemplateItem(it.id, { targetSets: Math.max(1, next) });
+                              }}
+                            />
+                            <Button
+                              variant="secondary"
+                              size="sm"
+                              onClick={() =>
+                                updateTemplateItem(it.id, { targetSets: targetSets + 1 })
+                              }
+                            >
+                              +
+                            </Button>
+                          </div>
+                          <div className="template-set-input">
+                            <Input
+                              inputMode="numeric"
+                              placeholder="reps"
+                              value={targetReps}
+                              onChange={(e) =>
+                                updateTemplateItem(it.id, { targetReps: e.target.value })
+                              }
+                            />
+                          </div>
+                        </div>
                         <Button
-                          variant="secondary"
+                          variant="ghost"
                           size="sm"
-                          onClick={() =>
-                            updateTemplateItem(it.id, {
-                              targetSets: Math.max(1, targetSets - 1),
-                            })
-                          }
-                        >
-                          -
-                        </Button>
-                        <Input
-                          inputMode="numeric"
-                          value={targetSets}
-                          onChange={(e) => {
-                            const next = Number.parseInt(e.target.value, 10);
-                            if (Number.isNaN(next)) return;
-                            updateTemplateItem(it.id, { targetSets: Math.max(1, next) });
+                          onClick={() => {
+                            const { repMin, repMax } = parseRepRange(targetReps);
+                            void updateTemplateItemPrescriptions(
+                              it.id,
+                              Array.from({ length: targetSets }, () => ({ repMin, repMax }))
+                            );
                           }}
-                        />
-                        <Button
-                          variant="secondary"
-                          size="sm"
-                          onClick={() =>
-                            updateTemplateItem(it.id, { targetSets: targetSets + 1 })
-                          }
                         >
-                          +
+                          Set targets per set
                         </Button>
-                      </div>
-                      <div className="template-set-input">
-                        <Input
-                          inputMode="numeric"
-                          placeholder="reps"
-                          value={targetReps}
-                          onChange={(e) =>
-                            updateTemplateItem(it.id, { targetReps: e.target.value })
-                          }
-                        />
-                      </div>
-                    </div>
+                      </>
+                    )}
+                    <TemplateItemProgression item={it} weightUnit={weightUnit} />
+                    {items.length > 1 ? (
+                      <TemplateItemSuperset item={it} items={items} groups={supersetGroups} />
+                    ) : null}
                   </div>
                 );
               })}
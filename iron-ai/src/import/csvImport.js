@@ -0,0 +1,593 @@
+import { db, rebuildPersonalRecords } from "../db";
+import { normalizeExerciseString, resolveExerciseId } from "../coach/exerciseResolver";
+import { createCustomExercise } from "../exercises/customExercise";
+import { normalizeWeightUnit } from "../utils/units";
+import {
+  getDefaultDistanceUnit,
+  normalizeDistanceUnit,
+  parseDuration,
+} from "../workouts/setSchemas";
+import { normalizeRpe, normalizeSetType, toSetTypePatch } from "../workouts/setTypes";
+
+export const CSV_IMPORT_FORMATS = {
+  strong: "Strong",
+  hevy: "Hevy",
+  fitnotes: "FitNotes",
+};
+
+export const CSV_IMPORT_ACTIONS = ["match", "create", "skip"];
+
+// FitNotes logs short distances in metres, feet or yards; they are stored in km or miles.
+const DISTANCE_UNIT_SCALES = {
+  m: { unit: "km", scale: 0.001 },
+  ft: { unit: "mi", scale: 1 / 5280 },
+  yd: { unit: "mi", scale: 1 / 1760 },
+};
+
+const MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+function detectDelimiter(text) {
+  const firstLine = String(text ?? "").split(/\r?\n/, 1)[0] ?? "";
+  const commas = (firstLine.match(/,/g) ?? []).length;
+  const semicolons = (firstLine.match(/;/g) ?? []).length;
+  return semicolons > commas ? ";" : ",";
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF and embedded newlines.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field.length || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((entry) => entry.some((value) => String(value).trim() !== ""));
+}
+
+function normalizeHeader(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase();
+}
+
+export function detectCsvFormat(headers) {
+  const set = new Set((headers ?? []).map(normalizeHeader));
+  if (set.has("exercise_title") && set.has("start_time")) return "hevy";
+  if (set.has("exercise name") && set.has("set order")) return "strong";
+  if (set.has("exercise") && set.has("category") && set.has("date")) return "fitnotes";
+  return null;
+}
+
+function toRecords(rows) {
+  const [headerRow, ...dataRows] = rows;
+  const headers = (headerRow ?? []).map(normalizeHeader);
+  return {
+    headers,
+    records: dataRows.map((values) => {
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = String(values[index] ?? "").trim();
+      });
+      return record;
+    }),
+  };
+}
+
+function parseNumber(value) {
+  const text = String(value ?? "")
+    .trim()
+    .replace(",", ".");
+  if (!text) return null;
+  const parsed = Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function formatDecimal(value) {
+  if (value == null) return "";
+  return String(Math.round(value * 100) / 100);
+}
+
+function toPositive(value) {
+  return value != null && value > 0 ? value : null;
+}
+
+function formatReps(value) {
+  if (value == null) return "";
+  return String(Math.round(value));
+}
+
+/**
+ * Accepts `2024-01-13 18:04:00`, ISO strings, `13 Jan 2024, 18:04` and plain dates.
+ * Values without a timezone are read as local time.
+ */
+export function parseLoggerDate(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const isoLike = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (isoLike) {
+    const [, year, month, day, hour = "0", minute = "0", second = "0"] = isoLike;
+    const date = new Date(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second)
+    );
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const named = text.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})$/);
+  if (named) {
+    const [, day, monthName, year, hour, minute] = named;
+    const month = MONTHS[monthName.toLowerCase()];
+    if (month == null) return null;
+    return new Date(Number(year), month, Number(day), Number(hour), Number(minute));
+  }
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function parseStrongDuration(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const hours = Number(text.match(/(\d+)\s*h/)?.[1] ?? 0);
+  const minutes = Number(text.match(/(\d+)\s*m(?!s)/)?.[1] ?? 0);
+  const seconds = Number(text.match(/(\d+)\s*s/)?.[1] ?? 0);
+  const total = (hours * 3600 + minutes * 60 + seconds) * 1000;
+  return total > 0 ? total : null;
+}
+
+function findWeightColumn(headers, fallbackUnit) {
+  // Matches "Weight (kg)", "Weight (kgs)" and Hevy's "weight_kg".
+  const kg = headers.find((header) => /^weight.*kgs?\)?$/.test(header));
+  if (kg) return { key: kg, unit: "kg" };
+  const lb = headers.find((header) => /^weight.*lbs?\)?$/.test(header));
+  if (lb) return { key: lb, unit: "lb" };
+  if (headers.includes("weight")) return { key: "weight", unit: fallbackUnit };
+  return { key: null, unit: fallbackUnit };
+}
+
+function findDistanceColumn(headers, fallbackUnit) {
+  // Matches Hevy's "distance_km" / "distance_miles"; Strong and FitNotes export "Distance".
+  const km = headers.find((header) => /^distance.*km\)?$/.test(header));
+  if (km) return { key: km, unit: "km" };
+  const mi = headers.find((header) => /^distance.*(?:mi|miles)\)?$/.test(header));
+  if (mi) return { key: mi, unit: "mi" };
+  if (headers.includes("distance")) return { key: "distance", unit: fallbackUnit };
+  return { key: null, unit: fallbackUnit };
+}
+
+/** `{ distance, distanceUnit }` in km or miles, with a per-row unit (FitNotes) winning. */
+function readDistance(record, distanceColumn) {
+  const value = toPositive(parseNumber(record[distanceColumn.key]));
+  if (value == null) return { distance: null, distanceUnit: null };
+  const rowUnit = normalizeHeader(record["distance unit"]);
+  const scaled = DISTANCE_UNIT_SCALES[rowUnit];
+  if (scaled) return { distance: value * scaled.scale, distanceUnit: scaled.unit };
+  return { distance: value, distanceUnit: normalizeDistanceUnit(rowUnit, distanceColumn.unit) };
+}
+
+function readSeconds(value) {
+  return toPositive(parseDuration(String(value ?? "").trim()));
+}
+
+function parseStrongRow(record, columns) {
+  const setOrder = String(record["set order"] ?? "").trim().toUpperCase();
+  if (!/^(\d+|W|D|F)$/.test(setOrder)) return null;
+  const start = parseLoggerDate(record.date);
+  if (!start) return null;
+  const duration = parseStrongDuration(record.duration);
+  return {
+    sessionKey: `${record.date}::${record["workout name"] ?? ""}`,
+    startedAt: start.toISOString(),
+    finishedAt: duration ? new Date(start.getTime() + duration).toISOString() : start.toISOString(),
+    title: record["workout name"] ?? "",
+    sessionNote: record["workout notes"] ?? "",
+    exerciseName: record["exercise name"] ?? "",
+    note: record.notes ?? "",
+    setType: normalizeSetType(setOrder),
+    rpe: normalizeRpe(record.rpe),
+    weight: parseNumber(record[columns.weight.key]),
+    reps: parseNumber(record.reps),
+    durationSec: readSeconds(record.seconds),
+    ...readDistance(record, columns.distance),
+  };
+}
+
+function parseHevyRow(record, columns) {
+  const start = parseLoggerDate(record.start_time);
+  if (!start) return null;
+  const end = parseLoggerDate(record.end_time);
+  return {
+    sessionKey: `${record.start_time}::${record.title ?? ""}`,
+    startedAt: start.toISOString(),
+    finishedAt: (end ?? start).toISOString(),
+    title: record.title ?? "",
+    sessionNote: record.description ?? "",
+    exerciseName: record.exercise_title ?? "",
+    note: record.exercise_notes ?? "",
+    setType: normalizeSetType(record.set_type),
+    rpe: normalizeRpe(record.rpe),
+    weight: parseNumber(record[columns.weight.key]),
+    reps: parseNumber(record.reps),
+    durationSec: readSeconds(record.duration_seconds),
+    ...readDistance(record, columns.distance),
+  };
+}
+
+function parseFitNotesRow(record, columns) {
+  const start = parseLoggerDate(record.date);
+  if (!start) return null;
+  return {
+    sessionKey: record.date,
+    startedAt: start.toISOString(),
+    finishedAt: start.toISOString(),
+    title: "",
+    sessionNote: "",
+    exerciseName: record.exercise ?? "",
+    note: record.comment ?? "",
+    setType: normalizeSetType(null),
+    rpe: null,
+    weight: parseNumber(record[columns.weight.key]),
+    reps: parseNumber(record.reps),
+    durationSec: readSeconds(record.time),
+    ...readDistance(record, columns.distance),
+  };
+}
+
+const ROW_PARSERS = {
+  strong: parseStrongRow,
+  hevy: parseHevyRow,
+  fitnotes: parseFitNotesRow,
+};
+
+function joinUnique(values) {
+  return Array.from(new Set(values.map((value) => String(value ?? "").trim()).filter(Boolean))).join(
+    " / "
+  );
+}
+
+/**
+ * Parses a logger CSV export into sessions -> exercises -> sets.
+ * Weights keep the export's unit; `weightUnit` is only used when the export does not name
+ * its unit (older Strong files), and its distance unit (km for kg, miles for lb) stands in
+ * for distances without one. Timed and cardio rows keep their time and distance.
+ */
+export function parseLoggerCsv(text, { format = null, weightUnit = "kg" } = {}) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    throw new Error("CSV file has no workout rows.");
+  }
+  const { headers, records } = toRecords(rows);
+  const detected = format ?? detectCsvFormat(headers);
+  if (!detected || !ROW_PARSERS[detected]) {
+    throw new Error("Unrecognized CSV export. Supported apps: Strong, Hevy, FitNotes.");
+  }
+  const weightColumn = findWeightColumn(headers, weightUnit === "lb" ? "lb" : "kg");
+  const columns = {
+    weight: weightColumn,
+    distance: findDistanceColumn(headers, getDefaultDistanceUnit(weightColumn.unit)),
+  };
+  const parseRow = ROW_PARSERS[detected];
+
+  const sessionsByKey = new Map();
+  const warnings = [];
+  let skippedRows = 0;
+
+  records.forEach((record, index) => {
+    const row = parseRow(record, columns);
+    const exerciseName = String(row?.exerciseName ?? "").trim();
+    if (!row || !exerciseName) {
+      skippedRows += 1;
+      return;
+    }
+    const timed = row.durationSec != null || row.distance != null;
+    if (!row.weight && !row.reps && !timed) {
+      skippedRows += 1;
+      return;
+    }
+    let session = sessionsByKey.get(row.sessionKey);
+    if (!session) {
+      session = {
+        key: row.sessionKey,
+        startedAt: row.startedAt,
+        finishedAt: row.finishedAt,
+        title: row.title,
+        notes: [],
+        exercises: new Map(),
+      };
+      sessionsByKey.set(row.sessionKey, session);
+    }
+    session.notes.push(row.sessionNote);
+    if (row.finishedAt > session.finishedAt) session.finishedAt = row.finishedAt;
+    let exercise = session.exercises.get(exerciseName);
+    if (!exercise) {
+      exercise = { name: exerciseName, notes: [], sets: [] };
+      session.exercises.set(exerciseName, exercise);
+    }
+    exercise.notes.push(row.note);
+    // Timed rows export 0 for the weight and reps they do not log.
+    exercise.sets.push({
+      weight: timed && !row.weight ? "" : formatDecimal(row.weight),
+      unit: weightColumn.unit,
+      reps: timed && !row.reps ? "" : formatReps(row.reps),
+      durationSec: row.durationSec,
+      distance: formatDecimal(row.distance),
+      distanceUnit: row.distanceUnit,
+      ...toSetTypePatch(row.setType),
+      rpe: row.rpe,
+      row: index + 2,
+    });
+  });
+
+  if (skippedRows) {
+    warnings.push(`${skippedRows} row(s) without weight, reps, time or distance were skipped.`);
+  }
+
+  const sessions = Array.from(sessionsByKey.values())
+    .map((session) => ({
+      key: session.key,
+      startedAt: session.startedAt,
+      finishedAt: session.finishedAt,
+      title: session.title,
+      sessionNote: joinUnique(session.notes),
+      exercises: Array.from(session.exercises.values()).map((exercise) => ({
+        name: exercise.name,
+        note: joinUnique(exercise.notes),
+        sets: exercise.sets,
+      })),
+    }))
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+
+  return {
+    format: detected,
+    weightUnit: weightColumn.unit,
+    sessions,
+    warnings,
+  };
+}
+
+/**
+ * Resolves every distinct exercise name in a parsed export against the catalog.
+ * Resolved names default to `match`; everything else defaults to `create`.
+ */
+export function buildCsvImportPreview(parsed, exercises) {
+  const counts = new Map();
+  (parsed?.sessions ?? []).forEach((session) => {
+    session.exercises.forEach((exercise) => {
+      const current = counts.get(exercise.name) ?? { sessions: 0, sets: 0 };
+      current.sessions += 1;
+      current.sets += exercise.sets.length;
+      counts.set(exercise.name, current);
+    });
+  });
+
+  const names = Array.from(counts.keys()).sort((a, b) => a.localeCompare(b));
+  const entries = names.map((name) => {
+    const resolution = resolveExerciseId(name, { allExercises: exercises });
+    const resolved = resolution.status === "resolved";
+    return {
+      name,
+      normalizedName: normalizeExerciseString(name),
+      status: resolution.status,
+      exerciseId: resolved ? resolution.exerciseId : null,
+      matchedName: resolved ? resolution.name : null,
+      suggestions: resolved ? [] : resolution.suggestions,
+      action: resolved ? "match" : "create",
+      ...counts.get(name),
+    };
+  });
+
+  return {
+    format: parsed?.format ?? null,
+    sessionCount: parsed?.sessions?.length ?? 0,
+    setCount: entries.reduce((sum, entry) => sum + entry.sets, 0),
+    unmatchedCount: entries.filter((entry) => entry.status !== "resolved").length,
+    entries,
+  };
+}
+
+/**
+ * Set schema for an exercise created from imported sets: time-based when none of them
+ * logged reps, else null so the schema is inferred as usual.
+ */
+function inferImportedSetSchema(sets) {
+  const timed = sets.some((set) => set.durationSec != null || set.distance);
+  if (!timed || sets.some((set) => set.reps)) return null;
+  if (sets.some((set) => set.distance)) return "distance_duration";
+  return sets.some((set) => set.weight) ? "weight_duration" : "duration";
+}
+
+/**
+ * Writes a parsed export using the preview mappings.
+ * `mappings` is keyed by CSV exercise name: { action: "match" | "create" | "skip", exerciseId }.
+ * Sessions that start at the same instant as an existing session are skipped.
+ */
+export async function commitCsvImport(parsed, mappings = {}) {
+  const sessions = parsed?.sessions ?? [];
+  const exerciseIdByName = new Map();
+  const namesToCreate = new Set();
+  const created = [];
+
+  for (const [name, mapping] of Object.entries(mappings)) {
+    const action = mapping?.action ?? "skip";
+    if (!CSV_IMPORT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown mapping action "${action}" for ${name}.`);
+    }
+    if (action === "match") {
+      const exerciseId = Number(mapping.exerciseId);
+      const exists = Number.isFinite(exerciseId)
+        ? await db.table("exercises").get(exerciseId)
+        : null;
+      if (!exists) throw new Error(`Pick an exercise for "${name}".`);
+      exerciseIdByName.set(name, exerciseId);
+    } else if (action === "create") {
+      namesToCreate.add(name);
+    }
+  }
+
+  // New exercises are created with the first session that uses them, in the same
+  // transaction, so a failed import or one that skips every session adds none.
+  const getMappedExerciseId = async (name) => {
+    if (exerciseIdByName.has(name)) return exerciseIdByName.get(name);
+    const sets = sessions
+      .flatMap((session) => session.exercises)
+      .filter((exercise) => exercise.name === name)
+      .flatMap((exercise) => exercise.sets);
+    const exerciseId = await createCustomExercise({
+      name,
+      setSchema: inferImportedSetSchema(sets),
+    });
+    exerciseIdByName.set(name, exerciseId);
+    created.push({ name, exerciseId });
+    return exerciseId;
+  };
+  const isMapped = (name) => exerciseIdByName.has(name) || namesToCreate.has(name);
+
+  const summary = {
+    format: parsed?.format ?? null,
+    sessionsAdded: 0,
+    sessionsSkipped: 0,
+    setsAdded: 0,
+    exercisesCreated: 0,
+  };
+
+  await db.transaction(
+    "rw",
+    db.table("exercises"),
+    db.table("workoutSessions"),
+    db.table("workouts"),
+    db.table("workoutItems"),
+    db.table("workoutSets"),
+    async () => {
+      const existingStarts = new Set(
+        (await db.table("workoutSessions").toArray()).map((session) => session.startedAt)
+      );
+
+      for (const session of sessions) {
+        const mapped = session.exercises.filter((exercise) => isMapped(exercise.name));
+        if (!mapped.length || existingStarts.has(session.startedAt)) {
+          summary.sessionsSkipped += 1;
+          continue;
+        }
+
+        // Several CSV names can map to the same catalog exercise; keep one item per exercise.
+        const byExerciseId = new Map();
+        for (const exercise of mapped) {
+          const exerciseId = await getMappedExerciseId(exercise.name);
+          const current = byExerciseId.get(exerciseId) ?? { sets: [], notes: [] };
+          current.sets.push(...exercise.sets);
+          current.notes.push(exercise.note);
+          byExerciseId.set(exerciseId, current);
+        }
+
+        const exerciseNotes = {};
+        byExerciseId.forEach((entry, exerciseId) => {
+          const note = joinUnique(entry.notes);
+          if (note) exerciseNotes[exerciseId] = note;
+        });
+
+        const record = {
+          startedAt: session.startedAt,
+          finishedAt: session.finishedAt ?? session.startedAt,
+          templateId: null,
+          spaceId: null,
+          title: session.title ?? "",
+          importSource: parsed?.format ?? null,
+          sessionNote: session.sessionNote ?? "",
+          sessionReflection: "",
+          exerciseNotes,
+        };
+        const workoutId = await db.table("workoutSessions").add(record);
+        await db.table("workouts").put({ ...record, id: workoutId });
+        existingStarts.add(session.startedAt);
+
+        let sortOrder = 0;
+        for (const [exerciseId, entry] of byExerciseId) {
+          const workoutItemId = await db.table("workoutItems").add({
+            workoutId,
+            exerciseId,
+            sortOrder,
+            targetSets: entry.sets.length,
+            targetReps: null,
+            notes: "",
+          });
+          sortOrder += 1;
+          for (let i = 0; i < entry.sets.length; i += 1) {
+            const set = entry.sets[i];
+            await db.table("workoutSets").add({
+              workoutItemId,
+              setNumber: i + 1,
+              weight: set.weight,
+              reps: set.reps,
+              ...toSetTypePatch(set.setType),
+              rpe: normalizeRpe(set.rpe),
+              rir: null,
+              isComplete: true,
+              unit: normalizeWeightUnit(set.unit, parsed?.weightUnit),
+              durationSec: parseDuration(set.durationSec),
+              distance: set.distance ?? "",
+              distanceUnit: set.distanceUnit ? normalizeDistanceUnit(set.distanceUnit) : null,
+            });
+            summary.setsAdded += 1;
+          }
+        }
+        summary.sessionsAdded += 1;
+      }
+    }
+  );
+  summary.exercisesCreated = created.length;
+  // Imported sessions can land anywhere in history, so records are rebuilt.
+  if (summary.sessionsAdded) await rebuildPersonalRecords();
+
+  return { ...summary, created };
+}
@@ -0,0 +1,136 @@
+import { db } from "../db";
+import { toDateKey } from "../workouts/plannedWorkouts";
+import {
+  buildProgramSchedule,
+  normalizeProgramDays,
+  normalizeProgramWeeks,
+  normalizeProgression,
+  pickNextProgramPlan,
+  summarizeAdherence,
+} from "./progression";
+
+function toProgramRecord(input, now) {
+  const weeks = normalizeProgramWeeks(input?.weeks);
+  return {
+    name: String(input?.name ?? "").trim() || "New Program",
+    startDate: toDateKey(input?.startDate) ?? toDateKey(new Date()),
+    weeks,
+    days: normalizeProgramDays(input?.days),
+    progression: normalizeProgression(input?.progression, weeks),
+    updatedAt: now,
+  };
+}
+
+export async function listPrograms() {
+  return db.table("programs").orderBy("updatedAt").reverse().toArray();
+}
+
+export async function getProgramById(programId) {
+  return db.table("programs").get(programId);
+}
+
+export async function getActiveProgram() {
+  return (await db.table("programs").filter((program) => Boolean(program.isActive)).first()) ?? null;
+}
+
+export async function createProgram(input) {
+  const now = Date.now();
+  const record = toProgramRecord(input, now);
+  if (record.days.length === 0) throw new Error("Add at least one training day.");
+  return db.table("programs").add({ ...record, isActive: false, createdAt: now });
+}
+
+/**
+ * Saves program changes and regenerates the plans that have not been started yet.
+ */
+export async function updateProgram(programId, input) {
+  const existing = await getProgramById(programId);
+  if (!existing) throw new Error("Program not found.");
+  const record = toProgramRecord({ ...existing, ...input }, Date.now());
+  if (record.days.length === 0) throw new Error("Add at least one training day.");
+  await db.table("programs").update(programId, record);
+  if (existing.isActive) await generateProgramPlans(programId);
+}
+
+/**
+ * Only one program is active at a time. Activating one schedules its plans; the
+ * program it replaces (or a paused one, with `null`) drops its open plans.
+ */
+export async function setActiveProgram(programId) {
+  const now = Date.now();
+  await db.transaction("rw", db.table("programs"), db.table("plannedWorkouts"), async () => {
+    const previous = await db
+      .table("programs")
+      .filter((program) => Boolean(program.isActive) && program.id !== programId)
+      .toArray();
+    for (const program of previous) {
+      await db.table("programs").update(program.id, { isActive: false, updatedAt: now });
+      await clearOpenProgramPlans(program.id);
+    }
+    if (programId != null) {
+      await db.table("programs").update(programId, { isActive: true, updatedAt: now });
+    }
+  });
+  if (programId != null) await generateProgramPlans(programId);
+}
+
+export async function deleteProgram(programId) {
+  return db.transaction("rw", db.table("programs"), db.table("plannedWorkouts"), async () => {
+    await clearOpenProgramPlans(programId);
+    await db.table("programs").delete(programId);
+  });
+}
+
+export async function listProgramPlans(programId) {
+  return db.table("plannedWorkouts").where({ programId }).toArray();
+}
+
+// Plans that were started or finished are history and stay put.
+async function clearOpenProgramPlans(programId) {
+  await db
+    .table("plannedWorkouts")
+    .where({ programId })
+    .filter((plan) => !plan.fulfilledAt && plan.workoutId == null)
+    .delete();
+}
+
+/**
+ * Writes one planned workout per program day. Existing open plans are replaced;
+ * days already started or finished are kept and not scheduled twice.
+ */
+export async function generateProgramPlans(programId) {
+  const program = await getProgramById(programId);
+  if (!program) throw new Error("Program not found.");
+  const schedule = buildProgramSchedule(program);
+  const now = Date.now();
+
+  return db.transaction("rw", db.table("plannedWorkouts"), async () => {
+    await clearOpenProgramPlans(programId);
+    const kept = await listProgramPlans(programId);
+    const keptDays = new Set(kept.map((plan) => `${plan.programWeek}:${plan.programDay}`));
+    const additions = schedule
+      .filter((entry) => !keptDays.has(`${entry.programWeek}:${entry.programDay}`))
+      .map((entry) => ({
+        ...entry,
+        exercises: null,
+        programId,
+        source: "program",
+        createdAt: now,
+        updatedAt: now,
+      }));
+    if (additions.length) await db.table("plannedWorkouts").bulkAdd(additions);
+    return additions.length;
+  });
+}
+
+/** The next program day to train, or null when the active program is done. */
+export async function getNextProgramPlan(programId = null) {
+  const program = programId != null ? await getProgramById(programId) : await getActiveProgram();
+  if (!program) return null;
+  const plan = pickNextProgramPlan(await listProgramPlans(program.id));
+  return plan ? { program, plan } : null;
+}
+
+export async function getProgramAdherence(programId, todayKey = toDateKey(new Date())) {
+  return summarizeAdherence(await listProgramPlans(programId), todayKey);
+}
@@ -0,0 +1,164 @@
+import { addDays, getPlannedWorkoutStatus, toDateKey } from "../workouts/plannedWorkouts";
+
+export const MAX_PROGRAM_WEEKS = 26;
+export const DEFAULT_LOAD_PERCENT = 100;
+
+function parsePositiveInt(value) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function parseLoadPercent(value) {
+  const parsed = Number.parseFloat(String(value ?? ""));
+  if (!Number.isFinite(parsed) || parsed <= 0 || parsed > 200) return null;
+  return Math.round(parsed * 10) / 10;
+}
+
+export function normalizeProgramWeeks(value) {
+  return Math.min(parsePositiveInt(value) ?? 1, MAX_PROGRAM_WEEKS);
+}
+
+/**
+ * Program days in week order. `dayOffset` is 0 (Monday) to 6 (Sunday).
+ */
+export function normalizeProgramDays(days) {
+  return (Array.isArray(days) ? days : [])
+    .filter((day) => day && day.templateId != null)
+    .map((day) => ({
+      templateId: day.templateId,
+      dayOffset: Math.min(Math.max(Number.parseInt(day.dayOffset, 10) || 0, 0), 6),
+      label: String(day.label ?? "").trim(),
+    }))
+    .sort((a, b) => a.dayOffset - b.dayOffset);
+}
+
+/**
+ * One rule per week: `loadPercent` scales the planned load, `sets` / `reps` override the
+ * template targets when set, and `deload` marks a lighter week.
+ */
+export function normalizeProgression(progression, weeks) {
+  const byWeek = new Map(
+    (Array.isArray(progression) ? progression : [])
+      .filter(Boolean)
+      .map((rule) => [parsePositiveInt(rule.week), rule])
+  );
+  return Array.from({ length: normalizeProgramWeeks(weeks) }, (_, index) => {
+    const week = index + 1;
+    const rule = byWeek.get(week) ?? {};
+    return {
+      week,
+      loadPercent: parseLoadPercent(rule.loadPercent) ?? DEFAULT_LOAD_PERCENT,
+      sets: parsePositiveInt(rule.sets),
+      reps: parsePositiveInt(rule.reps),
+      deload: Boolean(rule.deload),
+    };
+  });
+}
+
+export function getWeekRule(program, week) {
+  const rules = normalizeProgression(program?.progression, program?.weeks);
+  return rules.find((rule) => rule.week === week) ?? null;
+}
+
+/**
+ * Applies a week's prescription to workout item entries. Deload weeks without an
+ * explicit set count halve the sets (rounded up).
+ */
+export function applyPrescription(entries, prescription) {
+  if (!prescription) return entries;
+  const { sets, reps, deload, loadPercent } = prescription;
+  return entries.map((entry) => {
+    const next = { ...entry };
+    if (sets != null) {
+      next.targetSets = sets;
+    } else if (deload && entry.targetSets != null) {
+      next.targetSets = Math.max(1, Math.ceil(entry.targetSets / 2));
+    }
+    if (reps != null) next.targetReps = reps;
+    if (loadPercent != null && loadPercent !== DEFAULT_LOAD_PERCENT) {
+      next.targetLoadPercent = loadPercent;
+    }
+    return next;
+  });
+}
+
+/**
+ * Every session the program asks for, in order: one entry per week and program day.
+ */
+export function buildProgramSchedule(program) {
+  const startDate = toDateKey(program?.startDate);
+  if (!startDate) return [];
+  const days = normalizeProgramDays(program.days);
+  const rules = normalizeProgression(program.progression, program.weeks);
+  const schedule = [];
+  rules.forEach((rule) => {
+    days.forEach((day, index) => {
+      schedule.push({
+        date: addDays(startDate, (rule.week - 1) * 7 + day.dayOffset),
+        templateId: day.templateId,
+        programWeek: rule.week,
+        programDay: index + 1,
+        prescription: {
+          loadPercent: rule.loadPercent,
+          sets: rule.sets,
+          reps: rule.reps,
+          deload: rule.deload,
+        },
+      });
+    });
+  });
+  return schedule;
+}
+
+function compareProgramPlans(a, b) {
+  return (
+    (a.programWeek ?? 0) - (b.programWeek ?? 0) ||
+    (a.programDay ?? 0) - (b.programDay ?? 0) ||
+    String(a.date ?? "").localeCompare(String(b.date ?? ""))
+  );
+}
+
+/** The first program day that has not been started or finished yet. */
+export function pickNextProgramPlan(plans) {
+  const open = (plans ?? []).filter((plan) => !plan.fulfilledAt && plan.workoutId == null);
+  return open.sort(compareProgramPlans)[0] ?? null;
+}
+
+/**
+ * Completed vs. missed program days up to today, plus a per-week breakdown.
+ * `adherencePercent` only counts days that are due, so future weeks do not lower it.
+ */
+export function summarizeAdherence(plans, todayKey = toDateKey(new Date())) {
+  const counts = { planned: 0, completed: 0, missed: 0, inProgress: 0, upcoming: 0 };
+  const weeks = new Map();
+  (plans ?? []).forEach((plan) => {
+    const status = getPlannedWorkoutStatus(plan, todayKey);
+    counts.planned += 1;
+    const week = weeks.get(plan.programWeek) ?? {
+      week: plan.programWeek ?? null,
+      deload: Boolean(plan.prescription?.deload),
+      planned: 0,
+      completed: 0,
+      missed: 0,
+    };
+    week.planned += 1;
+    if (status === "fulfilled") {
+      counts.completed += 1;
+      week.completed += 1;
+    } else if (status === "missed") {
+      counts.missed += 1;
+      week.missed += 1;
+    } else if (status === "started") {
+      counts.inProgress += 1;
+    } else {
+      counts.upcoming += 1;
+    }
+    weeks.set(plan.programWeek, week);
+  });
+  const due = counts.completed + counts.missed;
+  return {
+    ...counts,
+    adherencePercent: due ? Math.round((counts.completed / due) * 100) : null,
+    weeks: Array.from(weeks.values()).sort((a, b) => (a.week ?? 0) - (b.week ?? 0)),
+  };
+}
@@ -0,0 +1,48 @@
+// Registers the build-generated service worker (see scripts/lib/vite-pwa-plugin.mjs).
+// Dev and test builds never register one, so stale caches can't mask local edits.
+
+let registered = false;
+
+/**
+ * Registers `sw.js` in production builds. `onUpdate(applyUpdate)` fires when a new version
+ * has been downloaded and is waiting; calling `applyUpdate()` activates it and reloads.
+ * Safe to call more than once; only the first call registers.
+ */
+export function registerServiceWorker({ onUpdate } = {}) {
+  if (registered || !import.meta.env.PROD || import.meta.env.MODE === "test") return;
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  registered = true;
+
+  let updateRequested = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    // The first install also claims the page; only reload for an accepted update.
+    if (!updateRequested) return;
+    updateRequested = false;
+    window.location.reload();
+  });
+
+  const notify = (worker) => {
+    // Without a controller this is the first install, not an update.
+    if (!navigator.serviceWorker.controller) return;
+    onUpdate?.(() => {
+      updateRequested = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+  };
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (registration.waiting) notify(registration.waiting);
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed") notify(worker);
+        });
+      });
+    })
+    .catch((err) => {
+      console.warn("Service worker registration failed", err);
+    });
+}
@@ -0,0 +1,57 @@
+// Service worker source. The build plugin in scripts/lib/vite-pwa-plugin.mjs replaces the
+// two placeholders below with the hashed asset list and a version, then emits it as sw.js.
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = `ironai-precache-${self.__PRECACHE_VERSION}`;
+const APP_SHELL_URL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  // Stay in the waiting state so the page can offer the update instead of swapping
+  // assets underneath an in-progress workout.
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("ironai-precache-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cached = await caches.match(APP_SHELL_URL);
+    return cached ?? Response.error();
+  }
+}
+
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  return cached ?? fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  // The coach API and other origins always go to the network.
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+  event.respondWith(handleAsset(request));
+});
@@ -32,6 +32,7 @@ async function parseError(response) {
   );
 }
 
+// `/api/coach` errors carry a `code` (see api/_coachErrors.js); rate limits add `retryAfter`.
 async function parseCoachError(response) {
   let errorBody = null;
   try {
@@ -39,19 +40,27 @@ async function parseCoachError(response) {
   } catch {
     errorBody = null;
   }
-  throw createStatusError(
+  const error = createStatusError(
     errorBody?.error?.message || "Coach request failed.",
     response.status,
     errorBody?.error?.code ?? null
   );
+  const retryAfter = Number(
+    errorBody?.error?.retryAfter ?? response.headers?.get?.("Retry-After")
+  );
+  if (Number.isFinite(retryAfter) && retryAfter > 0) error.retryAfter = retryAfter;
+  throw error;
 }
 
-async function requestCoachServer(payload, signal) {
+async function postCoachServer(payload, signal, accessToken) {
+  const headers = {
+    "Content-Type": "application/json",
+  };
+  const token = String(accessToken ?? "").trim();
+  if (token) headers.Authorization = `Bearer ${token}`;
   const response = await fetch(COACH_API_URL, {
     method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
+    headers,
     body: JSON.stringify(payload),
     signal,
   });
@@ -60,6 +69,11 @@ async function requestCoachServer(payload, signal) {
     await parseCoachError(response);
   }
 
+  return response;
+}
+
+async function requestCoachServer(payload, signal, accessToken) {
+  const response = await postCoachServer(payload, signal, accessToken);
   return response.json();
 }
 
@@ -84,60 +98,13 @@ function mergeToolCallDelta(toolCalls, deltaCalls) {
   });
 }
 
-export async function streamChatCompletion({
-  apiKey,
-  useServerKey = false,
-  model = DEFAULT_COACH_MODEL,
-  messages,
-  tools,
-  onDelta,
-  onStart,
-  onEnd,
-  signal,
-}) {
-  if (useServerKey) {
-    const result = await requestCoachServer(
-      {
-        action: "streamChatCompletion",
-        model,
-        messages,
-        tools,
-      },
-      signal
-    );
-    const content = String(result?.content ?? "").trim();
-    const toolCalls = Array.isArray(result?.toolCalls) ? result.toolCalls : [];
-
-    if (content && !toolCalls.length) {
-      onStart?.();
-      onDelta?.(content);
-      onEnd?.();
-    }
-
-    return { content, toolCalls };
-  }
-
-  const resolvedApiKey = requireApiKey(apiKey);
-  const response = await fetch(OPENAI_CHAT_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${resolvedApiKey}`,
-    },
-    body: JSON.stringify({
-      model,
-      messages,
-      tools,
-      stream: true,
-      temperature: 0.2,
-    }),
-    signal,
-  });
-
-  if (!response.ok) {
-    await parseError(response);
-  }
-
+/**
+ * Reads an OpenAI-style SSE stream (`data: {choices: [{delta}]}` lines ending in
+ * `[DONE]`). Used for BYOK requests and for the `/api/coach` relay, which re-emits every
+ * provider in this shape. Content after the first tool call is not surfaced; the last
+ * `usage` chunk and the model that answered are returned when the stream includes them.
+ */
+async function readChatCompletionStream(response, { onDelta, onStart, onEnd }) {
   const reader = response.body?.getReader();
   if (!reader) {
     const error = new Error("Streaming not supported.");
@@ -151,6 +118,8 @@ export async function streamChatCompletion({
   const toolCalls = [];
   let sawToolCalls = false;
   let started = false;
+  let usage = null;
+  let model = null;
 
   let doneStreaming = false;
   while (true) {
@@ -178,6 +147,17 @@ export async function streamChatCompletion({
         continue;
       }
 
+      if (payload?.error) {
+        throw createStatusError(
+          payload.error.message || "Coach stream failed.",
+          502,
+          payload.error.code ?? null
+        );
+      }
+
+      if (payload?.usage) usage = payload.usage;
+      if (payload?.model) model = payload.model;
+
       const delta = payload?.choices?.[0]?.delta;
       if (!delta) continue;
 
@@ -202,12 +182,80 @@ export async function streamChatCompletion({
     onEnd?.();
   }
 
-  return { content: content.trim(), toolCalls };
+  return { content: content.trim(), toolCalls, usage, model };
+}
+
+export async function streamChatCompletion({
+  apiKey,
+  useServerKey = false,
+  accessToken = "",
+  model = DEFAULT_COACH_MODEL,
+  messages,
+  tools,
+  onDelta,
+  onStart,
+  onEnd,
+  signal,
+}) {
+  if (useServerKey) {
+    const response = await postCoachServer(
+      {
+        action: "streamChatCompletion",
+        stream: true,
+        model,
+        messages,
+        tools,
+      },
+      signal,
+      accessToken
+    );
+    if (String(response.headers?.get("Content-Type") ?? "").includes("text/event-stream")) {
+      return readChatCompletionStream(response, { onDelta, onStart, onEnd });
+    }
+
+    // Older servers answer with the whole reply as JSON.
+    const result = await response.json();
+    const content = String(result?.content ?? "").trim();
+    const toolCalls = Array.isArray(result?.toolCalls) ? result.toolCalls : [];
+
+    if (content && !toolCalls.length) {
+      onStart?.();
+      onDelta?.(content);
+      onEnd?.();
+    }
+
+    return { content, toolCalls, usage: result?.usage ?? null, model: result?.model ?? null };
+  }
+
+  const resolvedApiKey = requireApiKey(apiKey);
+  const response = await fetch(OPENAI_CHAT_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${resolvedApiKey}`,
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      tools,
+      stream: true,
+      stream_options: { include_usage: true },
+      temperature: 0.2,
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    await parseError(response);
+  }
+
+  return readChatCompletionStream(response, { onDelta, onStart, onEnd });
 }
 
 export async function createChatCompletion({
   apiKey,
   useServerKey = false,
+  accessToken = "",
   model = DEFAULT_COACH_MODEL,
   messages,
   responseFormat,
@@ -223,7 +271,8 @@ export async function createChatCompletion({
         responseFormat,
         temperature,
       },
-      signal
+      signal,
+      accessToken
     );
   }
 
@@ -3,6 +3,7 @@ import { useLiveQuery } from "dexie-react-hooks";
 
 import { db } from "../db";
 import { testOpenAIKey as testOpenAIKeyRequest } from "../services/openai";
+import { normalizeWeightUnit } from "../utils/units";
 
 const SETTINGS_ID = 1;
 const COACH_MEMORY_ENABLED_KEY = "ironai.coachMemoryEnabled";
@@ -100,6 +101,17 @@ export async function updateSettings(patch) {
   await db.settings.put({ ...(current ?? {}), id: SETTINGS_ID, ...(patch ?? {}) });
 }
 
+export async function getWeightUnit() {
+  const settings = await getSettings();
+  return normalizeWeightUnit(settings?.weight_unit);
+}
+
+export async function setWeightUnit(nextValue) {
+  const value = normalizeWeightUnit(nextValue);
+  await updateSettings({ weight_unit: value });
+  return value;
+}
+
 export async function getCoachMemoryEnabled() {
   const settings = await getSettings();
   if (typeof settings?.coach_memory_enabled === "boolean") {
@@ -198,7 +210,8 @@ function normalizeCoachHistoryMessage(raw) {
   return normalized;
 }
 
-function normalizeCoachChatState(raw) {
+/** Normalizes and caps a chat's `{ messages, chatHistory }`; also used for coach threads. */
+export function normalizeCoachChatState(raw) {
   const state = raw && typeof raw === "object" ? raw : {};
   const messages = Array.isArray(state.messages)
     ? state.messages
@@ -220,6 +233,7 @@ function normalizeCoachChatState(raw) {
   };
 }
 
+// The single pre-thread chat. `src/coach/threads.js` moves it into a thread on first load.
 export async function getCoachChatState() {
   const settings = await getSettings();
   return normalizeCoachChatState(settings?.coach_chat_state);
@@ -254,6 +268,16 @@ export async function clearOpenAIKey() {
   });
 }
 
+/** Bearer token sent to /api/coach in server mode; stays on this device like the key. */
+export async function setCoachAccessToken(nextToken) {
+  await updateSettings({ coach_access_token: String(nextToken ?? "").trim() });
+}
+
+/** Diagnostics switch: when on, each coach turn is saved as a replayable transcript. */
+export async function setCoachTranscriptRecording(nextValue) {
+  await updateSettings({ coach_record_transcripts: Boolean(nextValue) });
+}
+
 export async function setOpenAIKeyStatus(status) {
   if (!status) return;
   await updateSettings({
@@ -328,11 +352,14 @@ export function useSettings() {
     hasKey,
     keyStatus,
     maskedOpenAIKey: maskOpenAIKey(apiKey),
+    coachAccessToken: String(settings?.coach_access_token ?? "").trim(),
     coachMemoryEnabled: Boolean(settings?.coach_memory_enabled),
+    coachRecordTranscripts: Boolean(settings?.coach_record_transcripts),
     coachContextEnabled:
       typeof settings?.coach_context_enabled === "boolean"
         ? settings.coach_context_enabled
         : true,
+    weightUnit: normalizeWeightUnit(settings?.weight_unit),
   };
 }
 
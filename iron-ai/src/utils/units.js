@@ -0,0 +1,50 @@
+export const WEIGHT_UNITS = ["kg", "lb"];
+export const DEFAULT_WEIGHT_UNIT = "kg";
+
+const LB_PER_KG = 2.20462262185;
+
+export function normalizeWeightUnit(value, fallback = DEFAULT_WEIGHT_UNIT) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (text === "kg" || text === "kgs") return "kg";
+  if (text === "lb" || text === "lbs") return "lb";
+  return fallback;
+}
+
+export function getWeightUnitLabel(unit) {
+  return normalizeWeightUnit(unit) === "lb" ? "Lb" : "Kg";
+}
+
+/**
+ * Converts a weight between kg and lb. Accepts numbers or the raw strings stored
+ * on workout sets; returns null when the value is empty or not numeric.
+ */
+export function convertWeight(value, fromUnit, toUnit) {
+  if (value == null || value === "") return null;
+  const parsed = Number.parseFloat(String(value));
+  if (Number.isNaN(parsed)) return null;
+  const from = normalizeWeightUnit(fromUnit);
+  const to = normalizeWeightUnit(toUnit);
+  if (from === to) return parsed;
+  return from === "kg" ? parsed * LB_PER_KG : parsed / LB_PER_KG;
+}
+
+/**
+ * Reads a set's weight in the requested unit. Sets without a recorded unit are
+ * assumed to already be in that unit.
+ */
+export function getSetWeightIn(set, unit) {
+  return convertWeight(set?.weight, set?.unit ?? unit, unit);
+}
+
+export function roundWeight(value, decimals = 1) {
+  if (value == null || Number.isNaN(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export function formatWeight(value, unit, { decimals = 1, withUnit = true } = {}) {
+  const rounded = roundWeight(value, decimals);
+  if (rounded == null) return "—";
+  const label = String(rounded);
+  return withUnit ? `${label} ${normalizeWeightUnit(unit)}` : label;
+}
@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from "react";
+
+const subscribe = (callback) => {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+};
+
+const getSnapshot = () => navigator.onLine;
+
+// Assume online when rendering without a browser.
+const getServerSnapshot = () => true;
+
+/** Tracks `navigator.onLine`; false means requests to `/api/coach` cannot go out. */
+export default function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+}
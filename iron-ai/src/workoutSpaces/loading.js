@@ -0,0 +1,234 @@
+import { inferExerciseEquipment } from "../equipment/inference";
+import { DEFAULT_INCREMENTS } from "../workouts/overload";
+import { convertWeight, normalizeWeightUnit, roundWeight } from "../utils/units";
+
+// What can actually be loaded at a workout space. A space's `loadout` is
+// `{ unit, barWeights, plates: [{ weight, pairs }], dumbbells: { min, max, step }, stackStep }`
+// in its own unit; a space without one uses the defaults for the user's weight unit.
+// Weights are snapped to the nearest loadable value: bar plus matching plates per side,
+// the dumbbell rack, or the machine stack.
+export const LOADING_KINDS = ["barbell", "dumbbell", "machine"];
+
+export const DEFAULT_LOADOUTS = {
+  kg: {
+    unit: "kg",
+    barWeights: [20],
+    plates: [
+      { weight: 25, pairs: 4 },
+      { weight: 20, pairs: 4 },
+      { weight: 15, pairs: 2 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+      { weight: 1.25, pairs: 2 },
+    ],
+    dumbbells: { min: 2.5, max: 50, step: 2.5 },
+    stackStep: 5,
+  },
+  lb: {
+    unit: "lb",
+    barWeights: [45],
+    plates: [
+      { weight: 45, pairs: 4 },
+      { weight: 35, pairs: 2 },
+      { weight: 25, pairs: 2 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+    ],
+    dumbbells: { min: 5, max: 120, step: 5 },
+    stackStep: 10,
+  },
+};
+
+// More pairs than this of one plate never fit on a sleeve.
+const MAX_PLATE_PAIRS = 10;
+// Plate sums are compared in hundredths so 1.25 + 2.5 does not drift.
+const SCALE = 100;
+
+const BARBELL_EQUIPMENT = ["barbell", "ez_bar", "trap_bar"];
+const STACK_EQUIPMENT = [
+  "cable_machine",
+  "lat_pulldown_machine",
+  "leg_extension_machine",
+  "leg_curl_machine",
+];
+
+function toPositiveNumber(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number.parseFloat(String(value));
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+export function getDefaultLoadout(unit) {
+  const preset = DEFAULT_LOADOUTS[normalizeWeightUnit(unit)];
+  return {
+    ...preset,
+    barWeights: [...preset.barWeights],
+    plates: preset.plates.map((plate) => ({ ...plate })),
+    dumbbells: { ...preset.dumbbells },
+  };
+}
+
+/**
+ * Cleans a stored or edited loadout: positive bar weights (first is the usual bar),
+ * plates merged by weight and sorted heaviest first, and dumbbell / stack steps that fall
+ * back to the unit's defaults. Returns null for a missing loadout.
+ */
+export function normalizeLoadout(input) {
+  if (!input || typeof input !== "object") return null;
+  const unit = normalizeWeightUnit(input.unit);
+  const defaults = DEFAULT_LOADOUTS[unit];
+
+  const barWeights = Array.from(
+    new Set((Array.isArray(input.barWeights) ? input.barWeights : []).map(toPositiveNumber))
+  ).filter((weight) => weight != null);
+
+  const pairsByWeight = new Map();
+  (Array.isArray(input.plates) ? input.plates : []).forEach((plate) => {
+    const weight = toPositiveNumber(plate?.weight);
+    const pairs = Math.round(toPositiveNumber(plate?.pairs) ?? 0);
+    if (weight == null || pairs <= 0) return;
+    const total = (pairsByWeight.get(weight) ?? 0) + pairs;
+    pairsByWeight.set(weight, Math.min(total, MAX_PLATE_PAIRS));
+  });
+  const plates = Array.from(pairsByWeight, ([weight, pairs]) => ({ weight, pairs })).sort(
+    (a, b) => b.weight - a.weight
+  );
+
+  const dumbbellStep = toPositiveNumber(input.dumbbells?.step) ?? defaults.dumbbells.step;
+  const dumbbellMin = toPositiveNumber(input.dumbbells?.min) ?? dumbbellStep;
+  const dumbbellMax = toPositiveNumber(input.dumbbells?.max) ?? defaults.dumbbells.max;
+
+  return {
+    unit,
+    barWeights: barWeights.length ? barWeights : [...defaults.barWeights],
+    plates,
+    dumbbells: {
+      min: Math.min(dumbbellMin, dumbbellMax),
+      max: Math.max(dumbbellMin, dumbbellMax),
+      step: dumbbellStep,
+    },
+    stackStep: toPositiveNumber(input.stackStep) ?? defaults.stackStep,
+  };
+}
+
+/** The space's loadout, or the defaults for `unit` when it has none. */
+export function resolveLoadout(space, unit) {
+  return normalizeLoadout(space?.loadout) ?? getDefaultLoadout(unit);
+}
+
+/** `barbell`, `dumbbell` or `machine` (a pin-loaded stack) from an exercise's equipment. */
+export function getLoadingKind(exercise) {
+  if (!exercise) return null;
+  const listed = Array.isArray(exercise.equipment) ? exercise.equipment.filter(Boolean) : [];
+  const required = Array.isArray(exercise.requiredEquipmentIds)
+    ? exercise.requiredEquipmentIds
+    : [];
+  const ids = listed.length
+    ? listed
+    : required.length
+      ? required
+      : inferExerciseEquipment(exercise).requiredEquipmentIds;
+  if (ids.some((id) => BARBELL_EQUIPMENT.includes(id))) return "barbell";
+  if (ids.includes("dumbbell")) return "dumbbell";
+  if (ids.some((id) => STACK_EQUIPMENT.includes(id))) return "machine";
+  return null;
+}
+
+const countPlates = (counts) => counts.reduce((total, count) => total + count, 0);
+
+/**
+ * Every per-side plate total the inventory can make, keyed in hundredths, with the
+ * fewest-plates way to make it as counts aligned with `plates`.
+ */
+function getPerSideCombinations(plates) {
+  const combinations = new Map([[0, plates.map(() => 0)]]);
+  plates.forEach((plate, index) => {
+    const step = Math.round(plate.weight * SCALE);
+    Array.from(combinations).forEach(([sum, counts]) => {
+      for (let count = 1; count <= plate.pairs; count++) {
+        const next = sum + step * count;
+        const candidate = counts.map((value, i) => (i === index ? count : value));
+        const existing = combinations.get(next);
+        if (!existing || countPlates(candidate) < countPlates(existing)) {
+          combinations.set(next, candidate);
+        }
+      }
+    });
+  });
+  return combinations;
+}
+
+function pickNearest(values, target) {
+  let best = null;
+  values.forEach((value) => {
+    const distance = Math.abs(value - target);
+    // Ties go to the lighter load.
+    if (
+      best == null ||
+      distance < Math.abs(best - target) - 1e-9 ||
+      (Math.abs(distance - Math.abs(best - target)) <= 1e-9 && value < best)
+    ) {
+      best = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Plates per side for `target` on a bar (both in the loadout's unit): the closest total
+ * the inventory can make. Returns `{ barWeight, perSide: [{ weight, count }], total,
+ * remainder }`, where `remainder` is `target − total`.
+ */
+export function calculatePlates(target, loadout, { barWeight } = {}) {
+  const safeLoadout = normalizeLoadout(loadout) ?? getDefaultLoadout(loadout?.unit);
+  const bar = toPositiveNumber(barWeight) ?? safeLoadout.barWeights[0];
+  const goal = toPositiveNumber(target) ?? bar;
+  const combinations = getPerSideCombinations(safeLoadout.plates);
+  const perSideGoal = Math.max(0, ((goal - bar) / 2) * SCALE);
+  const sum = pickNearest(Array.from(combinations.keys()), perSideGoal);
+  const counts = combinations.get(sum);
+  const total = roundWeight(bar + (sum * 2) / SCALE, 2);
+  return {
+    barWeight: bar,
+    perSide: safeLoadout.plates
+      .map((plate, index) => ({ weight: plate.weight, count: counts[index] }))
+      .filter((plate) => plate.count > 0),
+    total,
+    remainder: roundWeight(goal - total, 2),
+  };
+}
+
+function snapToStep(value, step, min = step, max = Infinity) {
+  const clamped = Math.min(Math.max(value, min), max);
+  const snapped = min + Math.round((clamped - min) / step) * step;
+  return roundWeight(Math.min(snapped, max), 2);
+}
+
+/**
+ * Rounds `weight` (in `unit`) to the nearest load available at the space for a `kind` of
+ * exercise. Exercises without a kind snap to the default 2.5 kg / 5 lb increment.
+ */
+export function roundToLoadable(weight, { kind = null, loadout = null, unit } = {}) {
+  const value = toPositiveNumber(weight);
+  if (value == null) return null;
+  const safeUnit = normalizeWeightUnit(unit);
+  if (!LOADING_KINDS.includes(kind)) {
+    const increment = DEFAULT_INCREMENTS[safeUnit];
+    return roundWeight(Math.round(value / increment) * increment, 2);
+  }
+
+  const safeLoadout = normalizeLoadout(loadout) ?? getDefaultLoadout(safeUnit);
+  const local = convertWeight(value, safeUnit, safeLoadout.unit);
+  let rounded;
+  if (kind === "barbell") {
+    rounded = calculatePlates(local, safeLoadout).total;
+  } else if (kind === "dumbbell") {
+    const { min, max, step } = safeLoadout.dumbbells;
+    rounded = snapToStep(local, step, min, max);
+  } else {
+    rounded = snapToStep(local, safeLoadout.stackStep);
+  }
+  return roundWeight(convertWeight(rounded, safeLoadout.unit, safeUnit), 2);
+}
@@ -0,0 +1,249 @@
+import { convertWeight, formatWeight, getSetWeightIn, roundWeight } from "../utils/units";
+import { DEFAULT_LOAD_PERCENT } from "../programs/progression";
+import { estimateOneRepMax } from "./personalRecords";
+import { countsTowardBestSet, getRepsInReserve, normalizeRpe } from "./setTypes";
+
+export const OVERLOAD_RULES = ["double", "linear", "rpe", "off"];
+export const DEFAULT_OVERLOAD_RULE = "double";
+
+export const OVERLOAD_RULE_LABELS = {
+  double: "Double progression",
+  linear: "Linear",
+  rpe: "RPE-based",
+  off: "Off",
+};
+
+// How many finished sessions per exercise the engine looks at.
+export const OVERLOAD_LOOKBACK = 3;
+export const DEFAULT_INCREMENTS = { kg: 2.5, lb: 5 };
+export const DEFAULT_TARGET_RPE = 8;
+// Linear progression deloads after this many sessions in a row below the target reps.
+export const LINEAR_STALL_LIMIT = 2;
+export const LINEAR_DELOAD_FACTOR = 0.9;
+
+function parsePositiveInt(value) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function parsePositiveNumber(value) {
+  const parsed = Number.parseFloat(String(value ?? ""));
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Per template item progression settings. The rep range defaults to the item's target
+ * reps plus two; `increment` is in `incrementUnit` and falls back to 2.5 kg / 5 lb.
+ */
+export function normalizeOverloadConfig(config, targetReps = null) {
+  const rule = OVERLOAD_RULES.includes(config?.rule) ? config.rule : DEFAULT_OVERLOAD_RULE;
+  const repMin = parsePositiveInt(config?.repMin) ?? parsePositiveInt(targetReps) ?? 8;
+  const repMax = Math.max(repMin, parsePositiveInt(config?.repMax) ?? repMin + 2);
+  return {
+    rule,
+    repMin,
+    repMax,
+    increment: parsePositiveNumber(config?.increment),
+    incrementUnit: config?.incrementUnit ?? null,
+    targetRpe: normalizeRpe(config?.targetRpe) ?? DEFAULT_TARGET_RPE,
+  };
+}
+
+function getIncrement(config, unit) {
+  if (config.increment == null) return DEFAULT_INCREMENTS[unit] ?? DEFAULT_INCREMENTS.kg;
+  return convertWeight(config.increment, config.incrementUnit ?? unit, unit);
+}
+
+// Computed loads (deloads, RPE targets) snap to the increment so they can be loaded.
+function roundToIncrement(value, increment) {
+  return roundWeight(Math.round(value / increment) * increment, 2);
+}
+
+function getSessionLoadPercent(session) {
+  return parsePositiveNumber(session?.loadPercent) ?? DEFAULT_LOAD_PERCENT;
+}
+
+/**
+ * Working sets of one past session in `unit`, plus the sets done at its top weight.
+ * `scale` turns a program week's lighter or heavier loads back into full-week weights.
+ * Returns null when nothing usable was logged.
+ */
+function summarizeSession(session, unit, scale = 1) {
+  const sets = (session?.sets ?? [])
+    .filter(countsTowardBestSet)
+    .map((set) => {
+      const weight = getSetWeightIn(set, unit);
+      return {
+        weight: weight == null ? null : roundWeight(weight * scale, 2),
+        reps: Number.parseInt(String(set.reps ?? ""), 10),
+        rir: getRepsInReserve(set),
+      };
+    })
+    .filter((set) => set.weight != null && set.weight > 0 && set.reps > 0);
+  if (!sets.length) return null;
+  const topWeight = Math.max(...sets.map((set) => set.weight));
+  const topSets = sets.filter((set) => Math.abs(set.weight - topWeight) < 0.01);
+  return {
+    sets,
+    topWeight,
+    topSets,
+    minTopReps: Math.min(...topSets.map((set) => set.reps)),
+  };
+}
+
+function suggestDouble(sessions, config, unit) {
+  const [last] = sessions;
+  const { repMin, repMax } = config;
+  const increment = getIncrement(config, unit);
+  const top = formatWeight(last.topWeight, unit);
+  if (last.minTopReps >= repMax) {
+    return {
+      weight: roundWeight(last.topWeight + increment, 2),
+      reps: repMin,
+      reason: `Every set at ${top} reached ${repMax} reps last time, so add ${formatWeight(
+        increment,
+        unit
+      )} and restart at ${repMin} reps.`,
+    };
+  }
+  return {
+    weight: last.topWeight,
+    reps: Math.min(Math.max(last.minTopReps + 1, repMin), repMax),
+    reason: `Lowest set at ${top} was ${last.minTopReps} reps last time. Stay at this weight and add a rep until every set reaches ${repMax}.`,
+  };
+}
+
+function suggestLinear(sessions, config, targetReps, unit) {
+  const [last] = sessions;
+  const reps = parsePositiveInt(targetReps) ?? config.repMin;
+  const increment = getIncrement(config, unit);
+  const top = formatWeight(last.topWeight, unit);
+  if (last.minTopReps >= reps) {
+    return {
+      weight: roundWeight(last.topWeight + increment, 2),
+      reps,
+      reason: `Hit ${reps} reps on every set at ${top} last time, so add ${formatWeight(
+        increment,
+        unit
+      )}.`,
+    };
+  }
+  let misses = 0;
+  for (const session of sessions) {
+    if (session.minTopReps >= reps) break;
+    misses += 1;
+  }
+  if (misses >= LINEAR_STALL_LIMIT) {
+    return {
+      weight: roundToIncrement(last.topWeight * LINEAR_DELOAD_FACTOR, increment),
+      reps,
+      reason: `Missed ${reps} reps in the last ${misses} sessions, so drop 10% from ${top} and build back up.`,
+    };
+  }
+  return {
+    weight: last.topWeight,
+    reps,
+    reason: `Missed ${reps} reps at ${top} last time. Repeat the weight before adding more.`,
+  };
+}
+
+function suggestRpe(sessions, config, targetReps, unit) {
+  const reps = parsePositiveInt(targetReps) ?? config.repMin;
+  const increment = getIncrement(config, unit);
+  let best = null;
+  for (const session of sessions) {
+    session.sets.forEach((set) => {
+      if (set.rir == null) return;
+      const oneRepMax = estimateOneRepMax(set.weight, set.reps + set.rir);
+      if (oneRepMax != null && (!best || oneRepMax > best.oneRepMax)) best = { ...set, oneRepMax };
+    });
+    // Only fall back to older sessions when the newer one has no effort logged.
+    if (best) break;
+  }
+  if (!best) {
+    const [last] = sessions;
+    return {
+      weight: last.topWeight,
+      reps,
+      reason: `No RPE or RIR logged in the last ${sessions.length} sessions, so repeat ${formatWeight(
+        last.topWeight,
+        unit
+      )}. Log effort to autoregulate.`,
+    };
+  }
+  const rir = 10 - config.targetRpe;
+  const weight = roundToIncrement(best.oneRepMax / (1 + (reps + rir) / 30), increment);
+  return {
+    weight,
+    reps,
+    reason: `${formatWeight(best.weight, unit)} × ${best.reps} with ${best.rir} in reserve estimates a ${formatWeight(
+      best.oneRepMax,
+      unit
+    )} max, so ${reps} reps at this weight should land near RPE ${config.targetRpe}.`,
+  };
+}
+
+/**
+ * Proposes the next working set for an exercise from its recent finished sessions
+ * (`history`, newest first, each `{ sets, loadPercent }`). Returns `{ rule, weight, reps,
+ * unit, reason, sessionCount }`, or null when the rule is off or there is no usable
+ * history. A program week's `loadPercent` (e.g. 60 on a deload week) scales the weight
+ * afterwards. Past sessions from weeks that did not run at 100% are left out so a deload
+ * neither sets the base weight nor counts as a miss; when only those remain, their
+ * weights are scaled back to 100%.
+ */
+export function suggestNextSet({ history, config, targetReps = null, unit, loadPercent = null }) {
+  const normalized = normalizeOverloadConfig(config, targetReps);
+  if (normalized.rule === "off") return null;
+  const recent = (history ?? []).slice(0, OVERLOAD_LOOKBACK);
+  const fullWeeks = recent.filter(
+    (session) => getSessionLoadPercent(session) === DEFAULT_LOAD_PERCENT
+  );
+  const sessions = (fullWeeks.length ? fullWeeks : recent)
+    .map((session) =>
+      summarizeSession(session, unit, DEFAULT_LOAD_PERCENT / getSessionLoadPercent(session))
+    )
+    .filter(Boolean);
+  if (!sessions.length) return null;
+
+  let suggestion;
+  if (normalized.rule === "linear") {
+    suggestion = suggestLinear(sessions, normalized, targetReps, unit);
+  } else if (normalized.rule === "rpe") {
+    suggestion = suggestRpe(sessions, normalized, targetReps, unit);
+  } else {
+    suggestion = suggestDouble(sessions, normalized, unit);
+  }
+  const percent = parsePositiveNumber(loadPercent);
+  if (percent != null && percent !== DEFAULT_LOAD_PERCENT) {
+    const weight = roundToIncrement(
+      (suggestion.weight * percent) / 100,
+      getIncrement(normalized, unit)
+    );
+    suggestion = {
+      ...suggestion,
+      weight,
+      reason: `${suggestion.reason} This program week runs at ${percent}%, so that is ${formatWeight(
+        weight,
+        unit
+      )}.`,
+    };
+  }
+  return { rule: normalized.rule, unit, sessionCount: sessions.length, ...suggestion };
+}
+
+export function formatSuggestion(suggestion) {
+  if (!suggestion) return "";
+  return `${formatWeight(suggestion.weight, suggestion.unit)} × ${suggestion.reps}`;
+}
+
+/** Whether a set already holds the suggested weight and reps. */
+export function matchesSuggestion(set, suggestion) {
+  if (!suggestion) return false;
+  const weight = getSetWeightIn(set, suggestion.unit);
+  return (
+    weight != null &&
+    Math.abs(weight - suggestion.weight) < 0.01 &&
+    Number.parseInt(String(set?.reps ?? ""), 10) === suggestion.reps
+  );
+}
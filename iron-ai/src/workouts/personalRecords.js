@@ -0,0 +1,170 @@
+import { convertWeight, formatWeight, getSetWeightIn, roundWeight } from "../utils/units";
+import { countsTowardBestSet, getRepsInReserve } from "./setTypes";
+
+// Rep maxes are tracked for 1–12 reps; longer sets count toward the 12-rep max.
+export const REP_MAX_LIMIT = 12;
+// Records are stored in kg so sets logged in either unit compare directly.
+export const RECORD_UNIT = "kg";
+
+export const RECORD_KIND_LABELS = {
+  oneRepMax: "Est. 1RM",
+  repMax: "Rep max",
+  volume: "Best volume",
+};
+
+// Ignore float noise from unit conversion when comparing against a record.
+const EPSILON = 0.001;
+
+/**
+ * Epley estimate; `exercises/derived` re-exports it for the history views. Records always
+ * use Epley whatever `e1rm_formula` says: the ledger and the PR hits stored on sessions
+ * would otherwise change meaning each time the setting does.
+ */
+export function estimateOneRepMax(weight, reps) {
+  if (weight == null || reps == null || weight === "" || reps === "") return null;
+  const parsedWeight = Number(weight);
+  const parsedReps = Number(reps);
+  if (Number.isNaN(parsedWeight) || Number.isNaN(parsedReps)) return null;
+  if (parsedWeight <= 0 || parsedReps <= 0) return null;
+  return parsedWeight * (1 + parsedReps / 30);
+}
+
+export function createEmptyRecord(exerciseId) {
+  return {
+    exerciseId,
+    sessionCount: 0,
+    oneRepMax: null,
+    repMaxes: {},
+    bestVolume: null,
+  };
+}
+
+/**
+ * Working sets with a weight and reps, in kg. Warmups and drop sets never set records.
+ */
+export function toRecordSets(sets) {
+  return (sets ?? [])
+    .filter(countsTowardBestSet)
+    .map((set) => {
+      const weight = getSetWeightIn(set, RECORD_UNIT);
+      const reps = Number.parseInt(String(set.reps ?? ""), 10);
+      return {
+        setId: set.id ?? null,
+        weight,
+        reps,
+        oneRepMax: estimateOneRepMax(weight, reps + (getRepsInReserve(set) ?? 0)),
+      };
+    })
+    .filter((set) => set.weight != null && set.weight > 0 && set.reps > 0);
+}
+
+function beats(value, previous) {
+  return previous == null || value > previous + EPSILON;
+}
+
+/**
+ * Folds one finished session (`{ workoutId, achievedAt, sets }`) into an exercise's record.
+ * `newRecords` lists what the session improved, one entry per record with the value it
+ * replaced. The first session for an exercise only seeds the record and reports nothing.
+ */
+export function applySessionToRecord(record, session) {
+  const next = {
+    ...record,
+    repMaxes: { ...record.repMaxes },
+    sessionCount: (record.sessionCount ?? 0) + 1,
+  };
+  const improvements = new Map();
+  const meta = { workoutId: session.workoutId ?? null, achievedAt: session.achievedAt ?? null };
+  const note = (key, entry, previous) => {
+    const existing = improvements.get(key);
+    improvements.set(key, { ...entry, previous: existing ? existing.previous : previous });
+  };
+
+  const sets = toRecordSets(session.sets);
+  sets.forEach((set) => {
+    if (set.oneRepMax != null && beats(set.oneRepMax, next.oneRepMax?.value)) {
+      const value = roundWeight(set.oneRepMax, 2);
+      note("oneRepMax", { kind: "oneRepMax", value, setId: set.setId }, next.oneRepMax?.value);
+      next.oneRepMax = { value, weight: set.weight, reps: set.reps, setId: set.setId, ...meta };
+    }
+    // A set of N reps is also the best known weight for every rep count below N, so the
+    // N-rep max is the lowest of them and the only one worth reporting.
+    const top = Math.min(set.reps, REP_MAX_LIMIT);
+    const previous = next.repMaxes[top]?.weight;
+    if (!beats(set.weight, previous)) return;
+    note(
+      `repMax:${top}`,
+      { kind: "repMax", reps: top, value: set.weight, setId: set.setId },
+      previous
+    );
+    for (let reps = 1; reps <= top; reps++) {
+      if (!beats(set.weight, next.repMaxes[reps]?.weight)) continue;
+      next.repMaxes[reps] = { weight: set.weight, reps: set.reps, setId: set.setId, ...meta };
+    }
+  });
+
+  const volume = roundWeight(
+    sets.reduce((sum, set) => sum + set.weight * set.reps, 0),
+    2
+  );
+  if (volume > 0 && beats(volume, next.bestVolume?.value)) {
+    note("volume", { kind: "volume", value: volume }, next.bestVolume?.value);
+    next.bestVolume = { value: volume, ...meta };
+  }
+
+  const isFirstSession = !record.sessionCount;
+  const newRecords = isFirstSession
+    ? []
+    : Array.from(improvements.values()).map((entry) => ({
+        exerciseId: record.exerciseId,
+        ...entry,
+        previous: entry.previous ?? null,
+      }));
+  return { record: next, newRecords };
+}
+
+/** Rebuilds a record from scratch; `sessions` must be oldest first. */
+export function buildRecordFromSessions(exerciseId, sessions) {
+  return (sessions ?? []).reduce(
+    (record, session) => applySessionToRecord(record, session).record,
+    createEmptyRecord(exerciseId)
+  );
+}
+
+/**
+ * Labels for the records a set in progress would break, e.g. `["Est. 1RM", "5RM"]`.
+ * Nothing is flagged until the exercise has a finished session to beat.
+ */
+export function getSetRecordLabels(set, record) {
+  if (!record?.sessionCount) return [];
+  const [candidate] = toRecordSets([set]);
+  if (!candidate) return [];
+  const labels = [];
+  if (candidate.oneRepMax != null && beats(candidate.oneRepMax, record.oneRepMax?.value)) {
+    labels.push(RECORD_KIND_LABELS.oneRepMax);
+  }
+  const top = Math.min(candidate.reps, REP_MAX_LIMIT);
+  if (beats(candidate.weight, record.repMaxes?.[top]?.weight)) labels.push(`${top}RM`);
+  return labels;
+}
+
+/** One row per rep count with the best weight lifted and an Epley estimate from the 1RM. */
+export function getRepMaxTable(record) {
+  return Array.from({ length: REP_MAX_LIMIT }, (_, index) => {
+    const reps = index + 1;
+    const entry = record?.repMaxes?.[reps] ?? null;
+    const estimated =
+      record?.oneRepMax?.value != null ? record.oneRepMax.value / (1 + reps / 30) : null;
+    return { reps, entry, estimated };
+  });
+}
+
+export function formatRecordValue(value, unit) {
+  return formatWeight(value == null ? null : convertWeight(value, RECORD_UNIT, unit), unit);
+}
+
+export function formatRecord(entry, unit) {
+  const value = formatRecordValue(entry.value, unit);
+  if (entry.kind === "repMax") return `${entry.reps}RM · ${value}`;
+  return `${RECORD_KIND_LABELS[entry.kind] ?? entry.kind} · ${value}`;
+}
@@ -0,0 +1,112 @@
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const CALENDAR_MODES = ["week", "month"];
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function formatDateKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Local calendar day (`YYYY-MM-DD`) for a plan date or session timestamp.
+ * Plain date keys pass through untouched so they never shift across time zones.
+ */
+export function toDateKey(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "string" && DATE_KEY_PATTERN.test(value.trim())) return value.trim();
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return formatDateKey(date);
+}
+
+export function parseDateKey(key) {
+  const [year, month, day] = String(key).split("-").map((part) => Number.parseInt(part, 10));
+  return new Date(year, month - 1, day);
+}
+
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return formatDateKey(date);
+}
+
+export function addMonths(key, months) {
+  const date = parseDateKey(key);
+  return formatDateKey(new Date(date.getFullYear(), date.getMonth() + months, 1));
+}
+
+function startOfWeek(key) {
+  // Weeks start on Monday.
+  const offset = (parseDateKey(key).getDay() + 6) % 7;
+  return addDays(key, -offset);
+}
+
+/**
+ * Days shown for the week or month containing `anchorKey`. Month ranges are padded to
+ * whole weeks so they render as a grid.
+ */
+export function getCalendarRange(anchorKey, mode = "week") {
+  let start;
+  let end;
+  if (mode === "month") {
+    const anchor = parseDateKey(anchorKey);
+    const first = formatDateKey(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+    const last = formatDateKey(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0));
+    start = startOfWeek(first);
+    end = addDays(startOfWeek(last), 6);
+  } else {
+    start = startOfWeek(anchorKey);
+    end = addDays(start, 6);
+  }
+  const days = [];
+  for (let key = start; key <= end; key = addDays(key, 1)) {
+    days.push(key);
+  }
+  return { start, end, days };
+}
+
+/**
+ * Groups plans and finished sessions by day. Sessions land on the day they started.
+ */
+export function buildCalendarDays(days, plans = [], sessions = []) {
+  const byDay = new Map(days.map((key) => [key, { date: key, plans: [], sessions: [] }]));
+  plans.forEach((plan) => {
+    byDay.get(toDateKey(plan?.date))?.plans.push(plan);
+  });
+  sessions.forEach((session) => {
+    byDay.get(toDateKey(session?.startedAt ?? session?.finishedAt))?.sessions.push(session);
+  });
+  return days.map((key) => byDay.get(key));
+}
+
+export function getPlannedWorkoutStatus(plan, todayKey = toDateKey(new Date())) {
+  if (plan?.fulfilledAt) return "fulfilled";
+  if (plan?.workoutId != null) return "started";
+  const dateKey = toDateKey(plan?.date);
+  if (dateKey && dateKey < todayKey) return "missed";
+  return "planned";
+}
+
+/**
+ * Picks the open plan a finished session fulfils: the plan it was started from, or
+ * else a plan for the same template on the day the session started.
+ */
+export function findFulfilledPlan(plans, session) {
+  if (!session) return null;
+  const open = (plans ?? []).filter((plan) => !plan.fulfilledAt);
+  const linked = open.find((plan) => plan.workoutId === session.id);
+  if (linked) return linked;
+  if (session.templateId == null) return null;
+  const dateKey = toDateKey(session.startedAt);
+  return (
+    open.find(
+      (plan) =>
+        plan.workoutId == null &&
+        plan.templateId === session.templateId &&
+        toDateKey(plan.date) === dateKey
+    ) ?? null
+  );
+}
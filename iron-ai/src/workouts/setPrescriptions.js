@@ -0,0 +1,200 @@
+import { normalizeRpe, normalizeSetType, SET_TYPE_LABELS } from "./setTypes";
+import { formatDuration } from "./setSchemas";
+import { computeTrainingMax, DEFAULT_TRAINING_MAX_PERCENT } from "./trainingMax";
+import { convertWeight, normalizeWeightUnit, roundWeight } from "../utils/units";
+import { roundToLoadable } from "../workoutSpaces/loading";
+
+// Per-set targets on a template item. `setPrescriptions` is an ordered list of
+// `{ setType, repMin, repMax, load, loadUnit, loadPercent, rpe, restSeconds }`; every
+// field but `setType` may be null, and a set aims for either an absolute `load` or a
+// `loadPercent` of the exercise's training max. Items without a list keep using the
+// scalar `targetSets` / `targetReps`, which stay in sync for older readers.
+export const MAX_PRESCRIBED_SETS = 12;
+
+function toPositiveNumber(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number.parseFloat(String(value));
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function toCount(value) {
+  const parsed = toPositiveNumber(value);
+  return parsed == null ? null : Math.round(parsed);
+}
+
+/** Reads `5`, `8-12`, `8–12` or `8 to 12`; a reversed range is put in order. */
+export function parseRepRange(value) {
+  const text = String(value ?? "").trim();
+  const match = text.match(/^(\d+)\s*(?:(?:-|–|to)\s*(\d+))?$/i);
+  if (!match) return { repMin: null, repMax: null };
+  const first = toCount(match[1]);
+  const second = match[2] == null ? first : toCount(match[2]);
+  if (first == null || second == null) return { repMin: null, repMax: null };
+  return { repMin: Math.min(first, second), repMax: Math.max(first, second) };
+}
+
+export function formatRepRange({ repMin, repMax } = {}) {
+  if (repMin == null && repMax == null) return "";
+  if (repMin == null || repMax == null || repMin === repMax) return String(repMin ?? repMax);
+  return `${repMin}–${repMax}`;
+}
+
+/** Reads `85%` or `85% TM` as a percentage of the training max and `100` as a load. */
+export function parseLoadTarget(value, unit) {
+  const text = String(value ?? "").trim();
+  const empty = { load: null, loadUnit: null, loadPercent: null };
+  if (!text) return empty;
+  const percentMatch = text.match(/^(.*)%\s*(?:tm)?$/i);
+  if (percentMatch) {
+    const percent = toPositiveNumber(percentMatch[1]);
+    return percent == null ? empty : { ...empty, loadPercent: Math.min(percent, 150) };
+  }
+  const load = toPositiveNumber(text);
+  return load == null ? empty : { ...empty, load, loadUnit: normalizeWeightUnit(unit) };
+}
+
+export function formatLoadTarget({ load, loadUnit, loadPercent } = {}, { withUnit = true } = {}) {
+  if (loadPercent != null) return `${loadPercent}%`;
+  if (load == null) return "";
+  return withUnit ? `${load} ${normalizeWeightUnit(loadUnit)}` : String(load);
+}
+
+export function normalizeSetPrescription(input, { unit } = {}) {
+  const repMin = toCount(input?.repMin);
+  const repMax = toCount(input?.repMax);
+  const load = toPositiveNumber(input?.load);
+  const loadPercent = load == null ? toPositiveNumber(input?.loadPercent) : null;
+  const restSeconds = toCount(input?.restSeconds);
+  return {
+    setType: normalizeSetType(input?.setType),
+    repMin: repMin != null && repMax != null ? Math.min(repMin, repMax) : repMin ?? repMax,
+    repMax: repMin != null && repMax != null ? Math.max(repMin, repMax) : repMax ?? repMin,
+    load,
+    loadUnit: load == null ? null : normalizeWeightUnit(input?.loadUnit ?? unit),
+    loadPercent: loadPercent == null ? null : Math.min(loadPercent, 150),
+    rpe: normalizeRpe(input?.rpe),
+    restSeconds,
+  };
+}
+
+export function normalizeSetPrescriptions(list, options) {
+  return (Array.isArray(list) ? list : [])
+    .slice(0, MAX_PRESCRIBED_SETS)
+    .map((entry) => normalizeSetPrescription(entry, options));
+}
+
+/** The scalar targets kept alongside a list: its length and the first work set's reps. */
+export function getPrescriptionTargets(list) {
+  const prescriptions = Array.isArray(list) ? list : [];
+  const work = prescriptions.find((entry) => entry.setType !== "warmup") ?? prescriptions[0];
+  return {
+    targetSets: prescriptions.length,
+    targetReps: work?.repMin ?? work?.repMax ?? null,
+  };
+}
+
+/** `8–12 @ 85% RPE 8`, with the set type in front when it is not a working set. */
+export function describeSetPrescription(entry) {
+  const reps = formatRepRange(entry);
+  const load = formatLoadTarget(entry);
+  const parts = [reps || "—"];
+  if (load) parts.push(`@ ${load}`);
+  if (entry?.rpe != null) parts.push(`${load ? "" : "@ "}RPE ${entry.rpe}`);
+  const text = parts.join(" ");
+  return entry?.setType && entry.setType !== "working"
+    ? `${SET_TYPE_LABELS[entry.setType]} ${text}`
+    : text;
+}
+
+/** Consecutive identical sets collapse: `1×5 @ RPE 8, 3×8 @ 85%`. */
+export function summarizeSetPrescriptions(list) {
+  const runs = [];
+  (Array.isArray(list) ? list : []).forEach((entry) => {
+    const text = describeSetPrescription(entry);
+    const last = runs[runs.length - 1];
+    if (last?.text === text) last.count += 1;
+    else runs.push({ text, count: 1 });
+  });
+  return runs.map(({ text, count }) => `${count}×${text}`).join(", ");
+}
+
+/** Trims the list to `count` sets or repeats its last set to fill it. */
+export function resizeSetPrescriptions(list, count) {
+  const prescriptions = Array.isArray(list) ? list : [];
+  if (!prescriptions.length || count == null) return prescriptions;
+  return Array.from(
+    { length: Math.max(1, count) },
+    (_, index) => prescriptions[Math.min(index, prescriptions.length - 1)]
+  );
+}
+
+/**
+ * The `target` saved on a workout set: reps, weight in `unit`, RPE and rest. A percentage
+ * resolves against `trainingMax`, or failing that against `oneRepMax` scaled by
+ * `trainingMaxPercent` (both in `unit`); `loadBasis` says which one was used. A program
+ * week's `weekLoadPercent` then scales the weight, and computed weights are rounded to what
+ * `loadout` can load for a `loadingKind` of exercise.
+ */
+export function buildSetTarget(
+  entry,
+  {
+    unit,
+    trainingMax = null,
+    oneRepMax = null,
+    trainingMaxPercent = null,
+    loadingKind = null,
+    loadout = null,
+    weekLoadPercent = null,
+  } = {}
+) {
+  const safeUnit = normalizeWeightUnit(unit);
+  const loadable = (value) =>
+    roundToLoadable(value, { kind: loadingKind, loadout, unit: safeUnit });
+  let weight = null;
+  let loadBasis = null;
+  if (entry?.load != null) {
+    weight = roundWeight(convertWeight(entry.load, entry.loadUnit ?? safeUnit, safeUnit), 1);
+  } else if (entry?.loadPercent != null) {
+    loadBasis = trainingMax != null ? "tm" : oneRepMax != null ? "e1rm" : null;
+    const base =
+      loadBasis === "tm"
+        ? trainingMax
+        : computeTrainingMax(oneRepMax, trainingMaxPercent ?? DEFAULT_TRAINING_MAX_PERCENT);
+    if (base != null) weight = loadable((base * entry.loadPercent) / 100);
+  }
+  const weekPercent = toPositiveNumber(weekLoadPercent);
+  const scaled = weekPercent != null && weekPercent !== 100;
+  if (weight != null && scaled) weight = loadable((weight * weekPercent) / 100);
+  return {
+    repMin: entry?.repMin ?? null,
+    repMax: entry?.repMax ?? null,
+    weight,
+    unit: safeUnit,
+    loadPercent: entry?.loadPercent ?? null,
+    loadBasis,
+    weekLoadPercent: scaled ? weekPercent : null,
+    rpe: entry?.rpe ?? null,
+    restSeconds: entry?.restSeconds ?? null,
+  };
+}
+
+/**
+ * `8–12 × 85 kg (85% TM) @ RPE 8 · rest 2:00` for a set's saved target; a training max
+ * estimated from the 1RM reads `est. TM`, and a program week's scaling adds `60% week`.
+ */
+export function describeSetTarget(target) {
+  if (!target) return "";
+  const parts = [];
+  const reps = formatRepRange(target);
+  const weight = target.weight != null ? `${target.weight} ${target.unit}` : "";
+  const basis = target.loadBasis === "e1rm" ? " est. TM" : target.loadBasis ? " TM" : "";
+  const percent = target.loadPercent != null ? `${target.loadPercent}%${basis}` : "";
+  const load = weight && percent ? `${weight} (${percent})` : weight || percent;
+  if (reps && load) parts.push(`${reps} × ${load}`);
+  else if (reps || load) parts.push(reps ? `${reps} reps` : load);
+  if (target.rpe != null) parts.push(`RPE ${target.rpe}`);
+  const text = parts.join(" @ ");
+  const week = target.weekLoadPercent != null ? `${target.weekLoadPercent}% week` : "";
+  const rest = target.restSeconds != null ? `rest ${formatDuration(target.restSeconds)}` : "";
+  return [text, week, rest].filter(Boolean).join(" · ");
+}
@@ -0,0 +1,191 @@
+import { convertWeight } from "../utils/units";
+
+// What a set of an exercise records. Strength work logs weight × reps; cardio, holds and
+// carries log time and/or distance instead. Exercises can pin one with `setSchema`;
+// otherwise it is inferred from the catalog category and name.
+export const SET_SCHEMAS = [
+  "weight_reps",
+  "reps",
+  "duration",
+  "distance_duration",
+  "weight_duration",
+];
+export const DEFAULT_SET_SCHEMA = "weight_reps";
+
+export const SET_SCHEMA_LABELS = {
+  weight_reps: "Weight × reps",
+  reps: "Reps only",
+  duration: "Time",
+  distance_duration: "Distance + time",
+  weight_duration: "Weight + time",
+};
+
+// Set fields each schema shows, in input order.
+export const SET_SCHEMA_FIELDS = {
+  weight_reps: ["weight", "reps"],
+  reps: ["reps"],
+  duration: ["durationSec"],
+  distance_duration: ["distance", "durationSec"],
+  weight_duration: ["weight", "durationSec"],
+};
+
+export const DISTANCE_UNITS = ["km", "mi"];
+const KM_PER_MI = 1.609344;
+
+const HOLD_NAME_REGEX = /\b(?:plank|hold|hang|wall sit|l-sit|hollow body|isometric)\b/i;
+const CARRY_NAME_REGEX = /\b(?:carry|farmer'?s? walk|yoke|suitcase)\b/i;
+
+export function normalizeSetSchema(value, fallback = null) {
+  const text = String(value ?? "").trim().toLowerCase();
+  return SET_SCHEMAS.includes(text) ? text : fallback;
+}
+
+/** The schema an exercise logs with: its own `setSchema`, else inferred from the catalog. */
+export function getExerciseSetSchema(exercise) {
+  const pinned = normalizeSetSchema(exercise?.setSchema);
+  if (pinned) return pinned;
+  const name = String(exercise?.name ?? "");
+  const category = String(exercise?.category ?? "").trim().toLowerCase();
+  if (CARRY_NAME_REGEX.test(name)) return "weight_duration";
+  if (category === "cardio") return "distance_duration";
+  if (category === "stretching" || HOLD_NAME_REGEX.test(name)) return "duration";
+  return DEFAULT_SET_SCHEMA;
+}
+
+/** Schemas that log time (and maybe distance) instead of reps. */
+export function isTimedSetSchema(schema) {
+  return setSchemaUsesField(schema, "durationSec");
+}
+
+export function setSchemaUsesField(schema, field) {
+  return (SET_SCHEMA_FIELDS[schema] ?? SET_SCHEMA_FIELDS[DEFAULT_SET_SCHEMA]).includes(field);
+}
+
+/** Reads `90`, `1:30` or `1:02:30` as seconds; null when empty or unreadable. */
+export function parseDuration(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+  const parts = String(value).trim().split(":");
+  if (parts.length > 3 || parts.some((part) => !/^\d+(?:\.\d+)?$/.test(part.trim()))) {
+    return null;
+  }
+  return Math.round(parts.reduce((total, part) => total * 60 + Number(part), 0));
+}
+
+/** `90` → `1:30`, `3750` → `1:02:30`. */
+export function formatDuration(seconds) {
+  const parsed = parseDuration(seconds);
+  if (parsed == null) return "";
+  const hours = Math.floor(parsed / 3600);
+  const minutes = Math.floor((parsed % 3600) / 60);
+  const rest = String(parsed % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`;
+}
+
+export function normalizeDistanceUnit(value, fallback = "km") {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (text === "km" || text === "kms") return "km";
+  if (text === "mi" || text === "mile" || text === "miles") return "mi";
+  return fallback;
+}
+
+/** Distance unit that goes with a weight unit: km for kg, miles for lb. */
+export function getDefaultDistanceUnit(weightUnit) {
+  return weightUnit === "lb" ? "mi" : "km";
+}
+
+export function convertDistance(value, fromUnit, toUnit) {
+  if (value == null || value === "") return null;
+  const parsed = Number.parseFloat(String(value));
+  if (Number.isNaN(parsed)) return null;
+  const from = normalizeDistanceUnit(fromUnit);
+  const to = normalizeDistanceUnit(toUnit);
+  if (from === to) return parsed;
+  return from === "km" ? parsed / KM_PER_MI : parsed * KM_PER_MI;
+}
+
+/** Seconds per distance unit, or null without both a distance and a time. */
+export function computePace(distance, durationSec) {
+  const parsedDistance = Number.parseFloat(String(distance ?? ""));
+  const parsedDuration = parseDuration(durationSec);
+  if (!(parsedDistance > 0) || !(parsedDuration > 0)) return null;
+  return parsedDuration / parsedDistance;
+}
+
+export function formatPace(secondsPerUnit, unit = "km") {
+  if (secondsPerUnit == null) return "";
+  return `${formatDuration(Math.round(secondsPerUnit))}/${normalizeDistanceUnit(unit)}`;
+}
+
+/**
+ * One number per set for volume and trends: weight × reps, reps, seconds held,
+ * distance (in `distanceUnit`), or weight × seconds for loaded carries and holds.
+ */
+export function computeSchemaSetVolume(set, schema, { weightUnit, distanceUnit = "km" } = {}) {
+  const reps = Number.parseFloat(String(set?.reps ?? ""));
+  const duration = parseDuration(set?.durationSec);
+  const weight = convertWeight(set?.weight, set?.unit ?? weightUnit, weightUnit ?? set?.unit);
+  switch (schema) {
+    case "reps":
+      return Number.isNaN(reps) ? 0 : reps;
+    case "duration":
+      return duration ?? 0;
+    case "distance_duration":
+      return convertDistance(set?.distance, set?.distanceUnit ?? distanceUnit, distanceUnit) ?? 0;
+    case "weight_duration":
+      if (duration == null) return 0;
+      return weight != null ? weight * duration : duration;
+    default:
+      if (Number.isNaN(reps)) return 0;
+      return weight != null ? weight * reps : reps;
+  }
+}
+
+/**
+ * Compares two sets of a time-based schema: longer holds, farther distances (or the same
+ * distance faster) and heavier carries for as long win. Returns 1, 0, -1, or null when
+ * either set lacks the values to compare.
+ */
+export function compareTimedSets(current, previous, schema, { weightUnit } = {}) {
+  const currentDuration = parseDuration(current?.durationSec);
+  const previousDuration = parseDuration(previous?.durationSec);
+  const sign = (value) => (value > 0 ? 1 : value < 0 ? -1 : 0);
+  if (schema === "distance_duration") {
+    const unit = normalizeDistanceUnit(previous?.distanceUnit);
+    const currentDistance = convertDistance(current?.distance, current?.distanceUnit, unit);
+    const previousDistance = convertDistance(previous?.distance, previous?.distanceUnit, unit);
+    if (currentDistance == null || previousDistance == null) return null;
+    if (currentDistance !== previousDistance) return sign(currentDistance - previousDistance);
+    if (currentDuration == null || previousDuration == null) return 0;
+    return sign(previousDuration - currentDuration);
+  }
+  if (currentDuration == null || previousDuration == null) return null;
+  if (schema === "weight_duration") {
+    const unit = weightUnit ?? previous?.unit;
+    const currentWeight = convertWeight(current?.weight, current?.unit ?? unit, unit);
+    const previousWeight = convertWeight(previous?.weight, previous?.unit ?? unit, unit);
+    if (currentWeight != null && previousWeight != null && currentWeight !== previousWeight) {
+      return sign(currentWeight - previousWeight);
+    }
+  }
+  return sign(currentDuration - previousDuration);
+}
+
+/** Short text for a set, e.g. `5 km in 25:00 (5:00/km)` or `20 kg · 0:45`. */
+export function formatTimedSet(set, schema, { weightUnit } = {}) {
+  const duration = formatDuration(set?.durationSec);
+  if (schema === "distance_duration") {
+    const unit = normalizeDistanceUnit(set?.distanceUnit);
+    const distance = set?.distance == null || set?.distance === "" ? "" : `${set.distance} ${unit}`;
+    const pace = formatPace(computePace(set?.distance, set?.durationSec), unit);
+    if (!distance) return duration || "—";
+    return `${distance}${duration ? ` in ${duration}` : ""}${pace ? ` (${pace})` : ""}`;
+  }
+  if (schema === "weight_duration") {
+    const unit = weightUnit ?? set?.unit ?? "kg";
+    const weight = convertWeight(set?.weight, set?.unit ?? unit, unit);
+    const parts = [weight == null ? "" : `${Math.round(weight * 10) / 10} ${unit}`, duration];
+    return parts.filter(Boolean).join(" · ") || "—";
+  }
+  return duration || "—";
+}
@@ -0,0 +1,98 @@
+export const SET_TYPES = ["working", "warmup", "drop", "failure", "amrap", "backoff"];
+export const DEFAULT_SET_TYPE = "working";
+
+export const SET_TYPE_LABELS = {
+  working: "Working",
+  warmup: "Warmup",
+  drop: "Drop set",
+  failure: "Failure",
+  amrap: "AMRAP",
+  backoff: "Back-off",
+};
+
+// Short tags shown next to the set number; working sets stay unlabeled.
+export const SET_TYPE_BADGES = {
+  working: "",
+  warmup: "W",
+  drop: "D",
+  failure: "F",
+  amrap: "A",
+  backoff: "B",
+};
+
+export const RPE_OPTIONS = [6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+export const RIR_OPTIONS = [0, 1, 2, 3, 4, 5];
+
+const SET_TYPE_ALIASES = {
+  normal: "working",
+  work: "working",
+  w: "warmup",
+  "warm-up": "warmup",
+  "warm up": "warmup",
+  d: "drop",
+  dropset: "drop",
+  "drop set": "drop",
+  f: "failure",
+  "back-off": "backoff",
+  "back off": "backoff",
+};
+
+export function normalizeSetType(value, fallback = DEFAULT_SET_TYPE) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (SET_TYPES.includes(text)) return text;
+  return SET_TYPE_ALIASES[text] ?? fallback;
+}
+
+/** Sets logged before set types existed only carry `isWarmup`. */
+export function getSetType(set) {
+  if (set?.setType) return normalizeSetType(set.setType);
+  return set?.isWarmup ? "warmup" : DEFAULT_SET_TYPE;
+}
+
+/** Builds a patch that keeps the legacy `isWarmup` flag in sync with `setType`. */
+export function toSetTypePatch(setType) {
+  const type = normalizeSetType(setType);
+  return { setType: type, isWarmup: type === "warmup" };
+}
+
+export function normalizeRpe(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number.parseFloat(String(value));
+  if (!Number.isFinite(parsed) || parsed < 1 || parsed > 10) return null;
+  return Math.round(parsed * 2) / 2;
+}
+
+export function normalizeRir(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 10) return null;
+  return parsed;
+}
+
+/**
+ * Reps left in the tank: explicit RIR first, then RPE (10 - RPE), then 0 for sets
+ * taken to failure or AMRAP. Returns null when the effort is unknown.
+ */
+export function getRepsInReserve(set) {
+  const rir = normalizeRir(set?.rir);
+  if (rir != null) return rir;
+  const rpe = normalizeRpe(set?.rpe);
+  if (rpe != null) return Math.max(0, 10 - rpe);
+  const type = getSetType(set);
+  if (type === "failure" || type === "amrap") return 0;
+  return null;
+}
+
+/** Warmups and drop sets never count as a best set or personal record. */
+export function countsTowardBestSet(set) {
+  const type = getSetType(set);
+  return type !== "warmup" && type !== "drop";
+}
+
+export function formatSetEffort(set) {
+  const rpe = normalizeRpe(set?.rpe);
+  if (rpe != null) return `RPE ${rpe}`;
+  const rir = normalizeRir(set?.rir);
+  if (rir != null) return `${rir} RIR`;
+  return "";
+}
@@ -0,0 +1,132 @@
+// Superset groups: template and workout items that share a `supersetGroupId` are done
+// back to back, one set of each per round. `supersetKind` only changes the label; a pair
+// is a superset and three or more a giant set unless marked as a circuit.
+export const SUPERSET_KINDS = ["superset", "giant", "circuit"];
+
+export const SUPERSET_KIND_LABELS = {
+  superset: "Superset",
+  giant: "Giant set",
+  circuit: "Circuit",
+};
+
+export function getDefaultSupersetKind(size) {
+  return size > 2 ? "giant" : "superset";
+}
+
+export function normalizeSupersetKind(value, size = 2) {
+  const text = String(value ?? "").trim().toLowerCase();
+  return text === "circuit" ? "circuit" : getDefaultSupersetKind(size);
+}
+
+export function createSupersetGroupId() {
+  return `superset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+const bySortOrder = (a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0);
+
+/**
+ * Groups with two or more items, in the order their first item appears:
+ * `[{ id, kind, label, items }]`, labelled `Superset A`, `Circuit B`, ….
+ */
+export function getSupersetGroups(items) {
+  const ordered = (Array.isArray(items) ? items : []).slice().sort(bySortOrder);
+  const groups = new Map();
+  ordered.forEach((item) => {
+    const groupId = item?.supersetGroupId;
+    if (!groupId) return;
+    if (!groups.has(groupId)) groups.set(groupId, []);
+    groups.get(groupId).push(item);
+  });
+  let index = 0;
+  const result = [];
+  groups.forEach((members, id) => {
+    if (members.length < 2) return;
+    const kind = normalizeSupersetKind(members[0].supersetKind, members.length);
+    const letter = String.fromCharCode(65 + (index % 26));
+    result.push({ id, kind, label: `${SUPERSET_KIND_LABELS[kind]} ${letter}`, items: members });
+    index += 1;
+  });
+  return result;
+}
+
+export function getSupersetLabels(items) {
+  return new Map(getSupersetGroups(items).map((group) => [group.id, group.label]));
+}
+
+/**
+ * Patches that keep groups valid after an edit: members sit next to each other (after
+ * the group's first item), single-item groups are dissolved, and every member carries
+ * the group's kind. Returns `[{ id, ...patch }]` for items that changed.
+ */
+export function normalizeSupersetLayout(items) {
+  const ordered = (Array.isArray(items) ? items : []).slice().sort(bySortOrder);
+  const groups = new Map(getSupersetGroups(ordered).map((group) => [group.id, group]));
+  const placed = new Set();
+  const layout = [];
+  ordered.forEach((item) => {
+    if (placed.has(item.id)) return;
+    const group = groups.get(item.supersetGroupId);
+    const members = group ? group.items : [item];
+    members.forEach((member) => {
+      placed.add(member.id);
+      layout.push({ item: member, group });
+    });
+  });
+  return layout
+    .map(({ item, group }, sortOrder) => {
+      const patch = {};
+      if (item.sortOrder !== sortOrder) patch.sortOrder = sortOrder;
+      const groupId = group?.id ?? null;
+      const kind = group?.kind ?? null;
+      if ((item.supersetGroupId ?? null) !== groupId) patch.supersetGroupId = groupId;
+      if ((item.supersetKind ?? null) !== kind) patch.supersetKind = kind;
+      return Object.keys(patch).length ? { id: item.id, ...patch } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Round-robin order for a group: round 1 is the first set of each item, round 2 the
+ * second, and so on. Items with fewer sets drop out of later rounds.
+ * Returns `[{ item, set, round }]`.
+ */
+export function getRoundRobinOrder(groupItems) {
+  const members = (Array.isArray(groupItems) ? groupItems : []).slice().sort(bySortOrder);
+  const rounds = Math.max(0, ...members.map((item) => item.sets?.length ?? 0));
+  const order = [];
+  for (let round = 0; round < rounds; round += 1) {
+    members.forEach((item) => {
+      const set = item.sets?.[round];
+      if (set) order.push({ item, set, round: round + 1 });
+    });
+  }
+  return order;
+}
+
+/**
+ * What follows completing `setId` in a group: the next open set in round-robin order and
+ * whether it closes its round (the point to rest). `setId` counts as done even before
+ * the stored row catches up.
+ */
+export function getNextSupersetStep(groupItems, setId) {
+  const order = getRoundRobinOrder(groupItems);
+  const isDone = (entry) => Boolean(entry.set.isComplete) || entry.set.id === setId;
+  const index = order.findIndex((entry) => entry.set.id === setId);
+  if (index < 0) return null;
+  const { round } = order[index];
+  const totalRounds = order.length ? order[order.length - 1].round : 0;
+  const endsRound = order.every((entry) => entry.round !== round || isDone(entry));
+  const next =
+    order.slice(index + 1).find((entry) => !isDone(entry)) ??
+    order.slice(0, index).find((entry) => !isDone(entry)) ??
+    null;
+  return { round, totalRounds, endsRound, next };
+}
+
+/** The round in progress (the first with an open set) and the set that opens it. */
+export function getSupersetProgress(groupItems) {
+  const order = getRoundRobinOrder(groupItems);
+  const totalRounds = order.length ? order[order.length - 1].round : 0;
+  const next = order.find((entry) => !entry.set.isComplete) ?? null;
+  return { round: next?.round ?? totalRounds, totalRounds, next };
+}
@@ -0,0 +1,137 @@
+import { countsTowardBestSet, getRepsInReserve, getSetType } from "./setTypes";
+import { roundWeight } from "../utils/units";
+
+// One-rep max formulas and training maxes. A training max (TM) is the working 1RM that
+// percentage programs (5/3/1, GZCL, Texas Method) load from: usually a fraction of the
+// estimated 1RM, set by hand, from an AMRAP or test set, or from recent sessions.
+export const E1RM_FORMULAS = ["epley", "brzycki", "lombardi", "rpe"];
+export const DEFAULT_E1RM_FORMULA = "epley";
+
+export const E1RM_FORMULA_LABELS = {
+  epley: "Epley",
+  brzycki: "Brzycki",
+  lombardi: "Lombardi",
+  rpe: "RPE table",
+};
+
+export const DEFAULT_TRAINING_MAX_PERCENT = 90;
+export const TRAINING_MAX_PERCENT_OPTIONS = [80, 85, 90, 95, 100];
+// Recent e1RM looks at the best set of the last few sessions.
+export const TRAINING_MAX_LOOKBACK = 3;
+
+export const TRAINING_MAX_SOURCES = ["manual", "amrap", "e1rm"];
+
+export const TRAINING_MAX_SOURCE_LABELS = {
+  manual: "Set manually",
+  amrap: "AMRAP / test set",
+  e1rm: "Recent e1RM",
+};
+
+// Percent of 1RM for 1–12 reps taken to failure (RPE 10). Each RPE point below 10 counts
+// as one more rep, so 5 @ RPE 8 reads the 7-rep column.
+const RPE_TABLE = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68];
+
+export function normalizeE1rmFormula(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  return E1RM_FORMULAS.includes(text) ? text : DEFAULT_E1RM_FORMULA;
+}
+
+export function normalizeTrainingMaxPercent(value) {
+  const parsed = Number.parseFloat(String(value ?? ""));
+  if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_TRAINING_MAX_PERCENT;
+  return Math.min(Math.max(parsed, 50), 100);
+}
+
+function getRpeTablePercent(reps) {
+  if (reps < 1 || reps > RPE_TABLE.length) return null;
+  const lower = Math.floor(reps);
+  const upper = Math.ceil(reps);
+  const fraction = reps - lower;
+  return RPE_TABLE[lower - 1] + (RPE_TABLE[upper - 1] - RPE_TABLE[lower - 1]) * fraction;
+}
+
+/**
+ * Estimates a 1RM with `formula`; `repsInReserve` is added to the reps performed. Returns
+ * null for empty input and where a formula stops being meaningful (Brzycki at 37+ reps,
+ * the RPE table past 12).
+ */
+export function estimateOneRepMaxWith(formula, weight, reps, repsInReserve = 0) {
+  if (weight == null || reps == null || weight === "" || reps === "") return null;
+  const parsedWeight = Number(weight);
+  const total = Number(reps) + (Number(repsInReserve) || 0);
+  if (!Number.isFinite(parsedWeight) || !Number.isFinite(total)) return null;
+  if (parsedWeight <= 0 || Number(reps) <= 0) return null;
+  switch (normalizeE1rmFormula(formula)) {
+    case "brzycki":
+      return total < 37 ? (parsedWeight * 36) / (37 - total) : null;
+    case "lombardi":
+      return parsedWeight * total ** 0.1;
+    case "rpe": {
+      const percent = getRpeTablePercent(total);
+      return percent == null ? null : (parsedWeight * 100) / percent;
+    }
+    default:
+      return parsedWeight * (1 + total / 30);
+  }
+}
+
+/** A logged set's estimate, counting its RIR (or 10 − RPE) as extra reps. */
+export function estimateSetOneRepMaxWith(set, formula) {
+  const reps = Number.parseFloat(String(set?.reps ?? ""));
+  if (!Number.isFinite(reps)) return null;
+  return estimateOneRepMaxWith(formula, set?.weight, reps, getRepsInReserve(set) ?? 0);
+}
+
+export function computeTrainingMax(oneRepMax, percent = DEFAULT_TRAINING_MAX_PERCENT) {
+  if (oneRepMax == null) return null;
+  return roundWeight((oneRepMax * normalizeTrainingMaxPercent(percent)) / 100, 1);
+}
+
+const isTestSet = (set) => ["amrap", "failure"].includes(getSetType(set));
+
+function pickBestSet(sets, formula) {
+  let best = null;
+  sets.forEach((set) => {
+    const oneRepMax = estimateSetOneRepMaxWith(set, formula);
+    if (oneRepMax != null && (best == null || oneRepMax > best.oneRepMax)) {
+      best = { set, oneRepMax };
+    }
+  });
+  return best;
+}
+
+/**
+ * Training max suggestions from `getExerciseHistory` sessions (newest first, weights in
+ * the history unit): `e1rm` from the best set of the last `TRAINING_MAX_LOOKBACK`
+ * sessions and `amrap` from the latest session with an AMRAP or to-failure set. Each is
+ * `{ value, oneRepMax, set, workoutId, date }` or null.
+ */
+export function findTrainingMaxCandidates(history, { formula, percent, lookback } = {}) {
+  const sessions = Array.isArray(history) ? history : [];
+  const toCandidate = (best, session) => ({
+    value: computeTrainingMax(best.oneRepMax, percent),
+    oneRepMax: roundWeight(best.oneRepMax, 1),
+    set: best.set,
+    workoutId: session.workoutId ?? null,
+    date: session.date ?? null,
+  });
+
+  let e1rm = null;
+  sessions.slice(0, lookback ?? TRAINING_MAX_LOOKBACK).forEach((session) => {
+    const best = pickBestSet((session.sets ?? []).filter(countsTowardBestSet), formula);
+    if (best && (e1rm == null || best.oneRepMax > e1rm.best.oneRepMax)) {
+      e1rm = { best, session };
+    }
+  });
+
+  let amrap = null;
+  for (const session of sessions) {
+    const best = pickBestSet((session.sets ?? []).filter(isTestSet), formula);
+    if (best) {
+      amrap = toCandidate(best, session);
+      break;
+    }
+  }
+
+  return { e1rm: e1rm ? toCandidate(e1rm.best, e1rm.session) : null, amrap };
+}
@@ -1,9 +1,18 @@
 import { afterAll, beforeEach, describe, expect, it } from "vitest";
-import { db, getAllExercises } from "../src/db.js";
+import {
+  addExerciseToWorkout,
+  createEmptyWorkout,
+  db,
+  getAllExercises,
+  getWorkoutWithDetails,
+  updateWorkoutSet,
+} from "../src/db.js";
 import {
   createGymFromDraft,
   createTemplateFromDraft,
   createWorkoutFromDraft,
+  executeActionDraft,
+  undoWorkoutEdit,
   validateActionDraft,
 } from "../src/coach/actionDraftExecution.js";
 import { ActionDraftKinds } from "../src/coach/actionDraftContract.js";
@@ -153,4 +162,84 @@ describe.sequential("action draft execution", () => {
     expect(validation.valid).toBe(false);
     expect(validation.errors.join(" ")).toMatch(/payload\.exercises/i);
   });
+
+  // Adds its own exercises so the test does not depend on the starter catalog loading.
+  async function startTestWorkout() {
+    const exercises = [];
+    for (const name of ["Draft Press", "Draft Row", "Draft Lunge"]) {
+      const id = await db.table("exercises").add({ name, aliases: [], status: "core" });
+      exercises.push({ id, name });
+    }
+    const [first, second, third] = exercises;
+    const workoutId = await createEmptyWorkout();
+    const firstItemId = await addExerciseToWorkout(workoutId, first.id);
+    const secondItemId = await addExerciseToWorkout(workoutId, second.id);
+    return { workoutId, firstItemId, secondItemId, first, second, third };
+  }
+
+  it("previews and applies edits to the workout in progress, then undoes them", async () => {
+    const { workoutId, firstItemId, secondItemId, first, third } = await startTestWorkout();
+    const draft = baseDraft(ActionDraftKinds.edit_workout, {
+      workoutId,
+      changes: [
+        { op: "replace_exercise", workoutItemId: String(secondItemId), exerciseId: third.id },
+        { op: "set_targets", workoutItemId: firstItemId, targetSets: 4, targetReps: 6 },
+        { op: "reorder_exercises", workoutItemIds: [secondItemId] },
+      ],
+    });
+    const validation = await validateActionDraft(draft);
+    expect(validation.valid).toBe(true);
+    expect(validation.preview.map((line) => line.op)).toEqual([
+      "replace_exercise",
+      "set_targets",
+      "reorder_exercises",
+    ]);
+    expect(validation.preview[2].text).toBe(`Reorder: ${third.name} → ${first.name}`);
+
+    const before = await getWorkoutWithDetails(workoutId);
+    const result = await executeActionDraft(validation.normalizedDraft);
+    expect(result.id).toBe(workoutId);
+
+    const after = await getWorkoutWithDetails(workoutId);
+    expect(after.items.map((item) => item.exerciseId)).toEqual([third.id, first.id]);
+    expect(after.items[1].targetSets).toBe(4);
+    expect(after.items[1].sets.map((set) => set.reps)).toEqual(["6", "6", "6", "6"]);
+
+    await undoWorkoutEdit(result.undo);
+    expect(await getWorkoutWithDetails(workoutId)).toEqual(before);
+  });
+
+  it("rejects edits that don't fit the workout and keeps logged sets", async () => {
+    const { workoutId, firstItemId, first } = await startTestWorkout();
+    const invalid = await validateActionDraft(
+      baseDraft(ActionDraftKinds.edit_workout, {
+        workoutId,
+        changes: [
+          { op: "add_exercise", exerciseId: first.id },
+          { op: "remove_exercise", workoutItemId: 9999 },
+        ],
+      })
+    );
+    expect(invalid.valid).toBe(false);
+    expect(invalid.errors).toEqual([
+      `${first.name} is already in this workout.`,
+      "changes[1]: workout item 9999 is not in this workout.",
+    ]);
+
+    const [loggedSet] = (await getWorkoutWithDetails(workoutId)).items[0].sets;
+    await updateWorkoutSet(loggedSet.id, { weight: "100", isComplete: true });
+    const shrink = await validateActionDraft(
+      baseDraft(ActionDraftKinds.edit_workout, {
+        workoutId,
+        changes: [{ op: "set_targets", workoutItemId: firstItemId, targetSets: 1 }],
+      })
+    );
+    expect(shrink.valid).toBe(true);
+    const result = await executeActionDraft(shrink.normalizedDraft);
+    const sets = (await getWorkoutWithDetails(workoutId)).items[0].sets;
+    expect(sets.map((set) => set.id)).toEqual([loggedSet.id]);
+
+    await updateWorkoutSet(loggedSet.id, { reps: "12" });
+    await expect(undoWorkoutEdit(result.undo)).rejects.toThrow(/changed after the coach edit/);
+  });
 });
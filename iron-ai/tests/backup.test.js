@@ -0,0 +1,173 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  BACKUP_FORMAT,
+  exportBackup,
+  importBackup,
+  parseBackup,
+  serializeBackup,
+} from "../src/backup/backup";
+import {
+  addExerciseToTemplate,
+  addWorkoutSet,
+  createTemplate,
+  db,
+  finishWorkout,
+  getWorkoutWithDetails,
+  startWorkoutFromTemplate,
+} from "../src/db";
+import { seedTestExercises } from "./seedTestData";
+
+async function getTestExercise(stableId = null) {
+  if (stableId) return db.table("exercises").where("stableId").equals(stableId).first();
+  return db.table("exercises").orderBy("id").first();
+}
+
+async function seedWorkoutHistory() {
+  const exercise = await getTestExercise();
+  const templateId = await createTemplate({ name: "Push Day" });
+  await addExerciseToTemplate(templateId, exercise.id);
+  const workoutId = await startWorkoutFromTemplate(templateId);
+  const details = await getWorkoutWithDetails(workoutId);
+  await addWorkoutSet(details.items[0].id, { weight: "100", reps: "5" });
+  await db.table("workoutSessions").update(workoutId, {
+    exerciseNotes: { [exercise.id]: "Felt strong" },
+  });
+  await finishWorkout(workoutId);
+  return { exercise, templateId, workoutId };
+}
+
+describe.sequential("backup export/import", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("exports a versioned snapshot without API keys", async () => {
+    await db.table("settings").put({ id: 1, openai_api_key: "sk-secret", coach_persona: "calm" });
+    await seedWorkoutHistory();
+
+    const backup = await exportBackup();
+
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.schemaVersion).toBe(db.verno);
+    expect(backup.migration.version).toBe(db.verno);
+    expect(backup.tables.workoutSessions).toHaveLength(1);
+    expect(backup.tables.workoutSets.length).toBeGreaterThan(0);
+    expect(backup.tables.settings[0].coach_persona).toBe("calm");
+    expect(backup.tables.settings[0].openai_api_key).toBeUndefined();
+    expect(backup.tables.logs).toBeUndefined();
+  });
+
+  it("rejects files that are not backups or come from a newer schema", () => {
+    expect(() => parseBackup("not json")).toThrow("not valid JSON");
+    expect(() => parseBackup({ format: "other" })).toThrow("not an Iron AI backup");
+    expect(() =>
+      parseBackup({
+        format: BACKUP_FORMAT,
+        formatVersion: 1,
+        schemaVersion: db.verno + 1,
+        tables: {},
+      })
+    ).toThrow("newer than this app");
+  });
+
+  it("replace restores history with remapped ids and exercise links", async () => {
+    await db.table("settings").put({ id: 1, openai_api_key: "sk-keep", coach_persona: "calm" });
+    const { exercise } = await seedWorkoutHistory();
+    const text = serializeBackup(await exportBackup());
+
+    await db.table("workoutSets").clear();
+    await db.table("workoutItems").clear();
+    await db.table("workoutSessions").clear();
+    await db.table("workouts").clear();
+    await db.table("exercises").update(exercise.id, { name: "Renamed locally" });
+
+    const result = await importBackup(text, { mode: "replace" });
+    expect(result.counts.workoutSessions.added).toBe(1);
+
+    const sessions = await db.table("workoutSessions").toArray();
+    expect(sessions).toHaveLength(1);
+    const legacy = await db.table("workouts").get(sessions[0].id);
+    expect(legacy?.startedAt).toBe(sessions[0].startedAt);
+
+    const restoredExercise = await getTestExercise(exercise.stableId);
+    expect(restoredExercise.name).toBe(exercise.name);
+    expect(sessions[0].exerciseNotes).toEqual({ [restoredExercise.id]: "Felt strong" });
+
+    const details = await getWorkoutWithDetails(sessions[0].id);
+    expect(details.items[0].exercise.id).toBe(restoredExercise.id);
+    expect(details.items[0].sets.some((set) => set.weight === "100")).toBe(true);
+
+    const template = await db.table("templates").get(sessions[0].templateId);
+    expect(template?.name).toBe("Push Day");
+
+    const settings = await db.table("settings").get(1);
+    expect(settings.openai_api_key).toBe("sk-keep");
+    expect(settings.coach_persona).toBe("calm");
+  });
+
+  it("merge is idempotent and links exercises by stableId", async () => {
+    await seedWorkoutHistory();
+    const backup = await exportBackup();
+    const exerciseCount = await db.table("exercises").count();
+
+    const result = await importBackup(backup, { mode: "merge" });
+
+    expect(result.counts.workoutSessions.skipped).toBe(1);
+    expect(result.counts.templates.skipped).toBe(1);
+    expect(result.counts.exercises.added).toBe(0);
+    expect(await db.table("workoutSessions").count()).toBe(1);
+    expect(await db.table("templates").count()).toBe(1);
+    expect(await db.table("exercises").count()).toBe(exerciseCount);
+  });
+
+  it("normalizes pre-v4 backups like the schema upgrades do", async () => {
+    const backup = {
+      format: BACKUP_FORMAT,
+      formatVersion: 1,
+      schemaVersion: 3,
+      tables: {
+        exercises: [{ id: 7, name: "Legacy Row", muscle_group: "Back", is_custom: true }],
+        templates: [{ id: 3, name: "Old Template" }],
+        templateItems: [{ id: 1, templateId: 3, exerciseId: 7, sortOrder: 0 }],
+        workouts: [
+          {
+            id: 11,
+            startedAt: "2020-01-01T10:00:00.000Z",
+            finishedAt: "2020-01-01T11:00:00.000Z",
+            templateId: 3,
+          },
+        ],
+        workoutItems: [{ id: 21, workoutId: 11, exerciseId: 7, sortOrder: 0 }],
+        workoutSets: [{ id: 31, workoutItemId: 21, setNumber: 1, weight: "60", reps: "10" }],
+      },
+    };
+
+    await importBackup(backup, { mode: "merge" });
+
+    const exercise = await db.table("exercises").where("name").equals("Legacy Row").first();
+    expect(exercise.primaryMuscles).toEqual(["Back"]);
+    expect(exercise.source).toBe("user");
+    expect(exercise.stableId).toBeTruthy();
+    expect(Array.isArray(exercise.requiredEquipmentIds)).toBe(true);
+
+    const template = await db.table("templates").where("name").equals("Old Template").first();
+    expect(template.createdAt).toBeTypeOf("number");
+
+    const session = await db
+      .table("workoutSessions")
+      .filter((entry) => entry.startedAt === "2020-01-01T10:00:00.000Z")
+      .first();
+    expect(session.templateId).toBe(template.id);
+    const details = await getWorkoutWithDetails(session.id);
+    expect(details.items[0].exercise.id).toBe(exercise.id);
+    expect(details.items[0].sets[0].weight).toBe("60");
+  });
+});
@@ -42,4 +42,16 @@ describe("coach access", () => {
     expect(state.canChat).toBe(true);
     expect(state.message).toMatch(/server key/i);
   });
+
+  it("blocks chat while offline in any key mode", () => {
+    const state = getCoachAccessState({
+      hasKey: true,
+      keyStatus: "valid",
+      keyMode: "server",
+      isOnline: false,
+    });
+    expect(state.canChat).toBe(false);
+    expect(state.status).toBe("offline");
+    expect(state.message).toMatch(/offline/i);
+  });
 });
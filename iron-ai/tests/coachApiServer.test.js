@@ -1,6 +1,12 @@
-import { describe, expect, it, vi } from "vitest";
+import { afterEach, describe, expect, it, vi } from "vitest";
 
+import { signCoachToken } from "../api/_coachAuth.js";
 import { handleCoachRequest } from "../api/_coachCore.js";
+import { createMockProvider, toAnthropicMessages } from "../api/_coachProviders.js";
+import { createMemoryRateLimitStore } from "../api/_coachRateLimit.js";
+import { createCoachUsageLedger, getCoachClientId } from "../api/_coachUsage.js";
+import coachHandler from "../api/coach.js";
+import { streamChatCompletion } from "../src/services/openai.js";
 
 describe("coach server api core", () => {
   it("blocks production traffic when explicitly disabled", async () => {
@@ -116,3 +122,492 @@ describe("coach server api core", () => {
     expect(result.body.error.message).toMatch(/Unable to reach OpenAI/i);
   });
 });
+
+describe("coach server providers", () => {
+  const toolTurn = [
+    { role: "system", content: "You are a coach." },
+    { role: "user", content: "What templates do I have?" },
+    {
+      role: "assistant",
+      content: "",
+      tool_calls: [
+        {
+          id: "call_1",
+          type: "function",
+          function: { name: "get_templates", arguments: '{"limit":5}' },
+        },
+      ],
+    },
+    { role: "tool", tool_call_id: "call_1", content: '{"templates":[]}' },
+  ];
+
+  it("sends OpenAI-compatible requests to the configured server and model", async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content: "Local reply" } }] }),
+    });
+    const result = await handleCoachRequest({
+      payload: { action: "streamChatCompletion", model: "gpt-4o-mini", messages: toolTurn },
+      env: {
+        COACH_PROVIDER: "openai-compatible",
+        COACH_PROVIDER_BASE_URL: "http://localhost:11434/v1/",
+        COACH_MODEL: "llama3.1",
+      },
+      fetchImpl,
+    });
+
+    expect(result.body.content).toBe("Local reply");
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe("http://localhost:11434/v1/chat/completions");
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body).model).toBe("llama3.1");
+  });
+
+  it("maps tool calls to and from the Anthropic Messages API", async () => {
+    const converted = toAnthropicMessages(toolTurn);
+    expect(converted.system).toBe("You are a coach.");
+    expect(converted.messages.map((turn) => turn.role)).toEqual(["user", "assistant", "user"]);
+    expect(converted.messages[1].content[0]).toEqual({
+      type: "tool_use",
+      id: "call_1",
+      name: "get_templates",
+      input: { limit: 5 },
+    });
+    expect(converted.messages[2].content[0]).toMatchObject({
+      type: "tool_result",
+      tool_use_id: "call_1",
+    });
+
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        stop_reason: "tool_use",
+        content: [
+          { type: "text", text: "Checking." },
+          { type: "tool_use", id: "toolu_1", name: "get_history", input: { days: 7 } },
+        ],
+      }),
+    });
+    const result = await handleCoachRequest({
+      payload: {
+        action: "streamChatCompletion",
+        messages: toolTurn,
+        tools: [{ type: "function", function: { name: "get_history", parameters: {} } }],
+      },
+      env: { COACH_PROVIDER: "anthropic", ANTHROPIC_API_KEY: "sk-ant", COACH_MODEL: "claude" },
+      fetchImpl,
+    });
+
+    const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+    expect(body).toMatchObject({ model: "claude", system: "You are a coach." });
+    expect(body.tools).toEqual([{ name: "get_history", description: "", input_schema: {} }]);
+    expect(result.body).toEqual({
+      content: "Checking.",
+      toolCalls: [
+        {
+          id: "toolu_1",
+          type: "function",
+          function: { name: "get_history", arguments: '{"days":7}' },
+        },
+      ],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: "claude",
+    });
+  });
+
+  it("answers from the mock provider without a network call", async () => {
+    const fetchImpl = vi.fn();
+    const echo = await handleCoachRequest({
+      payload: { action: "streamChatCompletion", messages: toolTurn.slice(0, 2) },
+      env: { COACH_PROVIDER: "mock" },
+      fetchImpl,
+    });
+    expect(echo.body.content).toBe("Mock coach reply: What templates do I have?");
+
+    const scripted = await handleCoachRequest({
+      payload: { messages: toolTurn.slice(0, 2) },
+      env: {},
+      provider: createMockProvider({ reply: () => "Scripted" }),
+      fetchImpl,
+    });
+    expect(scripted.body.choices[0].message.content).toBe("Scripted");
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("names the missing setting for the selected provider", async () => {
+    const missing = await handleCoachRequest({
+      payload: { messages: [] },
+      env: { COACH_PROVIDER: "anthropic", COACH_MODEL: "claude" },
+      fetchImpl: vi.fn(),
+    });
+    expect(missing.body.error.message).toMatch(/missing ANTHROPIC_API_KEY/);
+
+    const unknown = await handleCoachRequest({
+      payload: { messages: [] },
+      env: { COACH_PROVIDER: "gemini" },
+      fetchImpl: vi.fn(),
+    });
+    expect(unknown.status).toBe(500);
+    expect(unknown.body.error.message).toMatch(/Unknown COACH_PROVIDER/);
+  });
+});
+
+describe("coach server streaming", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function sseResponse(events) {
+    const body = events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join("");
+    return new Response(`${body}data: [DONE]\n\n`, {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream" },
+    });
+  }
+
+  async function collect(stream) {
+    let text = "";
+    for await (const chunk of stream) text += chunk;
+    return text;
+  }
+
+  function streamPayload(messages) {
+    return { action: "streamChatCompletion", stream: true, messages };
+  }
+
+  it("relays OpenAI deltas, including partial tool calls, to the client reader", async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(
+      sseResponse([
+        { choices: [{ delta: { role: "assistant" } }] },
+        {
+          choices: [
+            {
+              delta: {
+                tool_calls: [
+                  {
+                    index: 0,
+                    id: "call_1",
+                    type: "function",
+                    function: { name: "get_templates", arguments: '{"lim' },
+                  },
+                ],
+              },
+            },
+          ],
+        },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'it":5}' } }] } }] },
+      ])
+    );
+    const result = await handleCoachRequest({
+      payload: streamPayload([{ role: "user", content: "Plan" }]),
+      env: { OPENAI_API_KEY: "sk-test" },
+      fetchImpl,
+    });
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).stream).toBe(true);
+
+    const relayed = await collect(result.stream);
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue(
+        new Response(relayed, { headers: { "Content-Type": "text/event-stream" } })
+      )
+    );
+    const reply = await streamChatCompletion({ useServerKey: true, messages: [] });
+    expect(reply.toolCalls).toEqual([
+      {
+        id: "call_1",
+        type: "function",
+        function: { name: "get_templates", arguments: '{"limit":5}' },
+      },
+    ]);
+  });
+
+  it("maps Anthropic stream events and surfaces stream errors", async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(
+      sseResponse([
+        { type: "message_start", message: {} },
+        { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+        { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "On it." } },
+        {
+          type: "content_block_start",
+          index: 1,
+          content_block: { type: "tool_use", id: "toolu_1", name: "get_history" },
+        },
+        {
+          type: "content_block_delta",
+          index: 1,
+          delta: { type: "input_json_delta", partial_json: '{"days":7}' },
+        },
+        { type: "error", error: { type: "overloaded_error", message: "Overloaded" } },
+      ])
+    );
+    const result = await handleCoachRequest({
+      payload: streamPayload([{ role: "user", content: "History?" }]),
+      env: { COACH_PROVIDER: "anthropic", ANTHROPIC_API_KEY: "sk-ant", COACH_MODEL: "claude" },
+      fetchImpl,
+    });
+    const events = (await collect(result.stream))
+      .split("\n\n")
+      .filter(Boolean)
+      .map((chunk) => JSON.parse(chunk.replace(/^data: /, "")));
+
+    expect(events[0].choices[0].delta).toEqual({ content: "On it." });
+    expect(events[1].choices[0].delta.tool_calls[0]).toMatchObject({
+      index: 0,
+      id: "toolu_1",
+      function: { name: "get_history", arguments: "" },
+    });
+    expect(events[2].choices[0].delta.tool_calls[0].function.arguments).toBe('{"days":7}');
+    expect(events[3].error).toEqual({ message: "Overloaded", code: "overloaded_error" });
+  });
+
+  it("streams the mock provider word by word and honours cancellation", async () => {
+    const result = await handleCoachRequest({
+      payload: streamPayload([{ role: "user", content: "Hi coach" }]),
+      env: { COACH_PROVIDER: "mock" },
+    });
+    const relayed = await collect(result.stream);
+    expect(relayed.match(/"content"/g)).toHaveLength(5);
+
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue(
+        new Response(relayed, { headers: { "Content-Type": "text/event-stream" } })
+      )
+    );
+    const deltas = [];
+    const reply = await streamChatCompletion({
+      useServerKey: true,
+      messages: [],
+      onDelta: (delta) => deltas.push(delta),
+    });
+    expect(reply.content).toBe("Mock coach reply: Hi coach");
+    expect(deltas.length).toBe(5);
+
+    const controller = new AbortController();
+    controller.abort();
+    vi.stubGlobal(
+      "fetch",
+      vi.fn((url, init) =>
+        init.signal.aborted
+          ? Promise.reject(new DOMException("Aborted", "AbortError"))
+          : Promise.resolve(new Response("{}"))
+      )
+    );
+    await expect(
+      streamChatCompletion({ useServerKey: true, messages: [], signal: controller.signal })
+    ).rejects.toThrow(/Aborted/);
+  });
+});
+
+describe("coach server budgets", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("charges streamed usage to the caller and refuses once the daily budget is spent", async () => {
+    const usageLedger = createCoachUsageLedger();
+    const env = { COACH_PROVIDER: "mock", COACH_DAILY_TOKEN_LIMIT: "20" };
+    const request = (userId) =>
+      handleCoachRequest({
+        payload: {
+          action: "streamChatCompletion",
+          stream: true,
+          messages: [{ role: "user", content: "Plan a full week of push pull legs for me" }],
+        },
+        env,
+        userId,
+        usageLedger,
+      });
+
+    let relayed = "";
+    for await (const chunk of (await request("athlete-1")).stream) relayed += chunk;
+    expect(usageLedger.totals("athlete-1").dayTokens).toBeGreaterThanOrEqual(20);
+
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue(
+        new Response(relayed, { headers: { "Content-Type": "text/event-stream" } })
+      )
+    );
+    const reply = await streamChatCompletion({ useServerKey: true, messages: [] });
+    expect(reply.usage.total_tokens).toBe(usageLedger.totals("athlete-1").dayTokens);
+    expect(reply.model).toBe("mock");
+
+    const blocked = await request("athlete-1");
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.error.code).toBe("coach_budget_exceeded");
+    expect((await request("athlete-2")).status).toBe(200);
+  });
+
+  it("reads Anthropic usage from the stream, even when it ends in an error", async () => {
+    const usageLedger = createCoachUsageLedger();
+    const events = [
+      { type: "message_start", message: { usage: { input_tokens: 120 } } },
+      { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Hi" } },
+      { type: "message_delta", usage: { output_tokens: 8 } },
+      { type: "error", error: { type: "overloaded_error", message: "Overloaded" } },
+    ];
+    const body = events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join("");
+    const result = await handleCoachRequest({
+      payload: {
+        action: "streamChatCompletion",
+        stream: true,
+        messages: [{ role: "user", content: "Hi" }],
+      },
+      env: { COACH_PROVIDER: "anthropic", ANTHROPIC_API_KEY: "sk-ant", COACH_MODEL: "claude" },
+      fetchImpl: vi.fn().mockResolvedValue(new Response(body, { status: 200 })),
+      userId: "athlete-1",
+      usageLedger,
+    });
+    for await (const chunk of result.stream) void chunk;
+    expect(usageLedger.totals("athlete-1").dayTokens).toBe(128);
+  });
+});
+
+describe("coach server access", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const payload = { action: "createChatCompletion", messages: [{ role: "user", content: "Hi" }] };
+
+  it("requires the shared secret or a signed token once one is configured", async () => {
+    const env = { COACH_PROVIDER: "mock", COACH_SHARED_SECRET: "s3cret", COACH_TOKEN_SECRET: "k" };
+    const usageLedger = createCoachUsageLedger();
+    const request = (authorization) =>
+      handleCoachRequest({
+        payload,
+        env,
+        headers: authorization ? { authorization } : {},
+        userId: "203.0.113.9",
+        usageLedger,
+        rateLimitStore: createMemoryRateLimitStore(),
+      });
+
+    expect((await request(null)).body.error.code).toBe("coach_unauthorized");
+    expect((await request("Bearer wrong")).status).toBe(401);
+    expect((await request("Bearer s3cret")).status).toBe(200);
+    expect(usageLedger.totals("203.0.113.9").dayTokens).toBeGreaterThan(0);
+
+    const expired = signCoachToken({ sub: "sam", expiresInSeconds: -1 }, "k");
+    expect((await request(`Bearer ${expired}`)).body.error.code).toBe("coach_token_expired");
+    const forged = signCoachToken({ sub: "sam" }, "other-secret");
+    expect((await request(`Bearer ${forged}`)).body.error.code).toBe("coach_unauthorized");
+
+    const token = signCoachToken({ sub: "sam" }, "k");
+    expect((await request(`Bearer ${token}`)).status).toBe(200);
+    expect(usageLedger.totals("token:sam").dayTokens).toBeGreaterThan(0);
+
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response("{}", { status: 200 })));
+    await streamChatCompletion({ useServerKey: true, accessToken: token, messages: [] });
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe(`Bearer ${token}`);
+  });
+
+  it("rate limits each caller and tells the client when to retry", async () => {
+    const rateLimitStore = createMemoryRateLimitStore();
+    const env = { COACH_PROVIDER: "mock", COACH_RATE_LIMIT_PER_MINUTE: "2" };
+    const request = (userId) =>
+      handleCoachRequest({ payload, env, userId, rateLimitStore });
+
+    expect((await request("a")).status).toBe(200);
+    expect((await request("a")).status).toBe(200);
+    const limited = await request("a");
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe("coach_rate_limited");
+    expect(limited.headers["Retry-After"]).toBe(String(limited.body.error.retryAfter));
+    expect((await request("b")).status).toBe(200);
+
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue(
+        new Response(JSON.stringify(limited.body), { status: 429, headers: limited.headers })
+      )
+    );
+    const error = await streamChatCompletion({ useServerKey: true, messages: [] }).catch(
+      (err) => err
+    );
+    expect(error).toMatchObject({ status: 429, code: "coach_rate_limited" });
+    expect(error.retryAfter).toBeGreaterThan(0);
+  });
+
+  it("rejects bodies outside the request schema with specific codes", async () => {
+    const env = { OPENAI_API_KEY: "sk-test", COACH_MAX_MESSAGES: "2" };
+    const fetchImpl = vi.fn();
+    const request = (body, extraEnv = {}) =>
+      handleCoachRequest({
+        payload: body,
+        env: { ...env, ...extraEnv },
+        fetchImpl,
+        rateLimitStore: createMemoryRateLimitStore(),
+      });
+    const user = { role: "user", content: "Hi" };
+
+    const tooMany = await request({ messages: [user, user, user] });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.error.code).toBe("coach_invalid_request");
+    expect(tooMany.body.error.details[0].path).toBe("messages");
+
+    const badRole = await request({ messages: [{ role: "developer", content: "x" }] });
+    expect(badRole.body.error.details[0].path).toBe("messages.0.role");
+
+    const badTool = await request({
+      messages: [user],
+      tools: [{ type: "function", function: { name: "drop tables" } }],
+    });
+    expect(badTool.body.error.code).toBe("coach_invalid_request");
+    expect((await request({ messages: [user], apiKey: "x" })).status).toBe(400);
+
+    const model = await request({ messages: [user], model: "o1-pro" });
+    expect(model.body.error.code).toBe("coach_model_not_allowed");
+
+    const large = await request(
+      { messages: [{ role: "user", content: "x".repeat(2048) }] },
+      { COACH_MAX_REQUEST_BYTES: "1024" }
+    );
+    expect(large.status).toBe(413);
+    expect(large.body.error.code).toBe("coach_request_too_large");
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("keys callers by the proxy's address, not forwarding entries the client sent", () => {
+    const socket = { remoteAddress: "10.0.0.9" };
+    const forwarded = { "x-forwarded-for": "6.6.6.6, 203.0.113.7" };
+    expect(getCoachClientId({ headers: forwarded, socket })).toBe("203.0.113.7");
+    expect(
+      getCoachClientId({ headers: { ...forwarded, "x-real-ip": "198.51.100.2" }, socket })
+    ).toBe("198.51.100.2");
+    expect(
+      getCoachClientId({
+        headers: { ...forwarded, "x-vercel-forwarded-for": "192.0.2.4", "x-real-ip": "x" },
+        socket,
+      })
+    ).toBe("192.0.2.4");
+    expect(getCoachClientId({ headers: {}, socket })).toBe("10.0.0.9");
+    expect(getCoachClientId({})).toBe("anonymous");
+  });
+
+  it("gives wrong methods and unreadable bodies an error code", async () => {
+    const respond = async (req) => {
+      const res = {
+        status: vi.fn(() => res),
+        json: vi.fn(),
+      };
+      await coachHandler(req, res);
+      return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+    };
+
+    const get = await respond({ method: "GET", headers: {} });
+    expect(get.status).toBe(405);
+    expect(get.body.error.code).toBe("coach_method_not_allowed");
+
+    const invalid = await respond({ method: "POST", headers: {}, body: "{nope" });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toEqual({
+      message: "Invalid JSON body.",
+      code: "coach_invalid_json",
+    });
+  });
+});
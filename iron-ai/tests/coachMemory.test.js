@@ -0,0 +1,129 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { db } from "../src/db.js";
+import {
+  applyCoachMemoryChange,
+  describeCoachMemoryChange,
+  getDefaultCoachMemory,
+  normalizeCoachMemoryChange,
+} from "../src/coach/memory.js";
+import {
+  acceptCoachMemoryProposal,
+  applyCoachMemoryChanges,
+  clearCoachMemory,
+  listCoachMemoryChanges,
+  proposeCoachMemoryChanges,
+  rejectCoachMemoryProposal,
+} from "../src/coach/memoryChanges.js";
+import { executeTool } from "../src/coach/tools.js";
+
+const storedMemory = async () => (await db.table("settings").get(1))?.coach_memory;
+
+describe.sequential("coach memory changes", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("normalizes, applies and describes field changes", () => {
+    expect(normalizeCoachMemoryChange({ field: "age", value: 30 })).toEqual({
+      error: "Unknown memory field: age.",
+    });
+    expect(normalizeCoachMemoryChange({ field: "notes", op: "add", value: "x" }).error).toBe(
+      'Only "set" applies to this field.'
+    );
+    expect(normalizeCoachMemoryChange({ field: "daysPerWeek", value: "9" }).error).toMatch(
+      /between 1 and 7/
+    );
+
+    const { change } = normalizeCoachMemoryChange({
+      field: "injuriesToAvoid",
+      op: "add",
+      value: "  shoulder   impingement ",
+    });
+    expect(change.value).toBe("shoulder impingement");
+    expect(describeCoachMemoryChange(change)).toBe(
+      'Add "shoulder impingement" to injuries to avoid'
+    );
+
+    let memory = applyCoachMemoryChange(getDefaultCoachMemory(), change);
+    memory = applyCoachMemoryChange(memory, { ...change, value: "Shoulder Impingement" });
+    expect(memory.preferences.injuriesToAvoid).toEqual(["Shoulder Impingement"]);
+    memory = applyCoachMemoryChange(memory, {
+      field: "goals",
+      op: "add",
+      value: { type: "strength", value: "Squat 140", notes: "" },
+    });
+    memory = applyCoachMemoryChange(memory, { field: "goals", op: "remove", value: "Strength" });
+    expect(memory.goals).toEqual([]);
+  });
+
+  it("logs user edits with before and after values and skips no-ops", async () => {
+    await db.table("settings").put({ id: 1, openai_api_key: "sk-secret" });
+    await applyCoachMemoryChanges([
+      { field: "equipment", op: "add", value: "barbell" },
+      { field: "communicationStyle", op: "set", value: "neutral" },
+    ]);
+    await applyCoachMemoryChanges({ field: "daysPerWeek", op: "set", value: "4" });
+
+    const memory = await storedMemory();
+    expect(memory.preferences).toMatchObject({ equipment: ["barbell"], daysPerWeek: 4 });
+    expect((await db.table("settings").get(1)).openai_api_key).toBe("sk-secret");
+
+    const history = await listCoachMemoryChanges();
+    expect(history.map((row) => [row.field, row.before, row.after, row.status])).toEqual([
+      ["daysPerWeek", null, 4, "applied"],
+      ["equipment", [], ["barbell"], "applied"],
+    ]);
+    await expect(
+      applyCoachMemoryChanges({ field: "communicationStyle", value: "loud" })
+    ).rejects.toThrow(/Style must be one of/);
+
+    await clearCoachMemory();
+    expect(await storedMemory()).toEqual(getDefaultCoachMemory());
+    expect(await listCoachMemoryChanges()).toHaveLength(4);
+  });
+
+  it("keeps coach proposals out of memory until the user accepts them", async () => {
+    const proposed = await executeTool("propose_memory_update", {
+      field: "injuriesToAvoid",
+      op: "add",
+      value: "lower back",
+      reason: "Mentioned a tweaked lower back.",
+    });
+    expect(proposed).toMatchObject({ proposed: 1, status: "awaiting_user_review" });
+    const repeat = await proposeCoachMemoryChanges({
+      field: "injuriesToAvoid",
+      op: "add",
+      value: "lower back",
+    });
+    expect(repeat).toMatchObject({ proposed: 0, skipped: 1 });
+    await executeTool("propose_memory_update", {
+      field: "goals",
+      op: "add",
+      value: "Run a 5k",
+      goalType: "endurance",
+      reason: "Signed up for a race.",
+    });
+    expect(await storedMemory()).toBeUndefined();
+
+    const [goal, injury] = await listCoachMemoryChanges({ status: "pending" });
+    expect(describeCoachMemoryChange(goal)).toBe("Set goal endurance: Run a 5k");
+    await acceptCoachMemoryProposal(injury.id);
+    await rejectCoachMemoryProposal(goal.id);
+
+    const memory = await storedMemory();
+    expect(memory.preferences.injuriesToAvoid).toEqual(["lower back"]);
+    expect(memory.goals).toEqual([]);
+    expect((await listCoachMemoryChanges()).map((row) => row.status)).toEqual([
+      "rejected",
+      "applied",
+    ]);
+    await expect(acceptCoachMemoryProposal(goal.id)).rejects.toThrow(/already handled/);
+  });
+});
@@ -8,6 +8,9 @@ const mocks = vi.hoisted(() => ({
   getCoachExerciseCandidates: vi.fn(),
   getAllExercises: vi.fn(),
   buildContextFingerprint: vi.fn(),
+  assertCoachBudget: vi.fn(),
+  recordCoachUsage: vi.fn(),
+  saveCoachTrace: vi.fn(),
 }));
 
 vi.mock("../src/services/openai", () => ({
@@ -46,6 +49,16 @@ vi.mock("../src/coach/telemetry", () => ({
   recordCoachPayloadTelemetry: vi.fn(),
 }));
 
+vi.mock("../src/coach/trace", async (importOriginal) => ({
+  ...(await importOriginal()),
+  saveCoachTrace: mocks.saveCoachTrace,
+}));
+
+vi.mock("../src/coach/usage", () => ({
+  assertCoachBudget: mocks.assertCoachBudget,
+  recordCoachUsage: mocks.recordCoachUsage,
+}));
+
 import {
   SYSTEM_PROMPT,
   buildSystemMessages,
@@ -203,6 +216,46 @@ describe("coach orchestrator", () => {
     expect(result.debug?.promptWindow?.droppedMessages).toBeGreaterThan(0);
   });
 
+  it("records token usage per call and stops when the budget is used up", async () => {
+    const usage = { prompt_tokens: 900, completion_tokens: 40, total_tokens: 940 };
+    mocks.streamChatCompletion.mockResolvedValue({
+      content: "Rest a day, then deload.",
+      toolCalls: [],
+      usage,
+      model: "gpt-4o-mini-2024-07-18",
+    });
+    mocks.recordCoachUsage.mockImplementation(async (entry) => entry);
+    const turn = () =>
+      runCoachTurn({
+        apiKey: "test-key",
+        chatHistory: [],
+        userMessage: "Should I deload?",
+        responseMode: "general",
+        contextConfig: { enabled: false },
+        memoryEnabled: false,
+        memorySummary: null,
+      });
+
+    const result = await turn();
+    expect(mocks.recordCoachUsage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        model: "gpt-4o-mini-2024-07-18",
+        usage,
+        phase: "tool_loop",
+        loop: 1,
+        turnId: result.debug.usage.turnId,
+      })
+    );
+    expect(result.debug.usage.calls).toHaveLength(1);
+
+    mocks.assertCoachBudget.mockRejectedValueOnce(
+      Object.assign(new Error("Today's coach budget is used up."), { status: 429 })
+    );
+    mocks.streamChatCompletion.mockClear();
+    await expect(turn()).rejects.toThrow(/budget is used up/);
+    expect(mocks.streamChatCompletion).not.toHaveBeenCalled();
+  });
+
   it("retries once with minimal history when context window overflows", async () => {
     mocks.streamChatCompletion
       .mockRejectedValueOnce({
@@ -259,6 +312,66 @@ describe("coach orchestrator", () => {
     expect(result.debug?.promptWindow?.retriedWithMinimalHistory).toBe(true);
   });
 
+  it("traces context, model and tool calls, validation and fallback for each turn", async () => {
+    mocks.streamChatCompletion
+      .mockResolvedValueOnce({
+        content: "",
+        toolCalls: [
+          { id: "call_1", function: { name: "get_recent_sessions", arguments: '{"limit":2}' } },
+        ],
+      })
+      .mockResolvedValueOnce({
+        content: '```json\n{"name":"Leg Day","exercises":[]}\n```',
+        toolCalls: [],
+      });
+    const turn = () =>
+      runCoachTurn({
+        apiKey: "test-key",
+        chatHistory: [],
+        userMessage: "Make a legs workout for condo gym",
+        responseMode: "general",
+        contextConfig: { enabled: true, scopes: { spaces: true }, activeGymId: 1 },
+        memoryEnabled: false,
+        memorySummary: null,
+      });
+
+    const result = await turn();
+    const { trace } = result.debug;
+    expect(trace.steps.map((step) => step.type)).toEqual([
+      "context",
+      "candidates",
+      "snapshot",
+      "prompt",
+      "model",
+      "tool",
+      "model",
+      "validation",
+      "fallback",
+    ]);
+    expect(trace.steps[0]).toMatchObject({ contextBytes: 42, fingerprint: "abc123" });
+    expect(trace.steps[4]).toMatchObject({
+      phase: "tool_loop",
+      loop: 1,
+      status: "ok",
+      toolCalls: ["get_recent_sessions"],
+    });
+    expect(trace.steps[5]).toMatchObject({
+      name: "get_recent_sessions",
+      input: '{"limit":2}',
+      status: "blocked",
+    });
+    expect(trace.steps[7]).toMatchObject({ phase: "initial", valid: false, mode: "workout" });
+    expect(trace.outcome).toMatchObject({ status: "repaired", actionDraftKind: "create_workout" });
+    expect(trace.turnId).toBe(result.debug.usage.turnId);
+    expect(mocks.saveCoachTrace).toHaveBeenCalledWith(trace);
+
+    mocks.assertCoachBudget.mockRejectedValueOnce(new Error("Today's coach budget is used up."));
+    await expect(turn()).rejects.toThrow(/budget/);
+    expect(mocks.saveCoachTrace).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: "error", error: "Today's coach budget is used up." })
+    );
+  });
+
   it("applies add-legs edit ops as a deterministic append to the current draft", async () => {
     mocks.getCoachExerciseCandidates.mockResolvedValue([
       { exerciseId: 1, name: "Bench Press", primaryMuscles: ["chest"] },
@@ -0,0 +1,142 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import {
+  DEFAULT_THREAD_TITLE,
+  createCoachThread,
+  deleteCoachThread,
+  deriveThreadTitle,
+  filterCoachThreads,
+  getCoachThread,
+  listCoachThreads,
+  loadActiveCoachThread,
+  openCoachThread,
+  renameCoachThread,
+  saveCoachThreadChat,
+  setCoachThreadPinned,
+  sortCoachThreads,
+} from "../src/coach/threads";
+import { db } from "../src/db";
+import { getCoachChatState, setCoachChatState } from "../src/state/settingsStore";
+
+const userMessage = (id, content) => ({ id, role: "user", content, createdAt: id });
+
+describe("coach thread helpers", () => {
+  it("titles a thread from its first user message", () => {
+    expect(deriveThreadTitle([])).toBe(DEFAULT_THREAD_TITLE);
+    expect(
+      deriveThreadTitle([
+        { id: 1, role: "assistant", content: "Hi there" },
+        userMessage(2, "  How should I   deload\nnext week?  "),
+      ])
+    ).toBe("How should I deload next week?");
+    expect(deriveThreadTitle([userMessage(1, "x".repeat(80))])).toHaveLength(60);
+  });
+
+  it("sorts pinned threads first and searches titles and messages", () => {
+    const threads = [
+      { id: 1, title: "Knee pain", pinned: false, updatedAt: 3, messages: [] },
+      { id: 2, title: "Meet prep", pinned: true, updatedAt: 1, messages: [] },
+      {
+        id: 3,
+        title: "Misc",
+        pinned: false,
+        updatedAt: 2,
+        messages: [userMessage(1, "Swap squats for leg press?")],
+      },
+    ];
+    expect(sortCoachThreads(threads).map((thread) => thread.id)).toEqual([2, 1, 3]);
+    expect(filterCoachThreads(threads, "LEG PRESS").map((thread) => thread.id)).toEqual([3]);
+    expect(filterCoachThreads(threads, "  ")).toHaveLength(3);
+  });
+});
+
+describe.sequential("coach threads", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("moves the legacy settings chat and stored draft into a thread", async () => {
+    await setCoachChatState({
+      messages: [userMessage(10, "Plan my week")],
+      chatHistory: [{ role: "user", content: "Plan my week" }],
+    });
+    const thread = await loadActiveCoachThread({
+      legacyActionDraft: { sourceMessageId: 11, draft: { kind: "create_template" } },
+    });
+
+    expect(thread.title).toBe("Plan my week");
+    expect(thread.messages).toHaveLength(1);
+    expect(thread.actionDraft).toEqual({
+      sourceMessageId: 11,
+      draft: { kind: "create_template" },
+    });
+    expect((await getCoachChatState()).messages).toEqual([]);
+
+    const again = await loadActiveCoachThread();
+    expect(again.id).toBe(thread.id);
+    expect(await db.table("coachThreads").count()).toBe(1);
+  });
+
+  it("reopens the last opened thread and only bumps it when the chat changes", async () => {
+    // Everything happens in one millisecond: the open stamps alone decide the order.
+    vi.spyOn(Date, "now").mockReturnValue(1_000);
+    const first = await createCoachThread();
+    const second = await createCoachThread({
+      launchContext: { source: "exercise_detail", exerciseName: "Back Squat" },
+    });
+    expect((await getCoachThread(second)).title).toBe("Exercise: Back Squat");
+
+    const opened = await openCoachThread(first);
+    expect(opened.lastOpenedAt).toBeGreaterThan((await getCoachThread(second)).lastOpenedAt);
+    expect((await loadActiveCoachThread()).id).toBe(first);
+
+    const before = await getCoachThread(first);
+    expect(await saveCoachThreadChat(first, { messages: [], chatHistory: [] })).toBe(false);
+    expect(
+      await saveCoachThreadChat(first, {
+        messages: [userMessage(1, "Is RPE 9 too hard?")],
+        chatHistory: [],
+      })
+    ).toBe(true);
+    const after = await getCoachThread(first);
+    expect(after.title).toBe("Is RPE 9 too hard?");
+    expect(after.updatedAt).toBeGreaterThanOrEqual(before.updatedAt);
+  });
+
+  it("renames, pins, and deletes threads", async () => {
+    const threadId = await createCoachThread();
+    await saveCoachThreadChat(threadId, {
+      messages: [userMessage(1, "Shoulder warmup")],
+      chatHistory: [],
+    });
+
+    await renameCoachThread(threadId, "Shoulders");
+    await saveCoachThreadChat(threadId, {
+      messages: [userMessage(1, "Shoulder warmup"), userMessage(2, "And cooldown?")],
+      chatHistory: [],
+    });
+    expect((await getCoachThread(threadId)).title).toBe("Shoulders");
+
+    await renameCoachThread(threadId, "   ");
+    const reverted = await getCoachThread(threadId);
+    expect(reverted.title).toBe("Shoulder warmup");
+    expect(reverted.titleIsAuto).toBe(true);
+
+    const otherId = await createCoachThread({ title: "Other" });
+    await setCoachThreadPinned(threadId, true);
+    expect((await listCoachThreads()).map((thread) => thread.id)).toEqual([threadId, otherId]);
+
+    await deleteCoachThread(threadId);
+    expect((await listCoachThreads()).map((thread) => thread.id)).toEqual([otherId]);
+  });
+});
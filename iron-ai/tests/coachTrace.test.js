@@ -0,0 +1,67 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { db } from "../src/db.js";
+import {
+  clearCoachTraces,
+  createCoachTrace,
+  describeCoachTraceStep,
+  listCoachTraces,
+  previewTraceValue,
+  saveCoachTrace,
+} from "../src/coach/trace.js";
+
+describe.sequential("coach turn traces", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("times steps, records failures, and describes each step", async () => {
+    let clock = 1000;
+    const now = () => clock;
+    const { trace, add, time, finish } = createCoachTrace({ userMessage: "Push day?", now });
+
+    clock = 1010;
+    add("context", { contextBytes: 420, buildMs: 3, exerciseCount: 12, fingerprint: "abc" });
+    await time("model", { phase: "tool_loop", loop: 1 }, async (step) => {
+      clock = 1510;
+      step.totalTokens = 900;
+      step.toolCalls = ["get_recent_sessions"];
+    });
+    await expect(
+      time("model", { phase: "repair" }, async () => {
+        clock = 1600;
+        throw new Error("Upstream timeout");
+      })
+    ).rejects.toThrow("Upstream timeout");
+    finish({ error: new Error("Upstream timeout") });
+
+    expect(trace).toMatchObject({ status: "error", durationMs: 600, error: "Upstream timeout" });
+    expect(trace.steps.map(describeCoachTraceStep)).toEqual([
+      "+10 ms context: 420 bytes in 3 ms, 12 exercises, fingerprint abc",
+      "+10 ms model: tool_loop #1, ok in 500 ms, 900 tokens, tool calls: get_recent_sessions",
+      "+510 ms model: repair, error in 90 ms",
+    ]);
+    expect(previewTraceValue({ rows: "x".repeat(50) }, 20)).toBe(
+      '{"rows":"xxxxxxxxxxx… (61 chars)'
+    );
+  });
+
+  it("keeps the newest traces and clears them on request", async () => {
+    for (let index = 0; index < 52; index += 1) {
+      const { finish } = createCoachTrace({ now: () => 5000 + index });
+      await saveCoachTrace(finish({ outcome: { status: "ok" } }));
+    }
+    const stored = await listCoachTraces();
+    expect(stored).toHaveLength(50);
+    expect(stored[0].trace.startedAt).toBe(5051);
+
+    await clearCoachTraces();
+    expect(await listCoachTraces()).toEqual([]);
+  });
+});
@@ -0,0 +1,165 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { db } from "../src/db.js";
+import { runCoachTurn } from "../src/coach/orchestrator.js";
+import {
+  COACH_TRANSCRIPT_LOG_TYPE,
+  createTranscriptRecorder,
+  listCoachTranscripts,
+  replayCoachTranscript,
+  saveCoachTranscript,
+} from "../src/coach/transcript.js";
+
+// Golden transcripts: record one from the app (Diagnostics → Coach transcripts), download
+// it and drop it into this folder. Every file here is replayed on each run.
+const fixtures = import.meta.glob("./fixtures/coach-transcripts/*.json", {
+  eager: true,
+  import: "default",
+});
+
+const PUSH_DRAFT_CONTENT = JSON.stringify({
+  contractVersion: "coach_action_v1",
+  assistantText: "Push workout ready.",
+  actionDraft: {
+    kind: "create_workout",
+    confidence: 0.9,
+    risk: "low",
+    title: "Push Day",
+    summary: "Push workout",
+    payload: {
+      name: "Push Day",
+      exercises: [
+        { exerciseId: 1, sets: [{ reps: 8 }, { reps: 8 }, { reps: 8 }] },
+        { exerciseId: 2, sets: [{ reps: 10 }, { reps: 10 }, { reps: 10 }] },
+        { exerciseId: 3, sets: [{ reps: 12 }, { reps: 12 }, { reps: 12 }] },
+      ],
+    },
+  },
+});
+
+const EXERCISES = [
+  { id: 1, name: "Bench Press", primaryMuscles: ["chest"], instructions: ["Lower", "Press"] },
+  { id: 2, name: "Overhead Press", primaryMuscles: ["shoulders"] },
+  { id: 3, name: "Triceps Pushdown", primaryMuscles: ["triceps"] },
+];
+
+const stubRuntime = (modelResponses) => {
+  const responses = [...modelResponses];
+  return {
+    getCoachRequestContext: async () => ({
+      context: { activeGymId: 1, gymName: "Home", equipmentIds: ["barbell"] },
+      meta: { contextBytes: 10, contextBuildMs: 1 },
+    }),
+    getAllExercises: async () => EXERCISES,
+    getCoachExerciseCandidates: async () =>
+      EXERCISES.map((exercise) => ({ exerciseId: exercise.id, name: exercise.name })),
+    getCoachContextSnapshot: async () => ({
+      snapshot: { activeGymId: 1, activeGymName: "Home" },
+      meta: { truncated: false, omitted: [] },
+      contract: { activeGymId: 1, activeGymName: "Home", contextBytes: 10 },
+    }),
+    getCoachActiveWorkout: async () => null,
+    executeTool: async () => ({ sessions: [{ id: 7, name: "Push", exerciseCount: 3 }] }),
+    streamChatCompletion: async () => responses.shift(),
+    createChatCompletion: async () => {
+      throw new Error("Unexpected repair call.");
+    },
+  };
+};
+
+const TURN_INPUT = {
+  apiKey: "sk-test",
+  keyMode: "user",
+  chatHistory: [],
+  userMessage: "Need a push workout",
+  responseMode: "general",
+  contextConfig: { enabled: true, scopes: { spaces: true, sessions: true }, activeGymId: 1 },
+  memoryEnabled: false,
+  memorySummary: null,
+};
+
+async function recordTurn() {
+  const recorder = createTranscriptRecorder({
+    input: TURN_INPUT,
+    runtime: stubRuntime([
+      {
+        content: "",
+        toolCalls: [
+          {
+            id: "call_1",
+            function: { name: "get_recent_sessions", arguments: '{"limit":2}' },
+          },
+        ],
+      },
+      { content: PUSH_DRAFT_CONTENT, toolCalls: [] },
+    ]),
+  });
+  const result = await runCoachTurn({ ...TURN_INPUT, runtime: recorder.runtime });
+  return { result, transcript: recorder.finish(result) };
+}
+
+describe.sequential("coach transcripts", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("records a turn without secrets and replays it to the same outcome", async () => {
+    const { result, transcript } = await recordTurn();
+    expect(result.actionDraft?.payload?.exercises).toHaveLength(3);
+    expect(transcript.input.apiKey).toBeUndefined();
+    expect(transcript.modelCalls.map((call) => call.type)).toEqual(["stream", "stream"]);
+    expect(transcript.toolCalls).toEqual([
+      {
+        name: "get_recent_sessions",
+        input: { limit: 2 },
+        result: { sessions: [{ id: 7, name: "Push", exerciseCount: 3 }] },
+      },
+    ]);
+    expect(transcript.context.getAllExercises.value[0].instructions).toBeUndefined();
+
+    const replay = await replayCoachTranscript(JSON.parse(JSON.stringify(transcript)));
+    expect(replay.diff).toEqual([]);
+    expect(replay.report).toEqual({
+      promptDrift: [],
+      missingToolResults: [],
+      unusedModelCalls: 0,
+    });
+  });
+
+  it("reports prompt drift and outcome changes against the recording", async () => {
+    const { transcript } = await recordTurn();
+    transcript.modelCalls[0].request.messages[0].content = "An older system prompt.";
+    transcript.outcome.assistant = "Something else.";
+
+    const replay = await replayCoachTranscript(transcript);
+    expect(replay.report.promptDrift).toEqual([
+      { call: 0, reason: "system_messages_changed" },
+    ]);
+    expect(replay.diff.map((entry) => entry.field)).toEqual(["assistant"]);
+  });
+
+  it("keeps only the newest recorded transcripts", async () => {
+    for (let index = 0; index < 12; index += 1) {
+      await saveCoachTranscript({ version: 1, recordedAt: 1000 + index });
+    }
+    const stored = await listCoachTranscripts();
+    expect(stored).toHaveLength(10);
+    expect(stored[0].transcript.recordedAt).toBe(1011);
+    expect(stored.every((entry) => entry.type === COACH_TRANSCRIPT_LOG_TYPE)).toBe(true);
+  });
+
+  Object.entries(fixtures).forEach(([path, transcript]) => {
+    it(`replays ${path.split("/").pop()} to its golden outcome`, async () => {
+      const replay = await replayCoachTranscript(transcript);
+      expect(replay.diff).toEqual([]);
+      expect(replay.report.missingToolResults).toEqual([]);
+      expect(replay.report.unusedModelCalls).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { db } from "../src/db.js";
+import {
+  COACH_BUDGET_ERROR_CODE,
+  assertCoachBudget,
+  estimateUsageCost,
+  getCoachUsageTotals,
+  normalizeUsage,
+  recordCoachUsage,
+  setCoachBudget,
+} from "../src/coach/usage.js";
+
+describe("coach usage pricing", () => {
+  it("normalizes usage and prices dated model snapshots", () => {
+    const usage = normalizeUsage({ prompt_tokens: 1_000_000, completion_tokens: 500_000 });
+    expect(usage).toEqual({
+      promptTokens: 1_000_000,
+      completionTokens: 500_000,
+      totalTokens: 1_500_000,
+    });
+    expect(estimateUsageCost("gpt-4o-mini-2024-07-18", usage)).toBeCloseTo(0.45);
+    expect(estimateUsageCost("gpt-4o", usage)).toBeCloseTo(7.5);
+    expect(estimateUsageCost("claude-sonnet", usage)).toBeNull();
+    expect(normalizeUsage({})).toBeNull();
+  });
+});
+
+describe.sequential("coach usage budgets", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("totals today and this month and blocks once a limit is reached", async () => {
+    const now = new Date(2026, 4, 20, 12).getTime();
+    const earlierThisMonth = new Date(2026, 4, 2, 9).getTime();
+    const lastMonth = new Date(2026, 3, 28, 9).getTime();
+    const usage = { prompt_tokens: 400, completion_tokens: 100 };
+    await recordCoachUsage({ model: "gpt-4o-mini", usage, phase: "tool_loop", at: now });
+    await recordCoachUsage({ model: "mock", usage, phase: "repair", at: earlierThisMonth });
+    await recordCoachUsage({ model: "gpt-4o-mini", usage, phase: "tool_loop", at: lastMonth });
+    await db.table("logs").add({ date: now, type: "coach_payload" });
+
+    const totals = await getCoachUsageTotals(now);
+    expect(totals.daily).toMatchObject({ calls: 1, totalTokens: 500 });
+    expect(totals.monthly).toMatchObject({ calls: 2, totalTokens: 1000 });
+    expect(Object.keys(totals.byModel).sort()).toEqual(["gpt-4o-mini", "mock"]);
+
+    await expect(assertCoachBudget(now)).resolves.toBeUndefined();
+    await setCoachBudget({ dailyTokens: "600", monthlyTokens: "", monthlyCostUsd: null });
+    await expect(assertCoachBudget(now)).resolves.toBeUndefined();
+
+    await setCoachBudget({ dailyTokens: "", monthlyTokens: 1000 });
+    const error = await assertCoachBudget(now).catch((err) => err);
+    expect(error.code).toBe(COACH_BUDGET_ERROR_CODE);
+    expect(error.status).toBe(429);
+    expect(error.message).toMatch(/This month's coach budget of 1,000 tokens/);
+  });
+});
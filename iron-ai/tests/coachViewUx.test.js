@@ -147,6 +147,7 @@ Use this template payload.`);
   it("uses an open-workout primary CTA for workout suggested actions", () => {
     expect(getSuggestedActionPrimaryLabel("create_workout")).toBe("Open workout");
     expect(getSuggestedActionPrimaryLabel("create_template")).toBe("Apply");
+    expect(getSuggestedActionPrimaryLabel("edit_workout")).toBe("Apply to workout");
   });
 
   it("shows save-as-template action only for workout drafts", () => {
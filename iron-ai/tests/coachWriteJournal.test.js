@@ -0,0 +1,97 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { db, getAllExercises, updateWorkoutSpace } from "../src/db.js";
+import { executeActionDraft, validateActionDraft } from "../src/coach/actionDraftExecution.js";
+import { ActionDraftKinds } from "../src/coach/actionDraftContract.js";
+import { executeWriteToolCall } from "../src/coach/orchestrator.js";
+import {
+  describeCoachWriteChanges,
+  listCoachWrites,
+  revertCoachWrite,
+} from "../src/coach/writeJournal.js";
+import { seedTestExercises } from "./seedTestData.js";
+
+const toolProposal = (name, input) => ({ id: `call_${name}`, name, input, summary: name });
+
+describe.sequential("coach write journal", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("journals a created template and reverts it", async () => {
+    const [exercise] = await getAllExercises();
+    const result = await executeWriteToolCall({
+      proposal: toolProposal("create_template", {
+        name: "Coach Push",
+        exercises: [{ exerciseId: exercise.id, sets: 3, reps: 8 }],
+      }),
+    });
+    expect(result.status).toBe("success");
+
+    const [entry] = await listCoachWrites();
+    expect(entry.id).toBe(result.journalId);
+    expect(entry.source).toBe("tool");
+    expect(describeCoachWriteChanges(entry.changes)).toBe(
+      "1 template created, 1 template exercise created"
+    );
+
+    await revertCoachWrite(entry.id);
+    expect(await db.table("templates").count()).toBe(0);
+    expect(await db.table("templateItems").count()).toBe(0);
+    expect((await listCoachWrites())[0].revertedAt).not.toBeNull();
+    await expect(revertCoachWrite(entry.id)).rejects.toThrow(/already reverted/);
+  });
+
+  it("keeps only changed fields and refuses to revert rows edited since", async () => {
+    await db.table("settings").put({ id: 1, openai_api_key: "sk-secret", units: "kg" });
+    const goal = await executeWriteToolCall({
+      proposal: toolProposal("update_user_goal", { goalType: "strength", value: "Squat 140" }),
+    });
+    const goalEntry = (await listCoachWrites())[0];
+    expect(goalEntry.id).toBe(goal.journalId);
+    expect(Object.keys(goalEntry.changes[0].after)).toEqual(["coach_memory"]);
+    expect(JSON.stringify(goalEntry.changes)).not.toContain("sk-secret");
+
+    const space = await db.table("workoutSpaces").toCollection().first();
+    const rename = await executeWriteToolCall({
+      proposal: toolProposal("update_workout_space", { spaceId: space.id, name: "Home rack" }),
+    });
+    await updateWorkoutSpace(space.id, { name: "Garage" });
+    await expect(revertCoachWrite(rename.journalId)).rejects.toThrow(/changed after the coach/);
+    expect((await db.table("workoutSpaces").get(space.id)).name).toBe("Garage");
+
+    await revertCoachWrite(goalEntry.id);
+    const settings = await db.table("settings").get(1);
+    expect(settings.coach_memory).toBeUndefined();
+    expect(settings.openai_api_key).toBe("sk-secret");
+  });
+
+  it("journals action drafts with their new workout rows", async () => {
+    const [exercise] = await getAllExercises();
+    const validation = await validateActionDraft({
+      kind: ActionDraftKinds.create_workout,
+      confidence: 0.8,
+      risk: "low",
+      title: "Leg day",
+      summary: "Draft summary.",
+      payload: { name: "Leg day", exercises: [{ exerciseId: exercise.id, sets: [{ reps: 8 }] }] },
+    });
+    const result = await executeActionDraft(validation.normalizedDraft);
+
+    const [entry] = await listCoachWrites();
+    expect(entry.id).toBe(result.journalId);
+    expect(entry.summary).toBe("Leg day");
+    expect(entry.changes.map((change) => change.table)).toContain("workoutSets");
+
+    await revertCoachWrite(entry.id);
+    expect(await db.table("workoutSessions").get(result.id)).toBeUndefined();
+    expect(await db.table("workoutSets").count()).toBe(0);
+  });
+});
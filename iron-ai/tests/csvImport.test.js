@@ -0,0 +1,216 @@
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { db, getWorkoutWithDetails } from "../src/db";
+import {
+  buildCsvImportPreview,
+  commitCsvImport,
+  detectCsvFormat,
+  parseCsv,
+  parseLoggerCsv,
+  parseLoggerDate,
+} from "../src/import/csvImport";
+
+const STRONG_CSV = [
+  "Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE",
+  '2024-01-05 18:30:00;"Push, Heavy";1h 5m;Bench Press (Barbell);W;40;10;0;0;;Felt good;',
+  "2024-01-05 18:30:00;\"Push, Heavy\";1h 5m;Bench Press (Barbell);1;100;5;0;0;Paused;Felt good;8",
+  "2024-01-05 18:30:00;\"Push, Heavy\";1h 5m;Zercher Wobble Thing;1;60;8;0;0;;Felt good;",
+  "2024-01-05 18:30:00;\"Push, Heavy\";1h 5m;Treadmill;1;0;0;1.5;600;;Felt good;",
+].join("\n");
+
+const HEVY_CSV = [
+  "title,start_time,end_time,description,exercise_title,superset_id,exercise_notes,set_index,set_type,weight_lbs,reps,distance_km,duration_seconds,rpe",
+  'Legs,"13 Jan 2024, 18:04","13 Jan 2024, 19:10",,Squat (Barbell),,,0,warmup,135,5,,,',
+  'Legs,"13 Jan 2024, 18:04","13 Jan 2024, 19:10",,Squat (Barbell),,,1,normal,225,5,,,',
+  'Legs,"13 Jan 2024, 18:04","13 Jan 2024, 19:10",,Plank,,,0,normal,,,,75,',
+].join("\n");
+
+const FITNOTES_CSV = [
+  "Date,Exercise,Category,Weight (kgs),Reps,Distance,Distance Unit,Time,Comment",
+  "2023-03-02,Deadlift,Back,140.0,3,,,,",
+  "2023-03-02,Deadlift,Back,150.0,1,,,,PR",
+  "2023-03-02,Rowing Machine,Cardio,,,2000,m,0:08:30,",
+].join("\r\n");
+
+describe("csv import parsing", () => {
+  it("parses quoted fields and detects formats", () => {
+    const rows = parseCsv('a,b\n"x, y","he said ""hi"""\n');
+    expect(rows).toEqual([
+      ["a", "b"],
+      ["x, y", 'he said "hi"'],
+    ]);
+    expect(detectCsvFormat(parseCsv(HEVY_CSV)[0])).toBe("hevy");
+    expect(detectCsvFormat(parseCsv(STRONG_CSV)[0])).toBe("strong");
+    expect(detectCsvFormat(parseCsv(FITNOTES_CSV)[0])).toBe("fitnotes");
+    expect(detectCsvFormat(["foo", "bar"])).toBeNull();
+  });
+
+  it("reads logger date formats as local time", () => {
+    expect(parseLoggerDate("2024-01-05 18:30:00").getHours()).toBe(18);
+    const hevy = parseLoggerDate("13 Jan 2024, 18:04");
+    expect(hevy.getMonth()).toBe(0);
+    expect(hevy.getMinutes()).toBe(4);
+    expect(parseLoggerDate("nope")).toBeNull();
+  });
+
+  it("groups Strong rows into sessions and keeps timed rows", () => {
+    const parsed = parseLoggerCsv(STRONG_CSV);
+    expect(parsed.format).toBe("strong");
+    expect(parsed.sessions).toHaveLength(1);
+    const [session] = parsed.sessions;
+    expect(session.title).toBe("Push, Heavy");
+    expect(session.sessionNote).toBe("Felt good");
+    expect(new Date(session.finishedAt) - new Date(session.startedAt)).toBe(65 * 60 * 1000);
+    expect(session.exercises.map((exercise) => exercise.name)).toEqual([
+      "Bench Press (Barbell)",
+      "Zercher Wobble Thing",
+      "Treadmill",
+    ]);
+    expect(session.exercises[0].sets[0]).toMatchObject({ weight: "40", isWarmup: true });
+    expect(session.exercises[0].sets[1]).toMatchObject({ setType: "working", rpe: 8 });
+    expect(session.exercises[0].note).toBe("Paused");
+    expect(session.exercises[0].sets[1].durationSec).toBeNull();
+    expect(session.exercises[2].sets[0]).toMatchObject({
+      weight: "",
+      reps: "",
+      durationSec: 600,
+      distance: "1.5",
+      distanceUnit: "km",
+    });
+    expect(parsed.warnings).toEqual([]);
+    const inMiles = parseLoggerCsv(STRONG_CSV, { weightUnit: "lb" }).sessions[0].exercises[2];
+    expect(inMiles.sets[0]).toMatchObject({ distance: "1.5", distanceUnit: "mi" });
+  });
+
+  it("reads Hevy durations and FitNotes distance units", () => {
+    const plank = parseLoggerCsv(HEVY_CSV).sessions[0].exercises[1];
+    expect(plank.sets[0]).toMatchObject({ durationSec: 75, distance: "", distanceUnit: null });
+
+    const fitnotes = parseLoggerCsv(FITNOTES_CSV).sessions[0].exercises[1];
+    expect(fitnotes.sets[0]).toMatchObject({
+      durationSec: 510,
+      distance: "2",
+      distanceUnit: "km",
+    });
+    expect(parseLoggerCsv(`${FITNOTES_CSV}\r\n2023-03-02,Deadlift,Back,,,,,,`).warnings[0]).toBe(
+      "1 row(s) without weight, reps, time or distance were skipped."
+    );
+  });
+
+  it("keeps pound columns in pounds", () => {
+    const parsed = parseLoggerCsv(HEVY_CSV);
+    expect(parsed.weightUnit).toBe("lb");
+    const sets = parsed.sessions[0].exercises[0].sets;
+    expect(sets[1]).toMatchObject({ weight: "225", unit: "lb" });
+    expect(sets[0].isWarmup).toBe(true);
+    expect(parseLoggerCsv(STRONG_CSV, { weightUnit: "lb" }).weightUnit).toBe("lb");
+  });
+
+  it("rejects unknown exports", () => {
+    expect(() => parseLoggerCsv("foo,bar\n1,2")).toThrow("Unrecognized CSV export");
+  });
+});
+
+describe.sequential("csv import commit", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("previews matches and writes sessions with mapped and created exercises", async () => {
+    const bench = await db.table("exercises").add({ name: "Bench Press", aliases: [] });
+    const exercises = await db.table("exercises").toArray();
+    const parsed = parseLoggerCsv(STRONG_CSV);
+    const preview = buildCsvImportPreview(parsed, exercises);
+
+    const wobble = preview.entries.find((entry) => entry.name === "Zercher Wobble Thing");
+    expect(wobble.status).toBe("needsReview");
+    expect(wobble.action).toBe("create");
+
+    const mappings = {
+      "Bench Press (Barbell)": { action: "match", exerciseId: bench },
+      "Zercher Wobble Thing": { action: "create" },
+    };
+    const result = await commitCsvImport(parsed, mappings);
+    expect(result.sessionsAdded).toBe(1);
+    expect(result.exercisesCreated).toBe(1);
+
+    const session = await db.table("workoutSessions").orderBy("id").last();
+    expect(session.title).toBe("Push, Heavy");
+    expect(await db.table("workouts").get(session.id)).toBeTruthy();
+    const details = await getWorkoutWithDetails(session.id);
+    expect(details.items).toHaveLength(2);
+    expect(details.items[0].exercise.id).toBe(bench);
+    expect(details.items[0].sets.map((set) => set.weight)).toEqual(["40", "100"]);
+    expect(details.items[1].exercise.is_custom).toBe(true);
+    expect(session.exerciseNotes[bench]).toBe("Paused");
+
+    const again = await commitCsvImport(parsed, {
+      "Bench Press (Barbell)": { action: "match", exerciseId: bench },
+    });
+    expect(again.sessionsAdded).toBe(0);
+    expect(again.sessionsSkipped).toBe(1);
+  });
+
+  it("stores imported weights in the export's unit", async () => {
+    const squat = await db.table("exercises").add({ name: "Squat", aliases: [] });
+    const parsed = parseLoggerCsv(HEVY_CSV);
+    await commitCsvImport(parsed, { "Squat (Barbell)": { action: "match", exerciseId: squat } });
+
+    const session = await db.table("workoutSessions").orderBy("id").last();
+    const details = await getWorkoutWithDetails(session.id);
+    expect(details.items[0].sets.map((set) => [set.weight, set.unit])).toEqual([
+      ["135", "lb"],
+      ["225", "lb"],
+    ]);
+  });
+
+  it("stores timed rows and gives new exercises a timed schema", async () => {
+    const parsed = parseLoggerCsv(FITNOTES_CSV);
+    const result = await commitCsvImport(parsed, { "Rowing Machine": { action: "create" } });
+
+    const rower = await db.table("exercises").get(result.created[0].exerciseId);
+    expect(rower.setSchema).toBe("distance_duration");
+    const session = await db.table("workoutSessions").orderBy("id").last();
+    const details = await getWorkoutWithDetails(session.id);
+    expect(details.items[0].sets[0]).toMatchObject({
+      weight: "",
+      reps: "",
+      durationSec: 510,
+      distance: "2",
+      distanceUnit: "km",
+    });
+  });
+
+  it("only creates exercises for sessions that are written", async () => {
+    const parsed = parseLoggerCsv(FITNOTES_CSV);
+    const exerciseCount = await db.table("exercises").count();
+    vi.spyOn(db.table("workoutSets"), "add").mockRejectedValueOnce(new Error("Disk full"));
+    await expect(
+      commitCsvImport(parsed, { "Rowing Machine": { action: "create" } })
+    ).rejects.toThrow("Disk full");
+    expect(await db.table("exercises").count()).toBe(exerciseCount);
+
+    const deadlift = await db.table("exercises").add({ name: "Deadlift", aliases: [] });
+    await commitCsvImport(parsed, { Deadlift: { action: "match", exerciseId: deadlift } });
+    const again = await commitCsvImport(parsed, { "Rowing Machine": { action: "create" } });
+    expect(again).toMatchObject({ sessionsAdded: 0, exercisesCreated: 0, created: [] });
+    expect(await db.table("exercises").count()).toBe(exerciseCount + 1);
+  });
+
+  it("requires an exercise for match mappings", async () => {
+    const parsed = parseLoggerCsv(FITNOTES_CSV);
+    await expect(
+      commitCsvImport(parsed, { Deadlift: { action: "match", exerciseId: null } })
+    ).rejects.toThrow('Pick an exercise for "Deadlift".');
+  });
+});
@@ -0,0 +1,120 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToTemplate,
+  createTemplate,
+  createWorkoutSpace,
+  db,
+  getWorkoutSpaceById,
+  getWorkoutWithDetails,
+  setTrainingMax,
+  startWorkoutFromTemplate,
+  updateTemplateItemPrescriptions,
+  updateWorkoutSpace,
+} from "../src/db";
+import {
+  calculatePlates,
+  getDefaultLoadout,
+  getLoadingKind,
+  normalizeLoadout,
+  roundToLoadable,
+} from "../src/workoutSpaces/loading";
+
+const HOME_GYM = {
+  unit: "kg",
+  barWeights: [15, "20"],
+  plates: [
+    { weight: 10, pairs: 2 },
+    { weight: 5, pairs: 1 },
+    { weight: 10, pairs: 1 },
+    { weight: 2, pairs: 0 },
+  ],
+  dumbbells: { min: 4, max: 24, step: 2 },
+  stackStep: 7,
+};
+
+describe("loading helpers", () => {
+  it("cleans loadouts and reads the loading kind from equipment", () => {
+    expect(normalizeLoadout(null)).toBeNull();
+    expect(normalizeLoadout(HOME_GYM)).toEqual({
+      unit: "kg",
+      barWeights: [15, 20],
+      plates: [
+        { weight: 10, pairs: 3 },
+        { weight: 5, pairs: 1 },
+      ],
+      dumbbells: { min: 4, max: 24, step: 2 },
+      stackStep: 7,
+    });
+    expect(normalizeLoadout({ unit: "lb" }).barWeights).toEqual([45]);
+
+    expect(getLoadingKind({ name: "Bench press" })).toBe("barbell");
+    expect(getLoadingKind({ name: "Curl", equipment: ["dumbbell", "bench"] })).toBe("dumbbell");
+    expect(getLoadingKind({ name: "Lat pulldown" })).toBe("machine");
+    expect(getLoadingKind({ name: "Push up" })).toBeNull();
+  });
+
+  it("works out plates per side from the inventory", () => {
+    const standard = calculatePlates(102.5, getDefaultLoadout("kg"));
+    expect(standard.perSide).toEqual([
+      { weight: 20, count: 2 },
+      { weight: 1.25, count: 1 },
+    ]);
+    expect(standard).toMatchObject({ barWeight: 20, total: 102.5, remainder: 0 });
+
+    // 58 kg on the 15 kg bar needs 21.5 a side; the closest is two tens, 3 kg short.
+    expect(calculatePlates(58, HOME_GYM)).toMatchObject({
+      perSide: [{ weight: 10, count: 2 }],
+      total: 55,
+      remainder: 3,
+    });
+    expect(calculatePlates(58, HOME_GYM, { barWeight: 20 }).total).toBe(60);
+    expect(calculatePlates(10, HOME_GYM).perSide).toEqual([]);
+  });
+
+  it("rounds weights to what the space can load", () => {
+    expect(roundToLoadable(61, { kind: "barbell", loadout: HOME_GYM, unit: "kg" })).toBe(65);
+    expect(roundToLoadable(200, { kind: "barbell", loadout: HOME_GYM, unit: "kg" })).toBe(85);
+    expect(roundToLoadable(12.6, { kind: "dumbbell", loadout: HOME_GYM, unit: "kg" })).toBe(12);
+    expect(roundToLoadable(30, { kind: "dumbbell", loadout: HOME_GYM, unit: "kg" })).toBe(24);
+    expect(roundToLoadable(40, { kind: "machine", loadout: HOME_GYM, unit: "kg" })).toBe(42);
+    expect(roundToLoadable(41, { unit: "kg" })).toBe(40);
+    // A kg gym seen from a lb log: 135 lb is about 61.2 kg, which loads as 65 kg.
+    expect(roundToLoadable(135, { kind: "barbell", loadout: HOME_GYM, unit: "lb" })).toBe(
+      143.3
+    );
+    expect(roundToLoadable(137, { kind: "barbell", unit: "lb" })).toBe(135);
+  });
+});
+
+describe.sequential("workout space loadouts", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("stores a loadout on the space and rounds prescribed weights to it", async () => {
+    const spaceId = await createWorkoutSpace({ name: "Garage", loadout: HOME_GYM });
+    expect((await getWorkoutSpaceById(spaceId)).loadout.plates).toHaveLength(2);
+
+    const exerciseId = await db.table("exercises").add({ name: "Bench press", status: "core" });
+    await setTrainingMax(exerciseId, { value: 100, unit: "kg" });
+    const templateId = await createTemplate({ name: "Push" });
+    const itemId = await addExerciseToTemplate(templateId, exerciseId);
+    await updateTemplateItemPrescriptions(itemId, [{ repMin: 5, repMax: 5, loadPercent: 62 }]);
+
+    const atGarage = await startWorkoutFromTemplate(templateId, { spaceId });
+    const garage = await getWorkoutWithDetails(atGarage);
+    expect(garage.items[0].sets[0].target.weight).toBe(65);
+
+    await updateWorkoutSpace(spaceId, { loadout: null });
+    const standard = await startWorkoutFromTemplate(templateId, { spaceId });
+    const workout = await getWorkoutWithDetails(standard);
+    expect(workout.items[0].sets[0].target.weight).toBe(62.5);
+  });
+});
@@ -0,0 +1,156 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToTemplate,
+  createTemplate,
+  db,
+  finishWorkout,
+  getRecentWorkoutSetsByExercise,
+  getWorkoutWithDetails,
+  startWorkoutFromTemplate,
+  updateTemplateItem,
+  updateWorkoutSet,
+} from "../src/db";
+import { matchesSuggestion, suggestNextSet } from "../src/workouts/overload";
+import { seedTestExercises } from "./seedTestData";
+
+function session(...sets) {
+  return { sets: sets.map(([weight, reps, extra]) => ({ weight, reps, unit: "kg", ...extra })) };
+}
+
+describe("progressive overload suggestions", () => {
+  it("adds weight once every set reaches the top of the rep range", () => {
+    const history = [session([60, 12], [60, 12], [60, 12])];
+    const next = suggestNextSet({
+      history,
+      config: { rule: "double", repMin: 8, repMax: 12 },
+      unit: "kg",
+    });
+    expect(next).toMatchObject({ rule: "double", weight: 62.5, reps: 8 });
+    expect(next.reason).toContain("reached 12 reps");
+
+    const building = suggestNextSet({
+      history: [session([60, 10], [60, 9], [40, 15, { setType: "warmup" }])],
+      config: { rule: "double", repMin: 8, repMax: 12 },
+      unit: "kg",
+    });
+    expect(building).toMatchObject({ weight: 60, reps: 10 });
+
+    const deloadWeek = suggestNextSet({
+      history,
+      config: { rule: "double", repMin: 8, repMax: 12 },
+      unit: "kg",
+      loadPercent: 60,
+    });
+    expect(deloadWeek).toMatchObject({ weight: 37.5, reps: 8 });
+    expect(deloadWeek.reason).toContain("runs at 60%");
+  });
+
+  it("deloads linear progression after repeated misses", () => {
+    const config = { rule: "linear", increment: 5, incrementUnit: "lb" };
+    const hit = suggestNextSet({ history: [session([100, 5])], config, targetReps: 5, unit: "kg" });
+    expect(hit.weight).toBeCloseTo(102.27, 1);
+
+    const stalled = suggestNextSet({
+      history: [session([100, 4]), session([100, 3]), session([97.5, 5])],
+      config: { rule: "linear" },
+      targetReps: 5,
+      unit: "kg",
+    });
+    expect(stalled).toMatchObject({ weight: 90, reps: 5 });
+    expect(stalled.reason).toContain("last 2 sessions");
+  });
+
+  it("does not build on or count misses from deload weeks", () => {
+    const config = { rule: "linear" };
+    const deload = (...sets) => ({ ...session(...sets), loadPercent: 60 });
+
+    const afterDeload = suggestNextSet({
+      history: [deload([60, 5]), session([100, 5])],
+      config,
+      targetReps: 5,
+      unit: "kg",
+    });
+    expect(afterDeload).toMatchObject({ weight: 102.5, reps: 5, sessionCount: 1 });
+
+    const missedBefore = suggestNextSet({
+      history: [deload([57.5, 3]), session([100, 4]), session([97.5, 5])],
+      config,
+      targetReps: 5,
+      unit: "kg",
+    });
+    expect(missedBefore).toMatchObject({ weight: 100, reps: 5 });
+
+    // With only deload sessions to go on, their weights are read back at 100%.
+    const onlyDeload = suggestNextSet({
+      history: [deload([60, 12], [60, 12])],
+      config: { rule: "double", repMin: 8, repMax: 12 },
+      unit: "kg",
+    });
+    expect(onlyDeload).toMatchObject({ weight: 102.5, reps: 8 });
+  });
+
+  it("autoregulates from logged effort and converts units", () => {
+    const next = suggestNextSet({
+      history: [session([100, 5, { rpe: 8 }])],
+      config: { rule: "rpe", targetRpe: 9 },
+      targetReps: 5,
+      unit: "kg",
+    });
+    // 100 × (5 + 2 RIR) ≈ 123.3 kg max; 5 reps with 1 in reserve is about 102.5 kg.
+    expect(next).toMatchObject({ rule: "rpe", weight: 102.5, reps: 5 });
+
+    const inPounds = suggestNextSet({
+      history: [session([100, 12], [100, 12])],
+      config: null,
+      targetReps: 10,
+      unit: "lb",
+    });
+    // 100 kg is 220.46 lb; double progression adds the 5 lb default.
+    expect(inPounds).toMatchObject({ weight: 225.46, reps: 10, unit: "lb" });
+    expect(matchesSuggestion({ weight: "225.46", reps: "10", unit: "lb" }, inPounds)).toBe(true);
+    expect(matchesSuggestion({ weight: "225.46", reps: "8", unit: "lb" }, inPounds)).toBe(false);
+  });
+
+  it("stays quiet when switched off or without history", () => {
+    expect(suggestNextSet({ history: [session([60, 8])], config: { rule: "off" }, unit: "kg" }))
+      .toBeNull();
+    expect(suggestNextSet({ history: [], config: null, unit: "kg" })).toBeNull();
+  });
+});
+
+describe.sequential("recent sets by exercise", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("returns several sessions per exercise and carries template progression", async () => {
+    const exercise = await db.table("exercises").orderBy("id").first();
+    const templateId = await createTemplate({ name: "Pull" });
+    const templateItemId = await addExerciseToTemplate(templateId, exercise.id);
+    await updateTemplateItem(templateItemId, { progression: { rule: "linear" } });
+
+    const workoutIds = [];
+    for (const weight of ["50", "55", "60"]) {
+      const workoutId = await startWorkoutFromTemplate(templateId);
+      const details = await getWorkoutWithDetails(workoutId);
+      const [item] = details.items;
+      expect(item.progression).toEqual({ rule: "linear" });
+      await updateWorkoutSet(item.sets[0].id, { weight });
+      await finishWorkout(workoutId);
+      workoutIds.push(workoutId);
+    }
+
+    const recent = await getRecentWorkoutSetsByExercise([exercise.id], workoutIds[2], 2);
+    const sessions = recent.get(exercise.id);
+    expect(sessions.map((entry) => entry.workoutId)).toEqual([workoutIds[1], workoutIds[0]]);
+    expect(sessions[0].sets[0].weight).toBe("55");
+  });
+});
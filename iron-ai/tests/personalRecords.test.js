@@ -0,0 +1,124 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToWorkout,
+  createEmptyWorkout,
+  db,
+  deleteWorkout,
+  finishWorkout,
+  getPersonalRecord,
+  getWorkoutSessionById,
+  rebuildPersonalRecords,
+  updateWorkoutSet,
+} from "../src/db";
+import {
+  applySessionToRecord,
+  buildRecordFromSessions,
+  getRepMaxTable,
+  getSetRecordLabels,
+} from "../src/workouts/personalRecords";
+import { seedTestExercises } from "./seedTestData";
+
+function session(workoutId, ...sets) {
+  return {
+    workoutId,
+    achievedAt: `2026-10-0${workoutId}T10:00:00.000Z`,
+    sets: sets.map(([weight, reps, extra], index) => ({
+      id: workoutId * 10 + index,
+      weight: String(weight),
+      reps: String(reps),
+      unit: "kg",
+      ...extra,
+    })),
+  };
+}
+
+describe("personal record ledger", () => {
+  it("fills every rep max up to the reps performed", () => {
+    const record = buildRecordFromSessions(1, [
+      session(1, [100, 5], [60, 15, { setType: "warmup" }]),
+    ]);
+    expect(record.repMaxes[1].weight).toBe(100);
+    expect(record.repMaxes[5]).toMatchObject({ weight: 100, reps: 5, workoutId: 1 });
+    expect(record.repMaxes[6]).toBeUndefined();
+    expect(record.bestVolume.value).toBe(500);
+
+    const rows = getRepMaxTable(record);
+    expect(rows).toHaveLength(12);
+    expect(rows[0].estimated).toBeCloseTo(record.oneRepMax.value / (1 + 1 / 30));
+  });
+
+  it("reports only what a later session improves", () => {
+    const seeded = applySessionToRecord(buildRecordFromSessions(1, []), session(1, [100, 5]));
+    expect(seeded.newRecords).toEqual([]);
+
+    const { record, newRecords } = applySessionToRecord(
+      seeded.record,
+      session(2, [100, 5], [90, 8], [47, 5, { unit: "lb" }])
+    );
+    const kinds = newRecords.map((entry) =>
+      entry.kind === "repMax" ? `${entry.reps}RM` : entry.kind
+    );
+    expect(kinds).toEqual(["8RM", "volume"]);
+    expect(newRecords[0]).toMatchObject({ exerciseId: 1, value: 90, previous: null });
+    expect(record.repMaxes[5].workoutId).toBe(1);
+    expect(record.sessionCount).toBe(2);
+  });
+
+  it("flags sets in progress that would beat a record", () => {
+    const record = buildRecordFromSessions(1, [session(1, [100, 5])]);
+    expect(getSetRecordLabels({ weight: "102.5", reps: "5" }, record)).toEqual([
+      "Est. 1RM",
+      "5RM",
+    ]);
+    expect(getSetRecordLabels({ weight: "100", reps: "5" }, record)).toEqual([]);
+    expect(getSetRecordLabels({ weight: "120", reps: "5", setType: "drop" }, record)).toEqual([]);
+    expect(getSetRecordLabels({ weight: "100", reps: "5" }, null)).toEqual([]);
+  });
+});
+
+describe.sequential("personal records in the database", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  async function logWorkout(exerciseId, weight, reps) {
+    const workoutId = await createEmptyWorkout();
+    const itemId = await addExerciseToWorkout(workoutId, exerciseId);
+    const [set] = await db.table("workoutSets").where({ workoutItemId: itemId }).toArray();
+    await updateWorkoutSet(set.id, { weight, reps, unit: "kg" });
+    await finishWorkout(workoutId);
+    return workoutId;
+  }
+
+  it("updates on finish, stores new records on the session, and rolls back on delete", async () => {
+    const exercise = await db.table("exercises").orderBy("id").first();
+    await logWorkout(exercise.id, "100", "5");
+    const secondId = await logWorkout(exercise.id, "110", "5");
+
+    expect((await getPersonalRecord(exercise.id)).repMaxes[5]).toMatchObject({
+      weight: 110,
+      workoutId: secondId,
+    });
+    const second = await getWorkoutSessionById(secondId);
+    expect(second.personalRecords.map((entry) => entry.kind)).toEqual(
+      expect.arrayContaining(["oneRepMax", "repMax", "volume"])
+    );
+
+    await deleteWorkout(secondId);
+    const rolledBack = await getPersonalRecord(exercise.id);
+    expect(rolledBack.repMaxes[5].weight).toBe(100);
+    expect(rolledBack.sessionCount).toBe(1);
+
+    await db.table("personalRecords").clear();
+    expect(await rebuildPersonalRecords()).toBe(1);
+    expect((await getPersonalRecord(exercise.id)).oneRepMax.weight).toBe(100);
+  });
+});
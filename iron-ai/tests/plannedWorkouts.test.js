@@ -0,0 +1,125 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToTemplate,
+  addPlannedWorkout,
+  createTemplate,
+  db,
+  deleteWorkout,
+  finishWorkout,
+  getPlannedWorkoutById,
+  getWorkoutWithDetails,
+  listPlannedWorkoutsInRange,
+  startWorkoutFromPlannedWorkout,
+  startWorkoutFromTemplate,
+} from "../src/db";
+import {
+  buildCalendarDays,
+  getCalendarRange,
+  getPlannedWorkoutStatus,
+  toDateKey,
+} from "../src/workouts/plannedWorkouts";
+import { seedTestExercises } from "./seedTestData";
+
+describe("calendar helpers", () => {
+  it("builds Monday-first week and padded month ranges", () => {
+    const week = getCalendarRange("2026-10-21", "week");
+    expect(week.start).toBe("2026-10-19");
+    expect(week.end).toBe("2026-10-25");
+    expect(week.days).toHaveLength(7);
+
+    const month = getCalendarRange("2026-10-21", "month");
+    expect(month.start).toBe("2026-09-28");
+    expect(month.end).toBe("2026-11-01");
+    expect(month.days.length % 7).toBe(0);
+  });
+
+  it("groups plans and sessions by local day", () => {
+    const { days } = getCalendarRange("2026-10-21", "week");
+    const startedAt = new Date(2026, 9, 20, 18, 30).toISOString();
+    const grouped = buildCalendarDays(
+      days,
+      [{ id: 1, date: "2026-10-21" }],
+      [{ id: 9, startedAt, finishedAt: startedAt }]
+    );
+    expect(grouped.find((day) => day.date === "2026-10-20").sessions).toHaveLength(1);
+    expect(grouped.find((day) => day.date === "2026-10-21").plans).toHaveLength(1);
+  });
+
+  it("derives plan status", () => {
+    expect(getPlannedWorkoutStatus({ date: "2026-10-18" }, "2026-10-19")).toBe("missed");
+    expect(getPlannedWorkoutStatus({ date: "2026-10-19" }, "2026-10-19")).toBe("planned");
+    expect(getPlannedWorkoutStatus({ date: "2026-10-18", workoutId: 3 }, "2026-10-19")).toBe(
+      "started"
+    );
+    expect(getPlannedWorkoutStatus({ workoutId: 3, fulfilledAt: "x" }, "2026-10-19")).toBe(
+      "fulfilled"
+    );
+  });
+});
+
+describe.sequential("planned workouts", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("starts a template-less plan from its exercise snapshot and fulfils it on finish", async () => {
+    const squatId = await db.table("exercises").add({ name: "Plan Squat", aliases: [] });
+    const rowId = await db.table("exercises").add({ name: "Plan Row", aliases: [] });
+    const planId = await addPlannedWorkout({
+      date: toDateKey(new Date()),
+      exercises: [
+        { exerciseId: squatId, sets: 2, reps: 5 },
+        { exerciseId: rowId, sets: null, reps: null },
+      ],
+      source: "coach",
+    });
+
+    const workoutId = await startWorkoutFromPlannedWorkout(planId);
+    const details = await getWorkoutWithDetails(workoutId);
+    expect(details.items.map((item) => item.exerciseId)).toEqual([squatId, rowId]);
+    expect(details.items[0].sets.map((set) => set.reps)).toEqual(["5", "5"]);
+    expect((await getPlannedWorkoutById(planId)).workoutId).toBe(workoutId);
+
+    await finishWorkout(workoutId);
+    const plan = await getPlannedWorkoutById(planId);
+    expect(plan.fulfilledAt).toBeTruthy();
+  });
+
+  it("fulfils a same-day template plan when the session was started elsewhere", async () => {
+    const exercise = await db.table("exercises").orderBy("id").first();
+    const templateId = await createTemplate({ name: "Push" });
+    await addExerciseToTemplate(templateId, exercise.id);
+    const today = toDateKey(new Date());
+    const planId = await addPlannedWorkout({ date: today, templateId, source: "user" });
+    const otherPlanId = await addPlannedWorkout({ date: "2000-01-01", templateId });
+
+    const workoutId = await startWorkoutFromTemplate(templateId);
+    await finishWorkout(workoutId);
+
+    expect(await getPlannedWorkoutById(planId)).toMatchObject({ workoutId });
+    expect((await getPlannedWorkoutById(otherPlanId)).fulfilledAt).toBeUndefined();
+
+    await deleteWorkout(workoutId);
+    expect(await getPlannedWorkoutById(planId)).toMatchObject({
+      workoutId: null,
+      fulfilledAt: null,
+    });
+  });
+
+  it("lists plans in a date range including timestamped coach dates", async () => {
+    await addPlannedWorkout({ date: "2026-10-19", exercises: [] });
+    await addPlannedWorkout({ date: "2026-10-25T09:00:00.000Z", exercises: [] });
+    await addPlannedWorkout({ date: "2026-10-26", exercises: [] });
+
+    const plans = await listPlannedWorkoutsInRange("2026-10-19", "2026-10-25");
+    expect(plans).toHaveLength(2);
+  });
+});
@@ -0,0 +1,213 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { executeTool } from "../src/coach/tools";
+import {
+  addExerciseToTemplate,
+  createTemplate,
+  db,
+  finishWorkout,
+  getRecentWorkoutSetsByExercise,
+  getWorkoutWithDetails,
+  startWorkoutFromPlannedWorkout,
+  startWorkoutFromTemplate,
+  updateTemplateItem,
+  updateTemplateItemPrescriptions,
+  updateWorkoutSet,
+} from "../src/db";
+import {
+  createProgram,
+  generateProgramPlans,
+  getNextProgramPlan,
+  listProgramPlans,
+  setActiveProgram,
+} from "../src/programs/programs";
+import {
+  applyPrescription,
+  buildProgramSchedule,
+  normalizeProgression,
+  summarizeAdherence,
+} from "../src/programs/progression";
+import { suggestNextSet } from "../src/workouts/overload";
+import { seedTestExercises } from "./seedTestData";
+
+describe("program progression helpers", () => {
+  it("fills one rule per week and schedules each program day", () => {
+    const rules = normalizeProgression([{ week: 2, loadPercent: "90", deload: true }], 3);
+    expect(rules.map((rule) => rule.loadPercent)).toEqual([100, 90, 100]);
+    expect(rules[1].deload).toBe(true);
+
+    const schedule = buildProgramSchedule({
+      startDate: "2026-10-19",
+      weeks: 2,
+      days: [
+        { templateId: 2, dayOffset: 3 },
+        { templateId: 1, dayOffset: 0 },
+      ],
+    });
+    expect(schedule.map((entry) => [entry.date, entry.templateId])).toEqual([
+      ["2026-10-19", 1],
+      ["2026-10-22", 2],
+      ["2026-10-26", 1],
+      ["2026-10-29", 2],
+    ]);
+  });
+
+  it("applies set, rep, and deload prescriptions", () => {
+    const entries = [{ exerciseId: 1, targetSets: 5, targetReps: 5 }];
+    expect(applyPrescription(entries, { deload: true, loadPercent: 60 })[0]).toMatchObject({
+      targetSets: 3,
+      targetReps: 5,
+      targetLoadPercent: 60,
+    });
+    expect(applyPrescription(entries, { sets: 2, reps: 8, loadPercent: 100 })[0]).toEqual({
+      exerciseId: 1,
+      targetSets: 2,
+      targetReps: 8,
+    });
+  });
+
+  it("only counts due days toward adherence", () => {
+    const summary = summarizeAdherence(
+      [
+        { programWeek: 1, date: "2026-10-01", fulfilledAt: "x" },
+        { programWeek: 1, date: "2026-10-03" },
+        { programWeek: 2, date: "2026-10-30" },
+      ],
+      "2026-10-19"
+    );
+    expect(summary).toMatchObject({ completed: 1, missed: 1, upcoming: 1, adherencePercent: 50 });
+    expect(summary.weeks).toHaveLength(2);
+  });
+});
+
+describe.sequential("programs", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  async function createTestProgram() {
+    const exercise = await db.table("exercises").orderBy("id").first();
+    const templateId = await createTemplate({ name: "Squat day" });
+    const templateItemId = await addExerciseToTemplate(templateId, exercise.id);
+    await updateTemplateItem(templateItemId, { targetSets: 4, targetReps: 5 });
+    const programId = await createProgram({
+      name: "Block",
+      startDate: "2026-10-19",
+      weeks: 2,
+      days: [{ templateId, dayOffset: 0 }],
+      progression: [
+        { week: 1, loadPercent: 80 },
+        { week: 2, loadPercent: 60, deload: true },
+      ],
+    });
+    return { programId, templateId };
+  }
+
+  it("generates plans on activation and starts the next day with its prescription", async () => {
+    const { programId } = await createTestProgram();
+    await setActiveProgram(programId);
+    expect(await listProgramPlans(programId)).toHaveLength(2);
+
+    const first = await getNextProgramPlan();
+    expect(first.plan).toMatchObject({ programWeek: 1, programDay: 1, date: "2026-10-19" });
+
+    const workoutId = await startWorkoutFromPlannedWorkout(first.plan.id);
+    const details = await getWorkoutWithDetails(workoutId);
+    expect(details.items[0]).toMatchObject({ targetSets: 4, targetLoadPercent: 80 });
+    await finishWorkout(workoutId);
+
+    const second = await getNextProgramPlan();
+    expect(second.plan.programWeek).toBe(2);
+    const deloadId = await startWorkoutFromPlannedWorkout(second.plan.id);
+    const deload = await getWorkoutWithDetails(deloadId);
+    expect(deload.items[0].sets).toHaveLength(2);
+
+    // Regenerating keeps started and finished days.
+    expect(await generateProgramPlans(programId)).toBe(0);
+  });
+
+  it("scales prescribed weights by the week's load", async () => {
+    const exerciseId = await db.table("exercises").add({
+      name: "Paused squat",
+      equipment: ["barbell", "squat_rack"],
+      status: "core",
+    });
+    const templateId = await createTemplate({ name: "Heavy day" });
+    const itemId = await addExerciseToTemplate(templateId, exerciseId);
+    await updateTemplateItemPrescriptions(itemId, [
+      { repMin: 5, repMax: 5, load: 100, loadUnit: "kg" },
+      { repMin: 5, repMax: 5, load: 100, loadUnit: "kg" },
+    ]);
+
+    const normalId = await startWorkoutFromTemplate(templateId, {
+      prescription: { loadPercent: 100 },
+    });
+    const normal = await getWorkoutWithDetails(normalId);
+    expect(normal.items[0].sets[0].target).toMatchObject({ weight: 100, weekLoadPercent: null });
+
+    const deloadId = await startWorkoutFromTemplate(templateId, {
+      prescription: { loadPercent: 62, deload: true },
+    });
+    const deload = await getWorkoutWithDetails(deloadId);
+    expect(deload.items[0].sets).toHaveLength(1);
+    // 62 kg does not load on a 20 kg bar with the standard plates; 62.5 kg does.
+    expect(deload.items[0].sets[0].target).toMatchObject({ weight: 62.5, weekLoadPercent: 62 });
+  });
+
+  it("suggests the first full week after a deload from the last full week", async () => {
+    const exerciseId = await db.table("exercises").add({ name: "Front squat", status: "core" });
+    const templateId = await createTemplate({ name: "Legs" });
+    const itemId = await addExerciseToTemplate(templateId, exerciseId);
+    await updateTemplateItem(itemId, { progression: { rule: "linear" } });
+
+    for (const [loadPercent, weight] of [
+      [100, "100"],
+      [60, "60"],
+    ]) {
+      const workoutId = await startWorkoutFromTemplate(templateId, {
+        prescription: { loadPercent },
+      });
+      const [item] = (await getWorkoutWithDetails(workoutId)).items;
+      for (const set of item.sets) await updateWorkoutSet(set.id, { weight, reps: "5" });
+      await finishWorkout(workoutId);
+    }
+
+    const history = (await getRecentWorkoutSetsByExercise([exerciseId], null, 3)).get(exerciseId);
+    expect(history.map((session) => session.loadPercent)).toEqual([60, null]);
+    const next = suggestNextSet({
+      history,
+      config: { rule: "linear" },
+      targetReps: 5,
+      unit: "kg",
+      loadPercent: 100,
+    });
+    expect(next).toMatchObject({ weight: 102.5, reps: 5 });
+  });
+
+  it("exposes the active program and adherence to the coach", async () => {
+    const { programId } = await createTestProgram();
+    await setActiveProgram(programId);
+    const plans = await listProgramPlans(programId);
+    const workoutId = await startWorkoutFromPlannedWorkout(plans[0].id);
+    await finishWorkout(workoutId);
+
+    const active = await executeTool("get_active_program", {});
+    expect(active.program).toMatchObject({ id: programId, name: "Block", weeks: 2 });
+    expect(active.nextDay).toMatchObject({ programWeek: 2 });
+
+    const adherence = await executeTool("get_program_adherence", {});
+    expect(adherence).toMatchObject({ programId, completed: 1, planned: 2 });
+    expect(adherence.recentDays[0]).toMatchObject({ sessionId: workoutId, completed: true });
+
+    await setActiveProgram(null);
+    expect(await listProgramPlans(programId)).toHaveLength(1);
+    expect((await executeTool("get_active_program", {})).program).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { executeTool } from "../src/coach/tools";
+import {
+  addExerciseToTemplate,
+  createTemplate,
+  db,
+  getTemplateWithDetails,
+  getWorkoutWithDetails,
+  startWorkoutFromTemplate,
+  updateTemplateItemPrescriptions,
+} from "../src/db";
+import { createEmptyRecord } from "../src/workouts/personalRecords";
+import {
+  buildSetTarget,
+  describeSetTarget,
+  formatLoadTarget,
+  formatRepRange,
+  parseLoadTarget,
+  parseRepRange,
+  resizeSetPrescriptions,
+  summarizeSetPrescriptions,
+} from "../src/workouts/setPrescriptions";
+
+const PRESCRIPTIONS = [
+  { setType: "warmup", repMin: 5, repMax: 5, rpe: 6 },
+  { setType: "working", repMin: 8, repMax: 12, loadPercent: 75, rpe: 8, restSeconds: 120 },
+  { setType: "working", repMin: 8, repMax: 12, loadPercent: 75, rpe: 8, restSeconds: 120 },
+];
+
+describe("set prescription helpers", () => {
+  it("parses and formats rep ranges and loads", () => {
+    expect(parseRepRange("8-12")).toEqual({ repMin: 8, repMax: 12 });
+    expect(parseRepRange("12 to 8")).toEqual({ repMin: 8, repMax: 12 });
+    expect(parseRepRange("5")).toEqual({ repMin: 5, repMax: 5 });
+    expect(parseRepRange("lots")).toEqual({ repMin: null, repMax: null });
+    expect(formatRepRange({ repMin: 8, repMax: 12 })).toBe("8–12");
+    expect(formatRepRange({ repMin: 5, repMax: 5 })).toBe("5");
+
+    expect(parseLoadTarget("85%", "kg")).toEqual({ load: null, loadUnit: null, loadPercent: 85 });
+    expect(parseLoadTarget("100", "lb")).toEqual({ load: 100, loadUnit: "lb", loadPercent: null });
+    expect(formatLoadTarget({ load: 100, loadUnit: "lb" })).toBe("100 lb");
+  });
+
+  it("summarizes lists and resolves targets against the training max", () => {
+    expect(summarizeSetPrescriptions(PRESCRIPTIONS)).toBe(
+      "1×Warmup 5 @ RPE 6, 2×8–12 @ 75% RPE 8"
+    );
+    expect(resizeSetPrescriptions(PRESCRIPTIONS, 4)).toHaveLength(4);
+    expect(resizeSetPrescriptions(PRESCRIPTIONS, 4)[3]).toBe(PRESCRIPTIONS[2]);
+
+    const target = buildSetTarget(PRESCRIPTIONS[1], { unit: "kg", trainingMax: 121 });
+    expect(target).toMatchObject({ weight: 90, unit: "kg", loadPercent: 75, restSeconds: 120 });
+    expect(describeSetTarget(target)).toBe("8–12 × 90 kg (75% TM) @ RPE 8 · rest 2:00");
+    expect(buildSetTarget({ load: 100, loadUnit: "kg" }, { unit: "lb" }).weight).toBe(220.5);
+  });
+});
+
+describe.sequential("set prescriptions in templates", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("stores per-set targets and materializes them when a workout starts", async () => {
+    const exerciseId = await db.table("exercises").add({ name: "Squat", status: "core" });
+    await db.table("personalRecords").put({
+      ...createEmptyRecord(exerciseId),
+      oneRepMax: { value: 140 },
+    });
+    const templateId = await createTemplate({ name: "Legs" });
+    const itemId = await addExerciseToTemplate(templateId, exerciseId);
+
+    await updateTemplateItemPrescriptions(itemId, PRESCRIPTIONS);
+    const { items } = await getTemplateWithDetails(templateId);
+    expect(items[0]).toMatchObject({ targetSets: 3, targetReps: 8 });
+    expect(items[0].setPrescriptions[0]).toMatchObject({ setType: "warmup", repMin: 5 });
+
+    const detail = await executeTool("get_template_detail", { templateId });
+    expect(detail.exercises[0].prescription).toBe("1×Warmup 5 @ RPE 6, 2×8–12 @ 75% RPE 8");
+
+    const workoutId = await startWorkoutFromTemplate(templateId);
+    const workout = await getWorkoutWithDetails(workoutId);
+    const sets = workout.items[0].sets;
+    expect(sets.map((set) => [set.setType, set.reps])).toEqual([
+      ["warmup", "5"],
+      ["working", ""],
+      ["working", ""],
+    ]);
+    // No training max yet: 75% of 90% of the 140 kg estimate.
+    expect(sets[1].target).toMatchObject({ weight: 95, unit: "kg", loadBasis: "e1rm" });
+
+    await updateTemplateItemPrescriptions(itemId, []);
+    const cleared = await db.table("templateItems").get(itemId);
+    expect(cleared).toMatchObject({ setPrescriptions: null, targetSets: 3 });
+  });
+});
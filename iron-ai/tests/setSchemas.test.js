@@ -0,0 +1,144 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { executeTool } from "../src/coach/tools";
+import {
+  addExerciseToTemplate,
+  addWorkoutSet,
+  createTemplate,
+  db,
+  finishWorkout,
+  getWorkoutWithDetails,
+  startWorkoutFromTemplate,
+} from "../src/db";
+import { computeBestSet, getExerciseHistory } from "../src/exercises/derived";
+import {
+  compareTimedSets,
+  computeSchemaSetVolume,
+  formatDuration,
+  formatTimedSet,
+  getExerciseSetSchema,
+  parseDuration,
+} from "../src/workouts/setSchemas";
+
+async function logTimedWorkout(exerciseId, sets) {
+  const templateId = await createTemplate({ name: "Timed" });
+  await addExerciseToTemplate(templateId, exerciseId);
+  const workoutId = await startWorkoutFromTemplate(templateId);
+  const details = await getWorkoutWithDetails(workoutId);
+  const itemId = details.items[0].id;
+  await db.table("workoutSets").where({ workoutItemId: itemId }).delete();
+  for (const set of sets) {
+    await addWorkoutSet(itemId, set);
+  }
+  await finishWorkout(workoutId);
+  return workoutId;
+}
+
+describe("set schema helpers", () => {
+  it("infers the schema from the exercise unless one is pinned", () => {
+    expect(getExerciseSetSchema({ name: "Rowing machine", category: "Cardio" })).toBe(
+      "distance_duration"
+    );
+    expect(getExerciseSetSchema({ name: "Front plank" })).toBe("duration");
+    expect(getExerciseSetSchema({ name: "Farmer's walk", category: "strongman" })).toBe(
+      "weight_duration"
+    );
+    expect(getExerciseSetSchema({ name: "Bench press" })).toBe("weight_reps");
+    expect(getExerciseSetSchema({ name: "Front plank", setSchema: "reps" })).toBe("reps");
+  });
+
+  it("parses and formats durations", () => {
+    expect(parseDuration("90")).toBe(90);
+    expect(parseDuration("1:30")).toBe(90);
+    expect(parseDuration("1:02:30")).toBe(3750);
+    expect(parseDuration("1:xx")).toBeNull();
+    expect(parseDuration("")).toBeNull();
+    expect(formatDuration(45)).toBe("0:45");
+    expect(formatDuration(3750)).toBe("1:02:30");
+  });
+
+  it("compares, totals and describes timed sets", () => {
+    const run = { distance: "5", distanceUnit: "km", durationSec: 1500 };
+    const fasterRun = { ...run, durationSec: 1440 };
+    const longerRun = { distance: "3.2", distanceUnit: "mi", durationSec: 1800 };
+    expect(compareTimedSets(fasterRun, run, "distance_duration")).toBe(1);
+    expect(compareTimedSets(longerRun, run, "distance_duration")).toBe(1);
+    expect(compareTimedSets({ durationSec: 30 }, { durationSec: 45 }, "duration")).toBe(-1);
+    expect(
+      compareTimedSets(
+        { weight: "40", unit: "kg", durationSec: 30 },
+        { weight: "32", unit: "kg", durationSec: 60 },
+        "weight_duration",
+        { weightUnit: "kg" }
+      )
+    ).toBe(1);
+    expect(compareTimedSets({}, run, "distance_duration")).toBeNull();
+
+    expect(computeSchemaSetVolume(longerRun, "distance_duration")).toBeCloseTo(5.15, 2);
+    expect(
+      computeSchemaSetVolume({ weight: "20", unit: "kg", durationSec: 40 }, "weight_duration", {
+        weightUnit: "kg",
+      })
+    ).toBe(800);
+    expect(computeSchemaSetVolume({ reps: "12" }, "reps")).toBe(12);
+
+    expect(formatTimedSet(run, "distance_duration")).toBe("5 km in 25:00 (5:00/km)");
+    expect(
+      formatTimedSet({ weight: "20", unit: "kg", durationSec: 45 }, "weight_duration", {
+        weightUnit: "kg",
+      })
+    ).toBe("20 kg · 0:45");
+  });
+});
+
+describe.sequential("timed sets in history", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("stores duration and distance and summarizes cardio sessions", async () => {
+    const exerciseId = await db.table("exercises").add({
+      name: "Outdoor run",
+      category: "cardio",
+      status: "core",
+    });
+    const workoutId = await logTimedWorkout(exerciseId, [
+      { distance: "5", distanceUnit: "km", durationSec: "25:00" },
+      { distance: "1", distanceUnit: "mi", durationSec: "7:30" },
+      { setType: "warmup", distance: "10", distanceUnit: "km", durationSec: 3600 },
+    ]);
+
+    const stored = await db.table("workoutSets").orderBy("id").first();
+    expect(stored).toMatchObject({ durationSec: 1500, distance: "5", distanceUnit: "km" });
+
+    const history = await getExerciseHistory(exerciseId, { unit: "kg" });
+    expect(history[0]).toMatchObject({
+      setSchema: "distance_duration",
+      distanceUnit: "km",
+      totalDurationSec: 5550,
+      maxWeight: null,
+      oneRm: null,
+    });
+    expect(history[0].totalDistance).toBeCloseTo(16.61, 2);
+    expect(history[0].bestSet).toMatchObject({ distance: "5", durationSec: 1500 });
+    expect(computeBestSet(history)).toMatchObject({ distance: "5" });
+
+    const detail = await executeTool("get_session_detail", { sessionId: workoutId });
+    expect(detail.exercises[0].setSchema).toBe("distance_duration");
+    expect(detail.exercises[0].sets[0]).toMatchObject({
+      durationSec: 1500,
+      distance: "5",
+      distanceUnit: "km",
+    });
+    const { records } = await executeTool("get_personal_records", {
+      exerciseIdOrName: String(exerciseId),
+    });
+    expect(records[0].longestDurationSec).toBe(1500);
+  });
+});
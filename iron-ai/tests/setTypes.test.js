@@ -0,0 +1,114 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { executeTool } from "../src/coach/tools";
+import {
+  addExerciseToTemplate,
+  addWarmupSets,
+  addWorkoutSet,
+  createTemplate,
+  db,
+  finishWorkout,
+  getWorkoutWithDetails,
+  startWorkoutFromTemplate,
+  updateWorkoutSet,
+} from "../src/db";
+import { getExerciseHistory } from "../src/exercises/derived";
+import {
+  countsTowardBestSet,
+  getRepsInReserve,
+  getSetType,
+  normalizeSetType,
+} from "../src/workouts/setTypes";
+import { estimateSetOneRepMaxWith } from "../src/workouts/trainingMax";
+import { seedTestExercises } from "./seedTestData";
+
+async function startTestWorkout() {
+  const exercise = await db.table("exercises").orderBy("id").first();
+  const templateId = await createTemplate({ name: "Set types" });
+  await addExerciseToTemplate(templateId, exercise.id);
+  const workoutId = await startWorkoutFromTemplate(templateId);
+  const details = await getWorkoutWithDetails(workoutId);
+  await db.table("workoutSets").where({ workoutItemId: details.items[0].id }).delete();
+  return { exercise, workoutId, itemId: details.items[0].id };
+}
+
+describe("set type helpers", () => {
+  it("normalizes logger aliases and legacy warmup flags", () => {
+    expect(normalizeSetType("dropset")).toBe("drop");
+    expect(normalizeSetType("Back-off")).toBe("backoff");
+    expect(normalizeSetType("3")).toBe("working");
+    expect(getSetType({ isWarmup: true })).toBe("warmup");
+    expect(getSetType({})).toBe("working");
+  });
+
+  it("derives reps in reserve and adjusts the 1RM estimate", () => {
+    expect(getRepsInReserve({ rpe: 8 })).toBe(2);
+    expect(getRepsInReserve({ rir: 1, rpe: 8 })).toBe(1);
+    expect(getRepsInReserve({ setType: "amrap" })).toBe(0);
+    expect(getRepsInReserve({})).toBeNull();
+    expect(estimateSetOneRepMaxWith({ weight: "100", reps: "5", rpe: 8 })).toBeCloseTo(
+      100 * (1 + 7 / 30),
+      5
+    );
+    expect(countsTowardBestSet({ setType: "drop" })).toBe(false);
+    expect(countsTowardBestSet({ setType: "failure" })).toBe(true);
+  });
+});
+
+describe.sequential("set types on workout sets", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("keeps isWarmup in sync with the set type", async () => {
+    const { itemId } = await startTestWorkout();
+    await addWarmupSets(itemId, 1);
+    const setId = await addWorkoutSet(itemId, { weight: "80", reps: "8", rpe: "7.5" });
+
+    const [warmup] = await db.table("workoutSets").where({ workoutItemId: itemId }).toArray();
+    expect(warmup).toMatchObject({ setType: "warmup", isWarmup: true });
+    expect((await db.table("workoutSets").get(setId)).rpe).toBe(7.5);
+
+    await updateWorkoutSet(setId, { setType: "warmup" });
+    expect((await db.table("workoutSets").get(setId)).isWarmup).toBe(true);
+    await updateWorkoutSet(setId, { setType: "amrap", rir: "12" });
+    expect(await db.table("workoutSets").get(setId)).toMatchObject({
+      setType: "amrap",
+      isWarmup: false,
+      rir: null,
+    });
+  });
+
+  it("ignores warmups and drop sets for best sets and personal records", async () => {
+    const { exercise, workoutId, itemId } = await startTestWorkout();
+    await addWorkoutSet(itemId, { weight: "140", reps: "1", setType: "warmup" });
+    await addWorkoutSet(itemId, { weight: "100", reps: "5", rpe: 9 });
+    await addWorkoutSet(itemId, { weight: "120", reps: "3", setType: "drop" });
+    await finishWorkout(workoutId);
+
+    const [entry] = await getExerciseHistory(exercise.id, { unit: "kg" });
+    expect(entry.maxWeight).toBe(100);
+    expect(entry.bestSet).toMatchObject({ weight: 100, reps: 5 });
+    expect(entry.oneRm).toBeCloseTo(100 * (1 + 6 / 30), 5);
+
+    const { records } = await executeTool("get_personal_records", {
+      exerciseIdOrName: String(exercise.id),
+    });
+    expect(records[0].maxWeight).toBe(100);
+
+    const detail = await executeTool("get_session_detail", { sessionId: workoutId });
+    expect(detail.exercises[0].sets.map((set) => set.setType)).toEqual([
+      "warmup",
+      "working",
+      "drop",
+    ]);
+    expect(detail.exercises[0].sets[1]).toMatchObject({ rpe: 9, rir: null });
+  });
+});
@@ -0,0 +1,131 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToTemplate,
+  createTemplate,
+  db,
+  getTemplateWithDetails,
+  getWorkoutWithDetails,
+  linkTemplateItems,
+  removeTemplateItem,
+  startWorkoutFromTemplate,
+  unlinkTemplateItem,
+  updateTemplateSupersetKind,
+} from "../src/db";
+import {
+  getNextSupersetStep,
+  getSupersetGroups,
+  getSupersetProgress,
+  normalizeSupersetLayout,
+} from "../src/workouts/supersets";
+
+const makeItem = (id, sortOrder, supersetGroupId = null, sets = 0) => ({
+  id,
+  sortOrder,
+  supersetGroupId,
+  sets: Array.from({ length: sets }, (_, index) => ({ id: id * 10 + index, isComplete: false })),
+});
+
+async function createExercises(names) {
+  const ids = [];
+  for (const name of names) {
+    ids.push(await db.table("exercises").add({ name, default_sets: 3, status: "core" }));
+  }
+  return ids;
+}
+
+describe("superset helpers", () => {
+  it("labels groups by kind and keeps members next to each other", () => {
+    const items = [
+      makeItem(1, 0, "a"),
+      makeItem(2, 1),
+      makeItem(3, 2, "a"),
+      makeItem(4, 3, "b"),
+      makeItem(5, 4, "c"),
+      makeItem(6, 5, "c"),
+      makeItem(7, 6, "c"),
+    ];
+    items[4].supersetKind = "circuit";
+    expect(getSupersetGroups(items).map((group) => group.label)).toEqual([
+      "Superset A",
+      "Circuit B",
+    ]);
+    expect(normalizeSupersetLayout(items)).toEqual([
+      { id: 1, supersetKind: "superset" },
+      { id: 3, sortOrder: 1, supersetKind: "superset" },
+      { id: 2, sortOrder: 2 },
+      { id: 4, supersetGroupId: null },
+      { id: 6, supersetKind: "circuit" },
+      { id: 7, supersetKind: "circuit" },
+    ]);
+  });
+
+  it("walks a group round-robin and rests only after each round", () => {
+    const group = [makeItem(1, 0, "a", 3), makeItem(2, 1, "a", 2)];
+    expect(getNextSupersetStep(group, 10)).toMatchObject({
+      round: 1,
+      totalRounds: 3,
+      endsRound: false,
+      next: { set: { id: 20 }, round: 1 },
+    });
+    group[0].sets[0].isComplete = true;
+    expect(getNextSupersetStep(group, 20)).toMatchObject({
+      endsRound: true,
+      next: { set: { id: 11 }, round: 2 },
+    });
+    group[1].sets[0].isComplete = true;
+    group[0].sets[1].isComplete = true;
+    group[1].sets[1].isComplete = true;
+    expect(getSupersetProgress(group)).toMatchObject({ round: 3, next: { set: { id: 12 } } });
+    expect(getNextSupersetStep(group, 12)).toMatchObject({ endsRound: true, next: null });
+  });
+});
+
+describe.sequential("supersets in templates", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("groups template items and starts workouts with the same groups", async () => {
+    const [squat, curl, row, plank] = await createExercises(["Squat", "Curl", "Row", "Plank"]);
+    const templateId = await createTemplate({ name: "Circuits" });
+    const squatItem = await addExerciseToTemplate(templateId, squat);
+    const curlItem = await addExerciseToTemplate(templateId, curl);
+    const rowItem = await addExerciseToTemplate(templateId, row);
+    const plankItem = await addExerciseToTemplate(templateId, plank);
+
+    await linkTemplateItems(templateId, rowItem, squatItem);
+    await linkTemplateItems(templateId, plankItem, rowItem);
+    let { items } = await getTemplateWithDetails(templateId);
+    expect(items.map((item) => item.exercise.name)).toEqual(["Squat", "Row", "Plank", "Curl"]);
+    expect(getSupersetGroups(items).map((group) => group.label)).toEqual(["Giant set A"]);
+
+    const groupId = items[0].supersetGroupId;
+    await updateTemplateSupersetKind(templateId, groupId, "circuit");
+    const workoutId = await startWorkoutFromTemplate(templateId);
+    const workout = await getWorkoutWithDetails(workoutId);
+    expect(
+      workout.items.map((item) => [item.exercise.name, item.supersetGroupId, item.supersetKind])
+    ).toEqual([
+      ["Squat", groupId, "circuit"],
+      ["Row", groupId, "circuit"],
+      ["Plank", groupId, "circuit"],
+      ["Curl", undefined, undefined],
+    ]);
+
+    await unlinkTemplateItem(templateId, plankItem);
+    await removeTemplateItem(rowItem);
+    ({ items } = await getTemplateWithDetails(templateId));
+    expect(items.map((item) => [item.id, item.supersetGroupId ?? null])).toEqual([
+      [squatItem, null],
+      [plankItem, null],
+      [curlItem, null],
+    ]);
+  });
+});
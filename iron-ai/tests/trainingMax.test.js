@@ -0,0 +1,120 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToTemplate,
+  addExerciseToWorkout,
+  addWorkoutSet,
+  createEmptyWorkout,
+  createTemplate,
+  db,
+  finishWorkout,
+  getTrainingMax,
+  getWorkoutWithDetails,
+  listTrainingMaxHistory,
+  setTrainingMax,
+  startWorkoutFromTemplate,
+  updateTemplateItemPrescriptions,
+} from "../src/db";
+import { getExerciseHistory } from "../src/exercises/derived";
+import { updateSettings } from "../src/state/settingsStore";
+import {
+  computeTrainingMax,
+  estimateOneRepMaxWith,
+  estimateSetOneRepMaxWith,
+  findTrainingMaxCandidates,
+} from "../src/workouts/trainingMax";
+
+describe("training max helpers", () => {
+  it("estimates a 1RM with each formula", () => {
+    expect(estimateOneRepMaxWith("epley", 100, 5)).toBeCloseTo(116.67, 2);
+    expect(estimateOneRepMaxWith("brzycki", 100, 5)).toBeCloseTo(112.5, 2);
+    expect(estimateOneRepMaxWith("lombardi", 100, 5)).toBeCloseTo(117.46, 2);
+    expect(estimateOneRepMaxWith("rpe", 100, 1)).toBe(100);
+    expect(estimateOneRepMaxWith("rpe", 100, 15)).toBeNull();
+    expect(estimateOneRepMaxWith("unknown", 100, 5)).toBeCloseTo(116.67, 2);
+
+    // 5 @ RPE 8 reads the 7-rep column of the RPE table.
+    const set = { weight: "100", reps: "5", rpe: 8 };
+    expect(estimateSetOneRepMaxWith(set, "rpe")).toBeCloseTo(123.3, 1);
+    expect(estimateSetOneRepMaxWith(set, "epley")).toBeCloseTo(123.33, 2);
+    expect(computeTrainingMax(123.3, 90)).toBe(111);
+  });
+
+  it("suggests training maxes from recent sessions and AMRAP sets", () => {
+    const history = [
+      { workoutId: 3, date: "2026-03-03", sets: [{ id: 31, weight: 100, reps: "5" }] },
+      {
+        workoutId: 2,
+        date: "2026-02-24",
+        sets: [
+          { id: 21, weight: 110, reps: "3", setType: "warmup" },
+          { id: 22, weight: 95, reps: "10", setType: "amrap" },
+        ],
+      },
+      { workoutId: 1, date: "2026-02-17", sets: [{ id: 11, weight: 90, reps: "12" }] },
+    ];
+    const candidates = findTrainingMaxCandidates(history, { formula: "epley", percent: 90 });
+    expect(candidates.e1rm).toMatchObject({ workoutId: 2, oneRepMax: 126.7, value: 114 });
+    expect(candidates.amrap).toMatchObject({ workoutId: 2, set: { id: 22 } });
+    expect(findTrainingMaxCandidates(history, { lookback: 1 }).e1rm.workoutId).toBe(3);
+    expect(findTrainingMaxCandidates(history.slice(0, 1)).amrap).toBeNull();
+  });
+});
+
+describe.sequential("training maxes", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("estimates exercise history 1RMs with the chosen formula", async () => {
+    const exerciseId = await db.table("exercises").add({ name: "Squat", status: "core" });
+    const workoutId = await createEmptyWorkout();
+    const itemId = await addExerciseToWorkout(workoutId, exerciseId);
+    await addWorkoutSet(itemId, { weight: "100", reps: "5", unit: "kg" });
+    await finishWorkout(workoutId);
+
+    const history = (formula) => getExerciseHistory(exerciseId, { unit: "kg", formula });
+    expect((await history("epley"))[0].oneRm).toBeCloseTo(116.67, 2);
+    expect((await history("brzycki"))[0].oneRm).toBeCloseTo(112.5, 2);
+    expect((await history("rpe"))[0].oneRm).toBeCloseTo(100 / 0.863, 1);
+  });
+
+  it("keeps a history and resolves % TM targets when a workout starts", async () => {
+    const exerciseId = await db.table("exercises").add({ name: "Bench press", status: "core" });
+    await updateSettings({ weight_unit: "lb" });
+    await setTrainingMax(exerciseId, { value: 200, unit: "lb" });
+    await setTrainingMax(exerciseId, {
+      value: 225,
+      source: "amrap",
+      oneRepMax: 250,
+      formula: "brzycki",
+      percent: 90,
+    });
+    await expect(setTrainingMax(exerciseId, { value: "" })).rejects.toThrow(/weight/);
+
+    const history = await listTrainingMaxHistory(exerciseId);
+    expect(history.map((entry) => entry.source)).toEqual(["amrap", "manual"]);
+    expect(history[0]).toMatchObject({ formula: "brzycki", percent: 90 });
+    expect(history[1]).toMatchObject({ oneRepMax: null, formula: null });
+    const current = await getTrainingMax(exerciseId);
+    expect(current.id).toBe(history[0].id);
+    expect(current.value).toBeCloseTo(102.06, 2);
+
+    const templateId = await createTemplate({ name: "Press" });
+    const itemId = await addExerciseToTemplate(templateId, exerciseId);
+    await updateTemplateItemPrescriptions(itemId, [
+      { repMin: 5, repMax: 5, loadPercent: 65 },
+      { repMin: 5, repMax: 5, loadPercent: 85 },
+    ]);
+    const workoutId = await startWorkoutFromTemplate(templateId);
+    const workout = await getWorkoutWithDetails(workoutId);
+    expect(workout.items[0].sets.map((set) => set.target.weight)).toEqual([145, 190]);
+    expect(workout.items[0].sets[0].target).toMatchObject({ unit: "lb", loadBasis: "tm" });
+  });
+});
@@ -0,0 +1,102 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import {
+  addExerciseToTemplate,
+  addWorkoutSet,
+  applyWorkoutSetUnitDefaults,
+  countInferredSetUnits,
+  createTemplate,
+  db,
+  finishWorkout,
+  getWorkoutWithDetails,
+  relabelInferredSetUnits,
+  startWorkoutFromTemplate,
+  updateWorkoutSet,
+} from "../src/db";
+import { getExerciseHistory } from "../src/exercises/derived";
+import { convertWeight, formatWeight, normalizeWeightUnit } from "../src/utils/units";
+import { seedTestExercises } from "./seedTestData";
+
+async function startTestWorkout() {
+  const exercise = await db.table("exercises").orderBy("id").first();
+  const templateId = await createTemplate({ name: "Units" });
+  await addExerciseToTemplate(templateId, exercise.id);
+  const workoutId = await startWorkoutFromTemplate(templateId);
+  const details = await getWorkoutWithDetails(workoutId);
+  return { exercise, workoutId, itemId: details.items[0].id };
+}
+
+describe("weight unit helpers", () => {
+  it("normalizes and converts between kg and lb", () => {
+    expect(normalizeWeightUnit("LBS")).toBe("lb");
+    expect(normalizeWeightUnit("stone")).toBe("kg");
+    expect(convertWeight("100", "kg", "lb")).toBeCloseTo(220.462, 3);
+    expect(convertWeight(225, "lb", "kg")).toBeCloseTo(102.058, 3);
+    expect(convertWeight("", "kg", "lb")).toBeNull();
+    expect(formatWeight(convertWeight(100, "kg", "lb"), "lb")).toBe("220.5 lb");
+  });
+
+  it("marks unit-less sets as inferred during normalization", () => {
+    expect(applyWorkoutSetUnitDefaults({ weight: "60" }, "lb")).toMatchObject({
+      unit: "lb",
+      unitInferred: true,
+    });
+    expect(applyWorkoutSetUnitDefaults({ weight: "60", unit: "kg" }, "lb")).toEqual({
+      weight: "60",
+      unit: "kg",
+    });
+  });
+});
+
+describe.sequential("weight units on workout sets", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+    await seedTestExercises();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("stamps new sets with the preferred unit", async () => {
+    await db.table("settings").put({ id: 1, weight_unit: "lb" });
+    const { itemId } = await startTestWorkout();
+
+    const setId = await addWorkoutSet(itemId, { weight: "135", reps: "5" });
+    const explicitId = await addWorkoutSet(itemId, { weight: "60", reps: "5", unit: "kg" });
+
+    expect((await db.table("workoutSets").get(setId)).unit).toBe("lb");
+    expect((await db.table("workoutSets").get(explicitId)).unit).toBe("kg");
+  });
+
+  it("relabels only inferred sets and keeps hand-picked units", async () => {
+    const { itemId } = await startTestWorkout();
+    const inferredId = await addWorkoutSet(itemId, { weight: "100", reps: "5" });
+    const pickedId = await addWorkoutSet(itemId, { weight: "100", reps: "5" });
+    await db.table("workoutSets").update(inferredId, { unitInferred: true });
+    await db.table("workoutSets").update(pickedId, { unitInferred: true });
+    await updateWorkoutSet(pickedId, { unit: "kg" });
+
+    expect(await countInferredSetUnits()).toBe(1);
+    await relabelInferredSetUnits("lb");
+
+    expect((await db.table("workoutSets").get(inferredId)).unit).toBe("lb");
+    expect((await db.table("workoutSets").get(pickedId)).unit).toBe("kg");
+  });
+
+  it("converts mixed-unit history into the requested unit", async () => {
+    const { exercise, workoutId, itemId } = await startTestWorkout();
+    await addWorkoutSet(itemId, { weight: "100", reps: "5", unit: "kg" });
+    await addWorkoutSet(itemId, { weight: "225", reps: "3", unit: "lb" });
+    await finishWorkout(workoutId);
+
+    const [entry] = await getExerciseHistory(exercise.id, { unit: "lb" });
+
+    expect(entry.unit).toBe("lb");
+    expect(entry.maxWeight).toBeCloseTo(225, 3);
+    const converted = entry.sets.find((set) => set.loggedUnit === "kg" && set.loggedWeight === "100");
+    expect(converted.weight).toBeCloseTo(220.462, 3);
+  });
+});
@@ -0,0 +1,115 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+
+import { db } from "../src/db.js";
+import { validateActionDraft } from "../src/coach/actionDraftExecution.js";
+import {
+  buildGeneratedWorkoutDraft,
+  generateWorkoutDraft,
+  selectGeneratedExercises,
+} from "../src/coach/workoutGenerator.js";
+
+let nextId = 1;
+const exercise = (name, primaryMuscles, pattern, extra = {}) => ({
+  id: nextId++,
+  name,
+  primaryMuscles,
+  pattern,
+  category: "strength",
+  default_sets: 3,
+  default_reps: null,
+  ...extra,
+});
+
+const library = [
+  exercise("Bench Press", ["chest"], "compound"),
+  exercise("Dumbbell Fly", ["chest"], "isolation"),
+  exercise("Chest Stretch", ["chest"], "static", { category: "stretching" }),
+  exercise("Overhead Press", ["shoulders"], "compound", { default_reps: 6 }),
+  exercise("Lateral Raise", ["shoulders"], "isolation"),
+  exercise("Triceps Pushdown", ["triceps"], "isolation"),
+  exercise("Dips", ["triceps"], "compound"),
+  exercise("Back Squat", ["quadriceps"], "compound"),
+  exercise("Leg Extension", ["quadriceps"], "isolation"),
+  exercise("Romanian Deadlift", ["hamstrings"], "compound"),
+];
+
+describe("offline workout generator", () => {
+  it("fills goal slots with balanced, available exercises and honours the time budget", () => {
+    const long = selectGeneratedExercises({ goal: "push", minutes: 75, exercises: library });
+    expect(long.exercises.map((entry) => entry.exercise.name)).toEqual([
+      "Bench Press",
+      "Overhead Press",
+      "Triceps Pushdown",
+      "Dumbbell Fly",
+      "Lateral Raise",
+      "Dips",
+    ]);
+    expect(long.exercises[0].sets).toBe(4);
+    expect(long.exercises[1].reps).toBe(6);
+    expect(long.exercises[2].reps).toBe(12);
+    expect(long.estimatedMinutes).toBeLessThanOrEqual(75);
+
+    const short = selectGeneratedExercises({ goal: "push", minutes: 20, exercises: library });
+    expect(short.exercises.length).toBeLessThan(long.exercises.length);
+    expect(short.exercises.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it("prefers familiar exercises, avoids the last session, and varies on request", () => {
+    const squats = [
+      exercise("Back Squat", ["quadriceps"], "compound"),
+      exercise("Front Squat", ["quadriceps"], "compound"),
+      exercise("Hack Squat", ["quadriceps"], "compound"),
+    ];
+    const pick = (options) =>
+      selectGeneratedExercises({ goal: "legs", minutes: 20, exercises: squats, ...options })
+        .exercises[0].exercise.name;
+
+    expect(pick({})).toBe("Back Squat");
+    expect(pick({ usageCounts: new Map([[squats[2].id, 4]]) })).toBe("Hack Squat");
+    expect(pick({ recentExerciseIds: new Set([squats[0].id]) })).toBe("Front Squat");
+    expect(pick({ variation: 1 })).toBe("Front Squat");
+  });
+
+  it("returns null when nothing in the library fits the goal", () => {
+    const chestOnly = library.filter((entry) => entry.primaryMuscles.includes("chest"));
+    expect(buildGeneratedWorkoutDraft({ goal: "legs", minutes: 45, exercises: chestOnly }))
+      .toBeNull();
+    expect(buildGeneratedWorkoutDraft({ goal: "arms", minutes: 45, exercises: library }))
+      .toBeNull();
+  });
+});
+
+describe.sequential("offline workout generator drafts", () => {
+  beforeEach(async () => {
+    await db.delete();
+    await db.open();
+  });
+
+  afterAll(async () => {
+    await db.delete();
+    db.close();
+  });
+
+  it("builds a valid create_workout draft from the local library", async () => {
+    const now = Date.now();
+    await db.table("exercises").bulkAdd(
+      library.map(({ id, ...entry }) => ({
+        ...entry,
+        stableId: `test-${id}`,
+        slug: `test-${id}`,
+        equipment: ["bodyweight"],
+        requiredEquipmentIds: ["bodyweight"],
+        createdAt: now,
+        updatedAt: now,
+      }))
+    );
+
+    const draft = await generateWorkoutDraft({ goal: "full_body", minutes: 45 });
+    expect(draft.kind).toBe("create_workout");
+    expect(draft.payload.exercises.length).toBeGreaterThanOrEqual(2);
+    expect(draft.payload.plannedDurationMins).toBeLessThanOrEqual(45);
+
+    const validation = await validateActionDraft(draft);
+    expect(validation).toMatchObject({ valid: true, errors: [] });
+  });
+});
@@ -1,7 +1,10 @@
 import process from "node:process";
 import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
-import { handleCoachRequest } from "./api/_coachCore.js";
+import { handleCoachRequest, pipeCoachStream } from "./api/_coachCore.js";
+import { COACH_ERROR_CODES, errorResponse } from "./api/_coachErrors.js";
+import { getCoachClientId } from "./api/_coachUsage.js";
+import { pwaPlugin } from "./scripts/lib/vite-pwa-plugin.mjs";
 
 function readJsonBody(req) {
   return new Promise((resolve, reject) => {
@@ -31,9 +34,14 @@ function coachDevApiPlugin(env) {
       server.middlewares.use(async (req, res, next) => {
         if (req.url !== "/api/coach") return next();
         if (req.method !== "POST") {
-          res.statusCode = 405;
+          const { status, body } = errorResponse(
+            405,
+            "Method not allowed.",
+            COACH_ERROR_CODES.methodNotAllowed
+          );
+          res.statusCode = status;
           res.setHeader("Content-Type", "application/json");
-          res.end(JSON.stringify({ error: { message: "Method not allowed." } }));
+          res.end(JSON.stringify(body));
           return;
         }
 
@@ -41,12 +49,22 @@ function coachDevApiPlugin(env) {
         try {
           payload = await readJsonBody(req);
         } catch {
-          res.statusCode = 400;
+          const { status, body } = errorResponse(
+            400,
+            "Invalid JSON body.",
+            COACH_ERROR_CODES.invalidJson
+          );
+          res.statusCode = status;
           res.setHeader("Content-Type", "application/json");
-          res.end(JSON.stringify({ error: { message: "Invalid JSON body." } }));
+          res.end(JSON.stringify(body));
           return;
         }
 
+        const upstream = new AbortController();
+        res.on("close", () => {
+          if (!res.writableFinished) upstream.abort();
+        });
+
         try {
           const result = await handleCoachRequest({
             payload,
@@ -54,11 +72,25 @@ function coachDevApiPlugin(env) {
               ...process.env,
               ...env,
             },
+            signal: upstream.signal,
+            headers: req.headers,
+            userId: getCoachClientId(req),
           });
+          if (result.stream) {
+            await pipeCoachStream(res, result.stream);
+            return;
+          }
           res.statusCode = result.status;
+          Object.entries(result.headers ?? {}).forEach(([name, value]) => {
+            res.setHeader(name, value);
+          });
           res.setHeader("Content-Type", "application/json");
           res.end(JSON.stringify(result.body));
         } catch {
+          if (res.headersSent) {
+            res.end();
+            return;
+          }
           res.statusCode = 500;
           res.setHeader("Content-Type", "application/json");
           res.end(JSON.stringify({ error: { message: "Coach request failed." } }));
@@ -71,6 +103,6 @@ function coachDevApiPlugin(env) {
 export default defineConfig(({ mode }) => {
   const env = loadEnv(mode, process.cwd(), "");
   return {
-    plugins: [react(), coachDevApiPlugin(env)],
+    plugins: [react(), coachDevApiPlugin(env), pwaPlugin()],
   };
 });